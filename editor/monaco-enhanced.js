@@ -1759,6 +1759,7 @@ class MonacoInitializer {
         this.pendingReadOnlyRestore = null;
         this.editorReadOnlyLocked = false;
         this.pendingMappingLoadId = null;
+        this.lintFindings = new WeakMap();
     }
 
     resolveMonacoSources() {
@@ -1815,6 +1816,8 @@ class MonacoInitializer {
         try {
             await this.loadMonaco();
             this.setupWireMockSchema();
+            this.setupMappingLint();
+            this.setupTagCompletion();
             this.setupOptimizations();
             await this.createEditors();
             this.setupEventHandlers();
@@ -2068,6 +2071,122 @@ class MonacoInitializer {
         });
     }
 
+    setupMappingLint() {
+        if (!window.MappingLint) return;
+
+        // Offer the lint rule's fix as a quick fix on its marker
+        monaco.languages.registerCodeActionProvider('json', {
+            provideCodeActions: (model, range, context) => {
+                const findings = this.lintFindings.get(model) || [];
+                const actions = context.markers
+                    .filter(marker => marker.source === 'mapping-lint' && findings[Number(marker.code)]?.fix)
+                    .map((marker) => {
+                        const finding = findings[Number(marker.code)];
+                        let fixed;
+                        try {
+                            fixed = window.MappingLint.applyFix(JSON.parse(model.getValue()), finding);
+                        } catch {
+                            return null;
+                        }
+                        return {
+                            title: finding.fix.label,
+                            kind: 'quickfix',
+                            diagnostics: [marker],
+                            isPreferred: true,
+                            edit: {
+                                edits: [{
+                                    resource: model.uri,
+                                    versionId: model.getVersionId(),
+                                    textEdit: { range: model.getFullModelRange(), text: JSON.stringify(fixed, null, 2) }
+                                }]
+                            }
+                        };
+                    })
+                    .filter(Boolean);
+                return { actions, dispose() {} };
+            }
+        });
+    }
+
+    setupTagCompletion() {
+        if (!window.MappingTags) return;
+
+        // Suggest tags already in use when typing inside a "tags": [ ... ] array
+        monaco.languages.registerCompletionItemProvider('json', {
+            triggerCharacters: ['"', '['],
+            provideCompletionItems: (model, position) => {
+                const before = model.getValueInRange({
+                    startLineNumber: 1,
+                    startColumn: 1,
+                    endLineNumber: position.lineNumber,
+                    endColumn: position.column
+                });
+                if (!/"tags"\s*:\s*\[[^\]]*$/.test(before)) {
+                    return { suggestions: [] };
+                }
+
+                // Inside a string only the typed part is replaced; otherwise a quoted tag is inserted
+                const quotes = (before.slice(before.lastIndexOf('[')).match(/"/g) || []).length;
+                const inString = quotes % 2 === 1;
+                const typed = inString ? before.slice(before.lastIndexOf('"') + 1) : '';
+                const range = {
+                    startLineNumber: position.lineNumber,
+                    startColumn: position.column - typed.length,
+                    endLineNumber: position.lineNumber,
+                    endColumn: position.column
+                };
+
+                let documentMappings = [];
+                try {
+                    const parsed = JSON.parse(model.getValue());
+                    documentMappings = Array.isArray(parsed?.mappings) ? parsed.mappings : [parsed];
+                } catch {
+                    // Half-typed documents only get the tags from the loaded mappings
+                }
+                const known = new Map();
+                [...window.MappingTags.collect(), ...window.MappingTags.collect(documentMappings)]
+                    .forEach(({ tag, count }) => known.set(tag, (known.get(tag) || 0) + count));
+
+                const suggestions = Array.from(known.entries())
+                    .filter(([tag]) => tag.startsWith(window.MappingTags.normalize(typed)))
+                    .map(([tag, count]) => ({
+                        label: tag,
+                        kind: monaco.languages.CompletionItemKind.Value,
+                        detail: `tag used by ${count} mapping(s)`,
+                        insertText: inString ? tag : `"${tag}"`,
+                        range
+                    }));
+                return { suggestions };
+            }
+        });
+    }
+
+    updateLintMarkers(editor, content) {
+        const model = editor?.getModel?.();
+        if (!model || !window.MappingLint) return;
+
+        let findings = [];
+        try {
+            findings = window.MappingLint.lintDocument(JSON.parse(content));
+        } catch {
+            // Syntax errors are reported by the JSON language service
+        }
+        this.lintFindings.set(model, findings);
+
+        const locator = findings.length > 0 ? this.createPointerLocator(content) : null;
+        const markers = findings.map((finding, index) => {
+            const range = locator?.getRange(finding.path) || { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 2 };
+            return {
+                ...range,
+                severity: finding.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+                message: finding.fix ? `${finding.message} (quick fix: ${finding.fix.label})` : finding.message,
+                source: 'mapping-lint',
+                code: String(index)
+            };
+        });
+        monaco.editor.setModelMarkers(model, 'mapping-lint', markers);
+    }
+
     setupOptimizations() {
         // Performance optimizations
         try {
@@ -2584,6 +2703,8 @@ this.suspendHistoryRecording = true;
             editor.virtualRenderer.setContent(content);
         }
 
+        this.updateLintMarkers(editor, content);
+
         if (this.suspendHistoryRecording) {
             return;
         }
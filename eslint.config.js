@@ -31,13 +31,34 @@ module.exports = [
         Map: 'readonly',
         Set: 'readonly',
         AbortController: 'readonly',
+        confirm: 'readonly',
+        prompt: 'readonly',
+        crypto: 'readonly',
+        CustomEvent: 'readonly',
+        Worker: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        indexedDB: 'readonly',
+        URLSearchParams: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        btoa: 'readonly',
+        Event: 'readonly',
+        performance: 'readonly',
         // iMock2 specific globals
         MappingsStore: 'readonly',
         MappingsOperations: 'readonly',
+        ConnectionProfiles: 'readonly',
+        NotificationManager: 'readonly',
+        ServerCompare: 'readonly',
+        WireMockCapabilities: 'readonly',
+        OfflineQueue: 'readonly',
+        TrafficInspector: 'readonly',
         Logger: 'readonly',
         Utils: 'readonly',
         UIComponents: 'readonly',
         MonacoLoader: 'readonly',
+        monaco: 'readonly',
         ENDPOINTS: 'readonly',
         SELECTORS: 'readonly',
         LifecycleManager: 'readonly',
@@ -53,6 +74,10 @@ module.exports = [
         refreshMappingTabSnapshot: 'readonly',
         computeMappingTabTotals: 'readonly',
         fetchAndRenderMappings: 'readonly',
+        renderScenarios: 'readonly',
+        downloadFile: 'readonly',
+        applyFilters: 'readonly',
+        updateActiveFiltersDisplay: 'readonly',
         updateUptime: 'readonly',
         updateConnectionStatus: 'readonly',
         updateDataSourceIndicator: 'readonly',
@@ -9,9 +9,15 @@ window.SELECTORS = {
     PAGES: {
         MAPPINGS: 'mappings-page',
         REQUESTS: 'requests-page',
+        COMPOSER: 'composer-page',
         SCENARIOS: 'scenarios-page',
         'IMPORT-EXPORT': 'import-export-page',
         RECORDING: 'recording-page',
+        COMPARE: 'compare-page',
+        AUDIT: 'audit-page',
+        TRASH: 'trash-page',
+        UNUSED: 'unused-page',
+        TRAFFIC: 'traffic-page',
         SETTINGS: 'settings-page'
     },
 
@@ -72,6 +78,7 @@ window.SELECTORS = {
         CONNECT_BTN: 'connect-btn',
         STATUS_DOT: 'status-dot',
         STATUS_TEXT: 'status-text',
+        VERSION: 'wiremock-version',
         UPTIME: 'uptime'
     },
 
@@ -509,20 +516,107 @@ const migrateLegacySettings = (rawSettings) => {
 
 window.normalizeWiremockSettings = (settings) => migrateLegacySettings(settings);
 
+// --- CONNECTION PROFILES STORAGE ---
+// Profiles are kept apart from 'wiremock-settings' so that general preferences
+// (theme, auto-refresh, cache timings) stay shared while each profile carries
+// its own connection fields.
+const CONNECTION_PROFILES_KEY = 'wiremock-connection-profiles';
+const AUTH_SETTING_FIELDS = [
+    'authType', 'authHeaderName', 'authHeaderValue', 'authUsername', 'authPassword',
+    'authTokenUrl', 'authClientId', 'authClientSecret', 'authScope'
+];
+const PROFILE_CONNECTION_FIELDS = ['host', 'port', 'scheme', 'customHeaders', 'customHeadersRaw', 'requestTimeout', 'cacheEnabled', ...AUTH_SETTING_FIELDS];
+
+window.AUTH_SETTING_FIELDS = AUTH_SETTING_FIELDS;
+
+window.CONNECTION_PROFILE_FIELDS = PROFILE_CONNECTION_FIELDS;
+
+window.readConnectionProfiles = () => {
+    try {
+        const raw = localStorage.getItem(CONNECTION_PROFILES_KEY);
+        const parsed = raw ? JSON.parse(raw) : null;
+        const profiles = Array.isArray(parsed?.profiles)
+            ? parsed.profiles.filter(profile => profile && typeof profile.id === 'string' && profile.id)
+            : [];
+        const activeId = profiles.some(profile => profile.id === parsed?.activeId) ? parsed.activeId : null;
+        return { activeId, profiles };
+    } catch (error) {
+        Logger.warn('UI', 'Failed to read connection profiles, ignoring them:', error);
+        return { activeId: null, profiles: [] };
+    }
+};
+
+window.writeConnectionProfiles = (state) => {
+    const profiles = Array.isArray(state?.profiles) ? state.profiles : [];
+    const activeId = profiles.some(profile => profile.id === state?.activeId) ? state.activeId : null;
+    localStorage.setItem(CONNECTION_PROFILES_KEY, JSON.stringify({ activeId, profiles }));
+    return { activeId, profiles };
+};
+
+window.getActiveConnectionProfile = () => {
+    const { activeId, profiles } = window.readConnectionProfiles();
+    return activeId ? profiles.find(profile => profile.id === activeId) || null : null;
+};
+
+// Overlay the connection fields of a profile onto the stored settings. The scheme is
+// folded into the host because normalizeWiremockBaseUrl derives it from there.
+const applyConnectionProfile = (settings, profile) => {
+    if (!profile) {
+        return settings;
+    }
+
+    const merged = { ...settings };
+    PROFILE_CONNECTION_FIELDS.forEach((field) => {
+        if (profile[field] !== undefined && profile[field] !== null && profile[field] !== '') {
+            merged[field] = profile[field];
+        }
+    });
+
+    const host = String(profile.host || merged.host || '').trim();
+    if (host && profile.scheme && !host.includes('://')) {
+        merged.host = `${profile.scheme}://${host}`;
+    }
+
+    merged.customHeaders = ensureCustomHeaderObject(merged.customHeaders);
+    return merged;
+};
+
+window.applyConnectionProfile = applyConnectionProfile;
+
 window.readWiremockSettings = () => {
     try {
         const raw = localStorage.getItem('wiremock-settings');
-        if (!raw) {
-            return {};
-        }
-        const parsed = JSON.parse(raw);
-        return migrateLegacySettings(parsed);
+        const settings = raw ? migrateLegacySettings(JSON.parse(raw)) : {};
+        return applyConnectionProfile(settings, window.getActiveConnectionProfile());
     } catch (error) {
         Logger.warn('UI', 'Failed to read stored settings, returning empty object:', error);
         return {};
     }
 };
 
+// Persist settings to 'wiremock-settings'. While a profile is active its connection fields
+// belong to the profile, so the default connection stored here is kept as it was.
+window.writeWiremockSettings = (settings) => {
+    const next = { ...settings };
+    if (window.getActiveConnectionProfile()) {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem('wiremock-settings') || '{}') || {};
+        } catch (error) {
+            Logger.warn('UI', 'Stored settings are unreadable, dropping their connection fields:', error);
+        }
+        PROFILE_CONNECTION_FIELDS.forEach((field) => {
+            if (stored[field] === undefined) {
+                delete next[field];
+            } else {
+                next[field] = stored[field];
+            }
+        });
+    }
+    localStorage.setItem('wiremock-settings', JSON.stringify(next));
+    return next;
+};
+
 // Helper to build the documented scenario state endpoint
 window.buildScenarioStateEndpoint = (scenarioName) => {
     const rawName = typeof scenarioName === 'string' ? scenarioName : '';
@@ -565,65 +659,641 @@ window.normalizeWiremockBaseUrl = (hostInput, portInput) => {
     return `${scheme}://${hostname || 'localhost'}:${port || (scheme === 'https' ? '443' : '8080')}/__admin`;
 };
 
+// --- RETRY POLICY & CIRCUIT BREAKER ---
+// Only idempotent calls are retried: GET/HEAD everywhere and PUT on a single mapping id,
+// which replaces the whole stub and can safely be repeated.
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+const isIdempotentRequest = (method, endpoint) => {
+    const normalizedMethod = String(method || 'GET').toUpperCase();
+    if (normalizedMethod === 'GET' || normalizedMethod === 'HEAD') {
+        return true;
+    }
+    return normalizedMethod === 'PUT' && /^\/mappings\/[^/?#]+$/.test(String(endpoint || ''));
+};
+
+// Network failures, timeouts and gateway-style responses are worth another attempt;
+// any other HTTP error means the server answered and retrying will not help.
+const isTransientApiError = (error) => {
+    if (!error) return false;
+    if (error.isTimeout || error.name === 'TypeError') return true;
+    return RETRYABLE_STATUS_CODES.includes(error.status);
+};
+
+const readPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const resolveRetryPolicy = (settings = {}) => {
+    const defaults = window.DEFAULT_SETTINGS || {};
+    return {
+        enabled: (settings.retryEnabled ?? defaults.retryEnabled) !== false,
+        maxAttempts: Math.max(1, readPositiveInt(settings.retryMaxAttempts ?? defaults.retryMaxAttempts, 3)),
+        baseDelay: readPositiveInt(settings.retryBaseDelay ?? defaults.retryBaseDelay, 300),
+        maxDelay: 5000
+    };
+};
+
+// Exponential backoff with "equal jitter": half of the window is fixed, half is random
+const computeRetryDelay = (attempt, policy, random = Math.random) => {
+    const span = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+    return Math.round(span / 2 + random() * (span / 2));
+};
+
+window.ApiRetryPolicy = { isIdempotentRequest, isTransientApiError, resolveRetryPolicy, computeRetryDelay };
+
+// Guards the active connection only; requests with a baseUrl override (compare page) bypass it.
+window.ApiCircuitBreaker = {
+    state: 'closed',
+    failures: 0,
+    openedAt: 0,
+    probeInFlight: false,
+
+    _config() {
+        const settings = Utils.safeCall(window.readWiremockSettings) || {};
+        const defaults = window.DEFAULT_SETTINGS || {};
+        return {
+            threshold: Math.max(1, readPositiveInt(settings.circuitBreakerThreshold ?? defaults.circuitBreakerThreshold, 5)),
+            cooldown: readPositiveInt(settings.circuitBreakerCooldown ?? defaults.circuitBreakerCooldown, 30000)
+        };
+    },
+
+    retryInMs(now = Date.now()) {
+        if (this.state !== 'open') return 0;
+        return Math.max(0, this.openedAt + this._config().cooldown - now);
+    },
+
+    allowRequest(now = Date.now()) {
+        if (this.state === 'closed') {
+            return true;
+        }
+        if (this.state === 'open') {
+            if (this.retryInMs(now) > 0) {
+                return false;
+            }
+            this.state = 'half-open';
+            this.probeInFlight = false;
+            Logger.info('API', 'Circuit half-open - probing WireMock with a single request');
+        }
+        // half-open: let exactly one probe through
+        if (this.probeInFlight) {
+            return false;
+        }
+        this.probeInFlight = true;
+        return true;
+    },
+
+    recordSuccess() {
+        const wasTripped = this.state !== 'closed';
+        this.state = 'closed';
+        this.failures = 0;
+        this.probeInFlight = false;
+        if (wasTripped) {
+            Logger.info('API', 'Circuit closed - WireMock is responding again');
+            Utils.safeCall(window.applyHealthUI, true, null);
+        }
+    },
+
+    recordFailure(now = Date.now()) {
+        this.failures += 1;
+        this.probeInFlight = false;
+        const { threshold, cooldown } = this._config();
+        if (this.state === 'half-open' || this.failures >= threshold) {
+            const wasOpen = this.state === 'open';
+            this.state = 'open';
+            this.openedAt = now;
+            if (!wasOpen) {
+                Logger.warn('API', `Circuit open after ${this.failures} consecutive failures; pausing requests for ${cooldown}ms`);
+            }
+            Utils.safeCall(window.applyHealthUI, false, null, { circuitOpen: true, retryInMs: cooldown });
+        }
+    },
+
+    // A cancelled request proves nothing either way; only let the next probe through
+    releaseProbe() {
+        this.probeInFlight = false;
+    },
+
+    createOpenError(method, endpoint) {
+        const seconds = Math.ceil(this.retryInMs() / 1000);
+        const error = new Error(`Circuit open: WireMock unavailable, ${method} ${endpoint} skipped (retry in ${seconds}s)`);
+        error.circuitOpen = true;
+        return error;
+    },
+
+    reset() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probeInFlight = false;
+    }
+};
+
+// --- ADMIN API AUTHENTICATION ---
+// Pluggable providers for admin APIs that sit behind a gateway. A provider turns the
+// auth fields of the settings into request headers; token-based providers are also
+// "refreshable", which lets apiFetch drop the cached token and retry once after a 401.
+const AUTH_TOKEN_REFRESH_SKEW_MS = 30000;
+
+const encodeBasicCredentials = (username, password) => {
+    // btoa only accepts Latin-1, so encode the credentials as UTF-8 bytes first
+    const bytes = new TextEncoder().encode(`${username}:${password}`);
+    let binary = '';
+    bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+};
+
+const createAuthError = (message, details = {}) => {
+    const error = new Error(message);
+    error.isAuthError = true;
+    Object.assign(error, details);
+    return error;
+};
+
+window.ApiAuth = {
+    providers: {
+        none: {
+            label: 'None',
+            headers: async () => ({})
+        },
+        'static-header': {
+            label: 'Static header',
+            headers: async (settings) => {
+                const name = String(settings.authHeaderName || '').trim();
+                return name ? { [name]: String(settings.authHeaderValue || '') } : {};
+            }
+        },
+        basic: {
+            label: 'Basic auth',
+            headers: async (settings) => ({
+                Authorization: `Basic ${encodeBasicCredentials(settings.authUsername || '', settings.authPassword || '')}`
+            })
+        },
+        'oauth2-client-credentials': {
+            label: 'OAuth2 client credentials',
+            refreshable: true,
+            headers: async (settings) => {
+                const token = await window.ApiAuth.getToken(settings);
+                return { Authorization: `${token.tokenType} ${token.accessToken}` };
+            }
+        }
+    },
+    _tokens: new Map(),
+    _pending: new Map(),
+
+    resolveProvider(settings = {}) {
+        return this.providers[settings.authType] || this.providers.none;
+    },
+
+    /**
+     * Headers the configured provider adds to every admin API request.
+     * @param {Object} settings - Settings carrying the auth fields
+     */
+    async getHeaders(settings = {}) {
+        return this.resolveProvider(settings).headers(settings);
+    },
+
+    canRefresh(settings = {}) {
+        return this.resolveProvider(settings).refreshable === true;
+    },
+
+    _tokenKey(settings) {
+        return [settings.authTokenUrl, settings.authClientId, settings.authScope].map(value => String(value || '').trim()).join('|');
+    },
+
+    /**
+     * Cached client-credentials token, fetched again when it is within the refresh skew of
+     * expiring. Concurrent callers share a single token request.
+     * @param {Object} settings - Settings carrying the OAuth2 fields
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRefresh=false] - Ignore the cached token
+     * @returns {Promise<{accessToken: string, tokenType: string, expiresAt: number}>}
+     */
+    async getToken(settings = {}, { forceRefresh = false } = {}) {
+        const key = this._tokenKey(settings);
+        const cached = this._tokens.get(key);
+        if (!forceRefresh && cached && cached.expiresAt - AUTH_TOKEN_REFRESH_SKEW_MS > Date.now()) {
+            return cached;
+        }
+        if (this._pending.has(key)) {
+            return this._pending.get(key);
+        }
+
+        const request = this._requestToken(settings)
+            .then((token) => {
+                this._tokens.set(key, token);
+                return token;
+            })
+            .finally(() => this._pending.delete(key));
+        this._pending.set(key, request);
+        return request;
+    },
+
+    async _requestToken(settings) {
+        const tokenUrl = String(settings.authTokenUrl || '').trim();
+        if (!tokenUrl) {
+            throw createAuthError('OAuth2 token URL is not configured');
+        }
+
+        const body = new URLSearchParams({ grant_type: 'client_credentials' });
+        if (settings.authClientId) body.set('client_id', settings.authClientId);
+        if (settings.authClientSecret) body.set('client_secret', settings.authClientSecret);
+        if (settings.authScope) body.set('scope', settings.authScope);
+
+        const timeout = readPositiveInt(settings.requestTimeout ?? window.DEFAULT_SETTINGS?.requestTimeout, 69000);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        let response;
+        try {
+            response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+                body: body.toString(),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw createAuthError(`Token request failed: ${error.name === 'AbortError' ? `timeout after ${timeout}ms` : error.message}`);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            throw createAuthError(`Token request failed: HTTP ${response.status}`, { tokenStatus: response.status });
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch {
+            data = null;
+        }
+        if (!data?.access_token) {
+            throw createAuthError('Token response did not contain an access_token');
+        }
+
+        const expiresIn = Number(data.expires_in);
+        const token = {
+            accessToken: data.access_token,
+            tokenType: !data.token_type || /^bearer$/i.test(data.token_type) ? 'Bearer' : data.token_type,
+            // Without expires_in the token is kept until the server rejects it
+            expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 : Infinity
+        };
+        Logger.info('API', `OAuth2 token acquired${Number.isFinite(token.expiresAt) ? `, expires in ${expiresIn}s` : ''}`);
+        return token;
+    },
+
+    invalidate(settings = {}) {
+        this._tokens.delete(this._tokenKey(settings));
+    },
+
+    clearTokens() {
+        this._tokens.clear();
+    }
+};
+
+// --- ADMIN API TRAFFIC LOG ---
+// Ring buffer of every apiFetch call, including the periodic and quiet ones that are kept
+// out of the console. Read by the traffic inspector page; entries are updated in place
+// while a request is in flight.
+const TRAFFIC_BODY_LIMIT = 64 * 1024;
+const TRAFFIC_REDACTED_VALUE = '<redacted>';
+
+// Credentials never enter the log: Authorization plus every header the auth provider added
+// (e.g. a static API-key header) are masked, so "copy as curl" cannot leak them either
+const redactTrafficHeaders = (headers, secretNames = []) => {
+    const secrets = new Set(['authorization', ...secretNames.map(name => String(name).toLowerCase())]);
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => (
+        [name, secrets.has(name.toLowerCase()) ? TRAFFIC_REDACTED_VALUE : value]
+    )));
+};
+
+window.ApiTrafficLog = {
+    capacity: 300,
+    entries: [],
+    _seq: 0,
+    _listeners: new Set(),
+
+    start(details) {
+        const entry = {
+            id: ++this._seq,
+            startedAt: Date.now(),
+            state: 'pending',
+            status: null,
+            duration: null,
+            responseSize: null,
+            attempts: 1,
+            error: null,
+            ...details
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) {
+            this.entries.splice(0, this.entries.length - this.capacity);
+        }
+        this._notify(entry);
+        return entry;
+    },
+
+    update(entry, changes) {
+        Object.assign(entry, changes);
+        this._notify(entry);
+    },
+
+    finish(entry, changes) {
+        this.update(entry, {
+            ...changes,
+            state: changes.error ? 'error' : 'done',
+            duration: Date.now() - entry.startedAt
+        });
+    },
+
+    clear() {
+        this.entries = [];
+        this._notify(null);
+    },
+
+    /**
+     * @param {Function} listener - Called with the changed entry (null after clear)
+     * @returns {Function} Unsubscribe callback
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    },
+
+    _notify(entry) {
+        this._listeners.forEach((listener) => {
+            try {
+                listener(entry);
+            } catch (error) {
+                Logger.warn('API', 'Traffic log listener failed:', error);
+            }
+        });
+    }
+};
+
+// --- STREAMED RESPONSE PROGRESS ---
+// A full /mappings download can take tens of seconds. With an `onProgress` callback apiFetch
+// reads the body as a stream and reports bytes received and, for `{"mappings": [...]}`
+// shaped payloads, how many array items have been parsed so far.
+const PROGRESS_REPORT_INTERVAL_MS = 100;
+
+// Counts objects closed directly inside an array that is a member of the root object,
+// tracking strings so braces inside values do not count. Fed chunk by chunk.
+const createJsonItemCounter = () => {
+    const containers = [];
+    let inString = false;
+    let escaped = false;
+    let count = 0;
+
+    return {
+        get count() {
+            return count;
+        },
+        push(chunk) {
+            for (let index = 0; index < chunk.length; index++) {
+                const char = chunk[index];
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                    }
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    containers.push(char);
+                } else if (char === '}' || char === ']') {
+                    containers.pop();
+                    if (char === '}' && containers.length === 2 && containers[1] === '[') {
+                        count += 1;
+                    }
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Read a response body as text while reporting progress.
+ * @param {Response} response - Fetch response
+ * @param {Function} onProgress - Called with {loaded, total, items, done}; total is the
+ *   Content-Length when known (compressed responses may exceed it), items is null when
+ *   the body could not be streamed
+ * @returns {Promise<string>}
+ */
+const readResponseWithProgress = async (response, onProgress) => {
+    const report = (progress) => {
+        try {
+            onProgress(progress);
+        } catch (error) {
+            Logger.warn('API', 'Progress listener failed:', error);
+        }
+    };
+    const total = Number(response.headers?.get?.('content-length')) || null;
+
+    if (typeof response.body?.getReader !== 'function' || typeof TextDecoder !== 'function') {
+        const text = await response.text();
+        report({ loaded: text.length, total, items: null, done: true });
+        return text;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const counter = createJsonItemCounter();
+    const chunks = [];
+    let loaded = 0;
+    let lastReportAt = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.byteLength;
+        const text = decoder.decode(value, { stream: true });
+        chunks.push(text);
+        counter.push(text);
+
+        const now = Date.now();
+        if (now - lastReportAt >= PROGRESS_REPORT_INTERVAL_MS) {
+            lastReportAt = now;
+            report({ loaded, total, items: counter.count, done: false });
+        }
+    }
+    chunks.push(decoder.decode());
+    report({ loaded, total, items: counter.count, done: true });
+    return chunks.join('');
+};
+
 // --- API CLIENT WITH TIMEOUT SUPPORT ---
+// `baseUrl`, `customHeaders` and `auth` (settings holding the auth provider fields) target a
+// server other than the active connection (e.g. the cross-server compare page); such a
+// target gets no auth or headers unless they are passed with it. `quiet`
+// suppresses logging for expected failures such as capability probes; `onProgress` streams
+// the response body (see readResponseWithProgress). None of them are forwarded to fetch.
+// Aborting the caller's `signal` rejects with an error flagged `isCancelled`.
 window.apiFetch = async (endpoint, options = {}) => {
-    const controller = new AbortController();
+    const { baseUrl, customHeaders: headerOverrides, auth: authOverride, quiet, onProgress, signal: externalSignal, ...fetchOptions } = options;
+    options = fetchOptions;
     const timeoutSettings = Utils.safeCall(window.readWiremockSettings) || {};
     const currentTimeout = timeoutSettings.requestTimeout ? parseInt(timeoutSettings.requestTimeout) : (window.DEFAULT_SETTINGS?.requestTimeout ? parseInt(window.DEFAULT_SETTINGS.requestTimeout) : 69000);
-    const timeoutId = setTimeout(() => controller.abort(), currentTimeout);
-    const fullUrl = `${window.wiremockBaseUrl}${endpoint}`;
+    const fullUrl = `${baseUrl || window.wiremockBaseUrl}${endpoint}`;
     const method = options.method || 'GET';
     
-    const headers = { 
+    // Credentials of the active connection never go to another server: a foreign target only
+    // gets the auth and headers passed for it
+    const isForeignTarget = Boolean(baseUrl) && baseUrl !== window.wiremockBaseUrl;
+    const authSettings = authOverride || (isForeignTarget ? { authType: 'none' } : timeoutSettings);
+    const defaultHeaders = isForeignTarget ? {} : (timeoutSettings.customHeaders || window.customHeaders);
+    const buildHeaders = (authHeaders = {}) => ({
         'Content-Type': 'application/json', 
-        ...ensureCustomHeaderObject(timeoutSettings.customHeaders || window.customHeaders), 
+        ...ensureCustomHeaderObject(headerOverrides || defaultHeaders), 
+        ...authHeaders,
         ...options.headers,
-    };
+    });
+    let headers = buildHeaders();
+    let authHeaders = {};
 
     // Reduce logging verbosity for periodic endpoints to prevent memory leaks
     const isPeriodicEndpoint = endpoint === window.ENDPOINTS?.HEALTH || endpoint === window.ENDPOINTS?.MAPPINGS;
-    const verboseLogging = !isPeriodicEndpoint;
+    const verboseLogging = !isPeriodicEndpoint && !quiet;
+
+    const retryPolicy = resolveRetryPolicy(timeoutSettings);
+    let maxAttempts = retryPolicy.enabled && isIdempotentRequest(method, endpoint) ? retryPolicy.maxAttempts : 1;
+    let authRetried = false;
+    const breaker = baseUrl ? null : window.ApiCircuitBreaker;
+
+    const requestBody = typeof options.body === 'string' ? options.body : null;
+    const traffic = window.ApiTrafficLog.start({
+        method,
+        endpoint,
+        url: fullUrl,
+        headers: redactTrafficHeaders(headers),
+        requestBody: requestBody && requestBody.length > TRAFFIC_BODY_LIMIT ? requestBody.slice(0, TRAFFIC_BODY_LIMIT) : requestBody,
+        requestBodyTruncated: Boolean(requestBody && requestBody.length > TRAFFIC_BODY_LIMIT),
+        requestSize: requestBody ? requestBody.length : 0
+    });
+
+    try {
+        authHeaders = await window.ApiAuth.getHeaders(authSettings);
+        headers = buildHeaders(authHeaders);
+        window.ApiTrafficLog.update(traffic, { headers: redactTrafficHeaders(headers, Object.keys(authHeaders)) });
+    } catch (authError) {
+        Logger.error('API', `${method} ${endpoint} - ${authError.message}`);
+        window.ApiTrafficLog.finish(traffic, { error: authError.message });
+        throw authError;
+    }
+
+    if (breaker && !breaker.allowRequest()) {
+        const openError = breaker.createOpenError(method, endpoint);
+        window.ApiTrafficLog.finish(traffic, { error: openError.message });
+        throw openError;
+    }
 
     // Minimal logging for periodic health checks to reduce memory usage
     if (verboseLogging) {
         Logger.api(`${method} ${endpoint}`);
     }
 
-    try {
-        const response = await fetch(fullUrl, { ...options, signal: controller.signal, headers });
-        clearTimeout(timeoutId);
-        if (!response.ok) {
-            const errorText = await response.text();
+    for (let attempt = 1; ; attempt++) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), currentTimeout);
+        const abortFromCaller = () => controller.abort();
+        if (externalSignal?.aborted) {
+            controller.abort();
+        } else {
+            externalSignal?.addEventListener('abort', abortFromCaller, { once: true });
+        }
+
+        try {
+            const response = await fetch(fullUrl, { ...options, signal: controller.signal, headers });
+            clearTimeout(timeoutId);
+            if (!response.ok) {
+                const errorText = await response.text();
+                traffic.responseSize = errorText.length;
+                // A rejected token is fetched again and the request replayed once, on top of the retry budget
+                if (response.status === 401 && !authRetried && window.ApiAuth.canRefresh(authSettings)) {
+                    authRetried = true;
+                    maxAttempts += 1;
+                    Logger.warn('API', `${method} ${endpoint} returned 401, refreshing the access token and retrying`);
+                    window.ApiAuth.invalidate(authSettings);
+                    authHeaders = await window.ApiAuth.getHeaders(authSettings);
+                    headers = buildHeaders(authHeaders);
+                    window.ApiTrafficLog.update(traffic, {
+                        headers: redactTrafficHeaders(headers, Object.keys(authHeaders)),
+                        attempts: attempt + 1,
+                        status: response.status
+                    });
+                    continue;
+                }
+                if (verboseLogging) {
+                    Logger.error('API', `HTTP ${response.status}: ${errorText || response.statusText}`, { endpoint, method });
+                }
+                const error = new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
+                error.status = response.status; // Add status property for reliable error handling
+                error.statusText = response.statusText;
+                throw error;
+            }
+            // Read as text once so the traffic log can report the payload size
+            const responseText = typeof onProgress === 'function'
+                ? await readResponseWithProgress(response, onProgress)
+                : await response.text();
+            const responseData = response.headers.get('content-type')?.includes('application/json') && responseText ? JSON.parse(responseText) : responseText;
+            window.ApiTrafficLog.finish(traffic, { status: response.status, responseSize: responseText.length, attempts: attempt });
+
+            // Only log success for non-periodic endpoints
             if (verboseLogging) {
-                Logger.error('API', `HTTP ${response.status}: ${errorText || response.statusText}`, { endpoint, method });
+                Logger.api(`${method} ${endpoint} - OK`);
             }
-            const error = new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
-            error.status = response.status; // Add status property for reliable error handling
-            error.statusText = response.statusText;
-            throw error;
-        }
-        const responseData = response.headers.get('content-type')?.includes('application/json') ? await response.json() : await response.text();
 
-        // Only log success for non-periodic endpoints
-        if (verboseLogging) {
-            Logger.api(`${method} ${endpoint} - OK`);
-        }
+            breaker?.recordSuccess();
 
-        try {
-            if (endpoint === window.ENDPOINTS?.HEALTH || endpoint === window.ENDPOINTS?.MAPPINGS) {
-                window.lastWiremockSuccess = Date.now();
-                Utils.safeCall(window.updateLastSuccessUI);
+            try {
+                if (!baseUrl && (endpoint === window.ENDPOINTS?.HEALTH || endpoint === window.ENDPOINTS?.MAPPINGS)) {
+                    window.lastWiremockSuccess = Date.now();
+                    Utils.safeCall(window.updateLastSuccessUI);
+                }
+            } catch {}
+            return responseData;
+        } catch (caughtError) {
+            clearTimeout(timeoutId);
+            let error = caughtError;
+            if (error.name === 'AbortError' && externalSignal?.aborted) {
+                error = new Error(`${method} ${endpoint} cancelled`);
+                error.isCancelled = true;
+            } else if (error.name === 'AbortError') {
+                error = new Error(`Request timeout after ${currentTimeout}ms`);
+                error.isTimeout = true;
             }
-        } catch (_) {}
-        return responseData;
-    } catch (error) {
-        clearTimeout(timeoutId);
-        // Minimal error logging to reduce memory usage
-        if (verboseLogging) {
-            Logger.error('API', `${method} ${endpoint} - ${error.name}: ${error.message}`);
+
+            const transient = isTransientApiError(error);
+            if (transient && attempt < maxAttempts) {
+                const delay = computeRetryDelay(attempt, retryPolicy);
+                Logger.warn('API', `${method} ${endpoint} failed (${error.message}), retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+                window.ApiTrafficLog.update(traffic, { attempts: attempt + 1, status: error.status ?? null });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            // An HTTP error response still proves the server is reachable
+            if (error.isCancelled) {
+                breaker?.releaseProbe();
+            } else if (transient) {
+                breaker?.recordFailure();
+            } else {
+                breaker?.recordSuccess();
+            }
+
+            // Minimal error logging to reduce memory usage
+            if (verboseLogging) {
+                Logger.error('API', `${method} ${endpoint} - ${error.name}: ${error.message}`);
+            }
+            window.ApiTrafficLog.finish(traffic, { status: error.status ?? null, error: error.message, attempts: attempt });
+            throw error;
+        } finally {
+            externalSignal?.removeEventListener('abort', abortFromCaller);
         }
-        if (error.name === 'AbortError') throw new Error(`Request timeout after ${currentTimeout}ms`);
-        throw error;
     }
 };
 
@@ -651,6 +1321,10 @@ window.showPage = (pageId, element) => {
     } else {
         Logger.warn('UI', 'history.replaceState not available');
     }
+
+    if (typeof window.CustomEvent === 'function') {
+        window.dispatchEvent(new CustomEvent('page:shown', { detail: { pageId } }));
+    }
 };
 
 // Sidebar collapse helpers
@@ -759,7 +1433,7 @@ const applyThemeToDom = (theme) => {
 
 const persistThemePreference = (preference) => {
     localStorage.setItem('theme', preference);
-    try { localStorage.setItem('wiremock-settings', JSON.stringify({ ...Utils.safeCall(window.readWiremockSettings) || {}, theme: preference })); } catch (_) {}
+    try { window.writeWiremockSettings({ ...Utils.safeCall(window.readWiremockSettings) || {}, theme: preference }); } catch {}
 };
 
 window.toggleTheme = () => {
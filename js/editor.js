@@ -93,15 +93,24 @@ function setupEditorModeHandlers() {
         if (e.target.matches('[data-action="minify-json"]')) {
             minifyCurrentJSON();
         }
+
+        const lintFixButton = e.target.closest('#mapping-lint-panel [data-lint-fix]');
+        if (lintFixButton) {
+            applyMappingLintFix(Number(lintFixButton.dataset.lintFix));
+        }
     });
 
     // Auto-save on input changes with throttling for performance
     let dirtyIndicatorTimeout = null;
+    let lintTimeout = null;
     document.addEventListener('input', (e) => {
         if (e.target.id === 'json-editor') {
             const wasClean = !editorState.isDirty;
             editorState.isDirty = true;
 
+            clearTimeout(lintTimeout);
+            lintTimeout = setTimeout(refreshMappingLint, 400);
+
             // Only update indicator if state changed or after throttle delay
             if (wasClean) {
                 updateDirtyIndicator();
@@ -212,6 +221,16 @@ window.updateMapping = async () => {
 
         normalizeScenarioNameInMapping(mappingData);
 
+        // Lint warnings never block; errors (e.g. a regex WireMock cannot compile) need confirmation
+        const lintErrors = lintEditorMapping(mappingData).filter(finding => finding.severity === 'error');
+        if (lintErrors.length > 0) {
+            refreshMappingLint();
+            const details = lintErrors.map(finding => `• ${finding.message}`).join('\n');
+            if (!confirm(`This mapping has ${lintErrors.length} lint error(s):\n${details}\n\nSave anyway?`)) {
+                return;
+            }
+        }
+
         // Add metadata timestamps
         if (typeof mappingData === 'object' && mappingData) {
             const nowIso = new Date().toISOString();
@@ -221,6 +240,7 @@ window.updateMapping = async () => {
             mappingData.metadata.source = 'ui';
         }
 
+        const previous = window.MappingsStore?.get(id) || editorState.originalMapping;
         const response = await apiFetch(`/mappings/${id}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
@@ -229,6 +249,7 @@ window.updateMapping = async () => {
 
         const updatedMapping = response?.mapping || response;
         NotificationManager.success('Mapping updated!');
+        window.MappingHistory?.record(previous, { source: 'editor' });
 
         // Update cache and UI with server response
         if (updatedMapping) {
@@ -312,11 +333,58 @@ function loadJSONMode() {
     
     const formattedJSON = JSON.stringify(editorState.currentMapping, null, 2);
     jsonEditor.value = formattedJSON;
+    refreshMappingLint();
+    window.MappingTags?.renderEditor();
 
     Logger.debug('EDITOR', 'JSON editor populated with mapping ID:', editorState.currentMapping?.id);
     Logger.debug('EDITOR', 'JSON content length:', formattedJSON.length);
 }
 
+const lintEditorMapping = (mapping) => {
+    if (!window.MappingLint) return [];
+    return window.MappingLint.lint(mapping, { mappings: window.MappingsStore?.getAll() || [] });
+};
+
+/**
+ * Show lint findings for the JSON in the edit modal; invalid JSON clears the panel
+ */
+const refreshMappingLint = () => {
+    const panel = document.getElementById('mapping-lint-panel');
+    const jsonEditor = document.getElementById('json-editor');
+    if (!panel || !jsonEditor) return [];
+
+    let findings = [];
+    try {
+        findings = lintEditorMapping(JSON.parse(jsonEditor.value));
+    } catch {
+        // Invalid JSON is reported on save; nothing to lint yet
+    }
+
+    panel.classList.toggle('hidden', findings.length === 0);
+    panel.innerHTML = findings.length > 0 ? window.MappingLint.renderFindings(findings) : '';
+    return findings;
+};
+
+/**
+ * Apply a lint quick fix to the JSON in the edit modal
+ */
+const applyMappingLintFix = (index) => {
+    const jsonEditor = document.getElementById('json-editor');
+    if (!jsonEditor) return;
+
+    try {
+        const mapping = JSON.parse(jsonEditor.value);
+        const finding = lintEditorMapping(mapping)[index];
+        if (!finding) return;
+        jsonEditor.value = JSON.stringify(window.MappingLint.applyFix(mapping, finding), null, 2);
+        editorState.isDirty = true;
+        updateDirtyIndicator();
+        refreshMappingLint();
+    } catch (error) {
+        showNotification('Fix failed: ' + error.message, 'error');
+    }
+};
+
 /**
  * Validate current JSON
  */
@@ -419,6 +419,49 @@
             return payload;
         }
 
+        // MERGE imports of plain mapping lists go through MappingsOperations so the list updates
+        // optimistically and progress is visible; other modes and payloads with extra sections
+        // (globalSettings, ...) need the server-side /mappings/import semantics.
+        function canImportInBatches(payload, mode) {
+            if (mode !== 'MERGE' || !window.MappingsOperations || !window.MappingsStore) {
+                return false;
+            }
+            return Object.keys(payload).every((key) => key === 'mappings' || key === 'importMode');
+        }
+
+        async function importInBatches(mappings) {
+            const updates = [];
+            const creates = [];
+            mappings.forEach((mapping) => {
+                const id = mapping.id || mapping.uuid;
+                // An import replaces the stored mapping, like /mappings/import does, instead of merging into it
+                if (id && window.MappingsStore.get(id)) {
+                    updates.push({ id, mapping });
+                } else {
+                    creates.push(mapping);
+                }
+            });
+
+            const total = mappings.length;
+            let finishedBefore = 0;
+            const onProgress = ({ done }) => {
+                setStatusMessage(SELECTORS.IMPORT.RESULT, 'info', `Importing mappings... ${finishedBefore + done}/${total}`);
+            };
+
+            const updated = updates.length
+                ? await window.MappingsOperations.batchUpdate(updates, { onProgress, notify: false, source: 'import' })
+                : { success: [], failed: [] };
+            finishedBefore = updates.length;
+            const created = creates.length
+                ? await window.MappingsOperations.batchCreate(creates, { onProgress, notify: false })
+                : { success: [], failed: [] };
+
+            return {
+                imported: updated.success.length + created.success.length,
+                failed: [...updated.failed, ...created.failed]
+            };
+        }
+
         async function executeImport(importModeOverride = null) {
             try {
                 toggleImportButtonState(true);
@@ -428,6 +471,31 @@
                 const payload = normalizeImportPayload(rawData, mode);
                 payload.importMode = mode;
 
+                if (canImportInBatches(payload, mode)) {
+                    const { imported, failed } = await importInBatches(payload.mappings);
+                    if (imported > 0 && typeof window.refreshImockCache === 'function') {
+                        try {
+                            await window.refreshImockCache();
+                        } catch (refreshError) {
+                            Logger.warn('FEATURES', 'Failed to refresh the cache after import:', refreshError);
+                        }
+                    }
+                    const fileInput = document.getElementById(SELECTORS.IMPORT.FILE);
+                    if (fileInput && failed.length === 0) {
+                        fileInput.value = '';
+                        window.updateFileDisplay();
+                    }
+                    if (failed.length) {
+                        const message = `Imported ${imported} of ${payload.mappings.length} mapping(s); ${failed.length} failed: ${failed[0].error}`;
+                        setStatusMessage(SELECTORS.IMPORT.RESULT, 'error', message);
+                        NotificationManager.warning(message);
+                    } else {
+                        setStatusMessage(SELECTORS.IMPORT.RESULT, 'success', `Imported ${imported} mapping(s) using mode ${mode}.`);
+                        NotificationManager.success(`Imported ${imported} mapping(s).`);
+                    }
+                    return;
+                }
+
                 await apiFetch(ENDPOINTS.MAPPINGS_IMPORT, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
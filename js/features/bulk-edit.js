@@ -0,0 +1,366 @@
+'use strict';
+
+// --- MAPPING MULTI-SELECT & BULK EDIT ---
+// Checkbox selection on mapping cards (kept across pages and filters) and a bulk action
+// bar. Every edit action is compiled into a per-mapping RFC 6902 JSON Patch, previewed as
+// a diff and committed through MappingsOperations.batchUpdate as full replacements.
+
+const BULK_EDIT_MODAL_ID = 'bulk-edit-modal';
+const BULK_PREVIEW_DIFF_LIMIT = 20;
+
+const parseBulkInteger = (raw, label, min) => {
+    const value = Number(String(raw ?? '').trim());
+    if (String(raw ?? '').trim() === '' || !Number.isInteger(value) || value < min) {
+        throw new Error(`${label} must be a whole number of at least ${min}`);
+    }
+    return value;
+};
+
+// Metadata values are JSON when they parse ("true", "3", "[\"a\"]"), plain strings otherwise
+const parseBulkMetadataValue = (raw) => {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+};
+
+const ensureBulkObjectPath = (mapping, pointer) => {
+    return window.JsonPatch.parsePointer(pointer).reduce((acc, segment) => {
+        acc.path += `/${window.JsonPatch.escapeSegment(segment)}`;
+        acc.value = acc.value && typeof acc.value === 'object' ? acc.value[segment] : undefined;
+        if (acc.value === undefined || acc.value === null) {
+            acc.ops.push({ op: 'add', path: acc.path, value: {} });
+        }
+        return acc;
+    }, { path: '', value: mapping, ops: [] }).ops;
+};
+
+/**
+ * Bulk actions: parse() validates the form values once, build() turns them into the
+ * JSON Patch for one mapping (an empty patch means "nothing to change").
+ */
+const BULK_EDIT_ACTIONS = {
+    priority: {
+        label: 'Change priority',
+        parse: values => ({ priority: parseBulkInteger(values.priority, 'Priority', 1) }),
+        build: (mapping, { priority }) => [{ op: 'add', path: '/priority', value: priority }]
+    },
+    headers: {
+        label: 'Response headers',
+        parse: (values) => {
+            const name = String(values.headerName || '').trim();
+            if (!name) throw new Error('Header name is required');
+            return { mode: values.headerMode === 'remove' ? 'remove' : 'add', name, value: String(values.headerValue ?? '') };
+        },
+        build: (mapping, { mode, name, value }) => {
+            const headers = mapping.response?.headers || {};
+            const existing = Object.keys(headers).filter(key => key.toLowerCase() === name.toLowerCase());
+            const removals = existing.map(key => ({ op: 'remove', path: `/response/headers/${window.JsonPatch.escapeSegment(key)}` }));
+            if (mode === 'remove') return removals;
+            return [
+                ...ensureBulkObjectPath(mapping, '/response/headers'),
+                ...removals,
+                { op: 'add', path: `/response/headers/${window.JsonPatch.escapeSegment(name)}`, value }
+            ];
+        }
+    },
+    delay: {
+        label: 'Fixed delay',
+        parse: values => ({ delay: String(values.delay ?? '').trim() === '' ? null : parseBulkInteger(values.delay, 'Delay', 0) }),
+        build: (mapping, { delay }) => {
+            if (delay === null) {
+                return mapping.response && Object.prototype.hasOwnProperty.call(mapping.response, 'fixedDelayMilliseconds')
+                    ? [{ op: 'remove', path: '/response/fixedDelayMilliseconds' }]
+                    : [];
+            }
+            return [...ensureBulkObjectPath(mapping, '/response'), { op: 'add', path: '/response/fixedDelayMilliseconds', value: delay }];
+        }
+    },
+    metadata: {
+        label: 'Metadata',
+        parse: (values) => {
+            const entries = String(values.metadata || '').split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+                const separator = line.indexOf('=');
+                const key = (separator === -1 ? line : line.slice(0, separator)).trim();
+                if (!key) throw new Error(`Invalid metadata line "${line}"`);
+                const raw = separator === -1 ? '' : line.slice(separator + 1).trim();
+                return { key, remove: raw === '', value: parseBulkMetadataValue(raw) };
+            });
+            if (entries.length === 0) throw new Error('Enter at least one key=value line');
+            return { entries };
+        },
+        build: (mapping, { entries }) => {
+            const metadata = mapping.metadata || {};
+            const ops = entries.some(entry => !entry.remove) ? ensureBulkObjectPath(mapping, '/metadata') : [];
+            entries.forEach(({ key, remove, value }) => {
+                const path = `/metadata/${window.JsonPatch.escapeSegment(key)}`;
+                if (!remove) {
+                    ops.push({ op: 'add', path, value });
+                } else if (Object.prototype.hasOwnProperty.call(metadata, key)) {
+                    ops.push({ op: 'remove', path });
+                }
+            });
+            return ops;
+        }
+    },
+    patch: {
+        label: 'JSON Patch',
+        parse: (values) => {
+            let operations;
+            try {
+                operations = JSON.parse(values.patch || '');
+            } catch (error) {
+                throw new Error(`JSON Patch is not valid JSON: ${error.message}`);
+            }
+            if (!Array.isArray(operations) || operations.length === 0) {
+                throw new Error('JSON Patch must be a non-empty array of operations');
+            }
+            return { operations };
+        },
+        build: (mapping, { operations }) => operations
+    }
+};
+
+window.MappingBulkEdit = {
+    selected: new Set(),
+    action: 'priority',
+    _preview: null,
+    _busy: false,
+
+    isSelected(id) {
+        return this.selected.has(String(id));
+    },
+
+    toggle(id, force) {
+        const key = String(id || '');
+        if (!key) return;
+        const select = typeof force === 'boolean' ? force : !this.selected.has(key);
+        if (select) {
+            this.selected.add(key);
+        } else {
+            this.selected.delete(key);
+        }
+        this._syncCard(key);
+        this.renderBar();
+    },
+
+    /**
+     * Select every mapping card on the current page, or unselect them when all already are.
+     */
+    togglePage() {
+        const ids = Array.from(document.querySelectorAll(`#${SELECTORS.LISTS.MAPPINGS} .mapping-card`))
+            .map(card => card.dataset.id)
+            .filter(Boolean);
+        const allSelected = ids.length > 0 && ids.every(id => this.selected.has(id));
+        ids.forEach(id => this.toggle(id, !allSelected));
+    },
+
+    clear() {
+        const ids = Array.from(this.selected);
+        this.selected.clear();
+        ids.forEach(id => this._syncCard(id));
+        this.renderBar();
+    },
+
+    // Cards are only re-rendered when their data changes, so selection is patched in place
+    _syncCard(id) {
+        const card = window.UIComponents?.getCardElement('mapping', id);
+        if (!card) return;
+        const selected = this.selected.has(id);
+        card.classList.toggle('is-selected', selected);
+        const button = card.querySelector('[data-action="select-mapping"]');
+        if (button) {
+            button.classList.toggle('is-selected', selected);
+            button.setAttribute('aria-checked', selected ? 'true' : 'false');
+        }
+    },
+
+    renderBar() {
+        const bar = document.getElementById('mapping-bulk-bar');
+        if (!bar) return;
+        const count = this.selected.size;
+        bar.classList.toggle('hidden', count === 0);
+        const counter = document.getElementById('mapping-bulk-count');
+        if (counter) counter.textContent = String(count);
+    },
+
+    /**
+     * Compute the patched version of every selected mapping without touching the store.
+     * @param {string} action - Key of BULK_EDIT_ACTIONS
+     * @param {Object} values - Raw form values
+     * @returns {Array<{id: string, name: string, after: Object|null, changes: Array, error: string|null}>}
+     * @throws {Error} When the form values are invalid
+     */
+    preview(action, values) {
+        const definition = BULK_EDIT_ACTIONS[action];
+        if (!definition) {
+            throw new Error(`Unknown bulk action "${action}"`);
+        }
+        const config = definition.parse(values || {});
+
+        return Array.from(this.selected).map((id) => {
+            const stored = window.MappingsStore.get(id);
+            if (!stored) {
+                return { id, name: id, after: null, changes: [], error: 'Mapping not found' };
+            }
+            const before = window.MappingsOperations._cleanMappingData(stored);
+            const name = before.name || before.metadata?.name || id;
+            try {
+                const after = window.JsonPatch.apply(before, definition.build(before, config));
+                return { id, name, after, changes: window.JsonPatch.diff(before, after), error: null };
+            } catch (error) {
+                return { id, name, after: null, changes: [], error: error.message };
+            }
+        });
+    },
+
+    /**
+     * Save the mappings changed by the last preview.
+     */
+    async commit() {
+        const changed = (this._preview || []).filter(entry => !entry.error && entry.changes.length > 0);
+        if (changed.length === 0 || this._busy) return null;
+
+        this._busy = true;
+        this._renderModalState();
+        try {
+            const result = await window.MappingsOperations.batchUpdate(changed.map(entry => ({ id: entry.id, mapping: entry.after })), { source: 'bulk-edit' });
+            window.hideModal(BULK_EDIT_MODAL_ID);
+            return result;
+        } finally {
+            this._busy = false;
+            this._preview = null;
+            this._renderModalState();
+        }
+    },
+
+    async deleteSelected() {
+        const ids = Array.from(this.selected);
+        if (ids.length === 0) return;
+        if (!confirm(`Delete ${ids.length} selected mapping${ids.length === 1 ? '' : 's'}?`)) return;
+
+        const results = await window.MappingsOperations.batchDelete(ids);
+        results.success.forEach(id => this.selected.delete(id));
+        this.renderBar();
+    },
+
+    openEditor(action = this.action) {
+        if (this.selected.size === 0) return;
+        this.setAction(action);
+        window.showModal(BULK_EDIT_MODAL_ID);
+    },
+
+    setAction(action) {
+        if (!BULK_EDIT_ACTIONS[action]) return;
+        this.action = action;
+        const select = document.getElementById('bulk-edit-action');
+        if (select) select.value = action;
+        document.querySelectorAll('[data-bulk-fields]').forEach((group) => {
+            group.classList.toggle('hidden', group.dataset.bulkFields !== action);
+        });
+        this.invalidatePreview();
+    },
+
+    invalidatePreview() {
+        this._preview = null;
+        const container = document.getElementById('bulk-edit-preview');
+        if (container) container.innerHTML = '';
+        this._renderModalState();
+    },
+
+    _readForm() {
+        const value = id => document.getElementById(id)?.value ?? '';
+        return {
+            priority: value('bulk-edit-priority'),
+            headerMode: value('bulk-edit-header-mode'),
+            headerName: value('bulk-edit-header-name'),
+            headerValue: value('bulk-edit-header-value'),
+            delay: value('bulk-edit-delay'),
+            metadata: value('bulk-edit-metadata'),
+            patch: value('bulk-edit-patch')
+        };
+    },
+
+    runPreview() {
+        const container = document.getElementById('bulk-edit-preview');
+        try {
+            this._preview = this.preview(this.action, this._readForm());
+        } catch (error) {
+            this._preview = null;
+            if (container) container.innerHTML = `<p class="bulk-edit-error">${Utils.escapeHtml(error.message)}</p>`;
+            this._renderModalState();
+            return;
+        }
+        if (container) container.innerHTML = this._renderPreview(this._preview);
+        this._renderModalState();
+    },
+
+    _renderModalState() {
+        const applyButton = document.getElementById('bulk-edit-apply');
+        if (!applyButton) return;
+        const changed = (this._preview || []).filter(entry => !entry.error && entry.changes.length > 0).length;
+        applyButton.disabled = this._busy || changed === 0;
+        applyButton.textContent = changed ? `Apply to ${changed} mapping${changed === 1 ? '' : 's'}` : 'Apply';
+        const subtitle = document.getElementById('bulk-edit-subtitle');
+        if (subtitle) subtitle.textContent = `${this.selected.size} selected mapping${this.selected.size === 1 ? '' : 's'}`;
+    },
+
+    _renderPreview(entries) {
+        const escape = Utils.escapeHtml;
+        const format = (value) => {
+            if (value === undefined) return '—';
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return escape(text.length > 120 ? `${text.slice(0, 117)}...` : text);
+        };
+        const changed = entries.filter(entry => !entry.error && entry.changes.length > 0);
+        const failed = entries.filter(entry => entry.error);
+        const unchanged = entries.length - changed.length - failed.length;
+
+        const rows = [...failed, ...changed].map((entry) => {
+            const body = entry.error
+                ? `<p class="bulk-edit-error">${escape(entry.error)}</p>`
+                : `<ul>${entry.changes.slice(0, BULK_PREVIEW_DIFF_LIMIT).map(change => `
+                    <li><code>${escape(change.path)}</code> <span class="compare-diff-type">${escape(change.type)}</span>
+                        <span class="compare-diff-values">${format(change.before)} → ${format(change.after)}</span></li>`).join('')}
+                    ${entry.changes.length > BULK_PREVIEW_DIFF_LIMIT ? `<li>…and ${entry.changes.length - BULK_PREVIEW_DIFF_LIMIT} more</li>` : ''}</ul>`;
+            return `<details class="compare-diff bulk-edit-entry"${entry.error ? ' open' : ''}>
+                <summary>${escape(entry.name)} <small>${entry.error ? 'error' : `${entry.changes.length} change(s)`}</small></summary>${body}</details>`;
+        }).join('');
+
+        return `<p class="bulk-edit-summary">${changed.length} will change · ${unchanged} unchanged · ${failed.length} error(s)</p>${rows}`;
+    },
+
+    init() {
+        document.getElementById('mapping-bulk-bar')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-bulk-action]');
+            if (!button) return;
+            const action = button.dataset.bulkAction;
+            if (action === 'select-page') {
+                this.togglePage();
+            } else if (action === 'clear') {
+                this.clear();
+            } else if (action === 'delete') {
+                this.deleteSelected();
+            } else {
+                this.openEditor(action);
+            }
+        });
+
+        const modal = document.getElementById(BULK_EDIT_MODAL_ID);
+        if (modal) {
+            modal.addEventListener('input', (event) => {
+                if (event.target.id !== 'bulk-edit-action') this.invalidatePreview();
+            });
+            document.getElementById('bulk-edit-action')?.addEventListener('change', event => this.setAction(event.target.value));
+            document.getElementById('bulk-edit-preview-btn')?.addEventListener('click', () => this.runPreview());
+            document.getElementById('bulk-edit-apply')?.addEventListener('click', () => {
+                this.commit().catch(error => Logger.error('UI', 'Bulk edit failed:', error));
+            });
+        }
+
+        this.renderBar();
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingBulkEdit.init());
@@ -95,6 +95,8 @@ window.connectToWireMock = async () => {
         await checkHealthAndStartUptime();
 
         Logger.info('API', 'Online mode - proceeding with data loading');
+        // Offer this server again on the onboarding screen
+        window.ServerDiscovery?.remember(host, port);
 
         // Update UI
         const setupDiv = document.getElementById(SELECTORS.CONNECTION.SETUP);
@@ -115,12 +117,30 @@ window.connectToWireMock = async () => {
         // Start health monitoring
         startHealthCheck();
 
+        // Replay changes queued while offline (also covers the health check reconnect path)
+        if (window.OfflineQueue) {
+            try {
+                await window.OfflineQueue.replay();
+            } catch (replayError) {
+                Logger.error('OFFLINE', 'Offline queue replay failed:', replayError);
+            }
+        }
+
         // === NEW OPTIMIZED ARCHITECTURE ===
         Logger.info('API', 'Using new optimized sync engine');
 
         // Load data using new SyncEngine (cache first, then full sync)
         window.SyncEngine.stop();
-        await window.SyncEngine.coldStart();
+        const coldStart = window.SyncEngine.coldStart();
+
+        // Version and optional endpoints are detected alongside the sync instead of delaying it
+        if (window.WireMockCapabilities) {
+            window.WireMockCapabilities.detect().catch((capabilityError) => {
+                Logger.warn('API', 'Capability detection failed, assuming full feature set:', capabilityError);
+            });
+        }
+
+        await coldStart;
 
         // Start background sync timers
         window.SyncEngine.start();
@@ -178,6 +198,9 @@ window.startHealthCheck = () => {
         const baseDelay = 2000;
         const maxDelay = 60000;
         delay = Math.min(baseDelay * Math.pow(2, healthCheckFailureCount), maxDelay);
+        // While the circuit is open the next health check doubles as its half-open probe
+        const circuitWait = window.ApiCircuitBreaker?.retryInMs() || 0;
+        if (circuitWait > delay) delay = circuitWait;
     }
 
     Logger.info('HEALTH', `Scheduling next check in ${delay}ms (${window.isOnline ? 'online' : `offline, attempt ${healthCheckFailureCount + 1}`})`);
@@ -234,7 +257,9 @@ window.startHealthCheck = () => {
                 healthCheckFailureCount++;
 
                 const healthIndicator = document.getElementById(SELECTORS.HEALTH.INDICATOR);
-                if (healthIndicator) {
+                if (window.ApiCircuitBreaker?.state === 'open') {
+                    window.applyHealthUI(false, null, { circuitOpen: true, retryInMs: window.ApiCircuitBreaker.retryInMs() });
+                } else if (healthIndicator) {
                     healthIndicator.innerHTML = `<span>Response Time: </span><span class="unhealthy">Offline</span>`;
                 }
 
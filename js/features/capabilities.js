@@ -0,0 +1,171 @@
+'use strict';
+
+// --- WIREMOCK VERSION & CAPABILITIES ---
+// Detected once per connection, in the background while mappings load. Optional endpoints
+// are probed so that features the connected server does not implement are hidden or
+// degraded instead of failing with 404; until detection finishes everything counts as
+// supported. Elements marked with data-requires-capability="KEY" are hidden when KEY is
+// unsupported.
+
+// Probes are small read-only requests; a 404 means "not implemented", 405 means the route exists.
+const CAPABILITY_PROBES = {
+    REQUESTS_UNMATCHED: { endpoint: () => `${ENDPOINTS.REQUESTS_UNMATCHED}?limit=1` },
+    RECORDINGS: { endpoint: () => ENDPOINTS.RECORDINGS_STATUS },
+    SCENARIOS: { endpoint: () => ENDPOINTS.SCENARIOS },
+    FIND_BY_METADATA: {
+        endpoint: () => ENDPOINTS.MAPPINGS_FIND_BY_METADATA,
+        options: {
+            method: 'POST',
+            body: JSON.stringify({ matchesJsonPath: '$.__imockCapabilityProbe' })
+        }
+    }
+};
+// Probes that take longer are abandoned and leave their capability unknown
+const CAPABILITY_PROBE_TIMEOUT_MS = 5000;
+
+const classifyProbeError = (error) => {
+    if (error?.status === 404) return false;
+    if (error?.status === 405) return true;
+    // Auth failures, timeouts and 5xx say nothing about the endpoint itself
+    return null;
+};
+
+/**
+ * Compare two dotted version strings ("3.13.1" vs "3.9").
+ * @returns {number} negative, zero or positive like Array#sort comparators
+ */
+const compareWireMockVersions = (left, right) => {
+    const toParts = (value) => String(value || '').split(/[.-]/).map(part => parseInt(part, 10) || 0);
+    const a = toParts(left);
+    const b = toParts(right);
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+};
+
+window.WireMockCapabilities = {
+    state: {
+        version: null,
+        endpoints: {},
+        detectedAt: null,
+        baseUrl: null
+    },
+
+    /**
+     * Whether the connected server supports a capability. Unknown capabilities are
+     * treated as supported so that a failed probe never disables a working feature.
+     * @param {string} key - Capability key (e.g. 'MAPPINGS_UNMATCHED')
+     */
+    supports(key) {
+        return this.state.endpoints[key] !== false;
+    },
+
+    getVersion() {
+        return this.state.version;
+    },
+
+    isAtLeast(minVersion) {
+        return Boolean(this.state.version) && compareWireMockVersions(this.state.version, minVersion) >= 0;
+    },
+
+    reset() {
+        this.state = { version: null, endpoints: {}, detectedAt: null, baseUrl: null };
+        this.render();
+    },
+
+    async _detectVersion(signal) {
+        try {
+            const response = await apiFetch('/version', { quiet: true, signal });
+            if (response && typeof response === 'object' && response.version) {
+                return { version: String(response.version), supported: true };
+            }
+            return { version: null, supported: true };
+        } catch (error) {
+            if (error?.status !== 404) {
+                return { version: null, supported: classifyProbeError(error) };
+            }
+        }
+
+        // Servers without /version still report it in the health payload
+        try {
+            const health = await apiFetch(ENDPOINTS.HEALTH, { quiet: true, signal });
+            return { version: health?.version ? String(health.version) : null, supported: false };
+        } catch {
+            return { version: null, supported: false };
+        }
+    },
+
+    async _probe(key, signal) {
+        const probe = CAPABILITY_PROBES[key];
+        try {
+            await apiFetch(probe.endpoint(), { ...(probe.options || {}), quiet: true, signal });
+            return true;
+        } catch (error) {
+            return classifyProbeError(error);
+        }
+    },
+
+    /**
+     * Query the server version and probe optional endpoints for the current connection.
+     * Every probe is cut off after CAPABILITY_PROBE_TIMEOUT_MS, retries included.
+     * @returns {Promise<Object>} Detected state
+     */
+    async detect() {
+        const baseUrl = window.wiremockBaseUrl;
+        const keys = Object.keys(CAPABILITY_PROBES);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CAPABILITY_PROBE_TIMEOUT_MS);
+
+        let versionInfo, results;
+        try {
+            [versionInfo, ...results] = await Promise.all([
+                this._detectVersion(controller.signal),
+                ...keys.map(key => this._probe(key, controller.signal))
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // The connection may have been switched while probes were in flight
+        if (baseUrl !== window.wiremockBaseUrl) {
+            return this.state;
+        }
+
+        const endpoints = { VERSION: versionInfo.supported };
+        keys.forEach((key, index) => {
+            endpoints[key] = results[index];
+        });
+
+        this.state = { version: versionInfo.version, endpoints, detectedAt: Date.now(), baseUrl };
+
+        const unsupported = Object.keys(endpoints).filter(key => endpoints[key] === false);
+        Logger.info('API', `WireMock ${versionInfo.version || '(unknown version)'} detected`, {
+            unsupported: unsupported.length ? unsupported : 'none'
+        });
+
+        this.render();
+
+        if (typeof window.dispatchEvent === 'function' && typeof window.CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('wiremock:capabilities-detected', { detail: this.state }));
+        }
+        return this.state;
+    },
+
+    render() {
+        const versionEl = document.getElementById(SELECTORS.CONNECTION.VERSION);
+        if (versionEl) {
+            const version = this.state.version;
+            versionEl.textContent = version ? `v${version}` : '';
+            versionEl.title = version ? `WireMock ${version}` : '';
+            versionEl.classList.toggle('hidden', !version);
+        }
+
+        document.querySelectorAll('[data-requires-capability]').forEach((element) => {
+            element.classList.toggle('hidden', !this.supports(element.dataset.requiresCapability));
+        });
+    }
+};
+
+window.compareWireMockVersions = compareWireMockVersions;
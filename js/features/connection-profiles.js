@@ -0,0 +1,310 @@
+'use strict';
+
+// --- CONNECTION PROFILES ---
+// Saved WireMock targets (dev, QA, staging...). Storage helpers live in core.js so that
+// readWiremockSettings() can overlay the active profile; this module owns the header
+// switcher, the settings card and the switch flow.
+
+const PROFILE_SWITCHER_ID = 'connection-profile-switcher';
+const PROFILE_LIST_ID = 'connection-profiles-list';
+
+const generateProfileId = () => {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+const splitSchemeFromHost = (rawHost, fallbackScheme) => {
+    const host = String(rawHost || '').trim();
+    const match = host.match(/^(https?):\/\/(.+)$/i);
+    if (match) {
+        return { scheme: match[1].toLowerCase(), host: match[2].replace(/\/+$/, '') };
+    }
+    return { scheme: fallbackScheme === 'https' ? 'https' : 'http', host };
+};
+
+window.ConnectionProfiles = {
+    list() {
+        return window.readConnectionProfiles().profiles;
+    },
+
+    get(profileId) {
+        return this.list().find(profile => profile.id === profileId) || null;
+    },
+
+    getActive() {
+        return window.getActiveConnectionProfile();
+    },
+
+    /**
+     * Insert or update a profile. Connection fields are normalized so that the
+     * scheme is stored separately from the host.
+     * @param {Object} profile - Profile fields (id optional for new profiles)
+     * @returns {Object} Saved profile
+     */
+    save(profile) {
+        const name = String(profile?.name || '').trim();
+        if (!name) {
+            throw new Error('Profile name is required');
+        }
+
+        const state = window.readConnectionProfiles();
+        const existingIndex = profile.id ? state.profiles.findIndex(item => item.id === profile.id) : -1;
+        const { scheme, host } = splitSchemeFromHost(profile.host, profile.scheme);
+
+        const saved = {
+            ...(existingIndex >= 0 ? state.profiles[existingIndex] : {}),
+            ...profile,
+            id: existingIndex >= 0 ? profile.id : (profile.id || generateProfileId()),
+            name,
+            host: host || 'localhost',
+            scheme,
+            port: String(profile.port || '').trim(),
+            customHeaders: profile.customHeaders && typeof profile.customHeaders === 'object' ? { ...profile.customHeaders } : {},
+            customHeadersRaw: typeof profile.customHeadersRaw === 'string' ? profile.customHeadersRaw : '',
+            requestTimeout: profile.requestTimeout ? String(profile.requestTimeout) : window.DEFAULT_SETTINGS?.requestTimeout,
+            cacheEnabled: profile.cacheEnabled !== false,
+            updatedAt: Date.now()
+        };
+
+        if (existingIndex >= 0) {
+            state.profiles[existingIndex] = saved;
+        } else {
+            state.profiles.push(saved);
+        }
+
+        window.writeConnectionProfiles(state);
+        Logger.info('UI', `Connection profile saved: ${saved.name}`);
+        this.render();
+        return saved;
+    },
+
+    /**
+     * Copy connection fields of the active profile from a settings object. Used when
+     * the settings page is saved while a profile is active.
+     * @param {Object} settings - Settings collected from the form
+     */
+    updateActive(settings) {
+        const active = this.getActive();
+        if (!active || !settings) {
+            return null;
+        }
+
+        const updates = {};
+        (window.CONNECTION_PROFILE_FIELDS || []).forEach((field) => {
+            if (settings[field] !== undefined) {
+                updates[field] = settings[field];
+            }
+        });
+        return this.save({ ...active, ...updates, scheme: splitSchemeFromHost(settings.host, active.scheme).scheme });
+    },
+
+    remove(profileId) {
+        const state = window.readConnectionProfiles();
+        const profiles = state.profiles.filter(profile => profile.id !== profileId);
+        if (profiles.length === state.profiles.length) {
+            return false;
+        }
+
+        window.writeConnectionProfiles({
+            activeId: state.activeId === profileId ? null : state.activeId,
+            profiles
+        });
+        this.render();
+        return true;
+    },
+
+    /**
+     * Switch to another profile (or back to the plain settings when profileId is empty).
+     * Stops background sync, drops mappings that belong to the previous server and reconnects.
+     * @param {string|null} profileId - Profile identifier
+     */
+    async switchTo(profileId) {
+        const targetId = profileId || null;
+        const profile = targetId ? this.get(targetId) : null;
+        if (targetId && !profile) {
+            Logger.warn('UI', `Unknown connection profile: ${targetId}`);
+            return false;
+        }
+
+        const state = window.readConnectionProfiles();
+        if (state.activeId === targetId && window.isOnline) {
+            return true;
+        }
+
+        Logger.info('API', `Switching connection to ${profile ? `profile "${profile.name}"` : 'default settings'}`);
+
+        if (window.SyncEngine && typeof window.SyncEngine.stop === 'function') {
+            window.SyncEngine.stop();
+        }
+        Utils.safeCall(window.stopHealthCheck);
+        // Failures recorded against the previous server must not block the new one
+        Utils.safeCall(() => window.ApiCircuitBreaker?.reset());
+        Utils.safeCall(() => window.WireMockCapabilities?.reset());
+
+        if (window.MappingsStore && typeof window.MappingsStore.clear === 'function') {
+            window.MappingsStore.clear();
+        }
+        window.allRequests = [];
+        window.isOnline = false;
+
+        window.writeConnectionProfiles({ ...state, activeId: targetId });
+
+        const settings = window.readWiremockSettings();
+        window.customHeaders = { ...(settings.customHeaders || {}) };
+        window.wiremockBaseUrl = window.normalizeWiremockBaseUrl(settings.host, settings.port);
+
+        const hostInput = document.getElementById('wiremock-host');
+        const portInput = document.getElementById('wiremock-port');
+        if (hostInput) hostInput.value = settings.host || '';
+        if (portInput) portInput.value = settings.port || '';
+
+        Utils.safeCall(window.loadSettings);
+        Utils.safeCall(window.updateMappingsCounter);
+        this.render();
+
+        if (typeof window.connectToWireMock === 'function') {
+            await window.connectToWireMock();
+        }
+        return true;
+    },
+
+    /**
+     * Save the connection currently entered on the settings page as a new profile.
+     */
+    saveCurrentAsProfile() {
+        const nameInput = document.getElementById('profile-name');
+        const schemeSelect = document.getElementById('profile-scheme');
+        const name = nameInput?.value.trim();
+
+        if (!name) {
+            NotificationManager.error('Enter a profile name first.');
+            nameInput?.focus();
+            return null;
+        }
+
+        let headers = { headers: {}, raw: '' };
+        try {
+            if (typeof window.parseCustomHeadersInput === 'function') {
+                headers = window.parseCustomHeadersInput(document.getElementById('custom-headers')?.value ?? '');
+            }
+        } catch (error) {
+            NotificationManager.error(error.message);
+            return null;
+        }
+
+        const existing = this.list().find(profile => profile.name.toLowerCase() === name.toLowerCase());
+        const saved = this.save({
+            id: existing?.id,
+            name,
+            host: document.getElementById('default-host')?.value,
+            port: document.getElementById('default-port')?.value,
+            scheme: schemeSelect?.value,
+            requestTimeout: document.getElementById('request-timeout')?.value,
+            cacheEnabled: document.getElementById('cache-enabled')?.checked !== false,
+            customHeaders: headers.headers,
+            customHeadersRaw: headers.raw,
+            ...Utils.safeCall(window.readAuthSettingsForm)
+        });
+
+        if (nameInput) nameInput.value = '';
+        NotificationManager.success(`Profile "${saved.name}" ${existing ? 'updated' : 'saved'}`);
+        return saved;
+    },
+
+    render() {
+        this.renderSwitcher();
+        this.renderList();
+
+        if (typeof window.dispatchEvent === 'function' && typeof window.CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('connection-profiles:changed', {
+                detail: { profiles: this.list() }
+            }));
+        }
+    },
+
+    renderSwitcher() {
+        const select = document.getElementById(PROFILE_SWITCHER_ID);
+        if (!select) return;
+
+        const { activeId, profiles } = window.readConnectionProfiles();
+        const escape = Utils.escapeHtml;
+        select.innerHTML = ['<option value="">Default connection</option>']
+            .concat(profiles.map(profile => `<option value="${escape(profile.id)}">${escape(profile.name)}</option>`))
+            .join('');
+        select.value = activeId || '';
+        select.classList.toggle('hidden', profiles.length === 0);
+    },
+
+    renderList() {
+        const container = document.getElementById(PROFILE_LIST_ID);
+        if (!container) return;
+
+        const { activeId, profiles } = window.readConnectionProfiles();
+        if (profiles.length === 0) {
+            container.innerHTML = '<p class="form-help">No saved profiles yet.</p>';
+            return;
+        }
+
+        const escape = Utils.escapeHtml;
+        container.innerHTML = profiles.map((profile) => {
+            const target = `${profile.scheme || 'http'}://${profile.host}${profile.port ? `:${profile.port}` : ''}`;
+            const isActive = profile.id === activeId;
+            return `
+                <div class="connection-profile-row${isActive ? ' is-active' : ''}" data-profile-id="${escape(profile.id)}">
+                    <div class="connection-profile-info">
+                        <strong>${escape(profile.name)}</strong>
+                        <small>${escape(target)}</small>
+                    </div>
+                    <div class="connection-profile-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-profile-action="switch" ${isActive ? 'disabled' : ''}>${isActive ? 'Active' : 'Switch'}</button>
+                        <button type="button" class="btn btn-danger btn-sm" data-profile-action="delete" title="Delete profile">${Icons.render('trash', { className: 'icon-inline' })}</button>
+                    </div>
+                </div>`;
+        }).join('');
+    },
+
+    init() {
+        const select = document.getElementById(PROFILE_SWITCHER_ID);
+        if (select) {
+            select.addEventListener('change', () => {
+                this.switchTo(select.value).catch(error => {
+                    Logger.error('API', 'Failed to switch connection profile:', error);
+                    NotificationManager.error(`Failed to switch profile: ${error.message}`);
+                });
+            });
+        }
+
+        const list = document.getElementById(PROFILE_LIST_ID);
+        if (list) {
+            list.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-profile-action]');
+                const row = button?.closest('[data-profile-id]');
+                if (!button || !row) return;
+
+                const profileId = row.dataset.profileId;
+                if (button.dataset.profileAction === 'switch') {
+                    this.switchTo(profileId).catch(error => {
+                        Logger.error('API', 'Failed to switch connection profile:', error);
+                    });
+                } else if (button.dataset.profileAction === 'delete') {
+                    const profile = this.get(profileId);
+                    if (profile && confirm(`Delete connection profile "${profile.name}"?`)) {
+                        this.remove(profileId);
+                    }
+                }
+            });
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'wiremock-connection-profiles') {
+                this.render();
+            }
+        });
+
+        this.render();
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.ConnectionProfiles.init());
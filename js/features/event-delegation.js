@@ -66,6 +66,27 @@ class EventDelegationManager {
      * @param {MouseEvent} e - Click event
      */
     handleMappingClick(e) {
+        // Selection checkbox for bulk actions
+        const selectBtn = e.target.closest('[data-action="select-mapping"]');
+        if (selectBtn) {
+            e.stopPropagation();
+            const card = selectBtn.closest('.mapping-card');
+            if (card?.dataset.id && window.MappingBulkEdit) {
+                window.MappingBulkEdit.toggle(card.dataset.id);
+            }
+            return;
+        }
+
+        // Tag chip: filter the list by that tag
+        const tagChip = e.target.closest('[data-action="filter-tag"]');
+        if (tagChip) {
+            e.stopPropagation();
+            if (tagChip.dataset.tag && typeof window.applyQuickTagFilter === 'function') {
+                window.applyQuickTagFilter(tagChip.dataset.tag);
+            }
+            return;
+        }
+
         // Edit mapping button (modal)
         const editBtn = e.target.closest('[data-action="edit-mapping"]');
         if (editBtn) {
@@ -99,6 +120,68 @@ class EventDelegationManager {
             return;
         }
 
+        // Revision history button
+        const historyBtn = e.target.closest('[data-action="mapping-history"]');
+        if (historyBtn) {
+            e.stopPropagation();
+            const mappingId = historyBtn.dataset.mappingId;
+            if (mappingId && window.MappingHistory) {
+                window.MappingHistory.open(mappingId);
+            }
+            return;
+        }
+
+        // Enable/disable button
+        const toggleBtn = e.target.closest('[data-action="toggle-mapping"]');
+        if (toggleBtn) {
+            e.stopPropagation();
+            const mappingId = toggleBtn.dataset.mappingId;
+            if (mappingId && window.MappingToggle) {
+                toggleBtn.disabled = true;
+                window.MappingToggle.toggle(mappingId)
+                    .catch(error => Logger.error('UI', 'Toggling mapping failed:', error))
+                    .finally(() => { toggleBtn.disabled = false; });
+            }
+            return;
+        }
+
+        // Copy as…: client call or stub setup snippet
+        const copyAsBtn = e.target.closest('[data-action="copy-mapping-as"]');
+        if (copyAsBtn) {
+            e.stopPropagation();
+            const mappingId = copyAsBtn.dataset.mappingId;
+            if (mappingId && window.MappingSnippets) {
+                window.MappingSnippets.open(mappingId);
+            }
+            return;
+        }
+
+        // Try it: send a test request to the stub
+        const tryBtn = e.target.closest('[data-action="try-mapping"]');
+        if (tryBtn) {
+            e.stopPropagation();
+            const mappingId = tryBtn.dataset.mappingId;
+            if (mappingId && window.MappingTryIt) {
+                window.MappingTryIt.open(mappingId);
+            }
+            return;
+        }
+
+                // Persistent toggle button
+        const persistBtn = e.target.closest('[data-action="toggle-persistent"]');
+        if (persistBtn) {
+            e.stopPropagation();
+            const mappingId = persistBtn.dataset.mappingId;
+            if (mappingId && window.MappingFileStore) {
+                persistBtn.disabled = true;
+                // Failures are reported by MappingsOperations.update
+                window.MappingFileStore.togglePersistent(mappingId)
+                    .catch(error => Logger.error('UI', 'Toggling persistence failed:', error))
+                    .finally(() => { persistBtn.disabled = false; });
+            }
+            return;
+        }
+
         // Delete mapping button
         const deleteBtn = e.target.closest('[data-action="delete-mapping"]');
         if (deleteBtn) {
@@ -308,13 +391,13 @@ class EventDelegationManager {
         const sections = [];
 
         // Request section with basic HTML to avoid complex UIComponents operations
+        const matchers = Utils.getMappingRequestMatchers(mapping);
         const requestSection = this._createSimplePreviewSection('Request', {
-            'Method': mapping.request?.method || 'GET',
-            'URL': mapping.request?.url || mapping.request?.urlPattern ||
-                   mapping.request?.urlPath || mapping.request?.urlPathPattern,
-            'Headers': mapping.request?.headers,
-            'Body': mapping.request?.bodyPatterns || mapping.request?.body,
-            'Query Parameters': mapping.request?.queryParameters
+            'Method': matchers.method,
+            'URL': matchers.url,
+            'Headers': matchers.headers,
+            'Body': matchers.body,
+            'Query Parameters': matchers.queryParameters
         });
 
         // Response section
@@ -333,6 +416,7 @@ class EventDelegationManager {
             'Priority': mapping.priority,
             'Persistent': mapping.persistent,
             'Scenario': mapping.scenarioName,
+            'Tags': window.MappingTags ? window.MappingTags.getTags(mapping).join(', ') || null : null,
             'Required State': mapping.requiredScenarioState,
             'New State': mapping.newScenarioState,
             'Created': (window.showMetaTimestamps !== false && mapping.metadata?.created) ?
@@ -0,0 +1,98 @@
+'use strict';
+
+// --- WIREMOCK FILE STORE ---
+// Mappings live in WireMock's memory unless they are `persistent`, in which case they are
+// also written to the file store. "Persist all" saves every in-memory mapping to disk
+// (POST /mappings/save); "Reset to file state" drops everything and reloads the mappings
+// from disk (POST /mappings/reset), so in-memory-only mappings are lost.
+
+window.MappingFileStore = {
+    /**
+     * A mapping the file store does not have: a reset would lose it.
+     */
+    isInMemoryOnly(mapping) {
+        return Boolean(mapping) && !mapping._disabled && mapping.persistent !== true;
+    },
+
+    /**
+     * In-memory-only mappings among the server ones (the iMock cache mapping is not counted).
+     */
+    countInMemoryOnly(mappings = Array.from(window.MappingsStore?.items.values() || [])) {
+        const isCache = typeof window.isImockCacheMapping === 'function' ? window.isImockCacheMapping : () => false;
+        return mappings.filter(mapping => this.isInMemoryOnly(mapping) && !isCache(mapping)).length;
+    },
+
+    _ensureOnline() {
+        if (window.OfflineQueue?.isActive()) {
+            NotificationManager.warning('WireMock is offline - the file store is not reachable');
+            return false;
+        }
+        return true;
+    },
+
+    async _reload() {
+        if (typeof window.fetchAndRenderMappings === 'function') {
+            await window.fetchAndRenderMappings(null, { useCache: false });
+        }
+    },
+
+    /**
+     * Save every in-memory mapping to the file store.
+     * @returns {Promise<boolean>} Whether the save went through
+     */
+    async persistAll() {
+        if (!this._ensureOnline()) return false;
+        const count = this.countInMemoryOnly();
+        try {
+            await window.apiFetch(ENDPOINTS.MAPPINGS_SAVE, { method: 'POST' });
+        } catch (error) {
+            NotificationManager.error(`Persist failed: ${error.message}`);
+            return false;
+        }
+        NotificationManager.success(count > 0
+            ? `Persisted ${count} in-memory mapping(s) to the file store`
+            : 'Mappings saved to the file store');
+        await this._reload();
+        return true;
+    },
+
+    /**
+     * Reload the mappings from the file store after confirming what would be lost.
+     * @returns {Promise<boolean>} Whether the reset went through
+     */
+    async resetToFileState() {
+        if (!this._ensureOnline()) return false;
+        const count = this.countInMemoryOnly();
+        const loss = count > 0
+            ? `${count} in-memory-only mapping(s) will be lost.`
+            : 'No in-memory-only mappings will be lost.';
+        if (!confirm(`Reset mappings to the file store state? ${loss}`)) return false;
+
+        try {
+            await window.apiFetch(ENDPOINTS.MAPPINGS_RESET, { method: 'POST' });
+        } catch (error) {
+            NotificationManager.error(`Reset failed: ${error.message}`);
+            return false;
+        }
+        NotificationManager.success('Mappings reset to the file store state');
+        await this._reload();
+        return true;
+    },
+
+    /**
+     * Flip `persistent` on one mapping through the optimistic update path.
+     */
+    togglePersistent(id) {
+        const mapping = window.MappingsStore.get(id);
+        if (!mapping) {
+            return Promise.reject(new Error(`Mapping ${id} not found`));
+        }
+        return window.MappingsOperations.update(id, { persistent: mapping.persistent !== true }, { source: 'persistence' });
+    },
+
+    renderBadge(mapping) {
+        return this.isInMemoryOnly(mapping)
+            ? '<span class="badge badge-warning file-store-badge" title="Only in WireMock memory: lost on reset or restart">In memory</span>'
+            : '';
+    }
+};
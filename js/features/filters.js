@@ -77,6 +77,23 @@ window.applyQuickMethodFilter = (method) => {
     updateActiveFiltersDisplay();
 };
 
+// Quick tag filter - adds tag:<tag> to the query unless it is already there
+window.applyQuickTagFilter = (tag) => {
+    const queryInput = document.getElementById('filter-query');
+    if (!queryInput || !tag) return;
+
+    const currentQuery = queryInput.value.trim();
+    const parsedTags = window.QueryParser?.parseQuery(currentQuery)?.tag;
+    const included = parsedTags && typeof parsedTags === 'object' && !Array.isArray(parsedTags)
+        ? (parsedTags.include || [])
+        : [].concat(parsedTags || []);
+    if (included.some(value => String(value).toLowerCase() === String(tag).toLowerCase())) return;
+
+    queryInput.value = currentQuery ? `${currentQuery} tag:${tag}` : `tag:${tag}`;
+    applyFilters();
+    updateActiveFiltersDisplay();
+};
+
 // Update active filters display as chips
 window.updateActiveFiltersDisplay = () => {
     const queryInput = document.getElementById('filter-query');
@@ -108,13 +125,19 @@ window.updateActiveFiltersDisplay = () => {
 
         let chipText = '';
 
-        if (typeof value === 'object' && value.exclude) {
+        if (typeof value === 'object' && value.include && value.exclude) {
+            // Included and excluded values of the same key (tags)
+            chipText = `${key}:${value.include.join(',')} -${key}:${value.exclude.join(',')}`;
+        } else if (typeof value === 'object' && value.exclude) {
             // Exclusion filter
             const excludeValue = Array.isArray(value.exclude) ? value.exclude.join(',') : value.exclude;
             chipText = `-${key}:${excludeValue}`;
         } else if (typeof value === 'object' && value.from && value.to) {
             // Range filter
             chipText = `${key}:${value.from}-${value.to}`;
+        } else if (typeof value === 'object' && value.operator) {
+            // Comparison filter
+            chipText = `${key}:${value.operator === '=' ? '' : value.operator}${value.value}`;
         } else if (Array.isArray(value)) {
             // Multiple values (OR)
             chipText = `${key}:${value.join(',')}`;
@@ -0,0 +1,211 @@
+'use strict';
+
+// --- MAPPING REVISION HISTORY ---
+// Every successful save through MappingsOperations (and the edit modal) records the server
+// version it replaced, in IndexedDB, per WireMock base URL and mapping id. The History
+// view on a mapping card lists those revisions next to the current version, diffs any two
+// of them, and reverts through MappingsOperations.update so the revert is itself optimistic
+// and recorded.
+
+const MAPPING_HISTORY_STORE = 'revisions';
+const MAPPING_HISTORY_LIMIT = 50;
+const MAPPING_HISTORY_MODAL_ID = 'mapping-history-modal';
+const MAPPING_HISTORY_CURRENT = 'current';
+
+const mappingHistoryKey = (id) => {
+    return `${window.wiremockBaseUrl || ''}|${id}`;
+};
+
+// Drop optimistic bookkeeping so revisions hold what the server had
+const cleanHistoryMapping = (mapping) => {
+    const clean = { ...mapping };
+    Object.keys(clean).filter(key => key.startsWith('_')).forEach(key => delete clean[key]);
+    return clean;
+};
+
+window.MappingHistory = {
+    mappingId: null,
+    revisions: [], // newest first, for the mapping shown in the modal
+    compare: { left: null, right: MAPPING_HISTORY_CURRENT },
+    _db: null,
+
+    _getDb() {
+        if (!this._db) {
+            this._db = window.createIndexedDbStore({
+                name: 'imock-mapping-history',
+                version: 1,
+                stores: {
+                    [MAPPING_HISTORY_STORE]: {
+                        keyPath: 'seq',
+                        autoIncrement: true,
+                        indexes: [{ name: 'mappingKey', keyPath: 'mappingKey' }]
+                    }
+                }
+            });
+        }
+        return this._db;
+    },
+
+    /**
+     * Revisions of one mapping on the current server, newest first.
+     */
+    async list(id) {
+        const records = await this._getDb().getAll(MAPPING_HISTORY_STORE, { index: 'mappingKey', value: mappingHistoryKey(id) });
+        return records.sort((a, b) => b.seq - a.seq);
+    },
+
+    /**
+     * Record the version a save replaced. Never throws: history must not break a save.
+     * @param {Object} previous - The mapping as the server had it before the save
+     * @param {{source?: string}} [options] - What made the save (editor, bulk-edit, revert...)
+     * @returns {Promise<Object|null>} The stored revision, or null when skipped
+     */
+    async record(previous, { source = 'ui' } = {}) {
+        if (!previous?.id) return null;
+        try {
+            const mapping = cleanHistoryMapping(previous);
+            const existing = await this.list(mapping.id);
+            if (existing[0] && window.JsonPatch.diff(existing[0].mapping, mapping).length === 0) {
+                return null;
+            }
+
+            const revision = {
+                mappingKey: mappingHistoryKey(mapping.id),
+                mappingId: mapping.id,
+                baseUrl: window.wiremockBaseUrl || '',
+                savedAt: Date.now(),
+                source,
+                mapping
+            };
+            revision.seq = await this._getDb().put(MAPPING_HISTORY_STORE, revision);
+
+            // Keep the newest revisions per mapping
+            const stale = existing.slice(MAPPING_HISTORY_LIMIT - 1);
+            await Promise.all(stale.map(item => this._getDb().delete(MAPPING_HISTORY_STORE, item.seq)));
+
+            if (this.mappingId === mapping.id) {
+                this.refresh();
+            }
+            return revision;
+        } catch (error) {
+            Logger.warn('STORAGE', `Failed to record history for mapping ${previous.id}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Restore a revision through the normal optimistic update path.
+     */
+    async revert(id, seq) {
+        const revision = (await this.list(id)).find(item => item.seq === seq);
+        if (!revision) {
+            throw new Error('Revision not found');
+        }
+        return window.MappingsOperations.update(id, revision.mapping, { source: 'revert', replace: true });
+    },
+
+    _versionFor(key) {
+        if (key === MAPPING_HISTORY_CURRENT) {
+            return cleanHistoryMapping(window.MappingsStore?.get(this.mappingId) || {});
+        }
+        return this.revisions.find(item => String(item.seq) === String(key))?.mapping || null;
+    },
+
+    /**
+     * Structural diff between two versions of the open mapping ('current' or a revision seq).
+     */
+    diff(leftKey, rightKey) {
+        const left = this._versionFor(leftKey);
+        const right = this._versionFor(rightKey);
+        return left && right ? window.JsonPatch.diff(left, right) : [];
+    },
+
+    async open(id) {
+        this.mappingId = id;
+        this.revisions = [];
+        this.compare = { left: null, right: MAPPING_HISTORY_CURRENT };
+        const mapping = window.MappingsStore?.get(id);
+        const title = document.getElementById('mapping-history-title');
+        if (title) title.textContent = `History: ${mapping?.name || String(id).slice(0, 8)}`;
+        window.showModal(MAPPING_HISTORY_MODAL_ID);
+        await this.refresh();
+    },
+
+    async refresh() {
+        if (!this.mappingId) return;
+        try {
+            this.revisions = await this.list(this.mappingId);
+        } catch (error) {
+            Logger.error('STORAGE', 'Failed to load mapping history:', error);
+            this.revisions = [];
+        }
+        if (!this.compare.left || !this._versionFor(this.compare.left)) {
+            this.compare.left = this.revisions[0] ? String(this.revisions[0].seq) : null;
+        }
+        this.render();
+    },
+
+    render() {
+        const list = document.getElementById('mapping-history-list');
+        const diffContainer = document.getElementById('mapping-history-diff');
+        if (!list || !diffContainer) return;
+
+        const escape = Utils.escapeHtml;
+        const row = (key, label, detail, canRevert) => `
+            <li class="mapping-history-row" data-history-key="${escape(key)}">
+                <label title="Compare from"><input type="radio" name="mapping-history-left" value="${escape(key)}"${this.compare.left === key ? ' checked' : ''}> A</label>
+                <label title="Compare to"><input type="radio" name="mapping-history-right" value="${escape(key)}"${this.compare.right === key ? ' checked' : ''}> B</label>
+                <span class="mapping-history-label">${escape(label)}</span>
+                <small class="mapping-history-detail">${escape(detail)}</small>
+                ${canRevert ? '<button type="button" class="btn btn-secondary btn-sm" data-history-action="revert">Revert</button>' : ''}
+            </li>`;
+
+        const rows = [row(MAPPING_HISTORY_CURRENT, 'Current version', 'On the server now', false)].concat(
+            this.revisions.map(revision => row(
+                String(revision.seq),
+                new Date(revision.savedAt).toLocaleString(),
+                `Replaced by a ${revision.source} save`,
+                true
+            ))
+        );
+        list.innerHTML = rows.join('');
+
+        if (this.revisions.length === 0) {
+            diffContainer.innerHTML = '<p class="mapping-history-empty">No earlier revisions yet. Saves made from now on are recorded here.</p>';
+            return;
+        }
+
+        const changes = this.diff(this.compare.left, this.compare.right);
+        const format = (value) => escape(value === undefined ? '—' : (typeof value === 'string' ? value : JSON.stringify(value)));
+        diffContainer.innerHTML = changes.length === 0
+            ? '<p class="mapping-history-empty">A and B are identical</p>'
+            : `<ul class="compare-diff mapping-history-changes">${changes.map(change => `
+                <li><code>${escape(change.path)}</code> <span class="compare-diff-type">${escape(change.type)}</span>
+                    <span class="compare-diff-values">${format(change.before)} → ${format(change.after)}</span></li>`).join('')}
+            </ul>`;
+    },
+
+    init() {
+        const modal = document.getElementById(MAPPING_HISTORY_MODAL_ID);
+        if (!modal) return;
+
+        modal.addEventListener('change', (event) => {
+            if (event.target.name === 'mapping-history-left') this.compare.left = event.target.value;
+            if (event.target.name === 'mapping-history-right') this.compare.right = event.target.value;
+            this.render();
+        });
+
+        modal.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-history-action="revert"]');
+            const key = button?.closest('[data-history-key]')?.dataset.historyKey;
+            if (!key) return;
+            button.disabled = true;
+            this.revert(this.mappingId, Number(key))
+                .then(() => this.refresh())
+                .catch(error => Logger.error('UI', 'Revert failed:', error))
+                .finally(() => { button.disabled = false; });
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingHistory.init());
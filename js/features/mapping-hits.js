@@ -0,0 +1,142 @@
+'use strict';
+
+// --- MAPPING HIT COUNTS ---
+// Aggregates the request journal loaded by fetchAndRenderRequests per stub mapping id:
+// hit count, last hit and a sparkline over the journal's time span. Cards show them, the
+// list can be sorted by hits and queries filter with `hits:0` or `hits:>10`, which is how
+// dead stubs and hot paths are found.
+
+const MAPPING_HITS_BUCKETS = 12;
+const MAPPING_HITS_SORT_MODES = ['default', 'hits'];
+
+const mappingHitTime = (request) => {
+    const logged = request?.request?.loggedDate ?? request?.loggedDate ?? request?.request?.loggedDateString;
+    if (logged === undefined || logged === null) return null;
+    const time = typeof logged === 'number' ? (logged > 1e12 ? logged : logged * 1000) : Date.parse(logged);
+    return Number.isFinite(time) ? time : null;
+};
+
+window.MappingHits = {
+    sortMode: 'default',
+    _cache: { revision: -1, stats: new Map() },
+
+    /**
+     * Hits per stub mapping id. Buckets split the journal's time span evenly, so sparklines
+     * are comparable between cards.
+     * @param {Array<Object>} requests - Request journal entries
+     * @returns {Map<string, {count: number, lastHit: number|null, buckets: number[]}>}
+     */
+    aggregate(requests) {
+        const hits = [];
+        (requests || []).forEach(request => {
+            const id = request?.stubMapping?.id || request?.stubMapping?.uuid;
+            if (!id || request.wasMatched === false) return;
+            hits.push({ id: String(id), time: mappingHitTime(request) });
+        });
+
+        // A loop rather than Math.min(...times): spreading a large journal overflows the stack
+        let from = Infinity;
+        let to = -Infinity;
+        hits.forEach(({ time }) => {
+            if (time === null) return;
+            if (time < from) from = time;
+            if (time > to) to = time;
+        });
+        const span = to >= from ? to - from : 0;
+
+        const stats = new Map();
+        hits.forEach(({ id, time }) => {
+            if (!stats.has(id)) {
+                stats.set(id, { count: 0, lastHit: null, buckets: new Array(MAPPING_HITS_BUCKETS).fill(0) });
+            }
+            const entry = stats.get(id);
+            entry.count += 1;
+            if (time !== null) {
+                entry.lastHit = Math.max(entry.lastHit ?? time, time);
+                const bucket = span > 0 ? Math.min(MAPPING_HITS_BUCKETS - 1, Math.floor(((time - from) / span) * MAPPING_HITS_BUCKETS)) : MAPPING_HITS_BUCKETS - 1;
+                entry.buckets[bucket] += 1;
+            }
+        });
+        return stats;
+    },
+
+    /**
+     * Whether a journal has been loaded; until then cards show no hit counts.
+     */
+    hasJournal() {
+        return (window.MappingsStore?.stats.requestsRevision || 0) > 0;
+    },
+
+    _getStats() {
+        const store = window.MappingsStore;
+        if (!store) return new Map();
+        if (this._cache.revision !== store.stats.requestsRevision) {
+            // The whole journal: window.allRequests only holds what the requests page filters let through
+            const journal = Array.isArray(window.originalRequests) ? window.originalRequests : store.getAllRequests();
+            this._cache = { revision: store.stats.requestsRevision, stats: this.aggregate(journal) };
+        }
+        return this._cache.stats;
+    },
+
+    get(id) {
+        return this._getStats().get(String(id)) || { count: 0, lastHit: null, buckets: [] };
+    },
+
+    getCount(id) {
+        return this.get(id).count;
+    },
+
+    // Part of the card render signature, so cards refresh when a new journal changes their hits
+    getSignature(id) {
+        if (!this.hasJournal()) return '';
+        const { count, lastHit } = this.get(id);
+        return `${count}:${lastHit ?? ''}`;
+    },
+
+    /**
+     * Most hits first; ties keep the caller's order.
+     */
+    compare(a, b) {
+        return this.getCount(b?.id) - this.getCount(a?.id);
+    },
+
+    setSortMode(mode) {
+        this.sortMode = MAPPING_HITS_SORT_MODES.includes(mode) ? mode : 'default';
+        if (window.FilterManager && typeof window.FilterManager.applyMappingFilters === 'function') {
+            window.FilterManager.applyMappingFilters();
+        }
+    },
+
+    /**
+     * Re-render the mapping cards after a new journal was loaded.
+     */
+    onJournalLoaded() {
+        if (window.FilterManager && typeof window.FilterManager.applyMappingFilters === 'function') {
+            window.FilterManager.applyMappingFilters();
+        }
+    },
+
+    renderSparkline(buckets) {
+        const max = Math.max(0, ...buckets);
+        if (max === 0) return '';
+        const width = 48;
+        const height = 14;
+        const step = width / (buckets.length - 1);
+        const points = buckets
+            .map((value, index) => `${(index * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`)
+            .join(' ');
+        return `<svg class="mapping-hits-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true" focusable="false"><polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
+    },
+
+    renderBadge(mapping) {
+        if (!mapping?.id || mapping._disabled || !this.hasJournal()) return '';
+        const { count, lastHit, buckets } = this.get(mapping.id);
+        const label = `${count} hit${count === 1 ? '' : 's'}`;
+        if (count === 0) {
+            return `<span class="badge badge-secondary mapping-hits mapping-hits--none" title="No hits in the loaded request journal">${label}</span>`;
+        }
+        const last = lastHit ? new Date(lastHit) : null;
+        const title = last ? `${label}, last at ${last.toLocaleString()}` : label;
+        return `<span class="badge badge-info mapping-hits" title="${Utils.escapeHtml(title)}">${label}${last ? ` · ${Utils.escapeHtml(last.toLocaleTimeString())}` : ''} ${this.renderSparkline(buckets)}</span>`;
+    }
+};
@@ -0,0 +1,386 @@
+'use strict';
+
+// --- MAPPING LINT ---
+// Rule-based checks for stub mistakes WireMock accepts silently or rejects with a vague
+// error. The same rules run in the edit modal, in JSON Studio (as Monaco markers with
+// quick fixes) and on the Audit page. A finding's fix is a JSON Patch, so every surface
+// applies it the same way through JsonPatch.apply.
+
+const MAPPING_LINT_TEMPLATE_PATTERN = /\{\{[\s\S]*?\}\}/;
+const MAPPING_LINT_REGEX_KEYS = ['matches', 'doesNotMatch'];
+
+// WireMock compiles Java regexes; translate the Java-only syntax JS rejects so valid
+// patterns are not reported (inline flags, atomic groups, possessive quantifiers)
+const compileLintRegex = (source) => {
+    const translated = String(source)
+        .replace(/\(\?[imsuxU]+\)/g, '')
+        .replace(/\(\?>/g, '(?:')
+        .replace(/([*+?}])\+/g, '$1');
+    try {
+        new RegExp(translated);
+        return null;
+    } catch (error) {
+        return error.message.replace(/^Invalid regular expression: /, '');
+    }
+};
+
+const lintPointer = (...segments) => {
+    return segments.map(segment => `/${window.JsonPatch.escapeSegment(segment)}`).join('');
+};
+
+// Visit every `matches` / `doesNotMatch` matcher in the request, however deeply nested
+const collectLintRegexMatchers = (value, path, found = []) => {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectLintRegexMatchers(item, `${path}/${index}`, found));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = `${path}/${window.JsonPatch.escapeSegment(key)}`;
+            if (MAPPING_LINT_REGEX_KEYS.includes(key) && typeof child === 'string') {
+                found.push({ path: childPath, source: child });
+            } else {
+                collectLintRegexMatchers(child, childPath, found);
+            }
+        });
+    }
+    return found;
+};
+
+const findLintHeaderKey = (headers, name) => {
+    if (!headers || typeof headers !== 'object') return null;
+    return Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase()) || null;
+};
+
+const isJsonLikeBody = (body) => {
+    if (typeof body !== 'string' || !/^\s*[[{]/.test(body)) return false;
+    try {
+        JSON.parse(body);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const normalizeLintName = (name) => {
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+};
+
+// Mappings grouped by normalized name, built once per lint run so the duplicate-name rule
+// stays linear; `suffixes` caches the free "(n)" suffixes handed out per name
+const indexLintNames = (mappings) => {
+    const groups = new Map();
+    const positions = new Map();
+    (Array.isArray(mappings) ? mappings : []).forEach((mapping) => {
+        const name = normalizeLintName(mapping?.name);
+        if (!name) return;
+        if (!groups.has(name)) groups.set(name, []);
+        positions.set(mapping, groups.get(name).length);
+        groups.get(name).push(mapping);
+    });
+    return { groups, positions, suffixes: new Map() };
+};
+
+/**
+ * Each rule returns findings `{message, path, fix}` for one mapping; `path` is a JSON
+ * pointer to highlight and `fix` is `{label, patch}` or null when there is no safe fix.
+ */
+const MAPPING_LINT_RULES = [
+    {
+        id: 'invalid-regex',
+        severity: 'error',
+        check(mapping) {
+            const request = mapping.request || {};
+            const matchers = ['urlPattern', 'urlPathPattern']
+                .filter(key => typeof request[key] === 'string')
+                .map(key => ({ path: lintPointer('request', key), source: request[key] }));
+            collectLintRegexMatchers(request, '/request', matchers);
+
+            return matchers.flatMap(({ path, source }) => {
+                const error = compileLintRegex(source);
+                return error ? [{ message: `Invalid regex "${source}": ${error}`, path, fix: null }] : [];
+            });
+        }
+    },
+    {
+        id: 'body-and-json-body',
+        severity: 'warning',
+        check(mapping) {
+            const response = mapping.response || {};
+            if (response.body === undefined || response.jsonBody === undefined) return [];
+            return [{
+                message: 'Both body and jsonBody are set; WireMock serves body and ignores jsonBody',
+                path: '/response/jsonBody',
+                fix: { label: 'Remove ignored jsonBody', patch: [{ op: 'remove', path: '/response/jsonBody' }] }
+            }];
+        }
+    },
+    {
+        id: 'json-without-content-type',
+        severity: 'warning',
+        check(mapping) {
+            const response = mapping.response || {};
+            const isJson = response.jsonBody !== undefined || isJsonLikeBody(response.body);
+            if (!isJson || findLintHeaderKey(response.headers, 'Content-Type')) return [];
+            const patch = response.headers && typeof response.headers === 'object'
+                ? [{ op: 'add', path: '/response/headers/Content-Type', value: 'application/json' }]
+                : [{ op: 'add', path: '/response/headers', value: { 'Content-Type': 'application/json' } }];
+            return [{
+                message: 'JSON response body without a Content-Type header',
+                path: response.jsonBody !== undefined ? '/response/jsonBody' : '/response/body',
+                fix: { label: 'Add Content-Type: application/json', patch }
+            }];
+        }
+    },
+    {
+        id: 'template-without-transformer',
+        severity: 'warning',
+        check(mapping) {
+            const response = mapping.response || {};
+            const transformers = Array.isArray(response.transformers) ? response.transformers : null;
+            if (transformers?.includes('response-template')) return [];
+
+            const candidates = [
+                ['body', response.body],
+                ['jsonBody', response.jsonBody === undefined ? undefined : JSON.stringify(response.jsonBody)],
+                ['bodyFileName', response.bodyFileName],
+                ['headers', response.headers === undefined ? undefined : JSON.stringify(response.headers)]
+            ];
+            const hit = candidates.find(([, value]) => typeof value === 'string' && MAPPING_LINT_TEMPLATE_PATTERN.test(value));
+            if (!hit) return [];
+
+            const patch = transformers
+                ? [{ op: 'add', path: '/response/transformers/-', value: 'response-template' }]
+                : [{ op: 'add', path: '/response/transformers', value: ['response-template'] }];
+            return [{
+                message: `response.${hit[0]} uses {{...}} but the response-template transformer is not enabled, so it is sent literally`,
+                path: lintPointer('response', hit[0]),
+                fix: { label: 'Enable response-template', patch }
+            }];
+        }
+    },
+    {
+        id: 'scenario-without-state',
+        severity: 'warning',
+        check(mapping) {
+            if (!mapping.scenarioName || mapping.requiredScenarioState !== undefined) return [];
+            return [{
+                message: `scenarioName "${mapping.scenarioName}" is set without requiredScenarioState, so the stub matches in every state`,
+                path: '/scenarioName',
+                fix: { label: 'Require state "Started"', patch: [{ op: 'add', path: '/requiredScenarioState', value: 'Started' }] }
+            }];
+        }
+    },
+    {
+        id: 'duplicate-name',
+        severity: 'warning',
+        check(mapping, context) {
+            const name = normalizeLintName(mapping.name);
+            if (!name || (!context.names && !Array.isArray(context.mappings))) return [];
+            const index = context.names || indexLintNames(context.mappings);
+            const group = index.groups.get(name) || [];
+            const isSelf = other => other === mapping || Boolean(mapping.id && other?.id === mapping.id);
+            let position = index.positions.has(mapping) ? index.positions.get(mapping) : group.findIndex(isSelf);
+            const others = group.length - (position === -1 ? 0 : 1);
+            if (others === 0) return [];
+            // A mapping outside the list (e.g. an edited copy) queues up after the group
+            if (position === -1) position = group.length;
+
+            // Every member gets its own suffix, skipping names already taken, so fixing the
+            // whole group leaves no duplicates behind
+            const base = mapping.name.trim();
+            const free = index.suffixes.get(name) || [];
+            let next = free.length ? free[free.length - 1] + 1 : 2;
+            while (free.length <= position) {
+                if (!index.groups.has(normalizeLintName(`${base} (${next})`))) free.push(next);
+                next++;
+            }
+            index.suffixes.set(name, free);
+            const renamed = `${base} (${free[position]})`;
+            return [{
+                message: `Another mapping is also named "${base}"`,
+                path: '/name',
+                fix: { label: `Rename to "${renamed}"`, patch: [{ op: 'replace', path: '/name', value: renamed }] }
+            }];
+        }
+    }
+];
+
+window.MappingLint = {
+    rules: MAPPING_LINT_RULES,
+
+    /**
+     * Run every rule against one mapping.
+     * @param {Object} mapping
+     * @param {{mappings?: Array<Object>, names?: Object}} [context] - All mappings, for cross-mapping
+     *   rules; `names` is their indexLintNames() result when linting many mappings at once
+     * @returns {Array<{rule: string, severity: 'error'|'warning', message: string, path: string, fix: ?{label: string, patch: Array<Object>}}>}
+     */
+    lint(mapping, context = {}) {
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return [];
+        return MAPPING_LINT_RULES.flatMap(rule => rule.check(mapping, context).map(finding => ({
+            rule: rule.id,
+            severity: rule.severity,
+            ...finding
+        })));
+    },
+
+    /**
+     * Lint an editor document: a single mapping, an array of mappings or a
+     * `{mappings: [...]}` export. Paths and fixes are relative to the document root.
+     */
+    lintDocument(document) {
+        const list = Array.isArray(document) ? document : (Array.isArray(document?.mappings) ? document.mappings : null);
+        if (!list) {
+            return document && typeof document === 'object' && (document.request || document.response) ? this.lint(document) : [];
+        }
+        const prefix = Array.isArray(document) ? '' : '/mappings';
+        const context = { mappings: list, names: indexLintNames(list) };
+        return list.flatMap((mapping, index) => this.lint(mapping, context).map((finding) => {
+            const base = `${prefix}/${index}`;
+            return {
+                ...finding,
+                path: base + finding.path,
+                fix: finding.fix && { ...finding.fix, patch: finding.fix.patch.map(op => ({ ...op, path: base + op.path })) }
+            };
+        }));
+    },
+
+    /**
+     * Apply one finding's fix to a copy of the mapping (or document) it was reported on.
+     */
+    applyFix(target, finding) {
+        if (!finding?.fix) {
+            throw new Error('This finding has no automatic fix');
+        }
+        return window.JsonPatch.apply(target, finding.fix.patch);
+    },
+
+    /**
+     * Lint every mapping, skipping the iMock cache mapping and disabled mappings.
+     * @returns {Array<{mapping: Object, findings: Array<Object>}>} Only mappings with findings
+     */
+    audit(mappings) {
+        const isCache = typeof window.isImockCacheMapping === 'function' ? window.isImockCacheMapping : () => false;
+        const list = (mappings || []).filter(mapping => mapping && !mapping._disabled && !isCache(mapping));
+        const context = { mappings: list, names: indexLintNames(list) };
+        return list
+            .map(mapping => ({ mapping, findings: this.lint(mapping, context) }))
+            .filter(entry => entry.findings.length > 0);
+    },
+
+    /**
+     * Findings as a list; fixable ones get a `data-lint-fix` button carrying the finding index.
+     */
+    renderFindings(findings) {
+        const escape = Utils.escapeHtml;
+        return `<ul class="lint-findings">${findings.map((finding, index) => `
+            <li class="lint-finding lint-finding--${finding.severity}">
+                <span class="badge ${finding.severity === 'error' ? 'badge-danger' : 'badge-warning'}">${escape(finding.severity)}</span>
+                <span class="lint-finding-message">${escape(finding.message)}</span>
+                <code class="lint-finding-path">${escape(finding.path)}</code>
+                ${finding.fix ? `<button type="button" class="btn btn-secondary btn-sm" data-lint-fix="${index}">${escape(finding.fix.label)}</button>` : ''}
+            </li>`).join('')}
+        </ul>`;
+    },
+
+    // --- Audit page ---
+
+    _audit: [],
+    _busy: false,
+
+    renderAudit() {
+        const container = document.getElementById('audit-results');
+        const summary = document.getElementById('audit-summary');
+        if (!container) return;
+
+        this._audit = this.audit(window.MappingsStore?.getAll() || []);
+        const findings = this._audit.flatMap(entry => entry.findings);
+        const errors = findings.filter(finding => finding.severity === 'error').length;
+        const fixable = findings.filter(finding => finding.fix).length;
+        if (summary) {
+            summary.textContent = findings.length === 0
+                ? 'No issues found'
+                : `${findings.length} issues in ${this._audit.length} mappings (${errors} errors, ${fixable} fixable)`;
+        }
+
+        const escape = Utils.escapeHtml;
+        container.innerHTML = this._audit.map(({ mapping, findings: list }) => `
+            <div class="card card-static lint-audit-entry" data-lint-mapping-id="${escape(mapping.id)}">
+                <div class="lint-audit-header">
+                    <strong>${escape(mapping.name || mapping.request?.url || mapping.request?.urlPath || mapping.id)}</strong>
+                    <button type="button" class="btn btn-ghost btn-sm" data-lint-action="edit">Edit</button>
+                </div>
+                ${this.renderFindings(list)}
+            </div>`).join('');
+    },
+
+    /**
+     * Save fixed copies of mappings from the audit list through the batch update path.
+     * @param {Array<{id: string, findings: Array<Object>}>} targets
+     */
+    async _saveFixes(targets) {
+        if (this._busy || targets.length === 0) return;
+        const updates = [];
+        targets.forEach(({ id, findings }) => {
+            let mapping = window.MappingsStore.get(id);
+            if (!mapping) return;
+            findings.forEach((finding) => {
+                try {
+                    mapping = this.applyFix(mapping, finding);
+                } catch (error) {
+                    Logger.warn('LINT', `Skipping fix "${finding.fix?.label}" for ${id}:`, error.message);
+                }
+            });
+            updates.push({ id, mapping });
+        });
+
+        this._busy = true;
+        try {
+            await window.MappingsOperations.batchUpdate(updates, { source: 'lint-fix' });
+        } finally {
+            this._busy = false;
+            this.renderAudit();
+        }
+    },
+
+    fixFinding(id, index) {
+        const entry = this._audit.find(item => String(item.mapping.id) === String(id));
+        const finding = entry?.findings[index];
+        if (!finding?.fix) return Promise.resolve();
+        return this._saveFixes([{ id: entry.mapping.id, findings: [finding] }]);
+    },
+
+    fixAll() {
+        const targets = this._audit
+            .map(({ mapping, findings }) => ({ id: mapping.id, findings: findings.filter(finding => finding.fix) }))
+            .filter(target => target.findings.length > 0);
+        if (targets.length === 0) {
+            NotificationManager.info('No automatic fixes available');
+            return Promise.resolve();
+        }
+        const total = targets.reduce((sum, target) => sum + target.findings.length, 0);
+        if (!confirm(`Apply ${total} fixes to ${targets.length} mappings?`)) return Promise.resolve();
+        return this._saveFixes(targets);
+    },
+
+    init() {
+        document.getElementById('audit-results')?.addEventListener('click', (event) => {
+            const entry = event.target.closest('[data-lint-mapping-id]');
+            if (!entry) return;
+            const id = entry.dataset.lintMappingId;
+            const fixButton = event.target.closest('[data-lint-fix]');
+            if (fixButton) {
+                this.fixFinding(id, Number(fixButton.dataset.lintFix));
+            } else if (event.target.closest('[data-lint-action="edit"]')) {
+                window.openEditModal?.(id);
+            }
+        });
+
+        window.addEventListener('page:shown', (event) => {
+            if (event.detail?.pageId === 'audit') {
+                this.renderAudit();
+            }
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingLint.init());
@@ -0,0 +1,330 @@
+'use strict';
+
+// --- COPY MAPPING AS… ---
+// Code snippets generated from a mapping. Client calls (curl, fetch, Python requests, HTTPie)
+// send the request Try it synthesizes from the matchers; stub setup snippets (WireMock Java
+// DSL, JSON for a mappings/ folder, curl to the admin API) recreate the stub itself. Opened
+// from a mapping card or from the edit modal, where the JSON being edited is used.
+
+const MAPPING_SNIPPETS_MODAL_ID = 'copy-as-modal';
+
+const MAPPING_SNIPPET_FORMATS = [
+    { id: 'curl', label: 'curl', group: 'Client call' },
+    { id: 'fetch', label: 'fetch', group: 'Client call' },
+    { id: 'python', label: 'Python requests', group: 'Client call' },
+    { id: 'httpie', label: 'HTTPie', group: 'Client call' },
+    { id: 'java', label: 'WireMock Java DSL', group: 'Stub setup' },
+    { id: 'json', label: 'JSON (mappings/ folder)', group: 'Stub setup' },
+    { id: 'admin-curl', label: 'curl to /__admin/mappings', group: 'Stub setup' }
+];
+
+const SNIPPET_JAVA_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'TRACE', 'ANY'];
+
+const SNIPPET_JAVA_URL_MATCHERS = {
+    url: 'urlEqualTo',
+    urlPattern: 'urlMatching',
+    urlPath: 'urlPathEqualTo',
+    urlPathPattern: 'urlPathMatching',
+    urlPathTemplate: 'urlPathTemplate'
+};
+
+// Java and JavaScript accept the escapes JSON uses
+const snippetString = value => JSON.stringify(String(value ?? ''));
+
+/**
+ * A WireMock string-value matcher as a Java DSL expression; null when there is no equivalent.
+ */
+const snippetJavaMatcher = (matcher) => {
+    if (!matcher || typeof matcher !== 'object') return null;
+    const list = items => (Array.isArray(items) ? items.map(snippetJavaMatcher) : []);
+
+    if ('equalTo' in matcher) {
+        return `${matcher.caseInsensitive ? 'equalToIgnoreCase' : 'equalTo'}(${snippetString(matcher.equalTo)})`;
+    }
+    if ('contains' in matcher) return `containing(${snippetString(matcher.contains)})`;
+    if ('doesNotContain' in matcher) return `notContaining(${snippetString(matcher.doesNotContain)})`;
+    if ('matches' in matcher) return `matching(${snippetString(matcher.matches)})`;
+    if ('doesNotMatch' in matcher) return `notMatching(${snippetString(matcher.doesNotMatch)})`;
+    if (matcher.absent === true) return 'absent()';
+    if ('equalToJson' in matcher) {
+        const json = typeof matcher.equalToJson === 'string' ? matcher.equalToJson : JSON.stringify(matcher.equalToJson);
+        const flags = matcher.ignoreArrayOrder || matcher.ignoreExtraElements
+            ? `, ${Boolean(matcher.ignoreArrayOrder)}, ${Boolean(matcher.ignoreExtraElements)}`
+            : '';
+        return `equalToJson(${snippetString(json)}${flags})`;
+    }
+    if ('matchesJsonPath' in matcher) {
+        const path = matcher.matchesJsonPath;
+        if (typeof path === 'string') return `matchingJsonPath(${snippetString(path)})`;
+        const inner = snippetJavaMatcher(path);
+        return inner ? `matchingJsonPath(${snippetString(path.expression)}, ${inner})` : null;
+    }
+    if ('equalToXml' in matcher) return `equalToXml(${snippetString(matcher.equalToXml)})`;
+    if ('matchesXPath' in matcher && typeof matcher.matchesXPath === 'string') return `matchingXPath(${snippetString(matcher.matchesXPath)})`;
+    if ('binaryEqualTo' in matcher) return `binaryEqualTo(${snippetString(matcher.binaryEqualTo)})`;
+    if ('before' in matcher) return `before(${snippetString(matcher.before)})`;
+    if ('after' in matcher) return `after(${snippetString(matcher.after)})`;
+    if ('equalToDateTime' in matcher) return `equalToDateTime(${snippetString(matcher.equalToDateTime)})`;
+
+    const combined = [['and', 'and'], ['or', 'or'], ['hasExactly', 'havingExactly'], ['includes', 'including']]
+        .find(([key]) => Array.isArray(matcher[key]));
+    if (combined) {
+        const parts = list(matcher[combined[0]]);
+        return parts.length > 0 && parts.every(Boolean) ? `${combined[1]}(${parts.join(', ')})` : null;
+    }
+    return null;
+};
+
+window.MappingSnippets = {
+    formats: MAPPING_SNIPPET_FORMATS,
+    mapping: null,
+    format: 'curl',
+
+    /**
+     * Snippet for one of the formats in MAPPING_SNIPPET_FORMATS.
+     * @param {Object} mapping - WireMock mapping
+     * @param {string} format - Format id
+     * @returns {string}
+     */
+    generate(mapping, format) {
+        switch (format) {
+            case 'curl': return Utils.buildCurlCommand(this._clientRequest(mapping));
+            case 'fetch': return this.toFetch(mapping);
+            case 'python': return this.toPython(mapping);
+            case 'httpie': return this.toHttpie(mapping);
+            case 'java': return this.toJavaDsl(mapping);
+            case 'json': return JSON.stringify(this.stubDefinition(mapping), null, 2);
+            case 'admin-curl': return Utils.buildCurlCommand({
+                method: 'POST',
+                url: `${window.wiremockBaseUrl || ''}${ENDPOINTS.MAPPINGS}`,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.stubDefinition(mapping))
+            });
+            default: throw new Error(`Unknown snippet format: ${format}`);
+        }
+    },
+
+    // The example request Try it would send
+    _clientRequest(mapping) {
+        const { method, url, headers, body } = window.MappingTryIt.buildRequest(mapping);
+        return { method, url, headers, body };
+    },
+
+    /**
+     * The mapping as WireMock stores it, without the fields this UI keeps on it (`_disabled`...).
+     */
+    stubDefinition(mapping) {
+        return Object.fromEntries(Object.entries(mapping || {}).filter(([key]) => !key.startsWith('_')));
+    },
+
+    toFetch(mapping) {
+        const { method, url, headers, body } = this._clientRequest(mapping);
+        const options = [`    method: ${snippetString(method)}`];
+        if (Object.keys(headers).length > 0) {
+            const lines = Object.entries(headers).map(([name, value]) => `        ${snippetString(name)}: ${snippetString(value)}`);
+            options.push(`    headers: {\n${lines.join(',\n')}\n    }`);
+        }
+        if (body !== null) options.push(`    body: ${snippetString(body)}`);
+        return [
+            `const response = await fetch(${snippetString(url)}, {`,
+            options.join(',\n'),
+            '});',
+            'console.log(response.status, await response.text());'
+        ].join('\n');
+    },
+
+    toPython(mapping) {
+        const { method, url, headers, body } = this._clientRequest(mapping);
+        const args = [`    ${snippetString(method)}`, `    ${snippetString(url)}`];
+        if (Object.keys(headers).length > 0) {
+            const lines = Object.entries(headers).map(([name, value]) => `        ${snippetString(name)}: ${snippetString(value)}`);
+            args.push(`    headers={\n${lines.join(',\n')},\n    }`);
+        }
+        if (body !== null) args.push(`    data=${snippetString(body)}`);
+        return [
+            'import requests',
+            '',
+            'response = requests.request(',
+            `${args.join(',\n')},`,
+            ')',
+            'print(response.status_code, response.text)'
+        ].join('\n');
+    },
+
+    toHttpie(mapping) {
+        const { method, url, headers, body } = this._clientRequest(mapping);
+        const parts = ['http'];
+        if (body !== null) parts.push('--raw', Utils.shellQuote(body));
+        parts.push(method, Utils.shellQuote(url));
+        Object.entries(headers).forEach(([name, value]) => parts.push(Utils.shellQuote(`${name}:${value}`)));
+        return parts.join(' ');
+    },
+
+    /**
+     * `stubFor(...)` call for WireMock's Java DSL. Matchers with no DSL equivalent are left out
+     * with a comment, so the snippet still compiles.
+     */
+    toJavaDsl(mapping) {
+        const request = mapping?.request || {};
+        const response = mapping?.response || {};
+        const matchers = Utils.getMappingRequestMatchers(mapping);
+        const method = String(matchers.method).toUpperCase();
+        const url = matchers.urlKey
+            ? `${SNIPPET_JAVA_URL_MATCHERS[matchers.urlKey]}(${snippetString(matchers.url)})`
+            : 'anyUrl()';
+        const head = SNIPPET_JAVA_METHODS.includes(method)
+            ? `${method.toLowerCase()}(${url})`
+            : `request(${snippetString(method)}, ${url})`;
+
+        const lines = [];
+        const skipped = [];
+        const addMatchers = (dslMethod, entries) => {
+            Object.entries(entries || {}).forEach(([name, matcher]) => {
+                const expression = snippetJavaMatcher(matcher);
+                if (expression) {
+                    lines.push(`.${dslMethod}(${snippetString(name)}, ${expression})`);
+                } else {
+                    skipped.push(`${dslMethod} ${name}`);
+                }
+            });
+        };
+        addMatchers('withPathParam', request.pathParameters);
+        addMatchers('withQueryParam', matchers.queryParameters);
+        addMatchers('withHeader', matchers.headers);
+        addMatchers('withCookie', request.cookies);
+        if (request.basicAuthCredentials) {
+            const { username, password } = request.basicAuthCredentials;
+            lines.push(`.withBasicAuth(${snippetString(username)}, ${snippetString(password)})`);
+        }
+        (request.bodyPatterns || []).forEach((pattern, index) => {
+            const expression = snippetJavaMatcher(pattern);
+            if (expression) {
+                lines.push(`.withRequestBody(${expression})`);
+            } else {
+                skipped.push(`body pattern ${index + 1}`);
+            }
+        });
+
+        if (Number.isFinite(mapping.priority)) lines.push(`.atPriority(${mapping.priority})`);
+        if (mapping.name) lines.push(`.withName(${snippetString(mapping.name)})`);
+        if (mapping.scenarioName) {
+            lines.push(`.inScenario(${snippetString(mapping.scenarioName)})`);
+            if (mapping.requiredScenarioState) lines.push(`.whenScenarioStateIs(${snippetString(mapping.requiredScenarioState)})`);
+            if (mapping.newScenarioState) lines.push(`.willSetStateTo(${snippetString(mapping.newScenarioState)})`);
+        }
+        if (mapping.id) lines.push(`.withId(UUID.fromString(${snippetString(mapping.id)}))`);
+        if (mapping.persistent === true) lines.push('.persistent()');
+
+        const responseLines = [];
+        if (response.status !== undefined) responseLines.push(`.withStatus(${Number(response.status)})`);
+        if (response.statusMessage) responseLines.push(`.withStatusMessage(${snippetString(response.statusMessage)})`);
+        Object.entries(response.headers || {}).forEach(([name, value]) => {
+            const values = (Array.isArray(value) ? value : [value]).map(snippetString);
+            responseLines.push(`.withHeader(${snippetString(name)}, ${values.join(', ')})`);
+        });
+        if (response.jsonBody !== undefined) {
+            responseLines.push(`.withBody(${snippetString(JSON.stringify(response.jsonBody))})`);
+        } else if (response.body !== undefined) {
+            responseLines.push(`.withBody(${snippetString(response.body)})`);
+        } else if (response.base64Body !== undefined) {
+            responseLines.push(`.withBase64Body(${snippetString(response.base64Body)})`);
+        } else if (response.bodyFileName) {
+            responseLines.push(`.withBodyFile(${snippetString(response.bodyFileName)})`);
+        }
+        if (response.fixedDelayMilliseconds) responseLines.push(`.withFixedDelay(${Number(response.fixedDelayMilliseconds)})`);
+        if (response.fault) responseLines.push(`.withFault(Fault.${response.fault})`);
+        if (Array.isArray(response.transformers) && response.transformers.length > 0) {
+            responseLines.push(`.withTransformers(${response.transformers.map(snippetString).join(', ')})`);
+        }
+        const responseDefinition = response.proxyBaseUrl
+            ? `aResponse().proxiedFrom(${snippetString(response.proxyBaseUrl)})`
+            : `aResponse()${responseLines.map(line => `\n                ${line}`).join('')}`;
+
+        const comments = skipped.map(item => `// Not expressible in the Java DSL snippet, see the JSON: ${item}\n`).join('');
+        const chain = lines.map(line => `\n        ${line}`).join('');
+        return `${comments}stubFor(${head}${chain}\n        .willReturn(${responseDefinition}));`;
+    },
+
+    // --- Modal ---
+
+    async open(id) {
+        let mapping = window.MappingsStore?.get(id) || null;
+        try {
+            // Cached mappings may be slim, without headers or bodies
+            const latest = await window.apiFetch(`${ENDPOINTS.MAPPINGS}/${encodeURIComponent(id)}`);
+            mapping = latest?.mapping || latest || mapping;
+        } catch (error) {
+            Logger.warn('UI', 'Copy as: using the cached mapping:', error);
+        }
+        if (!mapping?.id) {
+            NotificationManager.error('Mapping not found');
+            return;
+        }
+        this.show(mapping);
+    },
+
+    // Snippets for the mapping being edited, unsaved changes included
+    openFromEditor() {
+        let mapping = null;
+        try {
+            mapping = JSON.parse(document.getElementById('json-editor')?.value || 'null');
+        } catch {
+            mapping = null;
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            NotificationManager.warning('Fix the JSON before copying it as a snippet');
+            return;
+        }
+        this.show(mapping);
+    },
+
+    show(mapping) {
+        this.mapping = mapping;
+        const title = document.getElementById('copy-as-title');
+        if (title) title.textContent = `Copy as…: ${mapping.name || String(mapping.id || 'new mapping').slice(0, 8)}`;
+        this.render();
+        window.showModal(MAPPING_SNIPPETS_MODAL_ID);
+    },
+
+    render() {
+        const select = document.getElementById('copy-as-format');
+        const output = document.getElementById('copy-as-output');
+        if (select && !select.options.length) {
+            const groups = [...new Set(MAPPING_SNIPPET_FORMATS.map(format => format.group))];
+            select.innerHTML = groups.map(group => `<optgroup label="${Utils.escapeHtml(group)}">${MAPPING_SNIPPET_FORMATS
+                .filter(format => format.group === group)
+                .map(format => `<option value="${format.id}">${Utils.escapeHtml(format.label)}</option>`)
+                .join('')}</optgroup>`).join('');
+        }
+        if (select) select.value = this.format;
+        if (!output || !this.mapping) return;
+        try {
+            output.textContent = this.generate(this.mapping, this.format);
+        } catch (error) {
+            Logger.error('UI', 'Snippet generation failed:', error);
+            output.textContent = `Could not generate the snippet: ${error.message}`;
+        }
+    },
+
+    async copy() {
+        const output = document.getElementById('copy-as-output');
+        if (!output?.textContent) return;
+        const label = MAPPING_SNIPPET_FORMATS.find(format => format.id === this.format)?.label || 'Snippet';
+        if (await Utils.copyToClipboard(output.textContent)) {
+            NotificationManager.success(`${label} snippet copied to clipboard`);
+        } else {
+            NotificationManager.error('Could not copy to clipboard');
+        }
+    },
+
+    init() {
+        document.getElementById('copy-as-format')?.addEventListener('change', (event) => {
+            this.format = event.target.value;
+            this.render();
+        });
+        document.getElementById('copy-as-copy')?.addEventListener('click', () => this.copy());
+        document.getElementById('editor-copy-as')?.addEventListener('click', () => this.openFromEditor());
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingSnippets.init());
@@ -0,0 +1,174 @@
+'use strict';
+
+// --- MAPPING TAGS ---
+// Free-form tags ("checkout", "flaky", "team-payments") kept in metadata.tags, so they live on
+// the WireMock server with the stub. Cards show them as chips (clicking one filters by it),
+// the edit modal has a tag editor with autocomplete from the tags already in use, and
+// queries filter with `tag:checkout -tag:flaky`.
+
+const MAPPING_TAGS_EDITOR_ID = 'json-editor';
+
+window.MappingTags = {
+    _editorTimer: null,
+
+    /**
+     * Canonical form of a tag: trimmed, lower case, and every run of characters a query value
+     * cannot hold (whitespace, commas, colons, @, ...) turned into a dash, so any tag can be
+     * typed back as `tag:<value>`.
+     */
+    normalize(tag) {
+        return String(tag ?? '').trim().toLowerCase().replace(/[^\w\/*.<>=-]+/g, '-').replace(/^-+|-+$/g, '');
+    },
+
+    getTags(mapping) {
+        const raw = mapping?.metadata?.tags;
+        const list = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(',') : []);
+        const tags = [];
+        list.forEach(tag => {
+            if (typeof tag !== 'string') return;
+            const normalized = this.normalize(tag);
+            if (normalized && !tags.includes(normalized)) tags.push(normalized);
+        });
+        return tags;
+    },
+
+    /**
+     * Copy of the mapping with metadata.tags replaced; an empty list removes the key.
+     */
+    withTags(mapping, tags) {
+        const unique = [];
+        (tags || []).forEach(tag => {
+            const normalized = this.normalize(tag);
+            if (normalized && !unique.includes(normalized)) unique.push(normalized);
+        });
+        const metadata = { ...(mapping?.metadata || {}) };
+        if (unique.length > 0) {
+            metadata.tags = unique;
+        } else {
+            delete metadata.tags;
+        }
+        const updated = { ...mapping, metadata };
+        if (Object.keys(metadata).length === 0) delete updated.metadata;
+        return updated;
+    },
+
+    /**
+     * Tags in use, most used first.
+     * @param {Array<Object>} [mappings] - Defaults to the mappings in the store
+     * @returns {Array<{tag: string, count: number}>}
+     */
+    collect(mappings = window.MappingsStore?.getAll() || []) {
+        const counts = new Map();
+        (mappings || []).forEach(mapping => {
+            this.getTags(mapping).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts.entries())
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    },
+
+    /**
+     * Existing tags starting with `prefix`, leaving out the ones in `exclude`.
+     */
+    suggest(prefix = '', exclude = [], mappings) {
+        const start = this.normalize(prefix);
+        return this.collect(mappings)
+            .map(entry => entry.tag)
+            .filter(tag => tag.startsWith(start) && !exclude.includes(tag));
+    },
+
+    renderChips(mapping) {
+        const tags = this.getTags(mapping);
+        if (tags.length === 0) return '';
+        const escape = Utils.escapeHtml;
+        return tags.map(tag => `<button type="button" class="tag-chip" data-action="filter-tag" data-tag="${escape(tag)}" title="Filter by tag ${escape(tag)}">#${escape(tag)}</button>`).join(' ');
+    },
+
+    // --- Tag editor in the edit modal; the JSON in the editor stays the source of truth ---
+
+    _readEditorMapping() {
+        const jsonEditor = document.getElementById(MAPPING_TAGS_EDITOR_ID);
+        if (!jsonEditor) return null;
+        try {
+            const mapping = JSON.parse(jsonEditor.value);
+            return mapping && typeof mapping === 'object' && !Array.isArray(mapping) ? mapping : null;
+        } catch {
+            return null;
+        }
+    },
+
+    _writeEditorTags(tags) {
+        const jsonEditor = document.getElementById(MAPPING_TAGS_EDITOR_ID);
+        const mapping = this._readEditorMapping();
+        if (!jsonEditor || !mapping) {
+            NotificationManager.warning('Fix the JSON before editing tags');
+            return false;
+        }
+        jsonEditor.value = JSON.stringify(this.withTags(mapping, tags), null, 2);
+        // Let the editor mark itself dirty and re-lint
+        jsonEditor.dispatchEvent(new Event('input', { bubbles: true }));
+        this.renderEditor();
+        return true;
+    },
+
+    addEditorTag(tag) {
+        const normalized = this.normalize(tag);
+        const mapping = this._readEditorMapping();
+        if (!normalized) return false;
+        const tags = this.getTags(mapping);
+        if (tags.includes(normalized)) return false;
+        return this._writeEditorTags([...tags, normalized]);
+    },
+
+    removeEditorTag(tag) {
+        const tags = this.getTags(this._readEditorMapping());
+        return this._writeEditorTags(tags.filter(existing => existing !== tag));
+    },
+
+    renderEditor() {
+        const chips = document.getElementById('mapping-tag-editor-chips');
+        const suggestions = document.getElementById('mapping-tag-suggestions');
+        const input = document.getElementById('mapping-tag-input');
+        if (!chips) return;
+
+        const mapping = this._readEditorMapping();
+        const tags = this.getTags(mapping);
+        const escape = Utils.escapeHtml;
+        chips.innerHTML = tags.length > 0
+            ? tags.map(tag => `<span class="tag-chip">#${escape(tag)}<button type="button" class="tag-chip-remove" data-tag-remove="${escape(tag)}" aria-label="Remove tag ${escape(tag)}">×</button></span>`).join('')
+            : '<span class="tag-editor-empty">No tags</span>';
+        if (suggestions) {
+            suggestions.innerHTML = this.suggest('', tags).map(tag => `<option value="${escape(tag)}"></option>`).join('');
+        }
+        if (input) {
+            input.disabled = !mapping;
+        }
+    },
+
+    init() {
+        const input = document.getElementById('mapping-tag-input');
+        input?.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter' && event.key !== ',') return;
+            event.preventDefault();
+            if (this.addEditorTag(input.value)) input.value = '';
+        });
+        // Picking a suggestion from the datalist fires `change` without a key press
+        input?.addEventListener('change', () => {
+            if (input.value && this.addEditorTag(input.value)) input.value = '';
+        });
+
+        document.getElementById('mapping-tag-editor-chips')?.addEventListener('click', (event) => {
+            const remove = event.target.closest('[data-tag-remove]');
+            if (remove) this.removeEditorTag(remove.dataset.tagRemove);
+        });
+
+        // Typing tags straight into the JSON keeps the chips in step
+        document.addEventListener('input', (event) => {
+            if (event.target.id !== MAPPING_TAGS_EDITOR_ID) return;
+            clearTimeout(this._editorTimer);
+            this._editorTimer = setTimeout(() => this.renderEditor(), 300);
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingTags.init());
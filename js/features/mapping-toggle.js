@@ -0,0 +1,172 @@
+'use strict';
+
+// --- MAPPING ENABLE / DISABLE ---
+// WireMock has no "disabled" flag, so disabling a mapping deletes it on the server and keeps
+// its definition locally (IndexedDB, per WireMock base URL). MappingsStore lists it tagged
+// `_disabled`, so the card stays visible and greyed out; enabling creates it again with the
+// same id through MappingsOperations.create.
+
+const MAPPING_TOGGLE_STORE = 'mappings';
+
+const mappingToggleKey = (id) => {
+    return `${window.wiremockBaseUrl || ''}|${id}`;
+};
+
+// Drop optimistic bookkeeping (and the `_disabled` tag) before storing or re-creating
+const cleanToggleMapping = (mapping) => {
+    const clean = { ...mapping };
+    Object.keys(clean).filter(key => key.startsWith('_')).forEach(key => delete clean[key]);
+    return clean;
+};
+
+window.MappingToggle = {
+    baseUrl: null, // server whose disabled mappings are in MappingsStore
+    _db: null,
+
+    _getDb() {
+        if (!this._db) {
+            this._db = window.createIndexedDbStore({
+                name: 'imock-disabled-mappings',
+                version: 1,
+                stores: {
+                    [MAPPING_TOGGLE_STORE]: {
+                        keyPath: 'key',
+                        indexes: [{ name: 'baseUrl', keyPath: 'baseUrl' }]
+                    }
+                }
+            });
+        }
+        return this._db;
+    },
+
+    isDisabled(id) {
+        return Boolean(window.MappingsStore?.disabled.has(id));
+    },
+
+    /**
+     * Load the disabled mappings of the current server into MappingsStore.
+     */
+    async load() {
+        const baseUrl = window.wiremockBaseUrl || '';
+        this.baseUrl = baseUrl;
+        try {
+            const records = await this._getDb().getAll(MAPPING_TOGGLE_STORE, { index: 'baseUrl', value: baseUrl });
+            if (this.baseUrl === baseUrl) {
+                window.MappingsStore.setDisabled(records.map(record => record.mapping));
+            }
+        } catch (error) {
+            Logger.warn('STORAGE', 'Failed to load disabled mappings:', error);
+        }
+    },
+
+    /**
+     * Called before rendering: when the server changed, drop the previous server's disabled
+     * mappings right away and re-render once the current ones are loaded.
+     */
+    syncBaseUrl() {
+        if (this.baseUrl === (window.wiremockBaseUrl || '')) {
+            return null;
+        }
+        window.MappingsStore?.setDisabled([]);
+        return this.load().then(() => {
+            if (window.MappingsStore?.disabled.size) {
+                this._refreshUI();
+            }
+        });
+    },
+
+    /**
+     * Take a mapping off the server and keep it as disabled.
+     * @returns {Promise<Object|null>} The disabled mapping, or null when it cannot be disabled now
+     */
+    async disable(id) {
+        const store = window.MappingsStore;
+        const mapping = store.get(id);
+        if (!mapping) {
+            throw new Error(`Mapping ${id} not found`);
+        }
+        if (store.pending.has(id)) {
+            NotificationManager.warning('Wait for the pending changes to finish before disabling this mapping');
+            return null;
+        }
+        if (window.OfflineQueue?.isActive()) {
+            NotificationManager.warning('WireMock is offline - mappings can only be disabled while connected');
+            return null;
+        }
+
+        // Keep the definition before it leaves the server
+        const clean = cleanToggleMapping(mapping);
+        const key = mappingToggleKey(id);
+        await this._getDb().put(MAPPING_TOGGLE_STORE, {
+            key,
+            baseUrl: window.wiremockBaseUrl || '',
+            mappingId: id,
+            disabledAt: Date.now(),
+            mapping: clean
+        });
+
+        try {
+            await window.apiFetch(`${ENDPOINTS.MAPPINGS}/${id}`, { method: 'DELETE' });
+        } catch (error) {
+            await this._getDb().delete(MAPPING_TOGGLE_STORE, key).catch(() => {});
+            NotificationManager.error(`Failed to disable mapping: ${error.message}`);
+            throw error;
+        }
+
+        store.addDisabled(clean);
+        this._refreshUI();
+        NotificationManager.success(`Mapping "${clean.name || String(id).substring(0, 8)}" disabled`);
+        return store.disabled.get(id);
+    },
+
+    /**
+     * Put a disabled mapping back on the server with its original id.
+     * @returns {Promise<Object|null>} The created mapping, or null when the id is taken again
+     */
+    async enable(id) {
+        const store = window.MappingsStore;
+        const mapping = store.disabled.get(id);
+        if (!mapping) {
+            throw new Error(`Disabled mapping ${id} not found`);
+        }
+        if (store.items.has(id)) {
+            NotificationManager.warning(`A mapping with id ${id} already exists`);
+            return null;
+        }
+
+        const clean = cleanToggleMapping(mapping);
+        store.removeDisabled(id);
+        let created;
+        try {
+            created = await window.MappingsOperations.create(clean);
+        } catch (error) {
+            // Reported by MappingsOperations.create; the mapping stays disabled
+            store.addDisabled(clean);
+            this._refreshUI();
+            throw error;
+        }
+        await this._getDb().delete(MAPPING_TOGGLE_STORE, mappingToggleKey(id));
+        return created;
+    },
+
+    toggle(id) {
+        return this.isDisabled(id) ? this.enable(id) : this.disable(id);
+    },
+
+    /**
+     * Delete a disabled mapping: it is only local, so it goes straight to the recycle bin.
+     */
+    async discard(id) {
+        const mapping = window.MappingsStore.disabled.get(id);
+        if (!mapping) return null;
+        await this._getDb().delete(MAPPING_TOGGLE_STORE, mappingToggleKey(id));
+        window.MappingsStore.removeDisabled(id);
+        window.MappingTrash?.add(mapping);
+        this._refreshUI();
+        return mapping;
+    },
+
+    _refreshUI() {
+        Utils.safeCall(() => window.MappingsOperations._refreshUI());
+    }
+};
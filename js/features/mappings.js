@@ -27,7 +27,7 @@ if (!isOptimisticShadowMap(window.optimisticShadowMappings)) {
 const UIComponents = {
     // Base card component replacing renderMappingCard and renderRequestCard
     createCard: (type, data, actions = []) => {
-        const { id, method, url, status, name, time, extras = {}, expanded = false } = data;
+        const { id, method, url, status, name, time, extras = {}, expanded = false, selectable = false, selected = false, disabled = false } = data;
 
         // Map handler names to data-action attributes
         const handlerToAction = {
@@ -35,12 +35,23 @@ const UIComponents = {
             'openEditModal': 'edit-mapping',
             'deleteMapping': 'delete-mapping',
             'duplicateMapping': 'duplicate-mapping',
+            'showMappingHistory': 'mapping-history',
+            'toggleMapping': 'toggle-mapping',
+            'togglePersistent': 'toggle-persistent',
+            'tryMapping': 'try-mapping',
+            'copyMappingAs': 'copy-mapping-as',
             'viewRequestDetails': 'view-request'
         };
 
         return `
-            <div class="${type}-card${expanded ? ' is-expanded' : ''}" data-id="${Utils.escapeHtml(id)}">
+            <div class="${type}-card${expanded ? ' is-expanded' : ''}${selected ? ' is-selected' : ''}${disabled ? ' is-disabled' : ''}" data-id="${Utils.escapeHtml(id)}">
                 <div class="${type}-header" data-action="toggle-details">
+                    ${selectable ? `
+                    <button type="button" class="scenario-select-btn ${type}-select-btn${selected ? ' is-selected' : ''}"
+                            data-action="select-${type}" role="checkbox" aria-checked="${selected ? 'true' : 'false'}"
+                            aria-label="Select ${Utils.escapeHtml(name || id)}" title="Select">
+                        <span class="scenario-select-box" aria-hidden="true"></span>
+                    </button>` : ''}
                     <div class="${type}-info">
                         <div class="${type}-top-line">
                             <span class="method-badge ${method.toLowerCase()}">
@@ -651,6 +662,8 @@ const filteredMappings = Array.isArray(incoming) ? incoming.filter(m => !isImock
         loadingState.classList.add('hidden');
         
         // Check if filters are active and should be applied BEFORE rendering
+        Utils.safeCall(() => window.MappingToggle?.syncBaseUrl());
+
         const filterQuery = document.getElementById(SELECTORS.MAPPING_FILTERS.QUERY)?.value?.trim() || '';
         let currentMappings = window.MappingsStore ? window.MappingsStore.getAll() : (Array.isArray(mappingsToRender) ? mappingsToRender : []);
         
@@ -659,6 +672,10 @@ const filteredMappings = Array.isArray(incoming) ? incoming.filter(m => !isImock
             Logger.debug('UI', 'Applying filters before render:', filterQuery);
             currentMappings = window.QueryParser.filterMappingsByQuery(currentMappings, filterQuery);
         }
+        if (window.MappingPathTree) {
+            currentMappings = window.MappingPathTree.filter(currentMappings);
+            window.MappingPathTree.scheduleRender();
+        }
         // Always sync window._filteredMappings to ensure allMappings getter returns correct state
         // This prevents stale filtered data from persisting when filters are cleared
         window._filteredMappings = currentMappings;
@@ -684,7 +701,13 @@ const filteredMappings = Array.isArray(incoming) ? incoming.filter(m => !isImock
 
         // Sort mappings (use already filtered mappings if filters were applied above)
         const mappingsToSort = currentMappings;
+        const sortByHits = window.MappingHits?.sortMode === 'hits';
         const sortedMappings = [...mappingsToSort].sort((a, b) => {
+            if (sortByHits) {
+                const hitsDiff = window.MappingHits.compare(a, b);
+                if (hitsDiff !== 0) return hitsDiff;
+            }
+
             const priorityA = a.priority || 1;
             const priorityB = b.priority || 1;
             if (priorityA !== priorityB) return priorityA - priorityB;
@@ -1194,6 +1217,31 @@ window.renderMappingCard = function(mapping) {
         { class: 'primary', handler: 'openEditModal', title: 'Edit', icon: 'pencil' },
         { class: 'danger', handler: 'deleteMapping', title: 'Delete', icon: 'trash' }
     ];
+    if (window.MappingHistory) {
+        actions.splice(2, 0, { class: 'secondary', handler: 'showMappingHistory', title: 'History', icon: 'clock' });
+    }
+    if (window.MappingSnippets) {
+        actions.unshift({ class: 'secondary', handler: 'copyMappingAs', title: 'Copy as…', icon: 'code-brackets' });
+    }
+    if (window.MappingTryIt) {
+        actions.unshift({ class: 'secondary', handler: 'tryMapping', title: 'Try it', icon: 'bolt' });
+    }
+    if (window.MappingToggle) {
+        actions.unshift({ class: 'secondary', handler: 'toggleMapping', title: 'Disable', icon: 'stop' });
+    }
+    if (window.MappingFileStore) {
+        const persistTitle = mapping.persistent === true ? 'Keep in memory only' : 'Persist to file store';
+        actions.unshift({ class: 'secondary', handler: 'togglePersistent', title: persistTitle, icon: 'save' });
+    }
+
+    // Disabled mappings are not on the server: they can only be enabled again or deleted
+    const isDisabled = Boolean(mapping._disabled);
+    const cardActions = isDisabled
+        ? [
+            { class: 'primary', handler: 'toggleMapping', title: 'Enable', icon: 'play' },
+            { class: 'danger', handler: 'deleteMapping', title: 'Delete', icon: 'trash' }
+        ]
+        : actions;
 
     const normalizedId = String(mapping.id || mapping.uuid || '');
     const isExpanded = window.mappingPreviewState instanceof Set && window.mappingPreviewState.has(normalizedId);
@@ -1205,6 +1253,9 @@ window.renderMappingCard = function(mapping) {
         status: mapping.response?.status || 200,
         name: mapping.name || mapping.metadata?.name || `Mapping ${mapping.id.substring(0, 8)}`,
         expanded: isExpanded,
+        selectable: Boolean(window.MappingBulkEdit) && !isDisabled,
+        selected: Boolean(window.MappingBulkEdit?.isSelected(mapping.id)),
+        disabled: isDisabled,
         extras: {
             // Lazy loading: Only generate preview HTML if card is already expanded (from state restoration)
             // Otherwise, event delegation will load it on first expand
@@ -1226,6 +1277,7 @@ window.renderMappingCard = function(mapping) {
                     'Priority': mapping.priority,
                     'Persistent': mapping.persistent,
                     'Scenario': mapping.scenarioName,
+                    'Tags': window.MappingTags ? window.MappingTags.getTags(mapping).join(', ') || null : null,
                     'Required State': mapping.requiredScenarioState,
                     'New State': mapping.newScenarioState,
                     'Created': (window.showMetaTimestamps !== false && mapping.metadata?.created) ? new Date(mapping.metadata.created).toLocaleString() : null,
@@ -1234,17 +1286,22 @@ window.renderMappingCard = function(mapping) {
                 })
             ) : '', // Empty preview for collapsed cards - will be lazy loaded
             badges: [
+                isDisabled ? '<span class="badge badge-warning" title="Taken off the server, kept locally">Disabled</span>' : '',
                 (mapping.id || mapping.uuid) ? `<span class="badge badge-secondary" title="Mapping ID">${Utils.escapeHtml(((mapping.id || mapping.uuid).length > 12 ? (mapping.id || mapping.uuid).slice(0,8) + '…' + (mapping.id || mapping.uuid).slice(-4) : (mapping.id || mapping.uuid)))}</span>` : '',
                 (typeof mapping.priority === 'number') ? `<span class="badge badge-secondary" title="Priority">P${mapping.priority}</span>` : '',
                 (mapping.scenarioName) ? `<span class="badge badge-secondary" title="Scenario">${Utils.escapeHtml(mapping.scenarioName)}</span>` : '',
                 (window.showMetaTimestamps !== false && mapping.metadata?.created) ? `<span class="badge badge-secondary" title="Created">C: ${new Date(mapping.metadata.created).toLocaleString()}</span>` : '',
                 (window.showMetaTimestamps !== false && mapping.metadata?.edited) ? `<span class="badge badge-secondary" title="Edited">E: ${new Date(mapping.metadata.edited).toLocaleString()}</span>` : '',
-                (mapping.metadata?.source) ? `<span class="badge badge-info" title="Last edited from">${mapping.metadata.source.toUpperCase()}</span>` : ''
+                (mapping.metadata?.source) ? `<span class="badge badge-info" title="Last edited from">${mapping.metadata.source.toUpperCase()}</span>` : '',
+                window.MappingFileStore ? window.MappingFileStore.renderBadge(mapping) : '',
+                window.MappingTags ? window.MappingTags.renderChips(mapping) : '',
+                window.MappingHits ? window.MappingHits.renderBadge(mapping) : '',
+                window.MappingOverlapAnalyzer ? window.MappingOverlapAnalyzer.renderBadges(mapping.id) : ''
             ].filter(Boolean).join(' ')
         }
     };
 
-    return UIComponents.createCard('mapping', data, actions);
+    return UIComponents.createCard('mapping', data, cardActions);
 }
 
 // Update the mapping counter
@@ -0,0 +1,418 @@
+'use strict';
+
+// --- OFFLINE MUTATION QUEUE ---
+// While window.isOnline is false, MappingsOperations hands create/update/delete to this
+// queue instead of calling the server. Changes are applied optimistically to MappingsStore,
+// persisted in IndexedDB (one queue per WireMock base URL) and replayed in order when the
+// connection comes back. Replay compares the server copy with the copy the change was
+// based on and parks the entry as a conflict instead of overwriting someone else's edit.
+
+const OFFLINE_QUEUE_STORE = 'operations';
+const OFFLINE_QUEUE_INDICATOR_ID = 'offline-queue-indicator';
+const OFFLINE_QUEUE_PANEL_ID = 'offline-queue-panel';
+const OFFLINE_QUEUE_VOLATILE_FIELDS = ['uuid', 'insertionIndex', '_pending', '_operation', '_deleted', '_queued'];
+
+const offlineMappingFingerprint = (mapping) => {
+    if (!mapping || typeof mapping !== 'object') return 'null';
+    const sortKeys = (value) => {
+        if (Array.isArray(value)) return value.map(sortKeys);
+        if (!value || typeof value !== 'object') return value;
+        return Object.keys(value).sort().reduce((acc, key) => {
+            acc[key] = sortKeys(value[key]);
+            return acc;
+        }, {});
+    };
+    const clean = { ...mapping };
+    OFFLINE_QUEUE_VOLATILE_FIELDS.forEach(field => delete clean[field]);
+    return JSON.stringify(sortKeys(clean));
+};
+
+const generateOfflineMappingId = () => {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    // RFC 4122 v4 layout so WireMock accepts the id on replay
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+        const random = Math.random() * 16 | 0;
+        return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+    });
+};
+
+window.OfflineQueue = {
+    entries: [], // entries for the current base URL, ordered by seq
+    isReplaying: false,
+    _db: null,
+    _loadedFor: null,
+
+    /**
+     * Whether mutations should be queued instead of sent. Only an explicit offline state
+     * counts; before the first connection attempt isOnline is undefined.
+     */
+    isActive() {
+        return window.isOnline === false;
+    },
+
+    _getDb() {
+        if (!this._db) {
+            this._db = window.createIndexedDbStore({
+                name: 'imock-offline-queue',
+                version: 1,
+                stores: {
+                    [OFFLINE_QUEUE_STORE]: {
+                        keyPath: 'seq',
+                        autoIncrement: true,
+                        indexes: [{ name: 'baseUrl', keyPath: 'baseUrl' }]
+                    }
+                }
+            });
+        }
+        return this._db;
+    },
+
+    /**
+     * Load queued entries for the current connection and re-apply them to MappingsStore.
+     */
+    async load({ force = false } = {}) {
+        const baseUrl = window.wiremockBaseUrl || '';
+        if (!force && this._loadedFor === baseUrl) {
+            return this.entries;
+        }
+
+        const records = await this._getDb().getAll(OFFLINE_QUEUE_STORE, { index: 'baseUrl', value: baseUrl });
+        this.entries = records.sort((a, b) => a.seq - b.seq);
+        this._loadedFor = baseUrl;
+        this.entries.forEach(entry => this._applyToStore(entry));
+
+        if (this.entries.length) {
+            Logger.info('OFFLINE', `Restored ${this.entries.length} queued change(s) for ${baseUrl}`);
+        }
+        this.render();
+        return this.entries;
+    },
+
+    _findEntry(mappingId) {
+        return this.entries.find(entry => entry.mappingId === mappingId) || null;
+    },
+
+    _applyToStore(entry) {
+        const store = window.MappingsStore;
+        if (!store) return;
+
+        const source = entry.type === 'delete' ? entry.base : entry.payload;
+        store.addPending({
+            id: entry.mappingId,
+            type: entry.type,
+            payload: entry.payload,
+            optimisticMapping: {
+                ...source,
+                _pending: true,
+                _queued: true,
+                _operation: entry.type,
+                ...(entry.type === 'delete' ? { _deleted: true } : {})
+            }
+        });
+    },
+
+    async _save(entry) {
+        const seq = await this._getDb().put(OFFLINE_QUEUE_STORE, entry);
+        entry.seq = seq;
+        if (!this.entries.includes(entry)) {
+            this.entries.push(entry);
+        }
+        return entry;
+    },
+
+    async _remove(entry) {
+        if (entry.seq !== undefined) {
+            await this._getDb().delete(OFFLINE_QUEUE_STORE, entry.seq);
+        }
+        this.entries = this.entries.filter(item => item !== entry);
+    },
+
+    /**
+     * Queue a mutation. Several offline edits of the same mapping collapse into one entry
+     * so replay sends the final state once and conflict checks use the original server copy.
+     * @param {Object} operation - { type: 'create'|'update'|'delete', id, mapping }
+     * @returns {Promise<Object|null>} The optimistic mapping (null for deletes)
+     */
+    async enqueue({ type, id, mapping }) {
+        await this.load();
+
+        const mappingId = id || mapping?.id || generateOfflineMappingId();
+        const payload = mapping ? window.MappingsOperations._cleanMappingData({ ...mapping, id: mappingId }) : null;
+        const existing = this._findEntry(mappingId);
+        const serverCopy = window.MappingsStore?.items.get(mappingId) || null;
+        const now = Date.now();
+
+        if (existing && type === 'delete' && existing.type === 'create') {
+            // Never reached the server - nothing to replay
+            await this._remove(existing);
+            window.MappingsStore?.discardPending(mappingId, null);
+            this._afterChange();
+            return null;
+        }
+
+        const entry = existing || {
+            baseUrl: window.wiremockBaseUrl || '',
+            mappingId,
+            base: type === 'create' ? null : serverCopy,
+            createdAt: now
+        };
+
+        entry.type = existing?.type === 'create' ? 'create' : type;
+        entry.payload = type === 'delete' ? null : payload;
+        entry.status = 'queued';
+        entry.updatedAt = now;
+        delete entry.conflict;
+        delete entry.error;
+
+        await this._save(entry);
+        this._applyToStore(entry);
+        this._afterChange();
+
+        Logger.info('OFFLINE', `Queued ${entry.type} for mapping ${mappingId} (${this.entries.length} pending)`);
+        return entry.type === 'delete' ? null : { ...payload };
+    },
+
+    _afterChange() {
+        Utils.safeCall(() => window.MappingsOperations._refreshUI());
+        this.render();
+    },
+
+    async _fetchServerCopy(mappingId) {
+        try {
+            return await window.apiFetch(`/mappings/${encodeURIComponent(mappingId)}`);
+        } catch (error) {
+            if (error?.status === 404) return null;
+            throw error;
+        }
+    },
+
+    /**
+     * Send one entry to the server.
+     * @param {Object} entry - Queue entry
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Skip the conflict check (user chose "keep mine")
+     * @returns {Promise<{status: string, mapping?: Object, reason?: string, server?: Object}>}
+     */
+    async _replayEntry(entry, { force = false } = {}) {
+        const ops = window.MappingsOperations;
+        const server = await this._fetchServerCopy(entry.mappingId);
+
+        if (entry.type === 'create') {
+            if (!server) {
+                return { status: 'applied', mapping: await ops._sendCreateRequest(entry.payload) };
+            }
+            if (offlineMappingFingerprint(server) === offlineMappingFingerprint(entry.payload)) {
+                return { status: 'applied', mapping: server }; // replayed before a reload
+            }
+            if (!force) {
+                return { status: 'conflict', reason: 'exists-on-server', server };
+            }
+            return { status: 'applied', mapping: await ops._sendUpdateRequest(entry.mappingId, entry.payload) };
+        }
+
+        if (!server) {
+            if (entry.type === 'delete') {
+                return { status: 'applied', mapping: null };
+            }
+            if (!force) {
+                return { status: 'conflict', reason: 'deleted-on-server', server: null };
+            }
+            return { status: 'applied', mapping: await ops._sendCreateRequest(entry.payload) };
+        }
+
+        if (!force && offlineMappingFingerprint(server) !== offlineMappingFingerprint(entry.base)) {
+            return { status: 'conflict', reason: 'modified-on-server', server };
+        }
+
+        if (entry.type === 'delete') {
+            await ops._sendDeleteRequest(entry.mappingId);
+            return { status: 'applied', mapping: null };
+        }
+        return { status: 'applied', mapping: await ops._sendUpdateRequest(entry.mappingId, entry.payload) };
+    },
+
+    async _completeEntry(entry, mapping) {
+        await this._remove(entry);
+        if (entry.type === 'delete') {
+            window.MappingsStore?.confirmPending(entry.mappingId, null);
+            window.MappingTrash?.add(entry.base);
+            window.MappingsOperations._broadcastUpdate('deleted', entry.base || { id: entry.mappingId });
+        } else {
+            const confirmed = mapping || entry.payload;
+            window.MappingsStore?.confirmPending(entry.mappingId, confirmed);
+            window.MappingsOperations._broadcastUpdate(entry.type === 'create' ? 'created' : 'updated', confirmed);
+        }
+    },
+
+    /**
+     * Replay queued entries in order. Stops at the first network failure so the rest
+     * stays queued for the next reconnect; conflicts and rejected entries are parked.
+     * @returns {Promise<{applied: number, conflicts: number, failed: number, remaining: number}>}
+     */
+    async replay() {
+        const summary = { applied: 0, conflicts: 0, failed: 0, remaining: 0 };
+        if (this.isReplaying) {
+            return summary;
+        }
+
+        // Force a reload: the store may have been cleared by a profile switch since the last load
+        await this.load({ force: true });
+        const queued = this.entries.filter(entry => entry.status === 'queued');
+        if (queued.length === 0) {
+            return summary;
+        }
+
+        this.isReplaying = true;
+        Logger.info('OFFLINE', `Replaying ${queued.length} queued change(s)`);
+
+        try {
+            for (const entry of queued) {
+                let outcome;
+                try {
+                    outcome = await this._replayEntry(entry);
+                } catch (error) {
+                    if (error?.circuitOpen || window.ApiRetryPolicy?.isTransientApiError(error)) {
+                        Logger.warn('OFFLINE', 'Server unreachable during replay, keeping remaining changes queued:', error.message);
+                        break;
+                    }
+                    outcome = { status: 'failed', error: error.message };
+                }
+
+                if (outcome.status === 'applied') {
+                    await this._completeEntry(entry, outcome.mapping);
+                    summary.applied++;
+                } else if (outcome.status === 'conflict') {
+                    entry.status = 'conflict';
+                    entry.conflict = { reason: outcome.reason, server: outcome.server, detectedAt: Date.now() };
+                    await this._save(entry);
+                    summary.conflicts++;
+                    Logger.warn('OFFLINE', `Conflict replaying ${entry.type} of ${entry.mappingId}: ${outcome.reason}`);
+                } else {
+                    entry.status = 'failed';
+                    entry.error = outcome.error;
+                    await this._save(entry);
+                    summary.failed++;
+                    Logger.error('OFFLINE', `Server rejected queued ${entry.type} of ${entry.mappingId}: ${outcome.error}`);
+                }
+            }
+        } finally {
+            this.isReplaying = false;
+            summary.remaining = this.entries.filter(entry => entry.status === 'queued').length;
+            this._afterChange();
+        }
+
+        if (summary.applied) {
+            NotificationManager.success(`Synced ${summary.applied} offline change(s) to WireMock`);
+        }
+        if (summary.conflicts || summary.failed) {
+            NotificationManager.warning(`${summary.conflicts + summary.failed} offline change(s) need attention - see the queue in the header`);
+        }
+        return summary;
+    },
+
+    /**
+     * Resolve a parked entry.
+     * @param {number} seq - Entry sequence number
+     * @param {'local'|'server'} strategy - Keep the local change (overwrite) or adopt the server copy
+     */
+    async resolve(seq, strategy) {
+        const entry = this.entries.find(item => item.seq === seq);
+        if (!entry) return false;
+
+        if (strategy === 'server') {
+            await this._remove(entry);
+            const server = entry.conflict ? entry.conflict.server : await this._fetchServerCopy(entry.mappingId).catch(() => entry.base);
+            window.MappingsStore?.discardPending(entry.mappingId, server || null);
+            Logger.info('OFFLINE', `Discarded queued ${entry.type} of ${entry.mappingId}`);
+            this._afterChange();
+            return true;
+        }
+
+        try {
+            const outcome = await this._replayEntry(entry, { force: true });
+            await this._completeEntry(entry, outcome.mapping);
+            NotificationManager.success('Local change applied');
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            await this._save(entry);
+            NotificationManager.error(`Failed to apply local change: ${error.message}`);
+        }
+        this._afterChange();
+        return true;
+    },
+
+    render() {
+        const indicator = document.getElementById(OFFLINE_QUEUE_INDICATOR_ID);
+        const panel = document.getElementById(OFFLINE_QUEUE_PANEL_ID);
+        if (!indicator) return;
+
+        const attention = this.entries.filter(entry => entry.status !== 'queued').length;
+        const queued = this.entries.length - attention;
+
+        indicator.classList.toggle('hidden', this.entries.length === 0);
+        indicator.classList.toggle('has-conflicts', attention > 0);
+        indicator.textContent = attention > 0
+            ? `${attention} conflict${attention === 1 ? '' : 's'}`
+            : `${queued} queued`;
+        indicator.title = 'Changes made while WireMock was offline';
+
+        if (!panel) return;
+        if (this.entries.length === 0) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+
+        const escape = Utils.escapeHtml;
+        const reasons = {
+            'modified-on-server': 'Changed on the server since you edited it',
+            'deleted-on-server': 'Deleted on the server',
+            'exists-on-server': 'A different mapping with this id exists on the server'
+        };
+
+        panel.innerHTML = this.entries.map((entry) => {
+            const mapping = entry.payload || entry.base || {};
+            const label = mapping.name || `${mapping.request?.method || ''} ${mapping.request?.url || mapping.request?.urlPath || mapping.request?.urlPattern || mapping.request?.urlPathPattern || entry.mappingId}`;
+            const detail = entry.status === 'conflict'
+                ? reasons[entry.conflict?.reason] || 'Conflict'
+                : entry.status === 'failed' ? `Rejected: ${entry.error}` : 'Waiting for connection';
+            const actions = entry.status === 'queued' ? '' : `
+                    <div class="offline-queue-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-queue-action="local">${entry.status === 'conflict' ? 'Keep mine' : 'Retry'}</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-queue-action="server">${entry.status === 'conflict' ? 'Use server' : 'Discard'}</button>
+                    </div>`;
+            return `
+                <div class="offline-queue-row offline-queue-row--${escape(entry.status)}" data-queue-seq="${escape(entry.seq)}">
+                    <div class="offline-queue-info">
+                        <span class="offline-queue-type">${escape(entry.type)}</span>
+                        <strong>${escape(label.trim())}</strong>
+                        <small>${escape(detail)}</small>
+                    </div>${actions}
+                </div>`;
+        }).join('');
+    },
+
+    init() {
+        const indicator = document.getElementById(OFFLINE_QUEUE_INDICATOR_ID);
+        const panel = document.getElementById(OFFLINE_QUEUE_PANEL_ID);
+
+        indicator?.addEventListener('click', () => panel?.classList.toggle('hidden'));
+        panel?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-queue-action]');
+            const row = button?.closest('[data-queue-seq]');
+            if (!button || !row) return;
+
+            button.disabled = true;
+            this.resolve(Number(row.dataset.queueSeq), button.dataset.queueAction).catch((error) => {
+                Logger.error('OFFLINE', 'Failed to resolve queued change:', error);
+            });
+        });
+
+        this.load().catch(error => Logger.warn('OFFLINE', 'Failed to restore offline queue:', error));
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.OfflineQueue.init());
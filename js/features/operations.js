@@ -34,6 +34,9 @@ function normalizeScenarioNameField(mapping, { notify } = {}) {
   return { changed: true, original: result.original, normalized: result.normalized, cleared: result.cleared };
 }
 
+// Parallel requests per batchCreate/batchUpdate call
+const MAPPINGS_BATCH_CONCURRENCY = 4;
+
 /**
  * MappingsOperations - Optimistic CRUD operations for mappings
  *
@@ -57,9 +60,13 @@ window.MappingsOperations = {
     const normalizedPayload = { ...(mappingData || {}) };
     normalizeScenarioNameField(normalizedPayload, { notify: (msg) => window.NotificationManager?.warning?.(msg) });
 
-    const tempId = typeof crypto?.randomUUID === 'function'
-      ? `temp-${crypto.randomUUID()}`
-      : `temp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    if (window.OfflineQueue?.isActive()) {
+      const queued = await window.OfflineQueue.enqueue({ type: 'create', id: normalizedPayload.id, mapping: normalizedPayload });
+      window.NotificationManager?.info?.('WireMock is offline - mapping will be created when the connection is back');
+      return queued;
+    }
+
+    const tempId = this._createTempId();
 
     Logger.info('OPS', `Creating mapping with temp ID: ${tempId}`);
 
@@ -130,8 +137,11 @@ window.MappingsOperations = {
 
   /**
    * Update an existing mapping (optimistic)
+   * @param {string} id
+   * @param {Object} changes - Fields to merge, or the whole mapping when `replace` is set
+   * @param {{source?: string, replace?: boolean}} [options] - `source` labels the revision history entry
    */
-  async update(id, changes) {
+  async update(id, changes, { source = 'ui', replace = false } = {}) {
     Logger.info('OPS', `Updating mapping: ${id}`);
 
     const original = window.MappingsStore.get(id);
@@ -140,29 +150,30 @@ window.MappingsOperations = {
       throw new Error(`Mapping ${id} not found`);
     }
 
+    // Offline edits are merged into the queued entry, so the pending check does not apply
+    const queueOffline = Boolean(window.OfflineQueue?.isActive());
+
     // Don't update if already pending
-    if (window.MappingsStore.pending.has(id)) {
+    if (!queueOffline && window.MappingsStore.pending.has(id)) {
       Logger.warn('OPS', `Mapping ${id} already has pending operation`);
       throw new Error('Mapping has pending changes');
     }
 
     const normalizedChanges = { ...(changes || {}) };
 
-    // Build optimistic mapping
-    const optimisticMapping = {
-      ...original,
-      ...normalizedChanges,
-      _pending: true,
-      _operation: 'update',
-      metadata: {
-        ...original.metadata,
-        ...normalizedChanges.metadata,
-        edited: Date.now(),
-      },
-    };
+    // Build optimistic mapping; a replacement drops fields the new version no longer has
+    const optimisticMapping = replace
+      ? this._buildOptimisticUpdate({ ...this._cleanMappingData(normalizedChanges), id }, {})
+      : this._buildOptimisticUpdate(original, normalizedChanges);
 
     normalizeScenarioNameField(optimisticMapping, { notify: (msg) => window.NotificationManager?.warning?.(msg) });
 
+    if (queueOffline) {
+      const queued = await window.OfflineQueue.enqueue({ type: 'update', id, mapping: optimisticMapping });
+      window.NotificationManager?.info?.('WireMock is offline - changes queued');
+      return queued;
+    }
+
     try {
       // 1. Apply update immediately (optimistic)
       window.MappingsStore.addPending({
@@ -188,6 +199,7 @@ window.MappingsOperations = {
       Logger.info('OPS', `Mapping updated on server: ${id}`);
 
       window.MappingsStore.confirmPending(id, updated);
+      window.MappingHistory?.record(original, { source });
 
       // 5. Update UI with server data
       this._refreshUI();
@@ -226,6 +238,12 @@ window.MappingsOperations = {
   async delete(id) {
     Logger.info('OPS', `Deleting mapping: ${id}`);
 
+    // Disabled mappings only exist locally
+    if (window.MappingToggle?.isDisabled(id)) {
+      await window.MappingToggle.discard(id);
+      return;
+    }
+
     const original = window.MappingsStore.get(id);
 
     if (!original) {
@@ -233,6 +251,12 @@ window.MappingsOperations = {
       return;
     }
 
+    if (window.OfflineQueue?.isActive()) {
+      await window.OfflineQueue.enqueue({ type: 'delete', id });
+      window.NotificationManager?.info?.('WireMock is offline - deletion queued');
+      return;
+    }
+
     // Build optimistic mapping (marked as deleted)
     const optimisticMapping = {
       ...original,
@@ -267,6 +291,7 @@ window.MappingsOperations = {
       Logger.info('OPS', `Mapping deleted on server: ${id}`);
 
       window.MappingsStore.confirmPending(id, null);
+      window.MappingTrash?.add(original);
 
       // 5. Update UI
       this._refreshUI();
@@ -333,8 +358,223 @@ window.MappingsOperations = {
     return results;
   },
 
+  /**
+   * Create many mappings at once (optimistic)
+   *
+   * All items show up as pending immediately; requests run with bounded concurrency and
+   * only the items the server rejects are rolled back. Other tabs get one consolidated
+   * broadcast instead of one message per mapping.
+   *
+   * @param {Object[]} payloads - Mapping payloads
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Parallel requests
+   * @param {Function} [options.onProgress] - Called with { done, total, succeeded, failed } after each item
+   * @param {boolean} [options.notify=true] - Show a summary notification
+   * @returns {Promise<{success: Object[], failed: Array<{index: number, payload: Object, error: string}>, queued: boolean}>}
+   */
+  async batchCreate(payloads, { concurrency = MAPPINGS_BATCH_CONCURRENCY, onProgress, notify = true } = {}) {
+    const items = (Array.isArray(payloads) ? payloads : []).map((payload) => {
+      const normalizedPayload = { ...(payload || {}) };
+      normalizeScenarioNameField(normalizedPayload);
+      return normalizedPayload;
+    });
+
+    Logger.info('OPS', `Batch creating ${items.length} mappings`);
+
+    if (window.OfflineQueue?.isActive()) {
+      const queued = [];
+      for (const payload of items) {
+        queued.push(await window.OfflineQueue.enqueue({ type: 'create', id: payload.id, mapping: payload }));
+      }
+      if (notify) {
+        window.NotificationManager?.info?.(`WireMock is offline - ${queued.length} mappings will be created when the connection is back`);
+      }
+      return { success: queued, failed: [], queued: true };
+    }
+
+    // 1. Show every item as pending right away
+    const entries = items.map((payload, index) => {
+      const tempId = this._createTempId();
+      window.MappingsStore.addPending({
+        id: tempId,
+        type: 'create',
+        payload,
+        optimisticMapping: { ...payload, id: tempId, _pending: true, _operation: 'create' },
+      });
+      return { index, tempId, payload };
+    });
+    this._refreshUI();
+
+    // 2. Send with bounded concurrency, confirming or rolling back item by item
+    const results = await this._runBatch(entries, async ({ tempId, payload }) => {
+      try {
+        const response = await this._sendCreateRequest(payload);
+        const created = response?.mapping || response;
+        window.MappingsStore.confirmPending(tempId, created);
+        return created;
+      } catch (error) {
+        window.MappingsStore.rollbackPending(tempId, null);
+        throw error;
+      }
+    }, { concurrency, onProgress });
+
+    return this._finishBatch('created', entries, results, notify);
+  },
+
+  /**
+   * Update many mappings at once (optimistic)
+   *
+   * Same flow as batchCreate. Mappings that are missing or already have a pending
+   * operation fail without a request.
+   *
+   * @param {Array<{id: string, changes?: Object, mapping?: Object}>} updates - `changes` are merged
+   *   into the current mapping; a full `mapping` replaces it (so removed fields stay removed)
+   * @param {Object} [options] - Same as batchCreate, plus `source` for the revision history
+   * @returns {Promise<{success: Object[], failed: Array<{index: number, id: string, error: string}>, queued: boolean}>}
+   */
+  async batchUpdate(updates, { concurrency = MAPPINGS_BATCH_CONCURRENCY, onProgress, notify = true, source = 'batch' } = {}) {
+    const list = Array.isArray(updates) ? updates : [];
+    const queueOffline = Boolean(window.OfflineQueue?.isActive());
+    const rejected = [];
+    const entries = [];
+
+    Logger.info('OPS', `Batch updating ${list.length} mappings`);
+
+    list.forEach(({ id, changes, mapping } = {}, index) => {
+      const original = window.MappingsStore.get(id);
+      if (!original) {
+        rejected.push({ index, id, error: `Mapping ${id} not found` });
+        return;
+      }
+      if (!queueOffline && window.MappingsStore.pending.has(id)) {
+        rejected.push({ index, id, error: 'Mapping has pending changes' });
+        return;
+      }
+      const optimisticMapping = mapping
+        ? this._buildOptimisticUpdate({ ...this._cleanMappingData(mapping), id }, {})
+        : this._buildOptimisticUpdate(original, { ...(changes || {}) });
+      normalizeScenarioNameField(optimisticMapping);
+      entries.push({ index, id, original, changes: changes || mapping, optimisticMapping });
+    });
+
+    if (queueOffline) {
+      const queued = [];
+      for (const { id, optimisticMapping } of entries) {
+        queued.push(await window.OfflineQueue.enqueue({ type: 'update', id, mapping: optimisticMapping }));
+      }
+      if (notify) {
+        window.NotificationManager?.info?.(`WireMock is offline - ${queued.length} changes queued`);
+      }
+      return { success: queued, failed: rejected, queued: true };
+    }
+
+    // 1. Apply every update right away
+    entries.forEach(({ id, original, changes, optimisticMapping }) => {
+      window.MappingsStore.addPending({ id, type: 'update', payload: changes, optimisticMapping, original });
+    });
+    this._refreshUI();
+
+    // 2. Send with bounded concurrency, confirming or rolling back item by item
+    const results = await this._runBatch(entries, async ({ id, original, optimisticMapping }) => {
+      try {
+        const updated = await this._sendUpdateRequest(id, optimisticMapping);
+        window.MappingsStore.confirmPending(id, updated);
+        window.MappingHistory?.record(original, { source });
+        return updated;
+      } catch (error) {
+        window.MappingsStore.rollbackPending(id, original);
+        throw error;
+      }
+    }, { concurrency, onProgress, offset: rejected.length, total: list.length });
+
+    return this._finishBatch('updated', entries, results, notify, rejected);
+  },
+
   // === PRIVATE METHODS ===
 
+  _createTempId() {
+    return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+      ? `temp-${crypto.randomUUID()}`
+      : `temp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  },
+
+  _buildOptimisticUpdate(original, changes) {
+    return {
+      ...original,
+      ...changes,
+      _pending: true,
+      _operation: 'update',
+      metadata: {
+        ...original.metadata,
+        ...changes.metadata,
+        edited: Date.now(),
+      },
+    };
+  },
+
+  /**
+   * Run worker over entries with at most `concurrency` in flight. Never rejects;
+   * resolves to one { value } or { error } per entry, in entry order.
+   */
+  async _runBatch(entries, worker, { concurrency, onProgress, offset = 0, total = entries.length }) {
+    const results = new Array(entries.length);
+    const counts = { done: offset, total, succeeded: 0, failed: offset };
+    let next = 0;
+
+    const run = async () => {
+      while (next < entries.length) {
+        const position = next++;
+        try {
+          results[position] = { value: await worker(entries[position]) };
+          counts.succeeded += 1;
+        } catch (error) {
+          Logger.error('OPS', 'Batch item failed:', error);
+          results[position] = { error };
+          counts.failed += 1;
+        }
+        counts.done += 1;
+        if (typeof onProgress === 'function') {
+          onProgress({ ...counts });
+        }
+      }
+    };
+
+    const workers = Math.max(1, Math.min(Number(concurrency) || 1, entries.length));
+    await Promise.all(Array.from({ length: workers }, run));
+    return results;
+  },
+
+  _finishBatch(operation, entries, results, notify, failed = []) {
+    const success = [];
+    results.forEach((result, position) => {
+      const entry = entries[position];
+      if (result.error) {
+        failed.push({ index: entry.index, id: entry.id, payload: entry.payload, error: result.error.message });
+      } else {
+        success.push(result.value);
+      }
+    });
+    failed.sort((a, b) => a.index - b.index);
+
+    this._refreshUI();
+    if (success.length) {
+      this._broadcastBatch(operation, success);
+    }
+
+    Logger.info('OPS', `Batch ${operation} complete: ${success.length} succeeded, ${failed.length} failed`);
+
+    if (notify && window.NotificationManager) {
+      const verb = operation === 'created' ? 'Created' : 'Updated';
+      if (failed.length === 0) {
+        window.NotificationManager.success(`${verb} ${success.length} mappings`);
+      } else {
+        window.NotificationManager.warning(`${verb} ${success.length} mappings, ${failed.length} failed`);
+      }
+    }
+
+    return { success, failed, queued: false };
+  },
+
   async _sendCreateRequest(mappingData) {
     // Remove temp/internal fields
     const cleanData = this._cleanMappingData(mappingData);
@@ -380,6 +620,7 @@ window.MappingsOperations = {
     delete clean._pending;
     delete clean._operation;
     delete clean._deleted;
+    delete clean._queued;
 
     return clean;
   },
@@ -417,18 +658,33 @@ window.MappingsOperations = {
   },
 
   _broadcastUpdate(operation, mapping) {
+    this._postBroadcast({
+      type: 'mapping-' + operation,
+      operation: operation,
+      mapping: mapping,
+      source: 'mappings-operations',
+      timestamp: Date.now()
+    });
+    Logger.debug('OPS', `Broadcasted ${operation} update:`, mapping.id);
+  },
+
+  _broadcastBatch(operation, mappings) {
+    this._postBroadcast({
+      type: 'mappings-batch-' + operation,
+      operation: operation,
+      mappings: mappings,
+      source: 'mappings-operations',
+      timestamp: Date.now()
+    });
+    Logger.debug('OPS', `Broadcasted batch ${operation} update for ${mappings.length} mappings`);
+  },
+
+  _postBroadcast(data) {
     // Broadcast update to other tabs/windows via BroadcastChannel
     if (typeof BroadcastChannel !== 'undefined') {
       try {
         const channel = new BroadcastChannel('imock-optimistic-updates');
-        channel.postMessage({
-          type: 'mapping-' + operation,
-          operation: operation,
-          mapping: mapping,
-          source: 'mappings-operations',
-          timestamp: Date.now()
-        });
-        Logger.debug('OPS', `Broadcasted ${operation} update:`, mapping.id);
+        channel.postMessage(data);
       } catch (error) {
         Logger.warn('OPS', 'Failed to broadcast update:', error);
       }
@@ -437,13 +693,6 @@ window.MappingsOperations = {
     // Also update localStorage for cross-tab communication (fallback)
     try {
       const key = 'imock-optimistic-update';
-      const data = {
-        type: 'mapping-' + operation,
-        operation: operation,
-        mapping: mapping,
-        source: 'mappings-operations',
-        timestamp: Date.now()
-      };
       localStorage.setItem(key, JSON.stringify(data));
       // Remove after short delay to prevent stale data
       setTimeout(() => {
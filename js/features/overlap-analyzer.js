@@ -0,0 +1,302 @@
+'use strict';
+
+// --- STUB OVERLAP & SHADOWING ANALYZER ---
+// Pairs mappings whose method and URL matchers can match the same request and works out
+// which one WireMock picks: the lowest priority number wins, ties go to the most recently
+// added stub. A mapping is unreachable when a better-priority stub matches every request
+// it matches. Regex-vs-regex pairs are only compared when the patterns are identical,
+// so findings err on the side of silence.
+
+const OVERLAP_DEFAULT_PRIORITY = 5;
+const OVERLAP_ANALYSIS_DELAY_MS = 500;
+const OVERLAP_URL_KEYS = ['url', 'urlPath', 'urlPathPattern', 'urlPattern'];
+const OVERLAP_IGNORED_REQUEST_KEYS = new Set(['method', 'urlPathTemplate', 'pathParameters', ...OVERLAP_URL_KEYS]);
+
+const overlapPathOf = (url) => {
+    return String(url).split('?')[0];
+};
+
+const compileOverlapRegex = (source) => {
+    try {
+        return new RegExp(`^(?:${source})$`);
+    } catch {
+        return null;
+    }
+};
+
+// Normalize one mapping into what the pairwise comparison needs
+const describeOverlapMapping = (mapping) => {
+    const request = mapping.request || {};
+    const urlKey = OVERLAP_URL_KEYS.find(key => typeof request[key] === 'string');
+    const extras = {};
+    Object.keys(request).forEach((key) => {
+        if (!OVERLAP_IGNORED_REQUEST_KEYS.has(key)) {
+            extras[key] = JSON.stringify(request[key]);
+        }
+    });
+
+    let matcher = { kind: 'any' };
+    if (request.urlPathTemplate !== undefined) {
+        matcher = { kind: 'unsupported' };
+    } else if (urlKey === 'urlPattern' || urlKey === 'urlPathPattern') {
+        const regex = compileOverlapRegex(request[urlKey]);
+        matcher = regex ? { kind: urlKey, value: request[urlKey], regex } : { kind: 'unsupported' };
+    } else if (urlKey) {
+        matcher = { kind: urlKey, value: request[urlKey] };
+    }
+
+    const method = String(request.method || 'ANY').toUpperCase();
+    return {
+        id: mapping.id,
+        name: mapping.name || mapping.metadata?.name || String(mapping.id).slice(0, 8),
+        priority: Number.isFinite(mapping.priority) ? mapping.priority : OVERLAP_DEFAULT_PRIORITY,
+        // Server-assigned order; among equal priorities WireMock picks the highest one
+        insertionIndex: Number.isFinite(mapping.insertionIndex) ? mapping.insertionIndex : null,
+        method,
+        matcher,
+        extras,
+        scenario: mapping.scenarioName && mapping.requiredScenarioState
+            ? { name: mapping.scenarioName, state: mapping.requiredScenarioState }
+            : null
+    };
+};
+
+const isLiteralOverlapMatcher = (matcher) => {
+    return matcher.kind === 'url' || matcher.kind === 'urlPath';
+};
+
+// Does a regex matcher match a literal one? 'all' (every request), 'some' or 'none'
+const regexCoversLiteral = (regexMatcher, literal) => {
+    const path = overlapPathOf(literal.value);
+    if (regexMatcher.kind === 'urlPathPattern') {
+        return regexMatcher.regex.test(path) ? 'all' : 'none';
+    }
+    if (literal.kind === 'url') {
+        return regexMatcher.regex.test(literal.value) ? 'all' : 'none';
+    }
+    // urlPattern sees the query string; a urlPath stub accepts any query
+    const plain = regexMatcher.regex.test(path);
+    const withQuery = regexMatcher.regex.test(`${path}?query=1`);
+    if (plain && withQuery) return 'all';
+    return plain || withQuery ? 'some' : 'none';
+};
+
+/**
+ * How much of b's URL space does a match? 'all', 'some', 'none' or 'unknown'.
+ */
+const compareOverlapUrlMatchers = (a, b) => {
+    if (a.kind === 'unsupported' || b.kind === 'unsupported') return 'unknown';
+    if (a.kind === 'any') return 'all';
+    if (b.kind === 'any') return 'some';
+
+    if (isLiteralOverlapMatcher(a) && isLiteralOverlapMatcher(b)) {
+        if (a.kind === b.kind) return a.value === b.value ? 'all' : 'none';
+        if (a.kind === 'urlPath') return overlapPathOf(b.value) === a.value ? 'all' : 'none';
+        return overlapPathOf(a.value) === b.value ? 'some' : 'none';
+    }
+    if (!isLiteralOverlapMatcher(a) && isLiteralOverlapMatcher(b)) {
+        return regexCoversLiteral(a, b);
+    }
+    if (isLiteralOverlapMatcher(a)) {
+        return regexCoversLiteral(b, a) === 'none' ? 'none' : 'some';
+    }
+    return a.kind === b.kind && a.value === b.value ? 'all' : 'unknown';
+};
+
+const overlapMethodsIntersect = (a, b) => {
+    return a.method === b.method || a.method === 'ANY' || b.method === 'ANY';
+};
+
+// Same extra matcher (header, body...) with different values: treat as never matching together
+const overlapExtrasConflict = (a, b) => {
+    return Object.keys(a.extras).some(key => key in b.extras && a.extras[key] !== b.extras[key]);
+};
+
+const overlapExtrasSubset = (a, b) => {
+    return Object.keys(a.extras).every(key => b.extras[key] === a.extras[key]);
+};
+
+// First path segment every URL the matcher accepts starts with, or null when it is not
+// fixed (any URL, a regex whose literal prefix stops inside the first segment, alternation).
+// Only matchers in the same segment, or with none, can overlap.
+const overlapSegmentOf = (matcher) => {
+    const segmentOfPath = (path) => {
+        const parts = overlapPathOf(path).split('/');
+        return parts.length > 1 && parts[0] === '' ? parts[1] : null;
+    };
+    if (isLiteralOverlapMatcher(matcher)) return segmentOfPath(matcher.value);
+    if (matcher.kind !== 'urlPattern' && matcher.kind !== 'urlPathPattern') return null;
+
+    const source = matcher.value.replace(/^\^/, '');
+    if (source.includes('|')) return null;
+    const metaIndex = source.search(/[\\.[\]()?*+{}^$]/);
+    if (metaIndex === -1) return segmentOfPath(source);
+    // A quantifier makes the character before it optional
+    const prefix = source.slice(0, /[?*{]/.test(source[metaIndex]) ? Math.max(0, metaIndex - 1) : metaIndex);
+    const parts = prefix.split('/');
+    return parts.length > 2 && parts[0] === '' ? parts[1] : null;
+};
+
+const describeOverlapScenario = (entry) => {
+    return entry.scenario ? `scenario "${entry.scenario.name}" is in state "${entry.scenario.state}"` : '';
+};
+
+window.MappingOverlapAnalyzer = {
+    _cache: { revision: -1, findings: new Map() },
+    _timer: null,
+
+    /**
+     * Analyze a list of mappings.
+     * @param {Array<Object>} mappings
+     * @returns {Map<string, Array<{type: 'unreachable'|'conditional'|'ambiguous'|'shadows', otherId: string, message: string}>>}
+     */
+    analyze(mappings) {
+        const isCache = typeof window.isImockCacheMapping === 'function' ? window.isImockCacheMapping : () => false;
+        const entries = (mappings || [])
+            .filter(mapping => mapping?.id && !mapping._disabled && !isCache(mapping))
+            .map(describeOverlapMapping);
+        const findings = new Map();
+        const report = (entry, finding) => {
+            if (!findings.has(entry.id)) findings.set(entry.id, []);
+            findings.get(entry.id).push(finding);
+        };
+
+        // Bucket by method and first path segment so that only pairs that can overlap are
+        // compared; ANY and matchers without a fixed segment are compared with every bucket
+        const buckets = new Map();
+        const methods = new Set();
+        const segments = new Set();
+        entries.forEach((entry, index) => {
+            // Unsupported matchers are never compared, see compareOverlapUrlMatchers
+            if (entry.matcher.kind === 'unsupported') return;
+            const segment = overlapSegmentOf(entry.matcher);
+            entry.bucket = { method: entry.method, segment };
+            methods.add(entry.method);
+            segments.add(segment);
+            const key = JSON.stringify([entry.method, segment]);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        });
+        const candidatesOf = (entry) => {
+            const methodKeys = entry.method === 'ANY' ? Array.from(methods) : [entry.method, 'ANY'];
+            const segmentKeys = entry.bucket.segment === null ? Array.from(segments) : [entry.bucket.segment, null];
+            const indexes = [];
+            methodKeys.forEach(method => segmentKeys.forEach((segment) => {
+                indexes.push(...(buckets.get(JSON.stringify([method, segment])) || []));
+            }));
+            return indexes.sort((x, y) => x - y);
+        };
+
+        for (let i = 0; i < entries.length; i++) {
+            if (!entries[i].bucket) continue;
+            for (const j of candidatesOf(entries[i])) {
+                if (j <= i) continue;
+                const a = entries[i];
+                const b = entries[j];
+                if (!overlapMethodsIntersect(a, b) || overlapExtrasConflict(a, b)) continue;
+                // Different states of one scenario never match at the same time
+                if (a.scenario && b.scenario && a.scenario.name === b.scenario.name && a.scenario.state !== b.scenario.state) continue;
+
+                const aOverB = compareOverlapUrlMatchers(a.matcher, b.matcher);
+                const bOverA = compareOverlapUrlMatchers(b.matcher, a.matcher);
+                if (aOverB === 'none' || aOverB === 'unknown' || bOverA === 'unknown') continue;
+
+                if (a.priority === b.priority) {
+                    const known = a.insertionIndex !== null && b.insertionIndex !== null && a.insertionIndex !== b.insertionIndex;
+                    const newest = known ? (a.insertionIndex > b.insertionIndex ? a : b) : null;
+                    const pick = newest ? `"${newest.name}", the one added last` : 'whichever was added last';
+                    const message = (other) => `Overlaps "${other.name}" with the same priority (${a.priority}); WireMock picks ${pick}`;
+                    report(a, { type: 'ambiguous', otherId: b.id, message: message(b) });
+                    report(b, { type: 'ambiguous', otherId: a.id, message: message(a) });
+                    continue;
+                }
+
+                const [winner, loser, coverage] = a.priority < b.priority ? [a, b, aOverB] : [b, a, bOverA];
+                if (coverage !== 'all' || !overlapExtrasSubset(winner, loser)) continue;
+
+                const sameCondition = !winner.scenario
+                    || (loser.scenario && winner.scenario.name === loser.scenario.name && winner.scenario.state === loser.scenario.state);
+                if (sameCondition) {
+                    report(loser, { type: 'unreachable', otherId: winner.id, message: `Never matches: "${winner.name}" (priority ${winner.priority}) wins for every request it matches` });
+                    report(winner, { type: 'shadows', otherId: loser.id, message: `Shadows "${loser.name}" (priority ${loser.priority})` });
+                } else {
+                    report(loser, { type: 'conditional', otherId: winner.id, message: `Shadowed by "${winner.name}" (priority ${winner.priority}) while ${describeOverlapScenario(winner)}` });
+                }
+            }
+        }
+
+        return findings;
+    },
+
+    /**
+     * Findings for one mapping from the last analysis. A changed store schedules a new one
+     * instead of analyzing inside card rendering.
+     */
+    getFindings(id) {
+        const store = window.MappingsStore;
+        if (!store) return [];
+        if (this._cache.revision !== store.stats.revision) {
+            this.scheduleAnalysis();
+        }
+        return this._cache.findings.get(String(id)) || [];
+    },
+
+    /**
+     * Analyze the store once it has been quiet for a moment, and not while a full sync is
+     * still adding pages; in idle time where the browser supports it.
+     */
+    scheduleAnalysis() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            if (window.MappingsStore?.metadata?.isSyncing) {
+                this.scheduleAnalysis();
+                return;
+            }
+            if (typeof window.requestIdleCallback === 'function') {
+                window.requestIdleCallback(() => this.runAnalysis(), { timeout: OVERLAP_ANALYSIS_DELAY_MS * 10 });
+            } else {
+                this.runAnalysis();
+            }
+        }, OVERLAP_ANALYSIS_DELAY_MS);
+    },
+
+    /**
+     * Analyze the store now and re-render the cards when the findings changed.
+     */
+    runAnalysis() {
+        const store = window.MappingsStore;
+        if (!store || this._cache.revision === store.stats.revision) return;
+        const previous = this._cache.findings;
+        const findings = this.analyze(store.getAll());
+        this._cache = { revision: store.stats.revision, findings };
+
+        const signature = map => JSON.stringify(Array.from(map.entries()).map(([id, list]) => [id, list.map(finding => `${finding.type}:${finding.otherId}`)]));
+        if (signature(previous) !== signature(findings) && typeof window.FilterManager?.applyMappingFilters === 'function') {
+            window.FilterManager.applyMappingFilters();
+        }
+    },
+
+    // Part of the card render signature, so cards refresh when another mapping changes their findings
+    getSignature(id) {
+        return this.getFindings(id).map(finding => `${finding.type}:${finding.otherId}`).join(',');
+    },
+
+    renderBadges(id) {
+        const findings = this.getFindings(id);
+        if (findings.length === 0) return '';
+        const escape = Utils.escapeHtml;
+        const badge = (types, className, label) => {
+            const matching = findings.filter(finding => types.includes(finding.type));
+            if (matching.length === 0) return '';
+            const title = matching.map(finding => finding.message).join('\n');
+            const count = matching.length > 1 ? ` (${matching.length})` : '';
+            return `<span class="badge ${className} overlap-badge" title="${escape(title)}">${label}${count}</span>`;
+        };
+        return [
+            badge(['unreachable'], 'badge-danger', '⚠ Unreachable'),
+            badge(['conditional', 'ambiguous'], 'badge-warning', '⚠ Overlap'),
+            badge(['shadows'], 'badge-info', 'Shadows')
+        ].filter(Boolean).join(' ');
+    }
+};
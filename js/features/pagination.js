@@ -14,6 +14,9 @@ class PaginationManager {
         this.totalItems = 0;
         this.totalPages = 1;
         this.containerSelector = null;
+        // Set while mappings are still arriving page by page from the server
+        this.serverTotal = null;
+        this.serverLoaded = 0;
     }
 
     /**
@@ -49,6 +52,25 @@ class PaginationManager {
         });
     }
 
+    /**
+     * Record the server-side total of a paged load that is still in progress
+     * @param {number} total - Total reported by the server
+     * @param {number} loaded - Items received so far
+     */
+    setServerTotal(total, loaded) {
+        this.serverTotal = Number.isFinite(total) ? total : null;
+        this.serverLoaded = loaded || 0;
+    }
+
+    clearServerTotal() {
+        this.serverTotal = null;
+        this.serverLoaded = 0;
+    }
+
+    isServerLoadIncomplete() {
+        return this.serverTotal !== null && this.serverLoaded < this.serverTotal;
+    }
+
     /**
      * Get current page data slice
      * @param {Array} items - Full dataset
@@ -105,8 +127,15 @@ class PaginationManager {
      * @returns {string} HTML for pagination controls
      */
     renderControls() {
+        const loadingNote = this.isServerLoadIncomplete()
+            ? ` · loaded ${this.serverLoaded.toLocaleString()} of ${this.serverTotal.toLocaleString()} on server`
+            : '';
+
         if (this.totalPages <= 1) {
-            return ''; // No pagination needed
+            // No pagination needed, but keep the server total visible while pages arrive
+            return loadingNote
+                ? `<div class="pagination-controls"><div class="pagination-info">Showing ${this.totalItems}${loadingNote}</div></div>`
+                : '';
         }
 
         const startItem = (this.currentPage - 1) * this.itemsPerPage + 1;
@@ -118,7 +147,7 @@ class PaginationManager {
         return `
             <div class="pagination-controls">
                 <div class="pagination-info">
-                    Showing ${startItem}-${endItem} of ${this.totalItems}
+                    Showing ${startItem}-${endItem} of ${this.totalItems}${loadingNote}
                 </div>
                 <div class="pagination-buttons">
                     <button class="pagination-btn"
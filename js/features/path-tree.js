@@ -0,0 +1,221 @@
+'use strict';
+
+// --- URL PATH TREE ---
+// Alternative view of the mappings page: stubs grouped by URL path segments
+// (/api → /v1 → /orders). Paths come from url and urlPath, and from the literal prefix of
+// urlPattern, urlPathPattern and urlPathTemplate. Every node shows how many mappings and
+// which methods sit beneath it; selecting a node filters the list to that subtree, and
+// "Select" hands the whole subtree to the bulk edit bar.
+
+const PATH_TREE_PATTERN_META = /[\\^$.*+?()[\]{}|]/;
+
+/**
+ * Literal path prefix of a regex or template, cut back to the last complete segment.
+ */
+const pathTreeLiteralPrefix = (pattern) => {
+    const source = String(pattern || '').replace(/^\^/, '');
+    const metaIndex = source.search(PATH_TREE_PATTERN_META);
+    if (metaIndex === -1) return source;
+    return source.slice(0, source.lastIndexOf('/', metaIndex) + 1);
+};
+
+const pathTreeSegments = (mapping) => {
+    const request = mapping?.request || {};
+    let path = '';
+    if (request.url) {
+        path = String(request.url).split('?')[0];
+    } else if (request.urlPath) {
+        path = request.urlPath;
+    } else {
+        path = pathTreeLiteralPrefix(request.urlPathTemplate || request.urlPattern || request.urlPathPattern);
+    }
+    return path.split('/').filter(Boolean);
+};
+
+const createPathTreeNode = (segment, path) => {
+    return { segment, path, children: new Map(), count: 0, methods: new Map(), ids: [] };
+};
+
+window.MappingPathTree = {
+    visible: false,
+    selectedPath: null, // '/api/v1' filters the list to that subtree
+    expanded: new Set(['/']),
+    _tree: null,
+    _revision: -1,
+
+    segmentsOf: pathTreeSegments,
+
+    /**
+     * Build the tree; `ids` on a node lists every mapping in its subtree.
+     */
+    build(mappings) {
+        const root = createPathTreeNode('', '/');
+        const isCache = typeof window.isImockCacheMapping === 'function' ? window.isImockCacheMapping : () => false;
+
+        (mappings || []).forEach(mapping => {
+            if (!mapping?.id || isCache(mapping)) return;
+            const method = String(mapping.request?.method || 'ANY').toUpperCase();
+            let node = root;
+            const visit = (current) => {
+                current.count += 1;
+                current.ids.push(mapping.id);
+                current.methods.set(method, (current.methods.get(method) || 0) + 1);
+            };
+            visit(node);
+            pathTreeSegments(mapping).forEach(segment => {
+                const path = `${node.path === '/' ? '' : node.path}/${segment}`;
+                if (!node.children.has(segment)) {
+                    node.children.set(segment, createPathTreeNode(segment, path));
+                }
+                node = node.children.get(segment);
+                visit(node);
+            });
+        });
+        return root;
+    },
+
+    getTree() {
+        const store = window.MappingsStore;
+        if (!store) return createPathTreeNode('', '/');
+        if (!this._tree || this._revision !== store.stats.revision) {
+            this._tree = this.build(store.getAll());
+            this._revision = store.stats.revision;
+        }
+        return this._tree;
+    },
+
+    findNode(path, root = this.getTree()) {
+        let node = root;
+        for (const segment of String(path || '').split('/').filter(Boolean)) {
+            node = node.children.get(segment);
+            if (!node) return null;
+        }
+        return node;
+    },
+
+    /**
+     * Keep only the mappings under the selected node.
+     */
+    filter(mappings) {
+        if (!this.selectedPath) return mappings;
+        const selected = this.selectedPath.split('/').filter(Boolean);
+        return mappings.filter(mapping => {
+            const segments = pathTreeSegments(mapping);
+            return selected.every((segment, index) => segments[index] === segment);
+        });
+    },
+
+    select(path) {
+        this.selectedPath = path && path !== '/' && path !== this.selectedPath ? path : null;
+        this._applyFilters();
+    },
+
+    toggleNode(path) {
+        if (this.expanded.has(path)) {
+            this.expanded.delete(path);
+        } else {
+            this.expanded.add(path);
+        }
+        this.render();
+    },
+
+    /**
+     * Add every (enabled) mapping under a node to the bulk edit selection.
+     */
+    selectSubtree(path) {
+        const node = this.findNode(path);
+        if (!node || !window.MappingBulkEdit) return 0;
+        const ids = node.ids.filter(id => !window.MappingsStore.disabled.has(id));
+        ids.forEach(id => window.MappingBulkEdit.toggle(id, true));
+        NotificationManager.info(`Selected ${ids.length} mapping(s) under ${path}`);
+        return ids.length;
+    },
+
+    setVisible(visible) {
+        this.visible = Boolean(visible);
+        document.getElementById('mapping-path-tree')?.classList.toggle('hidden', !this.visible);
+        document.getElementById('mapping-path-tree-toggle')?.classList.toggle('active', this.visible);
+        if (!this.visible && this.selectedPath) {
+            this.select(null);
+        } else {
+            this.render();
+        }
+    },
+
+    // Called from the list renders, so the tree follows store changes while shown
+    scheduleRender() {
+        if (this.visible && this._revision !== window.MappingsStore?.stats.revision) {
+            this.render();
+        }
+    },
+
+    _applyFilters() {
+        this.render();
+        if (window.FilterManager && typeof window.FilterManager.applyMappingFilters === 'function') {
+            window.FilterManager.applyMappingFilters();
+        }
+    },
+
+    _renderNode(node) {
+        const escape = Utils.escapeHtml;
+        const hasChildren = node.children.size > 0;
+        const isExpanded = this.expanded.has(node.path);
+        const methods = Array.from(node.methods.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([method, count]) => `<span class="method-badge ${escape(method.toLowerCase())}" title="${count} ${escape(method)}">${escape(method)}</span>`)
+            .join('');
+        const children = hasChildren && isExpanded
+            ? `<ul class="path-tree-children">${Array.from(node.children.values())
+                .sort((a, b) => a.segment.localeCompare(b.segment))
+                .map(child => this._renderNode(child))
+                .join('')}</ul>`
+            : '';
+
+        return `
+            <li class="path-tree-node${this.selectedPath === node.path ? ' is-selected' : ''}" data-tree-path="${escape(node.path)}">
+                <div class="path-tree-row">
+                    <button type="button" class="path-tree-caret" data-tree-action="toggle"${hasChildren ? '' : ' disabled'} aria-expanded="${isExpanded}">${hasChildren ? (isExpanded ? '▼' : '▶') : '·'}</button>
+                    <button type="button" class="path-tree-label" data-tree-action="select" title="Show only mappings under ${escape(node.path)}">${escape(node.segment ? `/${node.segment}` : 'All paths')}</button>
+                    <span class="badge badge-secondary path-tree-count">${node.count}</span>
+                    <span class="path-tree-methods">${methods}</span>
+                    <button type="button" class="btn btn-secondary btn-ghost btn-sm path-tree-bulk" data-tree-action="bulk" title="Select every mapping under ${escape(node.path)}">Select</button>
+                </div>
+                ${children}
+            </li>`;
+    },
+
+    render() {
+        const body = document.getElementById('mapping-path-tree-body');
+        const status = document.getElementById('mapping-path-tree-status');
+        if (!body || !this.visible) return;
+
+        const root = this.getTree();
+        if (this.selectedPath && !this.findNode(this.selectedPath, root)) {
+            this.selectedPath = null;
+        }
+        if (status) {
+            status.innerHTML = this.selectedPath
+                ? `Showing <code>${Utils.escapeHtml(this.selectedPath)}</code> <button type="button" class="btn-link" data-tree-action="clear">Show all</button>`
+                : `${root.count} mapping(s)`;
+        }
+        body.innerHTML = `<ul class="path-tree">${this._renderNode(root)}</ul>`;
+    },
+
+    init() {
+        const panel = document.getElementById('mapping-path-tree');
+        if (!panel) return;
+        panel.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-tree-action]');
+            if (!button) return;
+            const path = button.closest('[data-tree-path]')?.dataset.treePath || null;
+            switch (button.dataset.treeAction) {
+                case 'toggle': this.toggleNode(path); break;
+                case 'select': this.select(path); break;
+                case 'bulk': this.selectSubtree(path); break;
+                case 'clear': this.select(null); break;
+            }
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingPathTree.init());
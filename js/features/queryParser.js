@@ -9,6 +9,9 @@
  * - method:GET url:/users    → combination of conditions
  * - -status:404              → exclusion
  * - priority:1-5             → priority range
+ * - disabled:true            → show only disabled mappings
+ * - hits:0, hits:>10         → hit count from the loaded request journal
+ * - tag:checkout -tag:flaky  → tags in metadata.tags, included and excluded
  *
  * Requests:
  * - method:GET url:api       → filter by method and URL
@@ -20,8 +23,9 @@
 
 'use strict';
 
-const KEYWORDS = ['method', 'url', 'status', 'name', 'scenario', 'matched', 'client'];
+const KEYWORDS = ['method', 'url', 'status', 'name', 'scenario', 'matched', 'client', 'disabled', 'tag'];
 const RANGE_KEYWORDS = ['priority'];
+const COMPARISON_KEYWORDS = ['hits'];
 
 /**
  * Parses query string into structured object
@@ -43,7 +47,7 @@ function parseQuery(query) {
 
         // Regular expression to find key:value pairs
         // Supports: key:value, key:value1,value2, -key:value
-        const keyValuePattern = /(-?)(\w+):([\w\/\*.,\-]+|"[^"]*")/g;
+        const keyValuePattern = /(-?)(\w+):([\w\/\*.,\-<>=]+|"[^"]*")/g;
         let match;
         const processedIndices = [];
 
@@ -58,7 +62,7 @@ function parseQuery(query) {
             }
 
             // Check that this is a known keyword
-            if (!KEYWORDS.includes(key) && !RANGE_KEYWORDS.includes(key)) {
+            if (!KEYWORDS.includes(key) && !RANGE_KEYWORDS.includes(key) && !COMPARISON_KEYWORDS.includes(key)) {
                 continue;
             }
 
@@ -84,6 +88,25 @@ function parseQuery(query) {
                 continue;
             }
 
+            // Handle comparisons (e.g., hits:0, hits:>10, hits:<=3)
+            if (COMPARISON_KEYWORDS.includes(key)) {
+                const comparisonMatch = value.match(/^(>=|<=|>|<)?(\d+)$/);
+                if (comparisonMatch) {
+                    result[key] = {
+                        operator: comparisonMatch[1] || '=',
+                        value: Number(comparisonMatch[2])
+                    };
+                }
+                // Skip invalid comparison values
+                continue;
+            }
+
+            // Tags can be included and excluded in the same query (tag:checkout -tag:flaky)
+            if (key === 'tag') {
+                result.tag = mergeTagCondition(result.tag, value.split(','), isExclude);
+                continue;
+            }
+
             // Handle exclusions
             if (isExclude) {
                 const values = value.split(',');
@@ -134,6 +157,35 @@ function parseQuery(query) {
     }
 }
 
+/**
+ * Adds tag values to a tag condition. A single kind keeps the usual shape (value, array or
+ * {exclude}); mixing both gives {include: [...], exclude: [...]}.
+ * @param {*} existing - Condition parsed so far, if any
+ * @param {string[]} values - Tag values of this term
+ * @param {boolean} isExclude - Whether the term was negated
+ * @returns {*}
+ */
+const mergeTagCondition = (existing, values, isExclude) => {
+    const toList = (value) => (value === undefined ? [] : (Array.isArray(value) ? value : [value]));
+    const include = [];
+    const exclude = [];
+    if (existing && typeof existing === 'object' && !Array.isArray(existing)) {
+        include.push(...toList(existing.include));
+        exclude.push(...toList(existing.exclude));
+    } else {
+        include.push(...toList(existing));
+    }
+    (isExclude ? exclude : include).push(...values);
+
+    if (include.length && exclude.length) {
+        return { include, exclude };
+    }
+    if (exclude.length) {
+        return { exclude: exclude.length > 1 ? exclude : exclude[0] };
+    }
+    return include.length > 1 ? include : include[0];
+};
+
 /**
  * Checks if value matches condition
  * @param {*} value - Value to check
@@ -192,6 +244,50 @@ function matchesRange(value, range) {
     return numValue >= from && numValue <= to;
 }
 
+/**
+ * Checks if value satisfies a comparison
+ * @param {number} value - Value to check
+ * @param {Object} comparison - Object with operator ('=', '>', '>=', '<', '<=') and value
+ * @returns {boolean}
+ */
+const matchesComparison = (value, comparison) => {
+    const numValue = Number(value);
+    if (isNaN(numValue)) {
+        return false;
+    }
+
+    switch (comparison.operator) {
+        case '>': return numValue > comparison.value;
+        case '>=': return numValue >= comparison.value;
+        case '<': return numValue < comparison.value;
+        case '<=': return numValue <= comparison.value;
+        default: return numValue === comparison.value;
+    }
+};
+
+/**
+ * Checks if a list of tags matches a tag condition. Tags and query values go through
+ * MappingTags.normalize, so a query matches exactly the chips shown on the card:
+ * any included tag must be present, no excluded tag may be.
+ * @param {string[]} tags - Tags of the mapping
+ * @param {*} condition - Tag condition from parseQuery()
+ * @returns {boolean}
+ */
+const matchesTags = (tags, condition) => {
+    const normalize = (tag) => (window.MappingTags ? window.MappingTags.normalize(tag) : String(tag).trim().toLowerCase());
+    const normalized = (tags || []).map(normalize);
+    const toList = (value) => (value === undefined ? [] : (Array.isArray(value) ? value : [value])).map(normalize);
+
+    const isObject = condition && typeof condition === 'object' && !Array.isArray(condition);
+    const include = isObject ? toList(condition.include) : toList(condition);
+    const exclude = isObject ? toList(condition.exclude) : [];
+
+    if (exclude.some(tag => normalized.includes(tag))) {
+        return false;
+    }
+    return include.length === 0 || include.some(tag => normalized.includes(tag));
+};
+
 /**
  * Filters array of mappings by parsed query
  *
@@ -258,6 +354,23 @@ function filterMappings(mappings, parsedQuery) {
             }
         }
 
+        // Check disabled (kept locally, not on the server)
+        if (parsedQuery.disabled) {
+            if (!matchesCondition(String(Boolean(mapping._disabled)), parsedQuery.disabled)) {
+                return false;
+            }
+        }
+
+        // Check tags (metadata.tags)
+        if (parsedQuery.tag) {
+            const tags = window.MappingTags
+                ? window.MappingTags.getTags(mapping)
+                : (Array.isArray(mapping.metadata?.tags) ? mapping.metadata.tags : []);
+            if (!matchesTags(tags, parsedQuery.tag)) {
+                return false;
+            }
+        }
+
         // Check priority (range)
         // Note: Default priority is 1 if not specified on the mapping
         if (parsedQuery.priority) {
@@ -267,6 +380,14 @@ function filterMappings(mappings, parsedQuery) {
             }
         }
 
+        // Check hits (from the loaded request journal)
+        if (parsedQuery.hits) {
+            const hits = typeof window.MappingHits?.getCount === 'function' ? window.MappingHits.getCount(mapping.id) : 0;
+            if (!matchesComparison(hits, parsedQuery.hits)) {
+                return false;
+            }
+        }
+
         // Check text search (if there is text without a key)
         if (parsedQuery.text) {
             const searchText = String(parsedQuery.text).toLowerCase();
@@ -414,5 +535,7 @@ window.QueryParser = {
     filterRequests,
     filterRequestsByQuery,
     matchesCondition,
-    matchesRange
+    matchesRange,
+    matchesComparison,
+    matchesTags
 };
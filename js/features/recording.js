@@ -72,6 +72,9 @@ window.stopRecording = async () => {
 
 // Get recording status
 window.getRecordingStatus = async () => {
+    if (window.WireMockCapabilities && !window.WireMockCapabilities.supports('RECORDINGS')) {
+        return 'Unsupported';
+    }
     try {
         const response = await apiFetch(ENDPOINTS.RECORDINGS_STATUS);
         return response.status || 'Unknown';
@@ -0,0 +1,196 @@
+'use strict';
+
+// --- RECYCLE BIN ---
+// Deleted mappings are kept locally (IndexedDB, per WireMock base URL) with their full JSON
+// and deletion time. The Trash page restores a mapping by creating it again with the same
+// id through MappingsOperations.create, purges entries for good, and drops entries older
+// than the retention set in Settings (0 keeps them forever).
+
+const RECYCLE_BIN_STORE = 'mappings';
+const RECYCLE_BIN_DEFAULT_RETENTION_DAYS = 30;
+const RECYCLE_BIN_DAY_MS = 24 * 60 * 60 * 1000;
+
+window.MappingTrash = {
+    entries: [], // current base URL, newest first
+    _db: null,
+
+    _getDb() {
+        if (!this._db) {
+            this._db = window.createIndexedDbStore({
+                name: 'imock-recycle-bin',
+                version: 1,
+                stores: {
+                    [RECYCLE_BIN_STORE]: {
+                        keyPath: 'trashId',
+                        autoIncrement: true,
+                        indexes: [{ name: 'baseUrl', keyPath: 'baseUrl' }]
+                    }
+                }
+            });
+        }
+        return this._db;
+    },
+
+    /**
+     * Days deleted mappings are kept; 0 disables expiry.
+     */
+    getRetentionDays() {
+        const settings = Utils.safeCall(window.readWiremockSettings) || {};
+        const days = parseInt(settings.trashRetentionDays ?? RECYCLE_BIN_DEFAULT_RETENTION_DAYS, 10);
+        return Number.isFinite(days) && days >= 0 ? days : RECYCLE_BIN_DEFAULT_RETENTION_DAYS;
+    },
+
+    /**
+     * Keep a deleted mapping. Never throws: the delete already happened on the server.
+     * @param {Object} mapping - The mapping as it was before deletion
+     * @returns {Promise<Object|null>} The stored entry, or null when skipped
+     */
+    async add(mapping) {
+        if (!mapping?.id || (typeof window.isImockCacheMapping === 'function' && window.isImockCacheMapping(mapping))) {
+            return null;
+        }
+        try {
+            const clean = { ...mapping };
+            Object.keys(clean).filter(key => key.startsWith('_')).forEach(key => delete clean[key]);
+            const entry = {
+                baseUrl: window.wiremockBaseUrl || '',
+                mappingId: clean.id,
+                name: clean.name || clean.metadata?.name || '',
+                deletedAt: Date.now(),
+                mapping: clean
+            };
+            entry.trashId = await this._getDb().put(RECYCLE_BIN_STORE, entry);
+            this.scheduleRender();
+            return entry;
+        } catch (error) {
+            Logger.warn('STORAGE', `Failed to move mapping ${mapping.id} to the recycle bin:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Entries for the current server, after dropping the expired ones.
+     */
+    async list(now = Date.now()) {
+        const records = await this._getDb().getAll(RECYCLE_BIN_STORE, { index: 'baseUrl', value: window.wiremockBaseUrl || '' });
+        const retentionDays = this.getRetentionDays();
+        const expired = retentionDays > 0
+            ? records.filter(entry => now - entry.deletedAt > retentionDays * RECYCLE_BIN_DAY_MS)
+            : [];
+        if (expired.length) {
+            await Promise.all(expired.map(entry => this._getDb().delete(RECYCLE_BIN_STORE, entry.trashId)));
+            Logger.info('STORAGE', `Recycle bin: ${expired.length} expired mapping(s) purged`);
+        }
+        this.entries = records.filter(entry => !expired.includes(entry)).sort((a, b) => b.deletedAt - a.deletedAt);
+        return this.entries;
+    },
+
+    _find(trashId) {
+        return this.entries.find(entry => entry.trashId === trashId) || null;
+    },
+
+    /**
+     * Recreate a deleted mapping with its original id.
+     * @returns {Promise<Object|null>} The created mapping, or null when the id is taken again
+     */
+    async restore(trashId) {
+        const entry = this._find(trashId);
+        if (!entry) {
+            throw new Error('Recycle bin entry not found');
+        }
+        if (window.MappingsStore?.get(entry.mappingId)) {
+            NotificationManager.warning(`A mapping with id ${entry.mappingId} already exists`);
+            return null;
+        }
+        const created = await window.MappingsOperations.create(entry.mapping);
+        await this.purge(trashId);
+        return created;
+    },
+
+    async purge(trashId) {
+        await this._getDb().delete(RECYCLE_BIN_STORE, trashId);
+        this.entries = this.entries.filter(entry => entry.trashId !== trashId);
+        this.render();
+    },
+
+    async empty() {
+        if (this.entries.length === 0) return;
+        if (!confirm(`Permanently delete ${this.entries.length} mapping(s) from the recycle bin?`)) return;
+        await Promise.all(this.entries.map(entry => this._getDb().delete(RECYCLE_BIN_STORE, entry.trashId)));
+        this.entries = [];
+        this.render();
+    },
+
+    _isVisible() {
+        const page = document.getElementById(SELECTORS.PAGES.TRASH);
+        return Boolean(page && !page.classList.contains('hidden'));
+    },
+
+    scheduleRender() {
+        if (this._isVisible()) {
+            this.refresh();
+        }
+    },
+
+    async refresh() {
+        try {
+            await this.list();
+        } catch (error) {
+            Logger.error('STORAGE', 'Failed to load the recycle bin:', error);
+            this.entries = [];
+        }
+        this.render();
+    },
+
+    render() {
+        const container = document.getElementById('trash-list');
+        const summary = document.getElementById('trash-summary');
+        if (!container) return;
+
+        const retentionDays = this.getRetentionDays();
+        if (summary) {
+            const retention = retentionDays > 0 ? `kept for ${retentionDays} day(s)` : 'kept until purged';
+            summary.textContent = `${this.entries.length} deleted mapping(s), ${retention}`;
+        }
+
+        const escape = Utils.escapeHtml;
+        container.innerHTML = this.entries.length === 0
+            ? '<p class="trash-empty">The recycle bin is empty</p>'
+            : this.entries.map(entry => {
+                const request = entry.mapping.request || {};
+                const url = request.url || request.urlPath || request.urlPattern || request.urlPathPattern || '';
+                return `
+                <div class="trash-row" data-trash-id="${entry.trashId}">
+                    <span class="method-badge ${escape(String(request.method || 'ANY').toLowerCase())}">${escape(request.method || 'ANY')}</span>
+                    <span class="trash-name">${escape(entry.name || entry.mappingId)}</span>
+                    <span class="trash-url" title="${escape(url)}">${escape(url)}</span>
+                    <span class="trash-time">Deleted ${escape(new Date(entry.deletedAt).toLocaleString())}</span>
+                    <button type="button" class="btn btn-primary btn-sm" data-trash-action="restore">Restore</button>
+                    <button type="button" class="btn btn-danger btn-sm" data-trash-action="purge">Purge</button>
+                </div>`;
+            }).join('');
+    },
+
+    init() {
+        document.getElementById('trash-list')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-trash-action]');
+            const trashId = Number(button?.closest('[data-trash-id]')?.dataset.trashId);
+            if (!button || !Number.isFinite(trashId)) return;
+
+            button.disabled = true;
+            const action = button.dataset.trashAction === 'restore' ? this.restore(trashId) : this.purge(trashId);
+            // Failed restores are reported by MappingsOperations.create
+            action
+                .catch(error => Logger.error('UI', 'Recycle bin action failed:', error))
+                .finally(() => this.refresh());
+        });
+
+        window.addEventListener('page:shown', (event) => {
+            if (event.detail?.pageId === 'trash') {
+                this.refresh();
+            }
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingTrash.init());
@@ -36,6 +36,9 @@ window.findRequests = async (criteria) => {
 
 // Fetch unmatched requests
 window.getUnmatchedRequests = async () => {
+    if (window.WireMockCapabilities && !window.WireMockCapabilities.supports('REQUESTS_UNMATCHED')) {
+        return [];
+    }
     try {
         const response = await apiFetch(ENDPOINTS.REQUESTS_UNMATCHED);
         return response.requests || [];
@@ -0,0 +1,543 @@
+'use strict';
+
+// --- REQUEST COMPOSER ---
+// Postman-like page for sending arbitrary requests to the mock server root (the same root
+// Try it uses). Method, path, query parameters, headers and a Monaco body editor; {{name}}
+// placeholders are filled from the active environment. Requests can be saved by name, and
+// every send is kept in an IndexedDB history together with the journal entry it produced,
+// so the request log opens straight to it.
+
+const COMPOSER_DB_NAME = 'imock-request-composer';
+const COMPOSER_SAVED_STORE = 'saved';
+const COMPOSER_HISTORY_STORE = 'history';
+const COMPOSER_HISTORY_LIMIT = 100;
+const COMPOSER_BODY_LIMIT = 64 * 1024;
+const COMPOSER_ENV_KEY = 'imock-composer-environments';
+const COMPOSER_DEFAULT_ENV = 'Default';
+const COMPOSER_METHODS_WITHOUT_BODY = ['GET', 'HEAD'];
+
+const createComposerDraft = (overrides = {}) => {
+    return {
+        method: 'GET',
+        path: '/',
+        query: [],
+        headers: [],
+        body: '',
+        ...overrides
+    };
+};
+
+window.RequestComposer = {
+    draft: createComposerDraft(),
+    saved: [],
+    history: [],
+    lastResult: null,
+    _busy: false,
+    _db: null,
+    _bodyEditor: null, // Monaco editor, or null while the plain textarea is used
+
+    _getDb() {
+        if (!this._db) {
+            this._db = window.createIndexedDbStore({
+                name: COMPOSER_DB_NAME,
+                version: 1,
+                stores: {
+                    [COMPOSER_SAVED_STORE]: { keyPath: 'name' },
+                    [COMPOSER_HISTORY_STORE]: {
+                        keyPath: 'seq',
+                        autoIncrement: true,
+                        indexes: [{ name: 'baseUrl', keyPath: 'baseUrl' }]
+                    }
+                }
+            });
+        }
+        return this._db;
+    },
+
+    // --- Environments: named sets of {{variables}}, kept in localStorage ---
+
+    loadEnvironments() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(COMPOSER_ENV_KEY) || 'null');
+            if (stored?.environments && typeof stored.environments === 'object') {
+                const active = stored.environments[stored.active] ? stored.active : Object.keys(stored.environments)[0];
+                return { active: active || COMPOSER_DEFAULT_ENV, environments: stored.environments };
+            }
+        } catch (error) {
+            Logger.warn('STORAGE', 'Composer environments are corrupted, starting over:', error);
+        }
+        return { active: COMPOSER_DEFAULT_ENV, environments: { [COMPOSER_DEFAULT_ENV]: {} } };
+    },
+
+    saveEnvironments(state) {
+        localStorage.setItem(COMPOSER_ENV_KEY, JSON.stringify(state));
+    },
+
+    getVariables() {
+        const state = this.loadEnvironments();
+        return state.environments[state.active] || {};
+    },
+
+    /**
+     * Parse `name=value` lines; blank lines and # comments are skipped.
+     */
+    parseVariables(text) {
+        const variables = {};
+        String(text || '').split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+            const separator = trimmed.indexOf('=');
+            if (separator <= 0) return;
+            variables[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+        });
+        return variables;
+    },
+
+    formatVariables(variables) {
+        return Object.entries(variables || {}).map(([name, value]) => `${name}=${value}`).join('\n');
+    },
+
+    setVariables(variables) {
+        const state = this.loadEnvironments();
+        state.environments[state.active] = variables;
+        this.saveEnvironments(state);
+    },
+
+    selectEnvironment(name) {
+        const state = this.loadEnvironments();
+        if (!name) return;
+        if (!state.environments[name]) state.environments[name] = {};
+        state.active = name;
+        this.saveEnvironments(state);
+        this.renderEnvironment();
+    },
+
+    /**
+     * Replace {{name}} placeholders; names without a value stay as they are and are reported.
+     * @returns {{text: string, missing: string[]}}
+     */
+    substitute(text, variables = this.getVariables()) {
+        const missing = [];
+        const result = String(text ?? '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => {
+            if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+            if (!missing.includes(name)) missing.push(name);
+            return placeholder;
+        });
+        return { text: result, missing };
+    },
+
+    /**
+     * The draft as it will be sent: variables filled in, disabled rows left out.
+     * @returns {{method: string, path: string, url: string, headers: Object, body: string|null, missing: string[]}}
+     */
+    resolve(draft = this.draft, variables = this.getVariables()) {
+        const missing = new Set();
+        const fill = (value) => {
+            const { text, missing: names } = this.substitute(value, variables);
+            names.forEach(name => missing.add(name));
+            return text;
+        };
+        const active = rows => (rows || []).filter(row => row.enabled !== false && String(row.name || '').trim());
+
+        const method = String(draft.method || 'GET').toUpperCase();
+        let path = fill(draft.path || '/');
+        if (!path.startsWith('/')) path = `/${path}`;
+        const query = active(draft.query).map(row => `${encodeURIComponent(fill(row.name))}=${encodeURIComponent(fill(row.value))}`);
+        if (query.length > 0) {
+            path += `${path.includes('?') ? '&' : '?'}${query.join('&')}`;
+        }
+
+        const headers = {};
+        active(draft.headers).forEach(row => {
+            headers[fill(row.name).trim()] = fill(row.value);
+        });
+        const body = COMPOSER_METHODS_WITHOUT_BODY.includes(method) || !draft.body ? null : fill(draft.body);
+
+        return { method, path, url: `${window.MappingTryIt.getRootUrl()}${path}`, headers, body, missing: Array.from(missing) };
+    },
+
+    /**
+     * Send the draft, record it in the history and link it to its journal entry.
+     * @returns {Promise<Object>} The history record
+     */
+    async send(draft = this.draft) {
+        const resolved = this.resolve(draft);
+        const { headers, tag } = window.MappingTryIt.tagRequest(resolved.headers);
+        const startedAt = performance.now();
+        const response = await fetch(resolved.url, {
+            method: resolved.method,
+            headers,
+            body: resolved.body ?? undefined
+        });
+        const body = await response.text();
+        const latency = Math.round(performance.now() - startedAt);
+
+        let journalEntry = null;
+        try {
+            journalEntry = await window.MappingTryIt.findJournalEntry(tag);
+        } catch (error) {
+            Logger.warn('REQUESTS', 'Composer: request journal unavailable:', error);
+        }
+
+        const record = {
+            baseUrl: window.wiremockBaseUrl || '',
+            sentAt: Date.now(),
+            draft: JSON.parse(JSON.stringify(draft)),
+            request: { method: resolved.method, url: resolved.url, headers: resolved.headers, body: resolved.body },
+            status: response.status,
+            statusText: response.statusText,
+            latency,
+            responseHeaders: Object.fromEntries(response.headers.entries()),
+            responseBody: body.length > COMPOSER_BODY_LIMIT ? body.slice(0, COMPOSER_BODY_LIMIT) : body,
+            truncated: body.length > COMPOSER_BODY_LIMIT,
+            journalId: journalEntry?.id || null,
+            matchedStub: journalEntry?.stubMapping ? { id: journalEntry.stubMapping.id, name: journalEntry.stubMapping.name } : null
+        };
+        await this._recordHistory(record);
+        return record;
+    },
+
+    async _recordHistory(record) {
+        try {
+            const db = this._getDb();
+            record.seq = await db.put(COMPOSER_HISTORY_STORE, record);
+            const history = await this.listHistory();
+            await Promise.all(history.slice(COMPOSER_HISTORY_LIMIT).map(old => db.delete(COMPOSER_HISTORY_STORE, old.seq)));
+        } catch (error) {
+            // A send must not fail because history could not be written
+            Logger.error('STORAGE', 'Failed to record composer history:', error);
+        }
+    },
+
+    /**
+     * History on the current server, newest first.
+     */
+    async listHistory() {
+        const records = await this._getDb().getAll(COMPOSER_HISTORY_STORE, { index: 'baseUrl', value: window.wiremockBaseUrl || '' });
+        return records.sort((a, b) => b.seq - a.seq);
+    },
+
+    async clearHistory() {
+        const history = await this.listHistory();
+        await Promise.all(history.map(record => this._getDb().delete(COMPOSER_HISTORY_STORE, record.seq)));
+        await this.refreshLists();
+    },
+
+    async listSaved() {
+        const records = await this._getDb().getAll(COMPOSER_SAVED_STORE);
+        return records.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async saveDraft(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return null;
+        const record = { name: trimmed, savedAt: Date.now(), draft: JSON.parse(JSON.stringify(this._readDraft())) };
+        await this._getDb().put(COMPOSER_SAVED_STORE, record);
+        await this.refreshLists();
+        return record;
+    },
+
+    async deleteSaved(name) {
+        await this._getDb().delete(COMPOSER_SAVED_STORE, name);
+        await this.refreshLists();
+    },
+
+    loadDraft(draft) {
+        this.draft = createComposerDraft(JSON.parse(JSON.stringify(draft || {})));
+        this.render();
+    },
+
+    /**
+     * Show the journal entry a send produced in the request log.
+     */
+    async openInRequestLog(journalId) {
+        if (!journalId) return;
+        window.showPage('requests', document.querySelector('[onclick*="showPage(\'requests\'"]'));
+        await window.fetchAndRenderRequests();
+        const list = document.getElementById(SELECTORS.LISTS.REQUESTS);
+        const card = Array.from(list?.querySelectorAll('.request-card') || []).find(item => item.dataset.id === journalId);
+        if (!card) {
+            NotificationManager.warning('That request is no longer in the loaded request log');
+            return;
+        }
+        card.scrollIntoView({ block: 'center' });
+        if (!card.classList.contains('is-expanded')) {
+            window.EventDelegation?.handleToggleDetails(journalId, 'request', card);
+        }
+    },
+
+    async run() {
+        if (this._busy) return;
+        const draft = this._readDraft();
+        const { missing } = this.resolve(draft);
+        if (missing.length > 0) {
+            NotificationManager.warning(`No value for ${missing.map(name => `{{${name}}}`).join(', ')} in the "${this.loadEnvironments().active}" environment`);
+        }
+        this._busy = true;
+        this.renderResponse();
+        try {
+            this.lastResult = await this.send(draft);
+        } catch (error) {
+            Logger.error('REQUESTS', 'Composer request failed:', error);
+            this.lastResult = { error: `${error.message}. Is the server reachable, with CORS enabled for stubs (--enable-stub-cors)?` };
+        } finally {
+            this._busy = false;
+            this.renderResponse();
+            await this.refreshLists();
+        }
+    },
+
+    // --- Rendering ---
+
+    _getBody() {
+        if (this._bodyEditor) return this._bodyEditor.getValue();
+        return document.getElementById('composer-body-fallback')?.value ?? this.draft.body;
+    },
+
+    _setBody(text) {
+        if (this._bodyEditor) {
+            if (this._bodyEditor.getValue() !== text) this._bodyEditor.setValue(text);
+            return;
+        }
+        const textarea = document.getElementById('composer-body-fallback');
+        if (textarea) textarea.value = text;
+    },
+
+    // Body language follows the Content-Type header
+    _bodyLanguage() {
+        const contentType = (this.draft.headers.find(row => String(row.name).toLowerCase() === 'content-type')?.value || '').toLowerCase();
+        if (contentType.includes('json')) return 'json';
+        if (contentType.includes('xml')) return 'xml';
+        return 'plaintext';
+    },
+
+    /**
+     * Swap the plain textarea for Monaco once it has loaded; offline the textarea stays.
+     */
+    async _mountBodyEditor() {
+        const container = document.getElementById('composer-body-editor');
+        if (!container || this._bodyEditor || !window.MonacoLoader) return;
+        try {
+            await window.MonacoLoader.load();
+            const body = this._getBody();
+            container.innerHTML = '';
+            this._bodyEditor = monaco.editor.create(container, {
+                value: body,
+                language: this._bodyLanguage(),
+                theme: document.body.getAttribute('data-theme') === 'light' ? 'vs' : 'vs-dark',
+                automaticLayout: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                fontSize: 13
+            });
+        } catch (error) {
+            Logger.warn('UI', 'Monaco unavailable, the composer keeps the plain body editor:', error);
+        }
+    },
+
+    _readDraft() {
+        const method = document.getElementById('composer-method');
+        const pathInput = document.getElementById('composer-path');
+        if (method) this.draft.method = method.value;
+        if (pathInput) this.draft.path = pathInput.value;
+        this.draft.body = this._getBody();
+        return this.draft;
+    },
+
+    _renderRows(kind) {
+        const container = document.getElementById(`composer-${kind}`);
+        if (!container) return;
+        const escape = Utils.escapeHtml;
+        const rows = this.draft[kind];
+        container.innerHTML = rows.length === 0
+            ? `<p class="composer-empty">No ${kind === 'query' ? 'query parameters' : 'headers'}</p>`
+            : rows.map((row, index) => `
+                <div class="composer-row" data-composer-kind="${kind}" data-composer-index="${index}">
+                    <input type="checkbox" data-composer-field="enabled"${row.enabled !== false ? ' checked' : ''} aria-label="Send this row">
+                    <input type="text" class="form-input" data-composer-field="name" value="${escape(row.name || '')}" placeholder="Name">
+                    <input type="text" class="form-input" data-composer-field="value" value="${escape(row.value || '')}" placeholder="Value">
+                    <button type="button" class="btn btn-secondary btn-ghost btn-sm" data-composer-remove aria-label="Remove">×</button>
+                </div>`).join('');
+    },
+
+    renderEnvironment() {
+        const select = document.getElementById('composer-env');
+        const textarea = document.getElementById('composer-env-vars');
+        const state = this.loadEnvironments();
+        const escape = Utils.escapeHtml;
+        if (select) {
+            select.innerHTML = Object.keys(state.environments)
+                .map(name => `<option value="${escape(name)}"${name === state.active ? ' selected' : ''}>${escape(name)}</option>`)
+                .join('');
+        }
+        if (textarea) textarea.value = this.formatVariables(state.environments[state.active]);
+    },
+
+    renderResponse() {
+        const container = document.getElementById('composer-response');
+        const sendButton = document.getElementById('composer-send');
+        if (sendButton) sendButton.disabled = this._busy;
+        if (!container) return;
+
+        const escape = Utils.escapeHtml;
+        const result = this.lastResult;
+        if (this._busy) {
+            container.innerHTML = '<p class="composer-empty">Sending…</p>';
+        } else if (!result) {
+            container.innerHTML = '<p class="composer-empty">Send a request to see the response</p>';
+        } else if (result.error) {
+            container.innerHTML = `<p class="try-it-warning">${escape(result.error)}</p>`;
+        } else {
+            const headers = Object.entries(result.responseHeaders || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+            const stub = result.matchedStub
+                ? `<span class="badge badge-info" title="Stub that answered">${escape(result.matchedStub.name || result.matchedStub.id)}</span>`
+                : '';
+            container.innerHTML = `
+                <div class="try-it-line">
+                    <span class="badge ${result.status < 400 ? 'badge-success' : 'badge-danger'}">${escape(result.status)} ${escape(result.statusText || '')}</span>
+                    <span class="badge badge-secondary">${result.latency} ms</span>
+                    ${stub}
+                    ${result.journalId ? `<button type="button" class="btn btn-secondary btn-sm" data-composer-log="${escape(result.journalId)}">Open in request log</button>` : ''}
+                </div>
+                ${headers ? `<pre class="try-it-pre">${escape(headers)}</pre>` : ''}
+                <pre class="try-it-pre">${escape(result.responseBody || '(empty body)')}${result.truncated ? '\n…' : ''}</pre>`;
+        }
+    },
+
+    async refreshLists() {
+        try {
+            [this.saved, this.history] = await Promise.all([this.listSaved(), this.listHistory()]);
+        } catch (error) {
+            Logger.error('STORAGE', 'Failed to load composer history:', error);
+        }
+        this.renderLists();
+    },
+
+    renderLists() {
+        const savedList = document.getElementById('composer-saved');
+        const historyList = document.getElementById('composer-history');
+        const escape = Utils.escapeHtml;
+
+        if (savedList) {
+            savedList.innerHTML = this.saved.length === 0
+                ? '<li class="composer-empty">No saved requests</li>'
+                : this.saved.map(record => `
+                    <li class="composer-list-row" data-composer-saved="${escape(record.name)}">
+                        <button type="button" class="composer-list-label" data-composer-action="load-saved" title="Load">
+                            <span class="method-badge ${escape(String(record.draft.method).toLowerCase())}">${escape(record.draft.method)}</span>
+                            ${escape(record.name)}
+                        </button>
+                        <button type="button" class="btn btn-secondary btn-ghost btn-sm" data-composer-action="delete-saved" aria-label="Delete saved request">×</button>
+                    </li>`).join('');
+        }
+
+        if (historyList) {
+            historyList.innerHTML = this.history.length === 0
+                ? '<li class="composer-empty">Nothing sent yet</li>'
+                : this.history.map(record => `
+                    <li class="composer-list-row" data-composer-seq="${record.seq}">
+                        <button type="button" class="composer-list-label" data-composer-action="load-history" title="${escape(record.request.url)}">
+                            <span class="method-badge ${escape(record.request.method.toLowerCase())}">${escape(record.request.method)}</span>
+                            ${escape(record.draft.path)}
+                            <small>${escape(record.status)} · ${record.latency} ms · ${escape(new Date(record.sentAt).toLocaleTimeString())}</small>
+                        </button>
+                        ${record.journalId ? `<button type="button" class="btn btn-secondary btn-ghost btn-sm" data-composer-log="${escape(record.journalId)}" title="Open in request log">Log</button>` : ''}
+                    </li>`).join('');
+        }
+    },
+
+    render() {
+        const method = document.getElementById('composer-method');
+        const pathInput = document.getElementById('composer-path');
+        const root = document.getElementById('composer-root');
+        if (method) method.value = this.draft.method;
+        if (pathInput) pathInput.value = this.draft.path;
+        if (root) root.textContent = window.MappingTryIt.getRootUrl() || '(not connected)';
+        this._renderRows('query');
+        this._renderRows('headers');
+        this._setBody(this.draft.body);
+        if (this._bodyEditor) monaco.editor.setModelLanguage(this._bodyEditor.getModel(), this._bodyLanguage());
+        this.renderEnvironment();
+        this.renderResponse();
+    },
+
+    init() {
+        const page = document.getElementById('composer-page');
+        if (!page) return;
+
+        page.addEventListener('input', (event) => {
+            const row = event.target.closest('[data-composer-index]');
+            if (row) {
+                const entry = this.draft[row.dataset.composerKind][Number(row.dataset.composerIndex)];
+                const field = event.target.dataset.composerField;
+                if (entry && field) entry[field] = field === 'enabled' ? event.target.checked : event.target.value;
+                if (row.dataset.composerKind === 'headers' && this._bodyEditor) {
+                    monaco.editor.setModelLanguage(this._bodyEditor.getModel(), this._bodyLanguage());
+                }
+            }
+            if (event.target.id === 'composer-env-vars') {
+                this.setVariables(this.parseVariables(event.target.value));
+            }
+        });
+        page.addEventListener('change', (event) => {
+            if (event.target.dataset?.composerField === 'enabled') {
+                const row = event.target.closest('[data-composer-index]');
+                const entry = this.draft[row.dataset.composerKind][Number(row.dataset.composerIndex)];
+                if (entry) entry.enabled = event.target.checked;
+            }
+            if (event.target.id === 'composer-env') this.selectEnvironment(event.target.value);
+        });
+
+        page.addEventListener('click', async (event) => {
+            const target = event.target.closest('button');
+            if (!target) return;
+
+            if (target.dataset.composerAdd) {
+                this._readDraft();
+                this.draft[target.dataset.composerAdd].push({ name: '', value: '', enabled: true });
+                this._renderRows(target.dataset.composerAdd);
+            } else if (target.hasAttribute('data-composer-remove')) {
+                const row = target.closest('[data-composer-index]');
+                this.draft[row.dataset.composerKind].splice(Number(row.dataset.composerIndex), 1);
+                this._renderRows(row.dataset.composerKind);
+            } else if (target.dataset.composerLog) {
+                await this.openInRequestLog(target.dataset.composerLog);
+            } else if (target.dataset.composerAction === 'load-saved') {
+                const record = this.saved.find(item => item.name === target.closest('[data-composer-saved]').dataset.composerSaved);
+                if (record) this.loadDraft(record.draft);
+            } else if (target.dataset.composerAction === 'delete-saved') {
+                const name = target.closest('[data-composer-saved]').dataset.composerSaved;
+                if (confirm(`Delete the saved request "${name}"?`)) await this.deleteSaved(name);
+            } else if (target.dataset.composerAction === 'load-history') {
+                const record = this.history.find(item => String(item.seq) === target.closest('[data-composer-seq]').dataset.composerSeq);
+                if (record) {
+                    this.loadDraft(record.draft);
+                    this.lastResult = record;
+                    this.renderResponse();
+                }
+            }
+        });
+
+        document.getElementById('composer-send')?.addEventListener('click', () => this.run());
+        document.getElementById('composer-save')?.addEventListener('click', () => {
+            const name = prompt('Name for this request:', `${this._readDraft().method} ${this.draft.path}`);
+            if (name) this.saveDraft(name);
+        });
+        document.getElementById('composer-new-env')?.addEventListener('click', () => {
+            const name = prompt('Name of the new environment:');
+            if (name?.trim()) this.selectEnvironment(name.trim());
+        });
+        document.getElementById('composer-clear-history')?.addEventListener('click', () => {
+            if (confirm('Clear the composer history for this server?')) this.clearHistory();
+        });
+
+        window.addEventListener('page:shown', (event) => {
+            if (event.detail?.pageId !== 'composer') return;
+            this.render();
+            this.refreshLists();
+            this._mountBodyEditor();
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.RequestComposer.init());
@@ -67,6 +67,7 @@ window.fetchAndRenderRequests = async (requestsToRender = null, options = {}) =>
                 markDemoModeActive('manual-requests');
             }
         }
+        window.MappingHits?.onJournalLoaded();
 
         loadingState.classList.add('hidden');
 
@@ -321,11 +322,20 @@ window.openEditModal = async (identifier) => {
 window.deleteMapping = async (id) => {
     if (!confirm('Delete this mapping?')) return;
 
+    if (window.MappingToggle?.isDisabled(id)) {
+        await window.MappingToggle.discard(id);
+        NotificationManager.success('Mapping deleted!');
+        return;
+    }
+
+    const deleted = window.MappingsStore?.get(id);
+
     try {
         // API call FIRST
         await apiFetch(`/mappings/${id}`, { method: 'DELETE' });
 
         NotificationManager.success('Mapping deleted!');
+        window.MappingTrash?.add(deleted);
 
         // Update cache and UI with server confirmation
         removeMappingFromIndex(id);
@@ -251,6 +251,13 @@ window.loadScenarios = async () => {
     const emptyEl = document.getElementById('scenarios-empty');
     if (emptyEl) emptyEl.classList.add('hidden');
 
+    if (window.WireMockCapabilities && !window.WireMockCapabilities.supports('SCENARIOS')) {
+        allScenarios = [];
+        window.allScenarios = allScenarios;
+        renderScenarios();
+        return;
+    }
+
     setScenariosLoading(true);
 
     try {
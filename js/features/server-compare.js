@@ -0,0 +1,524 @@
+'use strict';
+
+// --- CROSS-SERVER COMPARE & PROMOTION ---
+// Loads /mappings from two WireMock instances, classifies every mapping by id and pushes
+// selected stubs from one side to the other (e.g. QA -> staging) without an export/import
+// round trip. Field-level differences come from performStructuralDiff in editor/json-worker.js.
+
+const COMPARE_STATUSES = ['changed', 'only-left', 'only-right', 'identical'];
+const COMPARE_STATUS_LABELS = {
+    'changed': 'Changed',
+    'only-left': 'Only left',
+    'only-right': 'Only right',
+    'identical': 'Identical'
+};
+// A diff the worker has not answered by then is treated as a failed worker
+const STRUCTURAL_DIFF_TIMEOUT_MS = 30000;
+
+// Server-assigned or UI-only fields that should not count as a difference between servers
+const stripVolatileMappingFields = (mapping) => {
+    const clean = { ...(mapping || {}) };
+    delete clean.uuid;
+    delete clean._pending;
+    delete clean._operation;
+    delete clean._deleted;
+    return clean;
+};
+
+const sortKeysForCompare = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(sortKeysForCompare);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+            acc[key] = sortKeysForCompare(value[key]);
+            return acc;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * Thin client around editor/json-worker.js. The worker cancels running tasks of the same
+ * type ("last wins"), so diff requests are chained instead of being sent in parallel.
+ * A worker that errors or stops answering is dropped and the queue restarts empty.
+ */
+const structuralDiffClient = {
+    worker: null,
+    unavailable: false,
+    queue: Promise.resolve(),
+    sequence: 0,
+
+    _ensureWorker() {
+        if (this.worker || this.unavailable) {
+            return this.worker;
+        }
+        if (typeof Worker === 'undefined') {
+            this.unavailable = true;
+            return null;
+        }
+        try {
+            this.worker = new Worker('editor/json-worker.js');
+        } catch (error) {
+            Logger.warn('COMPARE', 'Structural diff worker unavailable, falling back to equality check:', error);
+            this.unavailable = true;
+        }
+        return this.worker;
+    },
+
+    _run(leftText, rightText) {
+        const worker = this._ensureWorker();
+        if (!worker) {
+            return Promise.resolve(null);
+        }
+
+        const taskId = `compare-${++this.sequence}`;
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const cleanup = () => {
+                clearTimeout(timer);
+                worker.removeEventListener('message', onMessage);
+                worker.removeEventListener('error', onFailure);
+                worker.removeEventListener('messageerror', onFailure);
+            };
+            const onMessage = (event) => {
+                const data = event.data || {};
+                if (data.taskId !== taskId) return;
+                cleanup();
+                if (data.type === 'diff_complete') {
+                    resolve(data.result);
+                } else {
+                    Logger.warn('COMPARE', `Structural diff failed for ${taskId}:`, data.error || data.reason);
+                    resolve(null);
+                }
+            };
+            const onFailure = (event) => {
+                cleanup();
+                this.reset();
+                const reason = event?.type === 'timeout'
+                    ? `no answer within ${STRUCTURAL_DIFF_TIMEOUT_MS / 1000}s`
+                    : (event?.message || event?.type || 'unknown error');
+                Logger.error('COMPARE', `Structural diff worker failed for ${taskId}:`, reason);
+                reject(new Error(`Structural diff worker failed: ${reason}`));
+            };
+            timer = setTimeout(() => onFailure({ type: 'timeout' }), STRUCTURAL_DIFF_TIMEOUT_MS);
+            worker.addEventListener('message', onMessage);
+            worker.addEventListener('error', onFailure);
+            worker.addEventListener('messageerror', onFailure);
+            worker.postMessage({
+                type: 'diff',
+                taskId,
+                payload: { leftText, rightText, mode: 'structural', ignoreKeyOrder: true }
+            });
+        });
+    },
+
+    diff(left, right) {
+        const leftText = JSON.stringify(left);
+        const rightText = JSON.stringify(right);
+        const next = this.queue.then(() => this._run(leftText, rightText));
+        this.queue = next.catch(() => null);
+        return next;
+    },
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    },
+
+    // Drop a broken worker and any diffs queued behind it; the next diff starts a fresh one
+    reset() {
+        this.terminate();
+        this.queue = Promise.resolve();
+    }
+};
+
+window.ServerCompare = {
+    state: {
+        left: null,
+        right: null,
+        entries: [],
+        selected: new Set(),
+        statusFilter: 'all',
+        isComparing: false
+    },
+
+    /**
+     * Pair mappings from both servers by id and classify each pair.
+     * @param {Array} leftMappings - Mappings from the left server
+     * @param {Array} rightMappings - Mappings from the right server
+     * @param {Object} [options]
+     * @param {Function} [options.diff] - async (left, right) => structural diff result
+     * @returns {Promise<Array>} Entries with status, left, right and differences
+     */
+    async classifyMappings(leftMappings, rightMappings, { diff = (l, r) => structuralDiffClient.diff(l, r) } = {}) {
+        const isCache = typeof window.isImockCacheMapping === 'function' ? window.isImockCacheMapping : () => false;
+        const index = (list) => {
+            const map = new Map();
+            (Array.isArray(list) ? list : []).forEach((mapping) => {
+                const id = mapping?.id || mapping?.uuid;
+                if (id && !isCache(mapping)) {
+                    map.set(id, mapping);
+                }
+            });
+            return map;
+        };
+
+        const leftById = index(leftMappings);
+        const rightById = index(rightMappings);
+        const ids = new Set([...leftById.keys(), ...rightById.keys()]);
+        const entries = [];
+
+        for (const id of ids) {
+            const left = leftById.get(id) || null;
+            const right = rightById.get(id) || null;
+            const entry = { id, left, right, status: 'identical', differences: [] };
+
+            if (!right) {
+                entry.status = 'only-left';
+            } else if (!left) {
+                entry.status = 'only-right';
+            } else {
+                const leftClean = sortKeysForCompare(stripVolatileMappingFields(left));
+                const rightClean = sortKeysForCompare(stripVolatileMappingFields(right));
+                if (JSON.stringify(leftClean) !== JSON.stringify(rightClean)) {
+                    const result = await diff(leftClean, rightClean);
+                    const differences = Array.isArray(result?.differences) ? result.differences : null;
+                    // Without a worker result we still know the payloads differ
+                    entry.differences = differences || [{ path: '', type: 'value_change' }];
+                    entry.status = entry.differences.length > 0 ? 'changed' : 'identical';
+                }
+            }
+
+            const source = left || right;
+            entry.name = source.name || '';
+            entry.method = source.request?.method || 'ANY';
+            entry.url = source.request?.url || source.request?.urlPath || source.request?.urlPattern || source.request?.urlPathPattern || '';
+            entries.push(entry);
+        }
+
+        entries.sort((a, b) => COMPARE_STATUSES.indexOf(a.status) - COMPARE_STATUSES.indexOf(b.status)
+            || a.url.localeCompare(b.url));
+        return entries;
+    },
+
+    /**
+     * Resolve a compare side from its selector into a connection target.
+     * @param {string} side - 'left' or 'right'
+     */
+    resolveTarget(side) {
+        const select = document.getElementById(`compare-${side}-server`);
+        const urlInput = document.getElementById(`compare-${side}-url`);
+        const choice = select?.value || 'current';
+
+        if (choice === 'custom') {
+            const rawUrl = urlInput?.value.trim();
+            if (!rawUrl) {
+                throw new Error(`Enter a URL for the ${side} server`);
+            }
+            return {
+                label: rawUrl,
+                baseUrl: window.normalizeWiremockBaseUrl(rawUrl.replace(/\/__admin\/?$/, ''), ''),
+                // A typed-in URL gets none of the active connection's credentials
+                customHeaders: {},
+                auth: { authType: 'none' }
+            };
+        }
+
+        if (choice.startsWith('profile:')) {
+            const profile = window.ConnectionProfiles?.get(choice.slice('profile:'.length));
+            if (!profile) {
+                throw new Error('Selected connection profile no longer exists');
+            }
+            const settings = window.applyConnectionProfile({}, profile);
+            return {
+                label: profile.name,
+                baseUrl: window.normalizeWiremockBaseUrl(settings.host, settings.port),
+                customHeaders: settings.customHeaders || {},
+                auth: settings
+            };
+        }
+
+        return {
+            label: 'Current connection',
+            baseUrl: window.wiremockBaseUrl,
+            customHeaders: null
+        };
+    },
+
+    async _loadMappings(target) {
+        const data = await window.apiFetch(ENDPOINTS.MAPPINGS, {
+            baseUrl: target.baseUrl,
+            customHeaders: target.customHeaders || undefined,
+            auth: target.auth
+        });
+        return Array.isArray(data?.mappings) ? data.mappings : [];
+    },
+
+    async compare() {
+        if (this.state.isComparing) return;
+
+        let left, right;
+        try {
+            left = this.resolveTarget('left');
+            right = this.resolveTarget('right');
+        } catch (error) {
+            NotificationManager.error(error.message);
+            return;
+        }
+
+        if (left.baseUrl === right.baseUrl) {
+            NotificationManager.warning('Both sides point to the same server.');
+            return;
+        }
+
+        this.state.isComparing = true;
+        this._setBusy(true, `Loading mappings from ${left.label} and ${right.label}...`);
+
+        try {
+            const [leftMappings, rightMappings] = await Promise.all([
+                this._loadMappings(left),
+                this._loadMappings(right)
+            ]);
+
+            this._setBusy(true, 'Comparing mappings...');
+            const entries = await this.classifyMappings(leftMappings, rightMappings);
+
+            this.state.left = left;
+            this.state.right = right;
+            this.state.entries = entries;
+            this.state.selected.clear();
+
+            Logger.info('COMPARE', `Compared ${leftMappings.length} vs ${rightMappings.length} mappings`, this.summarize(entries));
+            this.render();
+        } catch (error) {
+            Logger.error('COMPARE', 'Server comparison failed:', error);
+            NotificationManager.error(`Comparison failed: ${error.message}`);
+        } finally {
+            this.state.isComparing = false;
+            this._setBusy(false);
+        }
+    },
+
+    summarize(entries = this.state.entries) {
+        return entries.reduce((acc, entry) => {
+            acc[entry.status] = (acc[entry.status] || 0) + 1;
+            return acc;
+        }, { 'changed': 0, 'only-left': 0, 'only-right': 0, 'identical': 0 });
+    },
+
+    /**
+     * Push the selected mappings from one side to the other, keeping their ids.
+     * @param {string} direction - 'left-to-right' or 'right-to-left'
+     */
+    async promote(direction) {
+        const toRight = direction === 'left-to-right';
+        const sourceKey = toRight ? 'left' : 'right';
+        const targetKey = toRight ? 'right' : 'left';
+        const target = this.state[targetKey];
+
+        const entries = this.state.entries.filter(entry =>
+            this.state.selected.has(entry.id) && entry[sourceKey] && entry.status !== 'identical');
+
+        if (!target || entries.length === 0) {
+            NotificationManager.info(`Select mappings that exist on the ${sourceKey} side first.`);
+            return null;
+        }
+
+        if (!confirm(`Push ${entries.length} mapping(s) to ${target.label}?`)) {
+            return null;
+        }
+
+        const results = { success: [], failed: [] };
+        this._setBusy(true, `Pushing ${entries.length} mapping(s) to ${target.label}...`);
+
+        for (const entry of entries) {
+            const payload = stripVolatileMappingFields(entry[sourceKey]);
+            const exists = Boolean(entry[targetKey]);
+            try {
+                await window.apiFetch(exists ? `${ENDPOINTS.MAPPINGS}/${encodeURIComponent(entry.id)}` : ENDPOINTS.MAPPINGS, {
+                    method: exists ? 'PUT' : 'POST',
+                    body: JSON.stringify(payload),
+                    baseUrl: target.baseUrl,
+                    customHeaders: target.customHeaders || undefined,
+                    auth: target.auth
+                });
+                results.success.push(entry.id);
+            } catch (error) {
+                Logger.error('COMPARE', `Failed to push mapping ${entry.id}:`, error);
+                results.failed.push({ id: entry.id, error: error.message });
+            }
+        }
+
+        this._setBusy(false);
+        Logger.info('COMPARE', `Promotion complete: ${results.success.length} pushed, ${results.failed.length} failed`);
+
+        if (results.failed.length === 0) {
+            NotificationManager.success(`Pushed ${results.success.length} mapping(s) to ${target.label}`);
+        } else {
+            NotificationManager.warning(`Pushed ${results.success.length} mapping(s), ${results.failed.length} failed`);
+        }
+
+        // Keep the main mappings list honest when the target is the active connection
+        if (target.baseUrl === window.wiremockBaseUrl && typeof window.SyncEngine?.fullSync === 'function') {
+            window.SyncEngine.fullSync({ background: true }).catch(error => {
+                Logger.warn('COMPARE', 'Background sync after promotion failed:', error);
+            });
+        }
+
+        await this.compare();
+        return results;
+    },
+
+    toggleSelection(id, selected) {
+        if (selected) {
+            this.state.selected.add(id);
+        } else {
+            this.state.selected.delete(id);
+        }
+        this._updateToolbar();
+    },
+
+    selectVisible(selected) {
+        this._visibleEntries()
+            .filter(entry => entry.status !== 'identical')
+            .forEach(entry => this.toggleSelection(entry.id, selected));
+        this.render();
+    },
+
+    setStatusFilter(status) {
+        this.state.statusFilter = status || 'all';
+        this.render();
+    },
+
+    _visibleEntries() {
+        const filter = this.state.statusFilter;
+        return filter === 'all' ? this.state.entries : this.state.entries.filter(entry => entry.status === filter);
+    },
+
+    _setBusy(isBusy, message = '') {
+        const status = document.getElementById('compare-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('hidden', !isBusy);
+        }
+        document.querySelectorAll('[data-compare-action]').forEach((button) => {
+            button.disabled = isBusy;
+        });
+    },
+
+    _updateToolbar() {
+        const counter = document.getElementById('compare-selected-count');
+        if (counter) {
+            counter.textContent = `${this.state.selected.size} selected`;
+        }
+    },
+
+    renderServerOptions() {
+        const profiles = window.ConnectionProfiles?.list() || [];
+        const escape = Utils.escapeHtml;
+        ['left', 'right'].forEach((side) => {
+            const select = document.getElementById(`compare-${side}-server`);
+            if (!select) return;
+            const previous = select.value;
+            select.innerHTML = [
+                '<option value="current">Current connection</option>',
+                ...profiles.map(profile => `<option value="profile:${escape(profile.id)}">${escape(profile.name)}</option>`),
+                '<option value="custom">Custom URL…</option>'
+            ].join('');
+            const stillExists = Array.from(select.options || []).some(option => option.value === previous);
+            select.value = stillExists ? previous : (side === 'right' && profiles[0] ? `profile:${profiles[0].id}` : 'current');
+            this._syncUrlInput(side);
+        });
+    },
+
+    _syncUrlInput(side) {
+        const select = document.getElementById(`compare-${side}-server`);
+        const urlInput = document.getElementById(`compare-${side}-url`);
+        if (urlInput) {
+            urlInput.classList.toggle('hidden', select?.value !== 'custom');
+        }
+    },
+
+    _renderDifferences(entry) {
+        if (entry.status !== 'changed') return '';
+        const escape = Utils.escapeHtml;
+        const format = (value) => {
+            if (value === undefined) return '—';
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return escape(text && text.length > 120 ? `${text.slice(0, 117)}...` : String(text));
+        };
+        const items = entry.differences.slice(0, 50).map(diff => `
+            <li><code>${escape(diff.path || '(root)')}</code> <span class="compare-diff-type">${escape(diff.type)}</span>
+                <span class="compare-diff-values">${format(diff.left ?? diff.leftValue)} → ${format(diff.right ?? diff.rightValue)}</span></li>`).join('');
+        const more = entry.differences.length > 50 ? `<li>…and ${entry.differences.length - 50} more</li>` : '';
+        return `<details class="compare-diff"><summary>${entry.differences.length} difference(s)</summary><ul>${items}${more}</ul></details>`;
+    },
+
+    render() {
+        const summary = document.getElementById('compare-summary');
+        const container = document.getElementById('compare-results');
+        if (!container) return;
+
+        const { left, right } = this.state;
+        const counts = this.summarize();
+        const escape = Utils.escapeHtml;
+
+        if (summary) {
+            summary.innerHTML = left && right
+                ? COMPARE_STATUSES.map(status => `<span class="compare-badge compare-badge--${status}">${COMPARE_STATUS_LABELS[status]}: ${counts[status]}</span>`).join('')
+                : '';
+        }
+
+        const visible = this._visibleEntries();
+        if (!left || !right) {
+            container.innerHTML = '<div class="empty-state"><p>Choose two servers and run a comparison.</p></div>';
+        } else if (visible.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No mappings in this category.</p></div>';
+        } else {
+            container.innerHTML = visible.map(entry => `
+                <div class="compare-row compare-row--${entry.status}" data-compare-id="${escape(entry.id)}">
+                    <input type="checkbox" class="compare-select" aria-label="Select mapping"
+                        ${this.state.selected.has(entry.id) ? 'checked' : ''} ${entry.status === 'identical' ? 'disabled' : ''}>
+                    <span class="compare-badge compare-badge--${entry.status}">${COMPARE_STATUS_LABELS[entry.status]}</span>
+                    <span class="badge-soft" data-method="${escape(entry.method)}">${escape(entry.method)}</span>
+                    <div class="compare-row-main">
+                        <div class="compare-row-url">${escape(entry.url || '(no url)')}</div>
+                        <small>${escape(entry.name || entry.id)}</small>
+                        ${this._renderDifferences(entry)}
+                    </div>
+                </div>`).join('');
+        }
+
+        this._updateToolbar();
+    },
+
+    init() {
+        ['left', 'right'].forEach((side) => {
+            document.getElementById(`compare-${side}-server`)?.addEventListener('change', () => this._syncUrlInput(side));
+        });
+
+        document.getElementById('compare-status-filter')?.addEventListener('change', (event) => {
+            this.setStatusFilter(event.target.value);
+        });
+
+        document.getElementById('compare-results')?.addEventListener('change', (event) => {
+            if (!event.target.classList?.contains('compare-select')) return;
+            const row = event.target.closest('[data-compare-id]');
+            if (row) {
+                this.toggleSelection(row.dataset.compareId, event.target.checked);
+            }
+        });
+
+        window.addEventListener('connection-profiles:changed', () => this.renderServerOptions());
+
+        this.renderServerOptions();
+        this.render();
+    }
+};
+
+window.ServerCompare._diffClient = structuralDiffClient;
+
+document.addEventListener('DOMContentLoaded', () => window.ServerCompare.init());
@@ -0,0 +1,305 @@
+'use strict';
+
+// --- SERVER DISCOVERY ---
+// "Scan" action of the onboarding overlay: probes a list of hosts and ports for a WireMock
+// admin API and lists the ones that answer, plus servers connected to before. Probes use
+// plain fetch with a short timeout because apiFetch would retry refused connections and
+// wait for the full request timeout on filtered ports.
+
+const DISCOVERY_STORAGE_KEY = 'imock-server-discovery';
+const DISCOVERY_DEFAULT_HOSTS = 'localhost';
+const DISCOVERY_DEFAULT_PORTS = '8080-8099, 9090';
+const DISCOVERY_MAX_TARGETS = 256;
+const DISCOVERY_PROBE_TIMEOUT_MS = 1500;
+const DISCOVERY_CONCURRENCY = 8;
+const DISCOVERY_RECENT_LIMIT = 8;
+
+/**
+ * Parse "8080-8099, 9090" into a list of unique ports.
+ * @param {string} spec - Comma or space separated ports and ranges
+ * @returns {number[]}
+ */
+const parseDiscoveryPorts = (spec) => {
+    const ports = new Set();
+    String(spec || '').split(/[\s,]+/).filter(Boolean).forEach((part) => {
+        const range = part.match(/^(\d+)-(\d+)$/);
+        const [from, to] = range ? [Number(range[1]), Number(range[2])] : [Number(part), Number(part)];
+        if (!Number.isInteger(from) || !Number.isInteger(to)) return;
+        for (let port = Math.max(1, Math.min(from, to)); port <= Math.min(65535, Math.max(from, to)); port++) {
+            ports.add(port);
+            if (ports.size >= DISCOVERY_MAX_TARGETS) return;
+        }
+    });
+    return Array.from(ports);
+};
+
+const parseDiscoveryHosts = (spec) => {
+    return Array.from(new Set(String(spec || '').split(/[\s,]+/).map(host => host.trim()).filter(Boolean)));
+};
+
+window.ServerDiscovery = {
+    results: [],
+    isScanning: false,
+    _controller: null,
+
+    _read() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(DISCOVERY_STORAGE_KEY) || '{}');
+            return {
+                hosts: typeof parsed.hosts === 'string' ? parsed.hosts : DISCOVERY_DEFAULT_HOSTS,
+                ports: typeof parsed.ports === 'string' ? parsed.ports : DISCOVERY_DEFAULT_PORTS,
+                recent: Array.isArray(parsed.recent) ? parsed.recent.filter(entry => entry && entry.host) : []
+            };
+        } catch (error) {
+            Logger.warn('UI', 'Failed to read server discovery state, using defaults:', error);
+            return { hosts: DISCOVERY_DEFAULT_HOSTS, ports: DISCOVERY_DEFAULT_PORTS, recent: [] };
+        }
+    },
+
+    _write(changes) {
+        const state = { ...this._read(), ...changes };
+        localStorage.setItem(DISCOVERY_STORAGE_KEY, JSON.stringify(state));
+        return state;
+    },
+
+    getRecent() {
+        return this._read().recent;
+    },
+
+    /**
+     * Remember a server the user connected to; the most recent one comes first.
+     */
+    remember(host, port) {
+        const cleanHost = String(host || '').trim();
+        if (!cleanHost) return;
+        const cleanPort = String(port || '').trim();
+        const recent = this.getRecent().filter(entry => !(entry.host === cleanHost && String(entry.port || '') === cleanPort));
+        recent.unshift({ host: cleanHost, port: cleanPort, lastUsedAt: Date.now() });
+        this._write({ recent: recent.slice(0, DISCOVERY_RECENT_LIMIT) });
+        this.renderRecent();
+    },
+
+    forget(host, port) {
+        this._write({ recent: this.getRecent().filter(entry => !(entry.host === host && String(entry.port || '') === String(port || ''))) });
+        this.renderRecent();
+    },
+
+    async _getJson(url, signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        const timeoutId = setTimeout(abort, DISCOVERY_PROBE_TIMEOUT_MS);
+        signal?.addEventListener('abort', abort, { once: true });
+        try {
+            const response = await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abort);
+        }
+    },
+
+    /**
+     * Probe one host/port. Resolves to null when nothing WireMock-like answers.
+     * @returns {Promise<{host: string, port: string, baseUrl: string, version: string|null, mappingCount: number|null}|null>}
+     */
+    async probe(host, port, signal) {
+        const baseUrl = window.normalizeWiremockBaseUrl(host, String(port));
+        let health;
+        try {
+            health = await this._getJson(`${baseUrl}${ENDPOINTS.HEALTH}`, signal);
+        } catch {
+            return null;
+        }
+
+        // Version and mapping count are best effort; older servers lack /version
+        const [version, mappingCount] = await Promise.all([
+            health?.version
+                ? Promise.resolve(health.version)
+                : this._getJson(`${baseUrl}/version`, signal).then(data => data?.version || null).catch(() => null),
+            this._getJson(`${baseUrl}${ENDPOINTS.MAPPINGS}?limit=1`, signal)
+                .then(data => (Number.isFinite(data?.meta?.total) ? data.meta.total : null))
+                .catch(() => null)
+        ]);
+
+        return { host, port: String(port), baseUrl, version, mappingCount };
+    },
+
+    /**
+     * Probe every host × port combination with bounded concurrency.
+     * @param {Object} [options]
+     * @param {string} [options.hosts] - Host list, defaults to the saved one
+     * @param {string} [options.ports] - Port list and ranges, defaults to the saved one
+     * @param {Function} [options.onResult] - Called with each responding server
+     * @returns {Promise<Array>} Responding servers in probe order
+     */
+    async scan({ hosts, ports, onResult } = {}) {
+        if (this.isScanning) {
+            return this.results;
+        }
+
+        const saved = this._read();
+        const hostSpec = hosts ?? saved.hosts;
+        const portSpec = ports ?? saved.ports;
+        this._write({ hosts: hostSpec, ports: portSpec });
+
+        const targets = [];
+        parseDiscoveryHosts(hostSpec).forEach((host) => {
+            parseDiscoveryPorts(portSpec).forEach(port => targets.push({ host, port }));
+        });
+        targets.splice(DISCOVERY_MAX_TARGETS);
+
+        this.isScanning = true;
+        this.results = [];
+        this._controller = new AbortController();
+        const { signal } = this._controller;
+        const found = new Array(targets.length);
+        let next = 0;
+
+        Logger.info('API', `Scanning ${targets.length} host/port combination(s) for WireMock`);
+
+        const worker = async () => {
+            while (next < targets.length && !signal.aborted) {
+                const index = next++;
+                const { host, port } = targets[index];
+                const result = await this.probe(host, port, signal);
+                if (result && !signal.aborted) {
+                    found[index] = result;
+                    this.results = found.filter(Boolean);
+                    Utils.safeCall(onResult, result);
+                }
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(DISCOVERY_CONCURRENCY, targets.length) }, worker));
+        } finally {
+            this.isScanning = false;
+            this._controller = null;
+        }
+
+        Logger.info('API', `Server scan finished: ${this.results.length} WireMock instance(s) found`);
+        return this.results;
+    },
+
+    cancel() {
+        this._controller?.abort();
+    },
+
+    /**
+     * Fill the onboarding form with a server and submit it, reusing its save & connect flow.
+     */
+    connectTo(host, port) {
+        const form = document.getElementById('onboarding-form');
+        const hostField = document.getElementById('onboarding-host');
+        const portField = document.getElementById('onboarding-port');
+        if (!form || !hostField) return;
+
+        hostField.value = host;
+        if (portField) portField.value = port || '';
+        if (typeof form.requestSubmit === 'function') {
+            form.requestSubmit();
+        } else {
+            form.dispatchEvent(new Event('submit', { cancelable: true }));
+        }
+    },
+
+    _renderServerRow(server, action) {
+        const escape = Utils.escapeHtml;
+        const details = [
+            server.version ? `v${server.version}` : null,
+            Number.isFinite(server.mappingCount) ? `${server.mappingCount} mapping${server.mappingCount === 1 ? '' : 's'}` : null
+        ].filter(Boolean).join(' · ');
+        const label = server.port ? `${server.host}:${server.port}` : server.host;
+        return `
+            <li class="discovery-row" data-host="${escape(server.host)}" data-port="${escape(server.port || '')}">
+                <div class="discovery-info">
+                    <strong>${escape(label)}</strong>
+                    ${details ? `<small>${escape(details)}</small>` : ''}
+                </div>
+                <div class="discovery-actions">
+                    ${action === 'recent' ? '<button type="button" class="btn btn-secondary btn-sm" data-discovery-action="forget" title="Remove from recent servers">✕</button>' : ''}
+                    <button type="button" class="btn btn-primary btn-sm" data-discovery-action="connect">Connect</button>
+                </div>
+            </li>`;
+    },
+
+    renderResults(message = null) {
+        const container = document.getElementById('onboarding-scan-results');
+        if (!container) return;
+
+        if (this.results.length === 0) {
+            container.innerHTML = message ? `<p class="onboarding-hint">${Utils.escapeHtml(message)}</p>` : '';
+            return;
+        }
+        container.innerHTML = `<ul class="discovery-list">${this.results.map(server => this._renderServerRow(server, 'scan')).join('')}</ul>`;
+    },
+
+    renderRecent() {
+        const container = document.getElementById('onboarding-recent-servers');
+        if (!container) return;
+
+        const recent = this.getRecent();
+        container.classList.toggle('hidden', recent.length === 0);
+        container.innerHTML = recent.length
+            ? `<span class="onboarding-hint">Recent servers</span><ul class="discovery-list">${recent.map(server => this._renderServerRow(server, 'recent')).join('')}</ul>`
+            : '';
+    },
+
+    async runScanFromForm() {
+        const button = document.getElementById('onboarding-scan-btn');
+        if (this.isScanning) {
+            this.cancel();
+            return;
+        }
+
+        const hosts = document.getElementById('onboarding-scan-hosts')?.value;
+        const ports = document.getElementById('onboarding-scan-ports')?.value;
+        if (button) button.textContent = 'Stop';
+        this.renderResults('Scanning…');
+
+        try {
+            await this.scan({ hosts, ports, onResult: () => this.renderResults() });
+            this.renderResults('No WireMock server answered on those hosts and ports.');
+        } catch (error) {
+            Logger.error('API', 'Server scan failed:', error);
+            this.renderResults(`Scan failed: ${error.message}`);
+        } finally {
+            if (button) button.textContent = 'Scan';
+        }
+    },
+
+    init() {
+        const saved = this._read();
+        const hostsField = document.getElementById('onboarding-scan-hosts');
+        const portsField = document.getElementById('onboarding-scan-ports');
+        if (hostsField && !hostsField.value) hostsField.value = saved.hosts;
+        if (portsField && !portsField.value) portsField.value = saved.ports;
+
+        document.getElementById('onboarding-scan-btn')?.addEventListener('click', () => this.runScanFromForm());
+
+        const onListClick = (event) => {
+            const button = event.target.closest('[data-discovery-action]');
+            const row = button?.closest('[data-host]');
+            if (!row) return;
+            if (button.dataset.discoveryAction === 'forget') {
+                this.forget(row.dataset.host, row.dataset.port);
+            } else {
+                this.cancel();
+                this.connectTo(row.dataset.host, row.dataset.port);
+            }
+        };
+        document.getElementById('onboarding-scan-results')?.addEventListener('click', onListClick);
+        document.getElementById('onboarding-recent-servers')?.addEventListener('click', onListClick);
+
+        this.renderRecent();
+    }
+};
+
+window.parseDiscoveryPorts = parseDiscoveryPorts;
+
+document.addEventListener('DOMContentLoaded', () => window.ServerDiscovery.init());
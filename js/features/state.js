@@ -105,7 +105,9 @@ function refreshRequestTabSnapshot() {
         }
     }
 
-    async function fetchMappingsFromServer({ force = false } = {}) {
+    // `signal` and `onProgress` are handed to apiFetch for the request started by this call;
+    // callers that reuse an in-flight request get neither.
+    async function fetchMappingsFromServer({ force = false, signal, onProgress } = {}) {
         // If there's already an in-flight request, return it (deduplicate)
         if (mappingsFetchPromise) {
             if (!force) {
@@ -131,11 +133,11 @@ function refreshRequestTabSnapshot() {
 
         const requestPromise = (async () => {
             try {
-                const result = await window.apiFetch(window.ENDPOINTS.MAPPINGS);
+                const result = await window.apiFetch(window.ENDPOINTS.MAPPINGS, { signal, onProgress });
                 window._lastMappingsFetchTime = Date.now();
                 return result;
             } catch (error) {
-                if (window.DemoData?.isAvailable?.() && window.DemoData?.getMappingsPayload) {
+                if (!error.isCancelled && window.DemoData?.isAvailable?.() && window.DemoData?.getMappingsPayload) {
                     Logger.warn('STATE', 'Falling back to demo mappings because the WireMock API request failed.', error);
                     window.demoModeLastError = error;
                     markDemoModeActive('mappings-fallback');
@@ -153,6 +155,48 @@ function refreshRequestTabSnapshot() {
         return requestPromise;
     }
 
+    /**
+     * Page through /mappings with limit/offset instead of one large download.
+     * Mappings are de-duplicated by id because edits made meanwhile can shift the pages.
+     * @param {Object} [options]
+     * @param {number} [options.pageSize=500] - Mappings per request
+     * @param {AbortSignal} [options.signal] - Cancels the remaining pages
+     * @param {Function} [options.onPage] - Called with {mappings, loaded, total} after each page
+     * @returns {Promise<{mappings: Array, meta: {total: number}}>}
+     */
+    async function fetchMappingsPaged({ pageSize = 500, signal, onPage } = {}) {
+        const limit = Math.max(1, parseInt(pageSize, 10) || 500);
+        const collected = new Map();
+        let offset = 0;
+        let total = null;
+
+        for (;;) {
+            const data = await window.apiFetch(`${window.ENDPOINTS.MAPPINGS}?limit=${limit}&offset=${offset}`, { signal });
+            const page = Array.isArray(data?.mappings) ? data.mappings : [];
+            const reportedTotal = Number(data?.meta?.total);
+            if (Number.isFinite(reportedTotal)) {
+                total = reportedTotal;
+            }
+
+            page.forEach((mapping, index) => {
+                collected.set(mapping.id || mapping.uuid || `offset-${offset + index}`, mapping);
+            });
+            offset += page.length;
+
+            if (typeof onPage === 'function') {
+                onPage({ mappings: page, loaded: collected.size, total: total ?? collected.size });
+            }
+
+            // A server that ignores limit returns everything in the first response
+            if (page.length < limit || page.length > limit || (total !== null && offset >= total)) {
+                break;
+            }
+        }
+
+        window._lastMappingsFetchTime = Date.now();
+        return { mappings: Array.from(collected.values()), meta: { total: total ?? collected.size } };
+    }
+
     function updateOptimisticCache(mapping, operation, options = {}) {
         try {
             if (!mapping) {
@@ -258,6 +302,7 @@ function refreshRequestTabSnapshot() {
     state.refreshRequestTabSnapshot = refreshRequestTabSnapshot;
     state.removeMappingFromIndex = removeMappingFromIndex;
     state.fetchMappingsFromServer = fetchMappingsFromServer;
+    state.fetchMappingsPaged = fetchMappingsPaged;
     state.updateOptimisticCache = updateOptimisticCache;
 
     window.markDemoModeActive = markDemoModeActive;
@@ -269,6 +314,7 @@ function refreshRequestTabSnapshot() {
     window.refreshRequestTabSnapshot = refreshRequestTabSnapshot;
     window.removeMappingFromIndex = removeMappingFromIndex;
     window.fetchMappingsFromServer = fetchMappingsFromServer;
+    window.fetchMappingsPaged = fetchMappingsPaged;
     window.updateOptimisticCache = updateOptimisticCache;
 
     window.FeaturesState = state;
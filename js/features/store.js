@@ -31,6 +31,10 @@ window.MappingsStore = {
   // === PENDING OPERATIONS (Optimistic UI) ===
   pending: new Map(), // id → PendingOperation
 
+  // === DISABLED MAPPINGS ===
+  // Taken off the server but kept locally; never part of `items` or the indexes
+  disabled: new Map(), // id → Mapping (tagged `_disabled: true`)
+
   // === INDEXES FOR FAST LOOKUPS ===
   indexes: {
     byMethod: new Map(),    // 'GET' → Set<id>
@@ -43,7 +47,10 @@ window.MappingsStore = {
   stats: {
     totalMappings: 0,
     pendingOperations: 0,
+    disabledMappings: 0,
     lastSyncDuration: 0,
+    revision: 0,              // Bumped on every change so derived views can cache
+    requestsRevision: 0,      // Bumped whenever the request journal is replaced
   },
 
   // === REQUESTS STORE (for backward compatibility) ===
@@ -69,6 +76,7 @@ window.MappingsStore = {
         }
       });
     }
+    this.stats.requestsRevision += 1;
   },
 
   /**
@@ -97,7 +105,7 @@ window.MappingsStore = {
   },
 
   /**
-   * Get all mappings (excluding deleted)
+   * Get all mappings (excluding deleted), followed by the disabled ones
    */
   getAll() {
     const mappings = [];
@@ -125,6 +133,13 @@ window.MappingsStore = {
       }
     });
 
+    // Add disabled mappings unless the id is live on the server again
+    this.disabled.forEach((mapping, id) => {
+      if (!this.items.has(id) && !this.pending.has(id)) {
+        mappings.push(mapping);
+      }
+    });
+
     return mappings;
   },
 
@@ -138,7 +153,8 @@ window.MappingsStore = {
 
     mappings.forEach(mapping => {
       const id = mapping.id || mapping.uuid;
-      if (id) {
+      // Callers may pass getAll() back in; disabled copies stay out of the server set
+      if (id && !mapping._disabled) {
         this.items.set(id, mapping);
       }
     });
@@ -295,6 +311,57 @@ window.MappingsStore = {
     this._updateStats();
   },
 
+  /**
+   * Drop a pending operation and adopt the server copy (null when the mapping
+   * no longer exists on the server). Used when a local change loses a conflict.
+   */
+  discardPending(id, serverMapping = null) {
+    this.pending.delete(id);
+
+    if (serverMapping) {
+      this.items.set(id, serverMapping);
+      this._addToIndexes(id, serverMapping);
+    } else {
+      this.items.delete(id);
+      this._removeFromIndexes(id);
+    }
+
+    this._updateStats();
+  },
+
+  /**
+   * Replace the disabled mappings (e.g. after loading them for another server)
+   */
+  setDisabled(mappings = []) {
+    this.disabled.clear();
+    mappings.forEach(mapping => {
+      const id = mapping?.id || mapping?.uuid;
+      if (id) {
+        this.disabled.set(id, { ...mapping, _disabled: true });
+      }
+    });
+    this._updateStats();
+  },
+
+  /**
+   * Keep a mapping as disabled and drop it from the server set
+   */
+  addDisabled(mapping) {
+    const id = mapping?.id || mapping?.uuid;
+    if (!id) return;
+
+    this.disabled.set(id, { ...mapping, _disabled: true });
+    this.items.delete(id);
+    this._removeFromIndexes(id);
+    this._updateStats();
+  },
+
+  removeDisabled(id) {
+    if (this.disabled.delete(id)) {
+      this._updateStats();
+    }
+  },
+
   /**
    * Rebuild all indexes
    */
@@ -307,6 +374,9 @@ window.MappingsStore = {
       this._addToIndexes(id, mapping);
     });
 
+    // Callers rebuild after writing to `items` directly
+    this._updateStats();
+
     Logger.debug('STORE', `Rebuilt indexes for ${this.items.size} mappings`);
   },
 
@@ -458,6 +528,8 @@ window.MappingsStore = {
   _updateStats() {
     this.stats.totalMappings = this.items.size;
     this.stats.pendingOperations = this.pending.size;
+    this.stats.disabledMappings = this.disabled.size;
+    this.stats.revision += 1;
   },
 
 };
@@ -50,6 +50,7 @@ window.SyncEngine = {
   lastCacheHash: null,
   isIncrementalSyncing: false,
   isFullSyncing: false,
+  loadController: null,
 
   /**
    * Initialize sync engine
@@ -157,6 +158,10 @@ window.SyncEngine = {
       await this.fullSync({ background: true });
 
     } catch (error) {
+      if (error.isCancelled) {
+        Logger.info('SYNC', 'Cold start cancelled by user');
+        return;
+      }
       Logger.error('SYNC', 'Cold start failed:', error);
 
       // Fallback to direct full sync
@@ -195,15 +200,28 @@ window.SyncEngine = {
     window.MappingsStore.metadata.isSyncing = true;
     window.MappingsStore.metadata.syncStartTime = Date.now();
     const startTime = Date.now();
+    const controller = new AbortController();
+    this.loadController = controller;
 
     try {
-      // Fetch all mappings from server
-      const response = await this._fetchWithTimeout(
-        typeof window.fetchMappingsFromServer === 'function'
-          ? window.fetchMappingsFromServer({ force: true })
-          : fetch(`${window.wiremockBaseUrl}/mappings`).then(r => r.json()),
-        this.config.fullSyncTimeout
-      );
+      const pagedOptions = this._pagedLoadingOptions();
+      let response;
+      if (pagedOptions && typeof window.fetchMappingsPaged === 'function') {
+        // Every page has its own request timeout, so the whole run is not raced against one
+        response = await this._fetchPaged(pagedOptions, controller.signal);
+      } else {
+        // Fetch all mappings from server, streaming the body so the progress bar can follow it
+        response = await this._fetchWithTimeout(
+          typeof window.fetchMappingsFromServer === 'function'
+            ? window.fetchMappingsFromServer({
+              force: true,
+              signal: controller.signal,
+              onProgress: progress => this._renderLoadProgress(progress),
+            })
+            : fetch(`${window.wiremockBaseUrl}/mappings`, { signal: controller.signal }).then(r => r.json()),
+          this.config.fullSyncTimeout
+        );
+      }
 
       const mappings = response.mappings || [];
       const serverVersion = response.meta?.version || response.meta?.etag || null;
@@ -211,10 +229,7 @@ window.SyncEngine = {
       Logger.info('SYNC', `Received ${mappings.length} mappings from server`);
 
       // Filter out service cache mapping
-      const filteredMappings = mappings.filter(m => {
-        const id = m.id || m.uuid;
-        return id !== '00000000-0000-0000-0000-00000000cace' && !this._isServiceCacheMapping(m);
-      });
+      const filteredMappings = this._withoutServiceMappings(mappings);
 
       // Update store
       window.MappingsStore.setFromServer(filteredMappings, {
@@ -245,13 +260,36 @@ window.SyncEngine = {
       Logger.info('SYNC', `Full sync completed in ${duration}ms`);
 
     } catch (error) {
-      Logger.error('SYNC', 'Full sync failed:', error);
-      window.MappingsStore.metadata.syncError = error.message;
+      if (controller.signal.aborted && !error.isCancelled && error.name === 'AbortError') {
+        error.isCancelled = true;
+      }
+
+      if (error.isCancelled) {
+        // Keep whatever the store already shows (cache or previous sync) and clear the spinner
+        Logger.info('SYNC', 'Full sync cancelled by user');
+        window.PaginationManager?.clearServerTotal?.();
+        if (typeof window.fetchAndRenderMappings === 'function') {
+          window.fetchAndRenderMappings(window.MappingsStore.getAll(), { skipSyncCheck: true });
+        }
+        NotificationManager.info('Mappings load cancelled');
+      } else {
+        Logger.error('SYNC', 'Full sync failed:', error);
+        window.MappingsStore.metadata.syncError = error.message;
+      }
 
       if (!background) {
         throw error;
       }
     } finally {
+      // Also stops a download that outlived the sync timeout
+      if (this.loadController === controller) {
+        this.loadController = null;
+      }
+      if (!controller.signal.aborted) {
+        controller.abort();
+      }
+      this._hideLoadProgress();
+      window.PaginationManager?.clearServerTotal?.();
       this.isFullSyncing = false;
       window.MappingsStore.metadata.isSyncing = false;
       window.MappingsStore.metadata.syncStartTime = null;
@@ -259,6 +297,63 @@ window.SyncEngine = {
     }
   },
 
+  /**
+   * Paged loading settings, or null when mappings are fetched in one request
+   */
+  _pagedLoadingOptions() {
+    const settings = (typeof window.readWiremockSettings === 'function' ? window.readWiremockSettings() : null) || {};
+    if (settings.pagedMappingLoading !== true) {
+      return null;
+    }
+    const pageSize = parseInt(settings.mappingsPageSize || window.DEFAULT_SETTINGS?.mappingsPageSize, 10);
+    return { pageSize: Number.isFinite(pageSize) && pageSize > 0 ? pageSize : 500 };
+  },
+
+  /**
+   * Load mappings page by page. When the store starts empty each page is rendered as it
+   * arrives; otherwise the current mappings stay on screen until the full set is in.
+   */
+  async _fetchPaged({ pageSize }, signal) {
+    const progressive = window.MappingsStore.items.size === 0;
+    let isFirstPage = true;
+
+    return window.fetchMappingsPaged({
+      pageSize,
+      signal,
+      onPage: ({ mappings, loaded, total }) => {
+        window.PaginationManager?.setServerTotal?.(total, loaded);
+        this._renderLoadProgress({ items: loaded, totalItems: total });
+
+        if (!progressive) {
+          return;
+        }
+        const pageMappings = this._withoutServiceMappings(mappings);
+        if (isFirstPage) {
+          window.MappingsStore.setFromServer(pageMappings);
+          isFirstPage = false;
+        } else {
+          window.MappingsStore.applyChanges({ added: pageMappings });
+        }
+        if (typeof window.fetchAndRenderMappings === 'function') {
+          window.fetchAndRenderMappings(window.MappingsStore.getAll(), { source: 'direct', skipSyncCheck: true });
+        }
+      },
+    });
+  },
+
+  /**
+   * Cancel the mappings download of the running full sync, if any.
+   * @returns {boolean} Whether a download was cancelled
+   */
+  cancelLoad() {
+    if (!this.loadController || this.loadController.signal.aborted) {
+      return false;
+    }
+    Logger.info('SYNC', 'Cancelling mappings download');
+    this.loadController.abort();
+    return true;
+  },
+
   /**
    * Incremental sync - lightweight check for changes from other users
    * 
@@ -607,6 +702,13 @@ window.SyncEngine = {
     return id === '00000000-0000-0000-0000-00000000cace' || mapping.request?.url?.includes('/__imock/cache');
   },
 
+  _withoutServiceMappings(mappings) {
+    return mappings.filter(m => {
+      const id = m.id || m.uuid;
+      return id !== '00000000-0000-0000-0000-00000000cace' && !this._isServiceCacheMapping(m);
+    });
+  },
+
   _fetchWithTimeout(promise, timeout) {
     return Promise.race([
       promise,
@@ -626,6 +728,52 @@ window.SyncEngine = {
     }
   },
 
+  /**
+   * Render progress of the mappings load on the mappings page. Streamed downloads report
+   * bytes (loaded/total); paged loads report mapping counts (items/totalItems).
+   * @param {{loaded?: number, total?: number|null, items?: number|null, totalItems?: number}} progress
+   */
+  _renderLoadProgress({ loaded, total, items, totalItems }) {
+    const container = document.getElementById('mappings-load-progress');
+    if (!container) {
+      return;
+    }
+
+    container.classList.remove('hidden');
+    const isPaged = Number.isFinite(totalItems);
+    let percent = null;
+    if (isPaged) {
+      percent = totalItems > 0 ? Math.min(100, Math.round((items / totalItems) * 100)) : 100;
+    } else if (total && loaded <= total) {
+      // Content-Length is the compressed size for gzip responses, so it only bounds the bar
+      percent = Math.round((loaded / total) * 100);
+    }
+    const bar = container.querySelector('.load-progress-bar');
+    if (bar) {
+      bar.classList.toggle('is-indeterminate', percent === null);
+      bar.style.width = percent === null ? '' : `${percent}%`;
+    }
+
+    const text = container.querySelector('.load-progress-text');
+    if (!text) {
+      return;
+    }
+    if (isPaged) {
+      text.textContent = `Loading mappings: ${items.toLocaleString()} of ${totalItems.toLocaleString()}`;
+    } else {
+      const size = percent === null ? Utils.formatBytes(loaded) : `${Utils.formatBytes(loaded)} of ${Utils.formatBytes(total)}`;
+      const parsed = items ? ` · ${items.toLocaleString()} mapping${items === 1 ? '' : 's'} parsed` : '';
+      text.textContent = `Downloading mappings: ${size}${parsed}`;
+    }
+  },
+
+  _hideLoadProgress() {
+    const container = document.getElementById('mappings-load-progress');
+    if (container) {
+      container.classList.add('hidden');
+    }
+  },
+
   /**
    * Hide sync indicator in UI
    */
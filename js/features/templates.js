@@ -349,62 +349,17 @@
         }
 
         try {
-            const createdIds = [];
-            const errors = [];
-
-            for (let i = 0; i < preparedPayloads.length; i += 1) {
-                const entry = preparedPayloads[i];
-                try {
-                    const response = await apiFetch('/mappings', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(entry)
-                    });
-
-                    const createdMapping = response?.mapping || response;
-                    const createdId = createdMapping?.id;
-
-                    if (createdId && typeof updateOptimisticCache === 'function') {
-                        try {
-                            updateOptimisticCache(createdMapping, 'create');
-                        } catch (cacheError) {
-                            Logger.warn('TEMPLATES', 'Failed to update optimistic cache after create:', cacheError);
-                        }
-                    }
-
-                    if (createdId) {
-                        createdIds.push(createdId);
-                    }
-                } catch (error) {
-                    errors.push({ index: i, error });
-                    break;
-                }
-            }
-
-            if (errors.length) {
-                const rollbackErrors = [];
-                for (const id of createdIds) {
-                    try {
-                        await apiFetch(`/mappings/${id}`, { method: 'DELETE' });
-                        if (typeof updateOptimisticCache === 'function') {
-                            updateOptimisticCache({ id }, 'delete');
-                        }
-                    } catch (rollbackError) {
-                        rollbackErrors.push(rollbackError);
-                    }
-                }
-
-                const failure = errors[0];
-                const rollbackNote = rollbackErrors.length
-                    ? ` Rollback issues: ${rollbackErrors.length} delete${rollbackErrors.length === 1 ? '' : 's'} failed.`
-                    : '';
+            const { success: created, failed } = await global.MappingsOperations.batchCreate(preparedPayloads, { notify: false });
+            const createdIds = created.map((mapping) => mapping?.id).filter(Boolean);
 
+            if (failed.length) {
+                const failure = failed[0];
                 notify(
-                    `Failed to create mapping ${failure.index + 1}/${preparedPayloads.length}: ${failure.error.message}.${rollbackNote}`,
-                    'error'
+                    `Created ${created.length} of ${preparedPayloads.length} mappings. Mapping ${failure.index + 1} failed: ${failure.error}`,
+                    created.length ? 'warning' : 'error'
                 );
-                Logger.error('TEMPLATES', 'Mapping create failed', { errors, rollbackErrors });
-                return { success: false, createdIds: [] };
+                Logger.error('TEMPLATES', 'Mapping create failed', { failed });
+                return { success: false, createdIds };
             }
 
             const createdCount = createdIds.length || preparedPayloads.length;
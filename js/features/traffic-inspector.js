@@ -0,0 +1,180 @@
+'use strict';
+
+// --- ADMIN API TRAFFIC INSPECTOR ---
+// Renders window.ApiTrafficLog (filled by apiFetch) on the Traffic page. Rendering is
+// throttled and skipped while the page is hidden; in-flight calls tick every second so a
+// slow /mappings is visible as it happens.
+
+const TRAFFIC_SLOW_THRESHOLD_MS = 1000;
+const TRAFFIC_RENDER_DELAY_MS = 250;
+
+window.TrafficInspector = {
+    filters: {
+        text: '',
+        method: '',
+        status: 'all',
+        slowOnly: false
+    },
+    _renderTimer: null,
+    _tickerId: null,
+
+    _isVisible() {
+        const page = document.getElementById(SELECTORS.PAGES.TRAFFIC);
+        return Boolean(page) && !page.classList.contains('hidden');
+    },
+
+    _durationOf(entry, now = Date.now()) {
+        return entry.state === 'pending' ? now - entry.startedAt : entry.duration;
+    },
+
+    _matchesStatus(entry) {
+        switch (this.filters.status) {
+            case 'pending': return entry.state === 'pending';
+            case 'ok': return entry.status >= 200 && entry.status < 300;
+            case 'client-error': return entry.status >= 400 && entry.status < 500;
+            case 'server-error': return entry.status >= 500;
+            case 'failed': return entry.state === 'error';
+            default: return true;
+        }
+    },
+
+    /**
+     * Entries that pass the current filters, newest first.
+     */
+    getFilteredEntries(now = Date.now()) {
+        const text = this.filters.text.trim().toLowerCase();
+        return window.ApiTrafficLog.entries
+            .filter((entry) => {
+                if (this.filters.method && entry.method !== this.filters.method) return false;
+                if (!this._matchesStatus(entry)) return false;
+                if (this.filters.slowOnly && !(this._durationOf(entry, now) >= TRAFFIC_SLOW_THRESHOLD_MS)) return false;
+                if (text && !`${entry.url} ${entry.error || ''}`.toLowerCase().includes(text)) return false;
+                return true;
+            })
+            .reverse();
+    },
+
+    toCurl(entryId) {
+        const entry = window.ApiTrafficLog.entries.find(item => item.id === entryId);
+        if (!entry) return null;
+        return Utils.buildCurlCommand({
+            method: entry.method,
+            url: entry.url,
+            headers: entry.headers,
+            body: entry.requestBody
+        });
+    },
+
+    async copyAsCurl(entryId) {
+        const command = this.toCurl(entryId);
+        if (!command) return;
+        const copied = await Utils.copyToClipboard(command);
+        if (copied) {
+            NotificationManager.success('curl command copied to clipboard');
+        } else {
+            NotificationManager.error('Could not copy to clipboard');
+        }
+    },
+
+    clear() {
+        window.ApiTrafficLog.clear();
+    },
+
+    scheduleRender() {
+        if (this._renderTimer || !this._isVisible()) return;
+        this._renderTimer = setTimeout(() => {
+            this._renderTimer = null;
+            this.render();
+        }, TRAFFIC_RENDER_DELAY_MS);
+    },
+
+    _updateTicker() {
+        const hasPending = window.ApiTrafficLog.entries.some(entry => entry.state === 'pending');
+        if (hasPending && this._isVisible() && !this._tickerId) {
+            this._tickerId = window.LifecycleManager.setNamedInterval('traffic-inspector-ticker', () => this.render(), 1000);
+        } else if ((!hasPending || !this._isVisible()) && this._tickerId) {
+            window.LifecycleManager.clearInterval(this._tickerId);
+            this._tickerId = null;
+        }
+    },
+
+    render() {
+        const list = document.getElementById('traffic-list');
+        const summary = document.getElementById('traffic-summary');
+        if (!list) return;
+
+        const now = Date.now();
+        const all = window.ApiTrafficLog.entries;
+        const entries = this.getFilteredEntries(now);
+        const escape = Utils.escapeHtml;
+
+        if (summary) {
+            const failed = all.filter(entry => entry.state === 'error').length;
+            const inFlight = all.filter(entry => entry.state === 'pending').length;
+            const slowest = all.reduce((max, entry) => Math.max(max, this._durationOf(entry, now) || 0), 0);
+            summary.textContent = `${all.length} call${all.length === 1 ? '' : 's'} recorded (last ${window.ApiTrafficLog.capacity} kept) · ${inFlight} in flight · ${failed} failed · slowest ${slowest} ms`;
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = `<div class="empty-state"><p>${all.length ? 'No calls match the filters.' : 'No admin API calls recorded yet.'}</p></div>`;
+            this._updateTicker();
+            return;
+        }
+
+        list.innerHTML = entries.map((entry) => {
+            const duration = this._durationOf(entry, now);
+            const statusClass = entry.state === 'pending' ? 'pending' : entry.status ? Utils.getStatusClass(entry.status) : 'failed';
+            const statusLabel = entry.state === 'pending' ? 'pending' : entry.status || 'failed';
+            const slow = duration >= TRAFFIC_SLOW_THRESHOLD_MS;
+            return `
+                <div class="traffic-row${entry.state === 'error' ? ' is-error' : ''}" data-traffic-id="${entry.id}">
+                    <span class="traffic-time">${escape(new Date(entry.startedAt).toLocaleTimeString())}</span>
+                    <span class="badge-soft" data-method="${escape(entry.method)}">${escape(entry.method)}</span>
+                    <span class="traffic-endpoint" title="${escape(entry.url)}">${escape(entry.endpoint)}</span>
+                    <span class="traffic-status traffic-status--${statusClass}">${escape(statusLabel)}</span>
+                    <span class="traffic-duration${slow ? ' is-slow' : ''}">${duration} ms</span>
+                    <span class="traffic-size" title="Request / response size">${Utils.formatBytes(entry.requestSize)} / ${entry.responseSize === null ? '—' : Utils.formatBytes(entry.responseSize)}</span>
+                    <span class="traffic-attempts">${entry.attempts > 1 ? `${entry.attempts} attempts` : ''}</span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-traffic-action="copy-curl" title="Copy as curl">curl</button>
+                    ${entry.error ? `<div class="traffic-error">${escape(entry.error)}</div>` : ''}
+                </div>`;
+        }).join('');
+
+        this._updateTicker();
+    },
+
+    init() {
+        const bind = (id, event, apply) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.addEventListener(event, () => {
+                apply(element);
+                this.render();
+            });
+        };
+
+        bind('traffic-filter-text', 'input', (el) => { this.filters.text = el.value; });
+        bind('traffic-filter-method', 'change', (el) => { this.filters.method = el.value; });
+        bind('traffic-filter-status', 'change', (el) => { this.filters.status = el.value; });
+        bind('traffic-filter-slow', 'change', (el) => { this.filters.slowOnly = el.checked; });
+
+        document.getElementById('traffic-list')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-traffic-action="copy-curl"]');
+            const row = button?.closest('[data-traffic-id]');
+            if (row) {
+                this.copyAsCurl(Number(row.dataset.trafficId));
+            }
+        });
+
+        window.ApiTrafficLog.subscribe(() => this.scheduleRender());
+        window.addEventListener('page:shown', (event) => {
+            if (event.detail?.pageId === 'traffic') {
+                this.render();
+            } else {
+                this._updateTicker();
+            }
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.TrafficInspector.init());
@@ -0,0 +1,421 @@
+'use strict';
+
+// --- TRY IT: SEND A TEST REQUEST TO A STUB ---
+// Builds a request that satisfies a mapping's matchers (method, URL or an example generated
+// from its pattern, required headers and query parameters, a body from equalToJson and
+// friends), sends it to the WireMock root behind wiremockBaseUrl and shows the response with
+// its latency. The request journal then tells whether the stub that answered is the one
+// being tried; the request carries a unique X-Imock-Try-It header so that its journal entry
+// is found even among identical requests from other clients.
+
+const TRY_IT_MODAL_ID = 'try-it-modal';
+const TRY_IT_JOURNAL_LIMIT = 50;
+const TRY_IT_TAG_HEADER = 'X-Imock-Try-It';
+const TRY_IT_DEFAULT_VALUE = 'example';
+// Browsers set these themselves and drop them from fetch()
+const TRY_IT_FORBIDDEN_HEADERS = ['host', 'content-length', 'cookie', 'connection', 'origin', 'referer', 'user-agent', 'accept-encoding'];
+
+/**
+ * A string the regular expression matches in full, or null when none could be built.
+ * Handles what URL and header patterns use in practice: literals, escapes, classes,
+ * groups with alternation and quantifiers; anything fancier falls back to null.
+ */
+const tryItExampleFromPattern = (pattern) => {
+    const source = String(pattern ?? '');
+    let index = 0;
+
+    const classExample = (cls) => {
+        const body = cls.slice(cls.startsWith('[^') ? 2 : 1, -1).replace(/\\/g, '');
+        const candidates = ['a', 'x', '1', 'A', '-', '_', '.', ...body];
+        return candidates.find(char => new RegExp(cls).test(char)) ?? null;
+    };
+
+    const escapeExample = (char) => {
+        const examples = { d: '1', w: 'a', s: ' ', D: 'x', W: '-', S: 'x', b: '', B: '', n: '\n', t: '\t' };
+        return Object.prototype.hasOwnProperty.call(examples, char) ? examples[char] : char;
+    };
+
+    const parseQuantifier = () => {
+        const char = source[index];
+        let min = 1;
+        if (char === '*' || char === '?' || char === '+') {
+            min = char === '+' ? 1 : 0;
+            index += 1;
+        } else {
+            const bounds = char === '{' ? source.slice(index).match(/^\{(\d+)(,\d*)?\}/) : null;
+            if (!bounds) return 1;
+            min = Number(bounds[1]);
+            index += bounds[0].length;
+        }
+        // Lazy and possessive suffixes do not change the example
+        if (source[index] === '?' || source[index] === '+') index += 1;
+        return min;
+    };
+
+    let parseAlternatives;
+
+    const parseAtom = () => {
+        const char = source[index];
+        if (char === '(') {
+            index += 1;
+            let lookaround = false;
+            if (source[index] === '?') {
+                const prefix = source.slice(index).match(/^\?(?:[:=!]|<[=!]|<[A-Za-z]\w*>)/);
+                if (!prefix) throw new Error('Unsupported group');
+                lookaround = /[=!]$/.test(prefix[0]);
+                index += prefix[0].length;
+            }
+            const inner = parseAlternatives();
+            if (source[index] !== ')') throw new Error('Unbalanced group');
+            index += 1;
+            return lookaround ? '' : inner;
+        }
+        if (char === '[') {
+            const end = source.slice(index).search(/[^\\]\]/);
+            if (end === -1) throw new Error('Unbalanced class');
+            const cls = source.slice(index, index + end + 2);
+            index += end + 2;
+            const example = classExample(cls);
+            if (example === null) throw new Error('No example for class');
+            return example;
+        }
+        if (char === '\\') {
+            index += 2;
+            return escapeExample(source[index - 1]);
+        }
+        index += 1;
+        if (char === '.') return 'x';
+        if (char === '^' || char === '$') return '';
+        return char;
+    };
+
+    const parseSequence = () => {
+        let result = '';
+        while (index < source.length && source[index] !== '|' && source[index] !== ')') {
+            const atom = parseAtom();
+            result += atom.repeat(parseQuantifier());
+        }
+        return result;
+    };
+
+    parseAlternatives = () => {
+        const first = parseSequence();
+        while (source[index] === '|') {
+            index += 1;
+            parseSequence();
+        }
+        return first;
+    };
+
+    try {
+        const example = parseAlternatives();
+        if (index !== source.length) return null;
+        // WireMock matches the whole value
+        return new RegExp(`^(?:${source})$`).test(example) ? example : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * A value satisfying a WireMock string matcher ({equalTo}, {matches}, {hasExactly}...).
+ * Returns undefined for {absent: true}, which means "leave it out".
+ */
+const tryItExampleForMatcher = (matcher) => {
+    if (matcher === null || matcher === undefined) return TRY_IT_DEFAULT_VALUE;
+    if (typeof matcher !== 'object') return String(matcher);
+    if (matcher.absent === true) return undefined;
+    if (matcher.equalTo !== undefined) return String(matcher.equalTo);
+    if (matcher.contains !== undefined) return String(matcher.contains);
+    if (matcher.matches !== undefined) return tryItExampleFromPattern(matcher.matches) ?? TRY_IT_DEFAULT_VALUE;
+    if (matcher.equalToJson !== undefined) {
+        return typeof matcher.equalToJson === 'string' ? matcher.equalToJson : JSON.stringify(matcher.equalToJson);
+    }
+    if (matcher.equalToXml !== undefined) return String(matcher.equalToXml);
+    if (matcher.before !== undefined || matcher.after !== undefined || matcher.equalToDateTime !== undefined) {
+        return matcher.equalToDateTime ?? new Date().toISOString();
+    }
+    const nested = matcher.hasExactly || matcher.includes || matcher.and || matcher.or;
+    if (Array.isArray(nested) && nested.length > 0) return tryItExampleForMatcher(nested[0]);
+    return TRY_IT_DEFAULT_VALUE;
+};
+
+/**
+ * Smallest JSON body a simple JSONPath ($.a.b) would find something in.
+ */
+const tryItBodyFromJsonPath = (expression) => {
+    const match = String(expression ?? '').match(/^\$((?:\.[A-Za-z_$][\w$-]*)+)$/);
+    if (!match) return null;
+    const keys = match[1].slice(1).split('.');
+    const body = {};
+    let node = body;
+    keys.forEach((key, position) => {
+        node[key] = position === keys.length - 1 ? TRY_IT_DEFAULT_VALUE : {};
+        node = node[key];
+    });
+    return body;
+};
+
+window.MappingTryIt = {
+    mapping: null,
+    lastResult: null,
+    _busy: false,
+
+    /**
+     * WireMock root (stubs are served there) derived from the admin base URL.
+     */
+    getRootUrl(baseUrl = window.wiremockBaseUrl) {
+        return String(baseUrl || '').replace(/\/+$/, '').replace(/\/__admin$/, '');
+    },
+
+    _buildPath(request, warnings) {
+        if (request.url) return request.url;
+        if (request.urlPath) return request.urlPath;
+        if (request.urlPathTemplate) {
+            const params = request.pathParameters || {};
+            return request.urlPathTemplate.replace(/\{([^}]+)\}/g, (_, name) => {
+                const value = tryItExampleForMatcher(params[name]);
+                return encodeURIComponent(value ?? '1');
+            });
+        }
+        const pattern = request.urlPattern || request.urlPathPattern;
+        if (pattern) {
+            const example = tryItExampleFromPattern(pattern);
+            if (example !== null) return example;
+            warnings.push(`Could not generate a URL for the pattern ${pattern}; sent "/" instead`);
+        }
+        return '/';
+    },
+
+    _buildBody(request, headers, warnings) {
+        const patterns = Array.isArray(request.bodyPatterns) ? request.bodyPatterns : [];
+        const setContentType = (value) => {
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = value;
+            }
+        };
+
+        for (const pattern of patterns) {
+            if (pattern.equalToJson !== undefined) {
+                setContentType('application/json');
+                return tryItExampleForMatcher(pattern);
+            }
+            if (pattern.equalToXml !== undefined) {
+                setContentType('application/xml');
+                return String(pattern.equalToXml);
+            }
+            if (pattern.equalTo !== undefined || pattern.contains !== undefined || pattern.matches !== undefined) {
+                return tryItExampleForMatcher(pattern);
+            }
+        }
+        for (const pattern of patterns) {
+            const expression = typeof pattern.matchesJsonPath === 'string' ? pattern.matchesJsonPath : pattern.matchesJsonPath?.expression;
+            const body = expression ? tryItBodyFromJsonPath(expression) : null;
+            if (body) {
+                setContentType('application/json');
+                return JSON.stringify(body);
+            }
+        }
+        if (patterns.length > 0) {
+            warnings.push('The body patterns could not be turned into a body; sent none');
+        }
+        return null;
+    },
+
+    /**
+     * Request that should match the mapping.
+     * @returns {{method: string, path: string, url: string, headers: Object, body: string|null, warnings: string[]}}
+     */
+    buildRequest(mapping) {
+        const request = mapping?.request || {};
+        const warnings = [];
+        const method = !request.method || request.method === 'ANY' ? 'GET' : String(request.method).toUpperCase();
+
+        let path = this._buildPath(request, warnings);
+        const query = [];
+        Object.entries(request.queryParameters || {}).forEach(([name, matcher]) => {
+            const value = tryItExampleForMatcher(matcher);
+            if (value !== undefined) query.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+        });
+        if (query.length > 0) {
+            path += `${path.includes('?') ? '&' : '?'}${query.join('&')}`;
+        }
+
+        const headers = {};
+        Object.entries(request.headers || {}).forEach(([name, matcher]) => {
+            const value = tryItExampleForMatcher(matcher);
+            if (value === undefined) return;
+            if (TRY_IT_FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+                warnings.push(`The browser does not let pages set the ${name} header; the stub may not match`);
+                return;
+            }
+            headers[name] = value;
+        });
+        if (request.basicAuthCredentials?.username !== undefined) {
+            const { username, password = '' } = request.basicAuthCredentials;
+            headers.Authorization = `Basic ${btoa(`${username}:${password}`)}`;
+        }
+
+        const body = ['GET', 'HEAD'].includes(method) ? null : this._buildBody(request, headers, warnings);
+        return { method, path, url: `${this.getRootUrl()}${path}`, headers, body, warnings };
+    },
+
+    /**
+     * Headers plus a unique X-Imock-Try-It tag, for findJournalEntry to look up.
+     * @returns {{headers: Object, tag: string}}
+     */
+    tagRequest(headers = {}) {
+        const tag = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        return { headers: { ...headers, [TRY_IT_TAG_HEADER]: tag }, tag };
+    },
+
+    /**
+     * Journal entry of the request sent with this tag (see tagRequest); null when none.
+     */
+    async findJournalEntry(tag) {
+        const data = await window.apiFetch(`${ENDPOINTS.REQUESTS}?limit=${TRY_IT_JOURNAL_LIMIT}`);
+        const requests = Array.isArray(data?.requests) ? data.requests : [];
+        const tagName = TRY_IT_TAG_HEADER.toLowerCase();
+        return requests.find((entry) => {
+            const headers = entry?.request?.headers || {};
+            return Object.keys(headers).some(name => name.toLowerCase() === tagName && String(headers[name]) === tag);
+        }) || null;
+    },
+
+    /**
+     * Send the request for a mapping and check in the journal which stub answered.
+     * @returns {Promise<Object>} status, headers, body, latency and the match verdict
+     */
+    async send(mapping) {
+        const sent = this.buildRequest(mapping);
+        const { headers, tag } = this.tagRequest(sent.headers);
+        const startedAt = performance.now();
+        const response = await fetch(sent.url, {
+            method: sent.method,
+            headers,
+            body: sent.body ?? undefined
+        });
+        const body = await response.text();
+        const latency = Math.round(performance.now() - startedAt);
+
+        const result = {
+            request: sent,
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers.entries()),
+            body,
+            latency,
+            verdict: 'unknown',
+            matchedStub: null
+        };
+
+        try {
+            const entry = await this.findJournalEntry(tag);
+            if (!entry) {
+                result.verdict = 'not-logged';
+            } else if (entry.wasMatched === false || !entry.stubMapping) {
+                result.verdict = 'unmatched';
+            } else {
+                result.matchedStub = { id: entry.stubMapping.id, name: entry.stubMapping.name };
+                result.verdict = entry.stubMapping.id === mapping.id ? 'matched' : 'other-stub';
+            }
+        } catch (error) {
+            Logger.warn('REQUESTS', 'Try it: request journal unavailable:', error);
+        }
+        return result;
+    },
+
+    async open(id) {
+        let mapping = window.MappingsStore?.get(id) || null;
+        try {
+            // The store may only hold slim mappings from the cache, without headers or bodies
+            const latest = await window.apiFetch(`${ENDPOINTS.MAPPINGS}/${encodeURIComponent(id)}`);
+            mapping = latest?.mapping || latest || mapping;
+        } catch (error) {
+            Logger.warn('REQUESTS', 'Try it: using the cached mapping:', error);
+        }
+        if (!mapping?.id) {
+            NotificationManager.error('Mapping not found');
+            return;
+        }
+
+        this.mapping = mapping;
+        this.lastResult = null;
+        const title = document.getElementById('try-it-title');
+        if (title) title.textContent = `Try it: ${mapping.name || String(mapping.id).slice(0, 8)}`;
+        window.showModal(TRY_IT_MODAL_ID);
+        await this.run();
+    },
+
+    async run() {
+        if (!this.mapping || this._busy) return;
+        this._busy = true;
+        this.lastResult = null;
+        this.render();
+        try {
+            this.lastResult = await this.send(this.mapping);
+        } catch (error) {
+            // fetch() only rejects on network or CORS errors
+            Logger.error('REQUESTS', 'Try it request failed:', error);
+            this.lastResult = { error: `${error.message}. Is the server reachable, with CORS enabled for stubs (--enable-stub-cors)?` };
+        } finally {
+            this._busy = false;
+            this.render();
+        }
+    },
+
+    _describeVerdict(result) {
+        switch (result.verdict) {
+            case 'matched': return { className: 'badge-success', text: 'Matched this stub' };
+            case 'other-stub': return { className: 'badge-warning', text: `Matched another stub: ${result.matchedStub.name || result.matchedStub.id}` };
+            case 'unmatched': return { className: 'badge-danger', text: 'No stub matched' };
+            case 'not-logged': return { className: 'badge-secondary', text: 'Not found in the request journal' };
+            default: return { className: 'badge-secondary', text: 'Request journal unavailable' };
+        }
+    },
+
+    render() {
+        const requestContainer = document.getElementById('try-it-request');
+        const responseContainer = document.getElementById('try-it-response');
+        const runButton = document.getElementById('try-it-run');
+        if (!requestContainer || !responseContainer || !this.mapping) return;
+
+        if (runButton) runButton.disabled = this._busy;
+        const escape = Utils.escapeHtml;
+        const formatHeaders = headers => Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+        const sent = this.lastResult?.request || this.buildRequest(this.mapping);
+        requestContainer.innerHTML = `
+            <div class="try-it-line"><span class="method-badge ${escape(sent.method.toLowerCase())}">${escape(sent.method)}</span> <code>${escape(sent.url)}</code></div>
+            ${Object.keys(sent.headers).length ? `<pre class="try-it-pre">${escape(formatHeaders(sent.headers))}</pre>` : ''}
+            ${sent.body ? `<pre class="try-it-pre">${escape(sent.body)}</pre>` : ''}
+            ${sent.warnings.map(warning => `<p class="try-it-warning">${escape(warning)}</p>`).join('')}`;
+
+        const result = this.lastResult;
+        if (this._busy) {
+            responseContainer.innerHTML = '<p class="try-it-pending">Sending…</p>';
+        } else if (!result) {
+            responseContainer.innerHTML = '';
+        } else if (result.error) {
+            responseContainer.innerHTML = `<p class="try-it-warning">${escape(result.error)}</p>`;
+        } else {
+            const verdict = this._describeVerdict(result);
+            responseContainer.innerHTML = `
+                <div class="try-it-line">
+                    <span class="badge ${result.status < 400 ? 'badge-success' : 'badge-danger'}">${escape(result.status)} ${escape(result.statusText || '')}</span>
+                    <span class="badge badge-secondary" title="Round trip from the browser">${result.latency} ms</span>
+                    <span class="badge ${verdict.className}">${escape(verdict.text)}</span>
+                </div>
+                ${Object.keys(result.headers).length ? `<pre class="try-it-pre">${escape(formatHeaders(result.headers))}</pre>` : ''}
+                <pre class="try-it-pre">${escape(result.body || '(empty body)')}</pre>`;
+        }
+    },
+
+    init() {
+        document.getElementById('try-it-run')?.addEventListener('click', () => this.run());
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.MappingTryIt.init());
@@ -0,0 +1,294 @@
+'use strict';
+
+// --- UNUSED MAPPING CLEANUP REPORT ---
+// Lists mappings that received no hits in a chosen window of the request journal, or since
+// a test session was started here. The iMock cache mapping is left out, and so are scenario
+// mappings whose required state was never reached: they could not have been hit. From the
+// report, selected mappings can be deleted (to the recycle bin), disabled, or exported and
+// then deleted.
+
+const UNUSED_REPORT_SESSION_KEY = 'imock-unused-session';
+const UNUSED_REPORT_WINDOWS = {
+    session: null, // since the session start
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    all: Infinity
+};
+const UNUSED_REPORT_STARTED_STATE = 'Started';
+
+window.UnusedMappingsReport = {
+    windowKey: 'session',
+    unused: [],
+    skipped: { cache: 0, scenario: 0 },
+    journalSize: 0,
+    selected: new Set(),
+    _busy: false,
+
+    _sessionStore() {
+        try {
+            return JSON.parse(localStorage.getItem(UNUSED_REPORT_SESSION_KEY) || '{}') || {};
+        } catch (error) {
+            Logger.warn('STORAGE', 'Unused report session data is corrupted, ignoring it:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Start time of the test session on the current server, or null.
+     */
+    getSessionStart() {
+        const started = this._sessionStore()[window.wiremockBaseUrl || ''];
+        return Number.isFinite(started) ? started : null;
+    },
+
+    startSession(now = Date.now()) {
+        const sessions = this._sessionStore();
+        sessions[window.wiremockBaseUrl || ''] = now;
+        localStorage.setItem(UNUSED_REPORT_SESSION_KEY, JSON.stringify(sessions));
+        this.windowKey = 'session';
+        this.render();
+        NotificationManager.info('Test session started: run your tests, then generate the report');
+    },
+
+    /**
+     * Earliest journal time counted for a window; null means the whole journal.
+     */
+    getSince(windowKey = this.windowKey, now = Date.now()) {
+        if (windowKey === 'session') {
+            return this.getSessionStart();
+        }
+        const span = UNUSED_REPORT_WINDOWS[windowKey];
+        return Number.isFinite(span) ? now - span : null;
+    },
+
+    /**
+     * Whether a scenario mapping could have been hit: its required state is the initial one,
+     * the scenario is in it now, or a hit in the window moved the scenario into it.
+     */
+    _isScenarioStateReached(mapping, scenarios, hitMappings) {
+        const required = mapping.requiredScenarioState;
+        if (!mapping.scenarioName || !required || required === UNUSED_REPORT_STARTED_STATE) {
+            return true;
+        }
+        const scenario = (scenarios || []).find(item => item && (item.name === mapping.scenarioName || item.id === mapping.scenarioName));
+        if (scenario?.state === required) {
+            return true;
+        }
+        return hitMappings.some(hit => hit.scenarioName === mapping.scenarioName && hit.newScenarioState === required);
+    },
+
+    /**
+     * Unused mappings among `mappings` for the given journal entries.
+     * @returns {{unused: Object[], skipped: {cache: number, scenario: number}}}
+     */
+    analyze(mappings, requests, scenarios = []) {
+        const hits = window.MappingHits.aggregate(requests);
+        const isCache = typeof window.isImockCacheMapping === 'function' ? window.isImockCacheMapping : () => false;
+        const live = (mappings || []).filter(mapping => mapping?.id && !mapping._disabled && !mapping._pending);
+        const hitMappings = live.filter(mapping => hits.has(String(mapping.id)));
+
+        const skipped = { cache: 0, scenario: 0 };
+        const unused = live.filter(mapping => {
+            if (hits.has(String(mapping.id))) return false;
+            if (isCache(mapping)) {
+                skipped.cache += 1;
+                return false;
+            }
+            if (!this._isScenarioStateReached(mapping, scenarios, hitMappings)) {
+                skipped.scenario += 1;
+                return false;
+            }
+            return true;
+        });
+        return { unused, skipped };
+    },
+
+    async _fetchJournal(since) {
+        const endpoint = since !== null
+            ? `${ENDPOINTS.REQUESTS}?since=${encodeURIComponent(new Date(since).toISOString())}`
+            : ENDPOINTS.REQUESTS;
+        const data = await window.apiFetch(endpoint);
+        const requests = Array.isArray(data?.requests) ? data.requests : [];
+        // Older servers ignore `since`
+        return since !== null
+            ? requests.filter(request => {
+                const logged = request?.request?.loggedDate;
+                return typeof logged !== 'number' || logged >= since;
+            })
+            : requests;
+    },
+
+    /**
+     * Fetch the journal for the chosen window and rebuild the report.
+     */
+    async generate() {
+        const since = this.getSince();
+        if (this.windowKey === 'session' && since === null) {
+            NotificationManager.warning('Start a test session first, or pick a time window');
+            return null;
+        }
+        try {
+            const requests = await this._fetchJournal(since);
+            const result = this.analyze(window.MappingsStore?.getAll() || [], requests, window.allScenarios);
+            this.unused = result.unused;
+            this.skipped = result.skipped;
+            this.journalSize = requests.length;
+            this.selected = new Set(this.unused.map(mapping => mapping.id));
+            this.render();
+            return result;
+        } catch (error) {
+            Logger.error('UI', 'Unused mapping report failed:', error);
+            NotificationManager.error(`Failed to build the report: ${error.message}`);
+            return null;
+        }
+    },
+
+    _selectedMappings() {
+        return this.unused.filter(mapping => this.selected.has(mapping.id));
+    },
+
+    _forget(ids) {
+        const handled = new Set(ids);
+        this.unused = this.unused.filter(mapping => !handled.has(mapping.id));
+        handled.forEach(id => this.selected.delete(id));
+        this.render();
+    },
+
+    async _run(action) {
+        if (this._busy) return null;
+        this._busy = true;
+        this.render();
+        try {
+            return await action();
+        } finally {
+            this._busy = false;
+            this.render();
+        }
+    },
+
+    /**
+     * Delete the selected mappings; they stay restorable from the recycle bin.
+     */
+    deleteSelected({ confirmed = false } = {}) {
+        const ids = this._selectedMappings().map(mapping => mapping.id);
+        if (ids.length === 0) return null;
+        if (!confirmed && !confirm(`Delete ${ids.length} unused mapping(s)? They can be restored from the recycle bin.`)) return null;
+        return this._run(async () => {
+            const results = await window.MappingsOperations.batchDelete(ids);
+            this._forget(results.success);
+            return results;
+        });
+    },
+
+    disableSelected() {
+        const ids = this._selectedMappings().map(mapping => mapping.id);
+        if (ids.length === 0 || !window.MappingToggle) return null;
+        return this._run(async () => {
+            const disabled = [];
+            for (const id of ids) {
+                try {
+                    if (await window.MappingToggle.disable(id)) disabled.push(id);
+                } catch (error) {
+                    Logger.error('UI', `Failed to disable mapping ${id}:`, error);
+                }
+            }
+            this._forget(disabled);
+            return disabled;
+        });
+    },
+
+    /**
+     * Download the selected mappings as an import file, then delete them.
+     */
+    async exportAndDeleteSelected() {
+        const mappings = this._selectedMappings();
+        if (mappings.length === 0) return null;
+        if (!confirm(`Export and delete ${mappings.length} unused mapping(s)?`)) return null;
+
+        const clean = mappings.map(mapping => {
+            const copy = { ...mapping };
+            Object.keys(copy).filter(key => key.startsWith('_')).forEach(key => delete copy[key]);
+            return copy;
+        });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadFile(`wiremock-unused-mappings-${timestamp}.json`, `${JSON.stringify({ mappings: clean }, null, 2)}\n`, 'application/json');
+        return this.deleteSelected({ confirmed: true });
+    },
+
+    _describeWindow() {
+        const since = this.getSince();
+        if (this.windowKey === 'all' || since === null) {
+            return this.windowKey === 'session' ? 'no session started' : 'the whole journal';
+        }
+        return `since ${new Date(since).toLocaleString()}`;
+    },
+
+    render() {
+        const container = document.getElementById('unused-results');
+        const summary = document.getElementById('unused-summary');
+        const session = document.getElementById('unused-session');
+        if (!container) return;
+
+        const sessionStart = this.getSessionStart();
+        if (session) {
+            session.textContent = sessionStart ? `Session started ${new Date(sessionStart).toLocaleString()}` : 'No session started';
+        }
+        if (summary) {
+            const skippedParts = [];
+            if (this.skipped.scenario) skippedParts.push(`${this.skipped.scenario} scenario mapping(s) whose state was never reached`);
+            if (this.skipped.cache) skippedParts.push('the iMock cache mapping');
+            const skipped = skippedParts.length ? ` Skipped ${skippedParts.join(' and ')}.` : '';
+            summary.textContent = `${this.unused.length} unused mapping(s) over ${this.journalSize} request(s), ${this._describeWindow()}.${skipped}`;
+        }
+
+        document.querySelectorAll('[data-unused-action]').forEach(button => {
+            button.disabled = this._busy || this.selected.size === 0;
+        });
+
+        const escape = Utils.escapeHtml;
+        container.innerHTML = this.unused.length === 0
+            ? '<p class="unused-empty">No unused mappings in this report</p>'
+            : `<label class="unused-row unused-row--all"><input type="checkbox" data-unused-select="all"${this.selected.size === this.unused.length ? ' checked' : ''}> Select all</label>` +
+            this.unused.map(mapping => {
+                const request = mapping.request || {};
+                const url = request.url || request.urlPath || request.urlPattern || request.urlPathPattern || '';
+                return `
+                <label class="unused-row">
+                    <input type="checkbox" data-unused-select="${escape(mapping.id)}"${this.selected.has(mapping.id) ? ' checked' : ''}>
+                    <span class="method-badge ${escape(String(request.method || 'ANY').toLowerCase())}">${escape(request.method || 'ANY')}</span>
+                    <span class="unused-name">${escape(mapping.name || String(mapping.id).slice(0, 8))}</span>
+                    <span class="unused-url" title="${escape(url)}">${escape(url)}</span>
+                </label>`;
+            }).join('');
+    },
+
+    init() {
+        const windowSelect = document.getElementById('unused-window');
+        windowSelect?.addEventListener('change', () => {
+            this.windowKey = Object.prototype.hasOwnProperty.call(UNUSED_REPORT_WINDOWS, windowSelect.value) ? windowSelect.value : 'session';
+            this.render();
+        });
+
+        document.getElementById('unused-results')?.addEventListener('change', (event) => {
+            const key = event.target.dataset?.unusedSelect;
+            if (!key) return;
+            if (key === 'all') {
+                this.selected = event.target.checked ? new Set(this.unused.map(mapping => mapping.id)) : new Set();
+            } else if (event.target.checked) {
+                this.selected.add(key);
+            } else {
+                this.selected.delete(key);
+            }
+            this.render();
+        });
+
+        window.addEventListener('page:shown', (event) => {
+            if (event.detail?.pageId === 'unused') {
+                this.render();
+            }
+        });
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => window.UnusedMappingsReport.init());
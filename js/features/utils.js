@@ -85,6 +85,75 @@ const Utils = {
     // Hide element
     hideElement: (element) => {
         if (element) element.classList.add('hidden');
+    },
+
+    // Human readable byte size (1.2 KB, 3.4 MB)
+    formatBytes: (bytes) => {
+        const value = Number(bytes);
+        if (!Number.isFinite(value) || value < 0) return '—';
+        if (value < 1024) return `${value} B`;
+        if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+        return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    // Request matcher fields of a mapping as the card preview shows them; `urlKey` names the
+    // WireMock URL matcher in use (url, urlPattern, urlPath, urlPathPattern or urlPathTemplate)
+    getMappingRequestMatchers: (mapping) => {
+        const request = mapping?.request || {};
+        const urlKey = ['url', 'urlPattern', 'urlPath', 'urlPathPattern', 'urlPathTemplate'].find(key => request[key]) || null;
+        return {
+            method: request.method || 'GET',
+            urlKey,
+            url: urlKey ? request[urlKey] : undefined,
+            headers: request.headers,
+            body: request.bodyPatterns || request.body,
+            queryParameters: request.queryParameters
+        };
+    },
+
+    // Quote a value for POSIX shells: wrap in single quotes, escape embedded ones
+    shellQuote: (value) => `'${String(value ?? '').replace(/'/g, `'\\''`)}'`,
+
+    // Build a curl command line for an HTTP call
+    buildCurlCommand: ({ method = 'GET', url, headers = {}, body = null } = {}) => {
+        const parts = ['curl'];
+        const upperMethod = String(method).toUpperCase();
+        if (upperMethod !== 'GET' || body) parts.push('-X', upperMethod);
+        parts.push(Utils.shellQuote(url));
+        Object.entries(headers || {}).forEach(([name, value]) => {
+            if (value === undefined || value === null) return;
+            parts.push('-H', Utils.shellQuote(`${name}: ${value}`));
+        });
+        if (body !== null && body !== undefined && body !== '') {
+            parts.push('--data-raw', Utils.shellQuote(typeof body === 'string' ? body : JSON.stringify(body)));
+        }
+        return parts.join(' ');
+    },
+
+    // Copy text to the clipboard, falling back to a hidden textarea on insecure origins
+    copyToClipboard: (text) => {
+        const value = typeof text === 'string' ? text : String(text ?? '');
+        const fallbackCopy = () => {
+            try {
+                const textarea = document.createElement('textarea');
+                textarea.value = value;
+                textarea.setAttribute('readonly', '');
+                textarea.style.position = 'absolute';
+                textarea.style.left = '-9999px';
+                document.body.appendChild(textarea);
+                textarea.select();
+                document.execCommand('copy');
+                document.body.removeChild(textarea);
+                return true;
+            } catch (error) {
+                Logger.warn('UI', 'Clipboard fallback failed:', error);
+                return false;
+            }
+        };
+        if (typeof navigator !== 'undefined' && navigator.clipboard?.writeText) {
+            return navigator.clipboard.writeText(value).then(() => true).catch(fallbackCopy);
+        }
+        return Promise.resolve(fallbackCopy());
     }
 };
 
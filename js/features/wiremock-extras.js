@@ -4,6 +4,10 @@
 
 // Search mappings by metadata
 window.findMappingsByMetadata = async (metadata) => {
+    if (window.WireMockCapabilities && !window.WireMockCapabilities.supports('FIND_BY_METADATA')) {
+        Logger.debug('METADATA', 'find-by-metadata is not supported by this server');
+        return [];
+    }
     try {
         const response = await apiFetch(ENDPOINTS.MAPPINGS_FIND_BY_METADATA, {
             method: 'POST',
@@ -34,7 +38,8 @@ window.updateLastSuccessUI = () => {
 };
 
 // Centralized health UI updater (single source of truth)
-window.applyHealthUI = (isHealthy, responseTime) => {
+// options.circuitOpen / options.retryInMs come from ApiCircuitBreaker when requests are paused
+window.applyHealthUI = (isHealthy, responseTime, options = {}) => {
     try {
         window.healthState = window.healthState || { isHealthy: null, lastCheckAt: null, lastOkAt: null, lastLatencyMs: null };
         window.healthState.lastCheckAt = Date.now();
@@ -46,6 +51,7 @@ window.applyHealthUI = (isHealthy, responseTime) => {
             window.healthState.isHealthy = false;
             window.healthState.lastLatencyMs = null;
         } // null => error/unknown
+        window.healthState.circuitOpen = options.circuitOpen === true;
 
         const healthIndicator = document.getElementById(SELECTORS.HEALTH.INDICATOR);
         if (healthIndicator) {
@@ -53,6 +59,9 @@ window.applyHealthUI = (isHealthy, responseTime) => {
             if (isHealthy === true) {
                 const ms = typeof responseTime === 'number' ? `${responseTime}ms` : 'OK';
                 healthIndicator.innerHTML = `<span>Response Time: </span><span class="healthy">${ms}</span>`;
+            } else if (isHealthy === false && options.circuitOpen) {
+                const seconds = Math.ceil((options.retryInMs || 0) / 1000);
+                healthIndicator.innerHTML = `<span>Response Time: </span><span class="unhealthy" title="Requests are paused after repeated failures">Circuit open (retry in ${seconds}s)</span>`;
             } else if (isHealthy === false) {
                 healthIndicator.innerHTML = `<span>Response Time: </span><span class="unhealthy">Unhealthy</span>`;
             } else {
@@ -125,6 +134,8 @@ function slimMapping(m) {
             created: m.metadata?.created,
             edited: m.metadata?.edited,
             source: m.metadata?.source,
+            // Kept so tag: filters work on a cold start from the cache
+            tags: m.metadata?.tags,
             // Essential metadata fields for timestamps and source tracking
         },
     };
@@ -155,6 +166,9 @@ async function getCacheByFixedId() {
 }
 
 async function getCacheByMetadata() {
+    if (window.WireMockCapabilities && !window.WireMockCapabilities.supports('FIND_BY_METADATA')) {
+        return null;
+    }
     try {
         // WireMock 3 expects JSONPath on metadata
         const tryBodies = [
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Small promise wrapper around IndexedDB shared by features that persist data locally
+ * (offline queue, history, recycle bin...). Falls back to an in-memory store when
+ * IndexedDB is unavailable (private browsing, tests) so callers never need to branch.
+ *
+ * Usage:
+ *   const db = createIndexedDbStore({
+ *       name: 'imock-example',
+ *       version: 1,
+ *       stores: { items: { keyPath: 'id', indexes: [{ name: 'ts', keyPath: 'ts' }] } }
+ *   });
+ *   await db.put('items', { id: 'a', ts: Date.now() });
+ */
+
+const promisifyIdbRequest = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+const waitForIdbTransaction = (tx) => {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        tx.onerror = () => reject(tx.error || new Error('Transaction error'));
+    });
+};
+
+const openIdbDatabase = ({ name, version, stores }) => {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(stores).forEach(([storeName, config]) => {
+                const store = db.objectStoreNames.contains(storeName)
+                    ? request.transaction.objectStore(storeName)
+                    : db.createObjectStore(storeName, { keyPath: config.keyPath, autoIncrement: Boolean(config.autoIncrement) });
+                (config.indexes || []).forEach((index) => {
+                    if (!store.indexNames.contains(index.name)) {
+                        store.createIndex(index.name, index.keyPath, index.options || {});
+                    }
+                });
+            });
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+};
+
+const createMemoryIdbBackend = (stores) => {
+    const data = new Map(Object.keys(stores).map(storeName => [storeName, new Map()]));
+    const counters = new Map();
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    return {
+        async get(storeName, key) {
+            return clone(data.get(storeName).get(key));
+        },
+        async getAll(storeName, { index, value } = {}) {
+            const items = Array.from(data.get(storeName).values()).map(clone);
+            if (!index) return items;
+            const keyPath = (stores[storeName].indexes || []).find(item => item.name === index)?.keyPath || index;
+            return items.filter(item => item[keyPath] === value);
+        },
+        async put(storeName, record) {
+            const { keyPath, autoIncrement } = stores[storeName];
+            const stored = { ...record };
+            if (stored[keyPath] === undefined && autoIncrement) {
+                const next = (counters.get(storeName) || 0) + 1;
+                counters.set(storeName, next);
+                stored[keyPath] = next;
+            }
+            data.get(storeName).set(stored[keyPath], clone(stored));
+            return stored[keyPath];
+        },
+        async delete(storeName, key) {
+            data.get(storeName).delete(key);
+        },
+        async clear(storeName) {
+            data.get(storeName).clear();
+        }
+    };
+};
+
+const createIdbBackend = (config) => {
+    let dbPromise = null;
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = openIdbDatabase(config).catch((error) => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = async (storeName, mode, operation) => {
+        const db = await getDb();
+        const tx = db.transaction(storeName, mode);
+        // Await both together: a failed request also aborts the transaction, and that
+        // second rejection must not go unhandled
+        const [result] = await Promise.all([
+            promisifyIdbRequest(operation(tx.objectStore(storeName))),
+            waitForIdbTransaction(tx)
+        ]);
+        return result;
+    };
+
+    return {
+        get: (storeName, key) => run(storeName, 'readonly', store => store.get(key)),
+        getAll: (storeName, { index, value } = {}) => run(storeName, 'readonly', store => (
+            index ? store.index(index).getAll(value) : store.getAll()
+        )),
+        put: (storeName, record) => run(storeName, 'readwrite', store => store.put(record)),
+        delete: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)),
+        clear: (storeName) => run(storeName, 'readwrite', store => store.clear())
+    };
+};
+
+/**
+ * Create a store handle for one IndexedDB database.
+ * @param {Object} config - { name, version, stores: { [storeName]: { keyPath, autoIncrement, indexes } } }
+ * @returns {{get: Function, getAll: Function, put: Function, delete: Function, clear: Function, persistent: boolean}}
+ */
+window.createIndexedDbStore = (config) => {
+    if (typeof indexedDB === 'undefined') {
+        Logger.warn('STORAGE', `IndexedDB is not available, "${config.name}" will only be kept in memory`);
+        return { ...createMemoryIdbBackend(config.stores), persistent: false };
+    }
+    return { ...createIdbBackend(config), persistent: true };
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * RFC 6902 JSON Patch and RFC 6901 JSON Pointer helpers for plain JSON values, plus a
+ * path-level diff used to preview what a patch changed. apply() works on a copy, so a
+ * failing operation never leaves the input half-patched.
+ *
+ * Usage:
+ *   const patched = JsonPatch.apply(mapping, [{ op: 'replace', path: '/priority', value: 1 }]);
+ *   JsonPatch.diff(mapping, patched); // [{ path: '/priority', type: 'changed', before: 5, after: 1 }]
+ *
+ * The helpers stay private to this file: editor pages load other scripts that declare
+ * functions with the same names in the shared global scope.
+ */
+
+(function initJsonPatch(global) {
+    const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+    // Segments that would reach Object.prototype instead of the document's own data
+    const JSON_POINTER_FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+    function cloneJsonValue(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function escapeJsonPointerSegment(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    function parseJsonPointer(pointer) {
+        if (pointer === '') return [];
+        if (typeof pointer !== 'string' || pointer[0] !== '/') {
+            throw new Error(`Invalid JSON pointer "${pointer}"`);
+        }
+        const segments = pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const forbidden = segments.find(segment => JSON_POINTER_FORBIDDEN_SEGMENTS.includes(segment));
+        if (forbidden !== undefined) {
+            throw new Error(`Path "${pointer}" uses the reserved segment "${forbidden}"`);
+        }
+        return segments;
+    }
+
+    function isJsonContainer(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    function jsonValuesEqual(left, right) {
+        if (left === right) return true;
+        if (!isJsonContainer(left) || !isJsonContainer(right) || Array.isArray(left) !== Array.isArray(right)) {
+            return false;
+        }
+        const leftKeys = Object.keys(left);
+        const rightKeys = Object.keys(right);
+        return leftKeys.length === rightKeys.length
+            && leftKeys.every(key => Object.prototype.hasOwnProperty.call(right, key) && jsonValuesEqual(left[key], right[key]));
+    }
+
+    // Resolve the container holding the last pointer segment, following own properties only
+    function resolveJsonParent(document, segments, pointer) {
+        let parent = document;
+        for (const segment of segments.slice(0, -1)) {
+            const next = isJsonContainer(parent) && Object.prototype.hasOwnProperty.call(parent, segment) ? parent[segment] : undefined;
+            if (!isJsonContainer(next)) {
+                throw new Error(`Path "${pointer}" does not exist`);
+            }
+            parent = next;
+        }
+        if (!isJsonContainer(parent)) {
+            throw new Error(`Path "${pointer}" does not exist`);
+        }
+        return { parent, key: segments[segments.length - 1] };
+    }
+
+    function readArrayIndex(array, key, pointer, { allowEnd = false } = {}) {
+        if (allowEnd && key === '-') return array.length;
+        if (!/^(0|[1-9]\d*)$/.test(key)) {
+            throw new Error(`Invalid array index in "${pointer}"`);
+        }
+        const index = Number(key);
+        if (index > array.length || (!allowEnd && index === array.length)) {
+            throw new Error(`Array index out of bounds in "${pointer}"`);
+        }
+        return index;
+    }
+
+    function getJsonPointerValue(document, pointer) {
+        const segments = parseJsonPointer(pointer);
+        if (segments.length === 0) return document;
+        const { parent, key } = resolveJsonParent(document, segments, pointer);
+        if (Array.isArray(parent)) {
+            return parent[readArrayIndex(parent, key, pointer)];
+        }
+        if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+            throw new Error(`Path "${pointer}" does not exist`);
+        }
+        return parent[key];
+    }
+
+    // Each operation receives and returns the document so whole-document replacement works
+    function addJsonValue(document, pointer, value) {
+        const segments = parseJsonPointer(pointer);
+        if (segments.length === 0) return value;
+        const { parent, key } = resolveJsonParent(document, segments, pointer);
+        if (Array.isArray(parent)) {
+            parent.splice(readArrayIndex(parent, key, pointer, { allowEnd: true }), 0, value);
+        } else {
+            parent[key] = value;
+        }
+        return document;
+    }
+
+    function removeJsonValue(document, pointer) {
+        const segments = parseJsonPointer(pointer);
+        if (segments.length === 0) {
+            throw new Error('Cannot remove the whole document');
+        }
+        const { parent, key } = resolveJsonParent(document, segments, pointer);
+        if (Array.isArray(parent)) {
+            parent.splice(readArrayIndex(parent, key, pointer), 1);
+        } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+            delete parent[key];
+        } else {
+            throw new Error(`Path "${pointer}" does not exist`);
+        }
+        return document;
+    }
+
+    function applyJsonPatchOperation(document, operation, index) {
+        if (!operation || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+            throw new Error(`Operation ${index + 1}: unsupported op "${operation?.op}"`);
+        }
+        if (typeof operation.path !== 'string') {
+            throw new Error(`Operation ${index + 1}: "path" is required`);
+        }
+        const needsValue = ['add', 'replace', 'test'].includes(operation.op);
+        if (needsValue && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+            throw new Error(`Operation ${index + 1}: "value" is required for ${operation.op}`);
+        }
+
+        try {
+            switch (operation.op) {
+                case 'add':
+                    return addJsonValue(document, operation.path, cloneJsonValue(operation.value));
+                case 'remove':
+                    return removeJsonValue(document, operation.path);
+                case 'replace':
+                    if (operation.path === '') return cloneJsonValue(operation.value);
+                    getJsonPointerValue(document, operation.path);
+                    return addJsonValue(removeJsonValue(document, operation.path), operation.path, cloneJsonValue(operation.value));
+                case 'move': {
+                    if (operation.path.startsWith(`${operation.from}/`)) {
+                        throw new Error('Cannot move a value into one of its children');
+                    }
+                    const value = getJsonPointerValue(document, operation.from);
+                    return addJsonValue(removeJsonValue(document, operation.from), operation.path, value);
+                }
+                case 'copy':
+                    return addJsonValue(document, operation.path, cloneJsonValue(getJsonPointerValue(document, operation.from)));
+                default:
+                    if (!jsonValuesEqual(getJsonPointerValue(document, operation.path), operation.value)) {
+                        throw new Error(`Test failed at "${operation.path}"`);
+                    }
+                    return document;
+            }
+        } catch (error) {
+            throw new Error(`Operation ${index + 1} (${operation.op} ${operation.path}): ${error.message}`);
+        }
+    }
+
+    global.JsonPatch = {
+        escapeSegment: escapeJsonPointerSegment,
+        parsePointer: parseJsonPointer,
+        get: getJsonPointerValue,
+
+        /**
+         * Apply a JSON Patch to a copy of document.
+         * @param {*} document - JSON value, left untouched
+         * @param {Array<Object>} operations - RFC 6902 operations
+         * @returns {*} The patched copy
+         * @throws {Error} Naming the first operation that failed
+         */
+        apply(document, operations) {
+            if (!Array.isArray(operations)) {
+                throw new Error('A JSON Patch must be an array of operations');
+            }
+            return operations.reduce((current, operation, index) => applyJsonPatchOperation(current, operation, index), cloneJsonValue(document));
+        },
+
+        /**
+         * List leaf-level differences between two JSON values; arrays are compared as a whole.
+         * @returns {Array<{path: string, type: 'added'|'removed'|'changed', before: *, after: *}>}
+         */
+        diff(before, after, path = '') {
+            if (jsonValuesEqual(before, after)) return [];
+            const bothObjects = isJsonContainer(before) && isJsonContainer(after) && !Array.isArray(before) && !Array.isArray(after);
+            if (!bothObjects) {
+                return [{ path: path || '/', type: 'changed', before, after }];
+            }
+
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            return Array.from(keys).sort().flatMap((key) => {
+                const childPath = `${path}/${escapeJsonPointerSegment(key)}`;
+                const inBefore = Object.prototype.hasOwnProperty.call(before, key);
+                const inAfter = Object.prototype.hasOwnProperty.call(after, key);
+                if (!inAfter) return [{ path: childPath, type: 'removed', before: before[key], after: undefined }];
+                if (!inBefore) return [{ path: childPath, type: 'added', before: undefined, after: after[key] }];
+                return this.diff(before[key], after[key], childPath);
+            });
+        }
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
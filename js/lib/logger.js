@@ -29,6 +29,7 @@ const Logger = (function() {
         HEALTH: '💓',
         MANAGERS: '🧭',
         METADATA: '📅',
+        OFFLINE: '📴',
         OPS: '🛠️',
         OPTIMISTIC: '🎯',
         PAGINATION: '↔️',
@@ -37,6 +38,7 @@ const Logger = (function() {
         REQUESTS: '📡',
         SCENARIOS: '🎬',
         STATE: '🌐',
+        STORAGE: '💾',
         STORE: '🗂️',
         SYNC: '🔄',
         TEMPLATES: '🧾',
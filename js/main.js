@@ -19,7 +19,28 @@ window.DEFAULT_SETTINGS = {
     cacheValidationDelay: '1500',
     optimisticCacheAgeLimit: '30000',
     cacheCountDiffThreshold: '2',
-    backgroundFetchDelay: '200'
+    backgroundFetchDelay: '200',
+    // Page through /mappings?limit=&offset= instead of one large download
+    pagedMappingLoading: false,
+    mappingsPageSize: '500',
+    // Days deleted mappings stay in the recycle bin (0 keeps them until purged)
+    trashRetentionDays: '30',
+    // Admin API resilience: retries for idempotent calls and the circuit breaker
+    retryEnabled: true,
+    retryMaxAttempts: '3',
+    retryBaseDelay: '300',
+    circuitBreakerThreshold: '5',
+    circuitBreakerCooldown: '30000',
+    // Admin API authentication: none, static-header, basic or oauth2-client-credentials
+    authType: 'none',
+    authHeaderName: 'Authorization',
+    authHeaderValue: '',
+    authUsername: '',
+    authPassword: '',
+    authTokenUrl: '',
+    authClientId: '',
+    authClientSecret: '',
+    authScope: ''
 };
 
 // Make it available as a module-level constant too for backward compatibility
@@ -253,7 +274,11 @@ function initializeOnboardingFlow() {
                 autoConnect: autoConnectField ? autoConnectField.checked : DEFAULT_SETTINGS.autoConnect
             };
 
-            localStorage.setItem('wiremock-settings', JSON.stringify(mergedSettings));
+            // With a profile active the connection fields go to the profile only
+            window.writeWiremockSettings(mergedSettings);
+            if (window.ConnectionProfiles?.getActive()) {
+                window.ConnectionProfiles.updateActive(mergedSettings);
+            }
             window.customHeaders = { ...(mergedSettings.customHeaders || {}) };
 
             loadSettings();
@@ -375,6 +400,62 @@ window.updateSwaggerUILink = (host, port) => {
     }
 };
 
+// Settings page inputs of the auth provider fields (see window.AUTH_SETTING_FIELDS)
+const AUTH_FORM_FIELDS = {
+    authType: 'auth-type',
+    authHeaderName: 'auth-header-name',
+    authHeaderValue: 'auth-header-value',
+    authUsername: 'auth-username',
+    authPassword: 'auth-password',
+    authTokenUrl: 'auth-token-url',
+    authClientId: 'auth-client-id',
+    authClientSecret: 'auth-client-secret',
+    authScope: 'auth-scope'
+};
+
+const readAuthSettingsForm = () => {
+    const values = {};
+    Object.entries(AUTH_FORM_FIELDS).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        values[key] = input ? input.value.trim() : (DEFAULT_SETTINGS[key] ?? '');
+    });
+    values.authType = values.authType || DEFAULT_SETTINGS.authType;
+    return values;
+};
+
+const fillAuthSettingsForm = (settings) => {
+    Object.entries(AUTH_FORM_FIELDS).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = settings[key] ?? DEFAULT_SETTINGS[key] ?? '';
+    });
+    window.updateAuthFieldsVisibility();
+};
+
+window.readAuthSettingsForm = readAuthSettingsForm;
+
+// Show only the inputs of the selected auth provider
+window.updateAuthFieldsVisibility = () => {
+    const authType = document.getElementById('auth-type')?.value || DEFAULT_SETTINGS.authType;
+    document.querySelectorAll('[data-auth-type]').forEach((group) => {
+        group.classList.toggle('hidden', group.dataset.authType !== authType);
+    });
+};
+
+// Request a fresh token with the values currently in the form
+window.testAuthToken = async () => {
+    const settings = { ...getStoredSettings(), ...readAuthSettingsForm() };
+    try {
+        const token = await window.ApiAuth.getToken(settings, { forceRefresh: true });
+        const expiry = Number.isFinite(token.expiresAt)
+            ? `expires in ${Math.round((token.expiresAt - Date.now()) / 1000)}s`
+            : 'no expiry reported';
+        NotificationManager.success(`Token acquired (${expiry})`);
+    } catch (error) {
+        Logger.error('API', 'Token request failed:', error);
+        NotificationManager.error(error.message);
+    }
+};
+
 // Save settings from the settings page
 window.saveSettings = () => {
     try {
@@ -411,6 +492,16 @@ window.saveSettings = () => {
             optimisticCacheAgeLimit: document.getElementById('optimistic-cache-age-limit')?.value || DEFAULT_SETTINGS.optimisticCacheAgeLimit,
             cacheCountDiffThreshold: document.getElementById('cache-count-diff-threshold')?.value || DEFAULT_SETTINGS.cacheCountDiffThreshold,
             backgroundFetchDelay: document.getElementById('background-fetch-delay')?.value || DEFAULT_SETTINGS.backgroundFetchDelay,
+            pagedMappingLoading: document.getElementById('paged-mapping-loading')?.checked ?? DEFAULT_SETTINGS.pagedMappingLoading,
+            mappingsPageSize: document.getElementById('mappings-page-size')?.value || DEFAULT_SETTINGS.mappingsPageSize,
+            trashRetentionDays: document.getElementById('trash-retention-days')?.value || DEFAULT_SETTINGS.trashRetentionDays,
+            // Resilience settings
+            retryEnabled: document.getElementById('retry-enabled')?.checked ?? DEFAULT_SETTINGS.retryEnabled,
+            retryMaxAttempts: document.getElementById('retry-max-attempts')?.value || DEFAULT_SETTINGS.retryMaxAttempts,
+            retryBaseDelay: document.getElementById('retry-base-delay')?.value || DEFAULT_SETTINGS.retryBaseDelay,
+            circuitBreakerThreshold: document.getElementById('circuit-breaker-threshold')?.value || DEFAULT_SETTINGS.circuitBreakerThreshold,
+            circuitBreakerCooldown: document.getElementById('circuit-breaker-cooldown')?.value || DEFAULT_SETTINGS.circuitBreakerCooldown,
+            ...readAuthSettingsForm(),
             autoConnect: autoConnectCheckbox?.checked ?? DEFAULT_SETTINGS.autoConnect,
             customHeaders: customHeadersResult.headers,
             customHeadersRaw: customHeadersResult.raw
@@ -422,9 +513,13 @@ window.saveSettings = () => {
         if (hostInput) hostInput.value = settings.host;
         if (portInput) portInput.value = settings.port;
 
-        // Save to localStorage
-        localStorage.setItem('wiremock-settings', JSON.stringify(settings));
+        // Save to localStorage; with a profile active the connection fields go to the profile only
+        window.writeWiremockSettings(settings);
         Logger.info('UI', '🔧 [main.js] Settings saved to localStorage:', settings);
+
+        if (window.ConnectionProfiles?.getActive()) {
+            window.ConnectionProfiles.updateActive(settings);
+        }
         Logger.info('UI', '🔧 [main.js] Request timeout field value:', document.getElementById('request-timeout')?.value);
 
         // Update global baseUrl immediately
@@ -436,6 +531,8 @@ window.saveSettings = () => {
 
         // Update global auth header immediately
         window.customHeaders = { ...(settings.customHeaders || {}) };
+        Utils.safeCall(() => window.ApiCircuitBreaker?.reset());
+        Utils.safeCall(() => window.ApiAuth?.clearTokens());
 
         // Broadcast settings update to any open editor windows
         broadcastSettingsUpdate(settings);
@@ -467,7 +564,15 @@ window.resetSettings = () => {
             autoRefresh: document.getElementById('auto-refresh-enabled'),
             refreshInterval: document.getElementById('refresh-interval'),
             customHeaders: document.getElementById('custom-headers'),
-            autoConnect: document.getElementById('auto-connect-enabled')
+            autoConnect: document.getElementById('auto-connect-enabled'),
+            pagedMappingLoading: document.getElementById('paged-mapping-loading'),
+            mappingsPageSize: document.getElementById('mappings-page-size'),
+            trashRetentionDays: document.getElementById('trash-retention-days'),
+            retryEnabled: document.getElementById('retry-enabled'),
+            retryMaxAttempts: document.getElementById('retry-max-attempts'),
+            retryBaseDelay: document.getElementById('retry-base-delay'),
+            circuitBreakerThreshold: document.getElementById('circuit-breaker-threshold'),
+            circuitBreakerCooldown: document.getElementById('circuit-breaker-cooldown')
         };
 
         // Update form fields
@@ -479,9 +584,24 @@ window.resetSettings = () => {
         if (elements.refreshInterval) elements.refreshInterval.value = DEFAULT_SETTINGS.refreshInterval;
         if (elements.customHeaders) elements.customHeaders.value = DEFAULT_SETTINGS.customHeadersRaw || '';
         if (elements.autoConnect) elements.autoConnect.checked = DEFAULT_SETTINGS.autoConnect;
-
-        // Save defaults
+        if (elements.pagedMappingLoading) elements.pagedMappingLoading.checked = DEFAULT_SETTINGS.pagedMappingLoading;
+        if (elements.mappingsPageSize) elements.mappingsPageSize.value = DEFAULT_SETTINGS.mappingsPageSize;
+        if (elements.trashRetentionDays) elements.trashRetentionDays.value = DEFAULT_SETTINGS.trashRetentionDays;
+        if (elements.retryEnabled) elements.retryEnabled.checked = DEFAULT_SETTINGS.retryEnabled;
+        if (elements.retryMaxAttempts) elements.retryMaxAttempts.value = DEFAULT_SETTINGS.retryMaxAttempts;
+        if (elements.retryBaseDelay) elements.retryBaseDelay.value = DEFAULT_SETTINGS.retryBaseDelay;
+        if (elements.circuitBreakerThreshold) elements.circuitBreakerThreshold.value = DEFAULT_SETTINGS.circuitBreakerThreshold;
+        if (elements.circuitBreakerCooldown) elements.circuitBreakerCooldown.value = DEFAULT_SETTINGS.circuitBreakerCooldown;
+        fillAuthSettingsForm(DEFAULT_SETTINGS);
+        Utils.safeCall(() => window.ApiCircuitBreaker?.reset());
+        Utils.safeCall(() => window.ApiAuth?.clearTokens());
+
+        // Save defaults and fall back from any active profile to the default connection
         localStorage.setItem('wiremock-settings', JSON.stringify(DEFAULT_SETTINGS));
+        if (typeof window.readConnectionProfiles === 'function') {
+            window.writeConnectionProfiles({ ...window.readConnectionProfiles(), activeId: null });
+            Utils.safeCall(() => window.ConnectionProfiles?.render());
+        }
 
         // Update global baseUrl
         window.wiremockBaseUrl = `http://${DEFAULT_SETTINGS.host}:${DEFAULT_SETTINGS.port}/__admin`;
@@ -525,7 +645,15 @@ window.loadSettings = () => {
             cacheCountDiffThreshold: document.getElementById('cache-count-diff-threshold'),
             backgroundFetchDelay: document.getElementById('background-fetch-delay'),
             customHeaders: document.getElementById('custom-headers'),
-            autoConnect: document.getElementById('auto-connect-enabled')
+            autoConnect: document.getElementById('auto-connect-enabled'),
+            pagedMappingLoading: document.getElementById('paged-mapping-loading'),
+            mappingsPageSize: document.getElementById('mappings-page-size'),
+            trashRetentionDays: document.getElementById('trash-retention-days'),
+            retryEnabled: document.getElementById('retry-enabled'),
+            retryMaxAttempts: document.getElementById('retry-max-attempts'),
+            retryBaseDelay: document.getElementById('retry-base-delay'),
+            circuitBreakerThreshold: document.getElementById('circuit-breaker-threshold'),
+            circuitBreakerCooldown: document.getElementById('circuit-breaker-cooldown')
         };
 
         // Load into settings form fields if they exist
@@ -543,6 +671,17 @@ window.loadSettings = () => {
         if (elements.backgroundFetchDelay) elements.backgroundFetchDelay.value = settings.backgroundFetchDelay || DEFAULT_SETTINGS.backgroundFetchDelay;
         if (elements.customHeaders) elements.customHeaders.value = serializeCustomHeaders(settings);
         if (elements.autoConnect) elements.autoConnect.checked = settings.autoConnect !== false;
+        if (elements.pagedMappingLoading) elements.pagedMappingLoading.checked = settings.pagedMappingLoading === true;
+        if (elements.mappingsPageSize) elements.mappingsPageSize.value = settings.mappingsPageSize || DEFAULT_SETTINGS.mappingsPageSize;
+        if (elements.trashRetentionDays) elements.trashRetentionDays.value = settings.trashRetentionDays ?? DEFAULT_SETTINGS.trashRetentionDays;
+        // Resilience settings
+        if (elements.retryEnabled) elements.retryEnabled.checked = settings.retryEnabled !== undefined ? settings.retryEnabled : DEFAULT_SETTINGS.retryEnabled;
+        if (elements.retryMaxAttempts) elements.retryMaxAttempts.value = settings.retryMaxAttempts || DEFAULT_SETTINGS.retryMaxAttempts;
+        if (elements.retryBaseDelay) elements.retryBaseDelay.value = settings.retryBaseDelay || DEFAULT_SETTINGS.retryBaseDelay;
+        if (elements.circuitBreakerThreshold) elements.circuitBreakerThreshold.value = settings.circuitBreakerThreshold || DEFAULT_SETTINGS.circuitBreakerThreshold;
+        if (elements.circuitBreakerCooldown) elements.circuitBreakerCooldown.value = settings.circuitBreakerCooldown || DEFAULT_SETTINGS.circuitBreakerCooldown;
+        // Authentication settings
+        fillAuthSettingsForm(settings);
 
         // Update global auth header
         window.customHeaders = (settings.customHeaders && typeof settings.customHeaders === 'object' && !Array.isArray(settings.customHeaders))
@@ -605,6 +744,14 @@ window.applyDefaultsToForm = () => {
     const intervalInput = document.getElementById('refresh-interval');
     const customHeadersInput = document.getElementById('custom-headers');
     const autoConnectInput = document.getElementById('auto-connect-enabled');
+    const pagedLoadingInput = document.getElementById('paged-mapping-loading');
+    const pageSizeInput = document.getElementById('mappings-page-size');
+    const trashRetentionInput = document.getElementById('trash-retention-days');
+    const retryEnabledInput = document.getElementById('retry-enabled');
+    const retryAttemptsInput = document.getElementById('retry-max-attempts');
+    const retryDelayInput = document.getElementById('retry-base-delay');
+    const circuitThresholdInput = document.getElementById('circuit-breaker-threshold');
+    const circuitCooldownInput = document.getElementById('circuit-breaker-cooldown');
 
     if (hostInput && !hostInput.value) hostInput.value = DEFAULT_SETTINGS.host;
     if (portInput && !portInput.value) portInput.value = DEFAULT_SETTINGS.port;
@@ -614,6 +761,19 @@ window.applyDefaultsToForm = () => {
     if (intervalInput && !intervalInput.value) intervalInput.value = DEFAULT_SETTINGS.refreshInterval;
     if (customHeadersInput && !customHeadersInput.value) customHeadersInput.value = DEFAULT_SETTINGS.customHeadersRaw || '';
     if (autoConnectInput) autoConnectInput.checked = DEFAULT_SETTINGS.autoConnect;
+    if (pagedLoadingInput) pagedLoadingInput.checked = DEFAULT_SETTINGS.pagedMappingLoading;
+    if (pageSizeInput && !pageSizeInput.value) pageSizeInput.value = DEFAULT_SETTINGS.mappingsPageSize;
+    if (trashRetentionInput && !trashRetentionInput.value) trashRetentionInput.value = DEFAULT_SETTINGS.trashRetentionDays;
+    if (retryEnabledInput) retryEnabledInput.checked = DEFAULT_SETTINGS.retryEnabled;
+    if (retryAttemptsInput && !retryAttemptsInput.value) retryAttemptsInput.value = DEFAULT_SETTINGS.retryMaxAttempts;
+    if (retryDelayInput && !retryDelayInput.value) retryDelayInput.value = DEFAULT_SETTINGS.retryBaseDelay;
+    if (circuitThresholdInput && !circuitThresholdInput.value) circuitThresholdInput.value = DEFAULT_SETTINGS.circuitBreakerThreshold;
+    if (circuitCooldownInput && !circuitCooldownInput.value) circuitCooldownInput.value = DEFAULT_SETTINGS.circuitBreakerCooldown;
+    const authTypeInput = document.getElementById('auth-type');
+    const authHeaderNameInput = document.getElementById('auth-header-name');
+    if (authTypeInput && !authTypeInput.value) authTypeInput.value = DEFAULT_SETTINGS.authType;
+    if (authHeaderNameInput && !authHeaderNameInput.value) authHeaderNameInput.value = DEFAULT_SETTINGS.authHeaderName;
+    window.updateAuthFieldsVisibility();
 
     Logger.info('UI', '🔧 [applyDefaultsToForm] Form defaults applied');
 };
@@ -696,7 +856,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Then restore active tab from URL
     const urlTab = typeof window.getActiveTabFromURL === 'function' ? window.getActiveTabFromURL() : null;
-    const validTabs = ['mappings', 'requests', 'scenarios', 'import-export', 'recording', 'settings'];
+    const validTabs = ['mappings', 'requests', 'composer', 'scenarios', 'import-export', 'recording', 'compare', 'audit', 'unused', 'trash', 'traffic', 'settings'];
 
     if (urlTab && validTabs.includes(urlTab) && typeof window.showPage === 'function') {
         Logger.info('UI', `🔗 Switching to tab from URL: ${urlTab}`);
@@ -735,7 +895,8 @@ window.addEventListener('popstate', () => {
 window.addEventListener('storage', (e) => {
     if (e.key === 'wiremock-settings' && e.newValue) {
         try {
-            const settings = JSON.parse(e.newValue);
+            // Re-read through readWiremockSettings so an active connection profile still wins
+            const settings = Utils.safeCall(window.readWiremockSettings) || JSON.parse(e.newValue);
             Logger.info('UI', '🔧 [main.js] Settings updated from external source:', settings);
 
             // Update main connection form fields
@@ -810,6 +971,21 @@ window.addEventListener('message', (event) => {
     }
 });
 
+// Apply a batchCreate/batchUpdate broadcast from another tab, then render once
+const applyOptimisticMappingBatch = (data) => {
+    if (!Array.isArray(data?.mappings) || typeof window.applyOptimisticMappingUpdate !== 'function') {
+        return;
+    }
+    Logger.info('UI', `🎯 [main.js] Received batch optimistic update (${data.operation}) for ${data.mappings.length} mappings from:`, data.source);
+    data.mappings.forEach(mapping => window.applyOptimisticMappingUpdate(mapping));
+    if (typeof window.fetchAndRenderMappings === 'function') {
+        window.fetchAndRenderMappings(window.MappingsStore.getAll());
+    }
+    if (typeof window.updateMappingsCounter === 'function') {
+        window.updateMappingsCounter();
+    }
+};
+
 // Listen for localStorage-based cache refresh triggers (cross-tab communication)
 window.addEventListener('storage', (e) => {
     if (e.key === 'imock-cache-refresh-trigger' && e.newValue) {
@@ -825,6 +1001,10 @@ window.addEventListener('storage', (e) => {
     if (e.key === 'imock-optimistic-update' && e.newValue) {
         try {
             const data = JSON.parse(e.newValue);
+            if (Array.isArray(data.mappings)) {
+                applyOptimisticMappingBatch(data);
+                return;
+            }
             Logger.info('UI', '🎯 [main.js] Received localStorage optimistic update from:', data.source, 'for mapping:', data.mapping?.id);
             if (data.mapping && typeof window.applyOptimisticMappingUpdate === 'function') {
                 window.applyOptimisticMappingUpdate(data.mapping);
@@ -864,7 +1044,9 @@ if (typeof BroadcastChannel !== 'undefined') {
 
         // Listen for optimistic mapping updates via BroadcastChannel
         optimisticUpdateChannel.addEventListener('message', (event) => {
-            if (event.data && event.data.type === 'optimistic-mapping-update') {
+            if (Array.isArray(event.data?.mappings)) {
+                applyOptimisticMappingBatch(event.data);
+            } else if (event.data && event.data.type === 'optimistic-mapping-update') {
                 Logger.info('UI', '🎯 [main.js] Received BroadcastChannel optimistic update from:', event.data.source, event.data.mapping.id);
                 if (typeof window.applyOptimisticMappingUpdate === 'function') {
                     window.applyOptimisticMappingUpdate(event.data.mapping);
@@ -551,6 +551,12 @@ function executeMappingFilters() {
         filteredMappings = allMappingsFromStore;
     }
 
+    // Narrow to the node selected in the URL path tree
+    if (window.MappingPathTree) {
+        filteredMappings = window.MappingPathTree.filter(filteredMappings);
+        window.MappingPathTree.scheduleRender();
+    }
+
     // Store filtered result in a separate variable (don't assign to window.allMappings - it's a getter to MappingsStore!)
     window._filteredMappings = filteredMappings;
 
@@ -562,7 +568,13 @@ function executeMappingFilters() {
         return;
     }
 
+    const sortByHits = window.MappingHits?.sortMode === 'hits';
     const sortedMappings = [...filteredMappings].sort((a, b) => {
+        if (sortByHits) {
+            const hitsDiff = window.MappingHits.compare(a, b);
+            if (hitsDiff !== 0) return hitsDiff;
+        }
+
         const priorityA = a?.priority ?? 1;
         const priorityB = b?.priority ?? 1;
         if (priorityA !== priorityB) return priorityA - priorityB;
@@ -762,7 +774,12 @@ function getMappingRenderSignature(mapping) {
         stringifyForSignature(request.queryParameters),
         stringifyForSignature(response.headers),
         stringifyForSignature(response.jsonBody !== undefined ? response.jsonBody : response.body || ''),
-        stringifyForSignature(metadata.additionalMetadata || metadata.tags || metadata.description || '')
+        stringifyForSignature(metadata.additionalMetadata || metadata.tags || metadata.description || ''),
+        window.MappingOverlapAnalyzer ? window.MappingOverlapAnalyzer.getSignature(mapping.id) : '',
+        mapping._disabled ? 'disabled' : '',
+        mapping.persistent === true ? 'persistent' : '',
+        window.MappingTags ? window.MappingTags.getTags(mapping).join(',') : '',
+        window.MappingHits ? window.MappingHits.getSignature(mapping.id) : ''
     ].join('|');
 }
 
@@ -0,0 +1,371 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+function createApiTestContext(settings = {}, { extraScripts = [] } = {}) {
+    const silent = { log() {}, info() {}, warn() {}, error() {} };
+    const sandbox = {
+        console: silent,
+        setTimeout,
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: () => {},
+        performance: { now: () => 0 },
+        AbortController,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+    };
+
+    const elementStub = () => ({
+        value: '',
+        innerHTML: '',
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+        addEventListener() {},
+        setAttribute() {},
+    });
+
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.document = {
+        readyState: 'complete',
+        getElementById: () => elementStub(),
+        querySelectorAll: () => [],
+        addEventListener() {},
+        body: elementStub(),
+    };
+    sandbox.window = sandbox;
+    sandbox.addEventListener = () => {};
+    sandbox.matchMedia = () => ({ matches: false, addListener() {}, removeListener() {} });
+    sandbox.localStorage = {
+        _data: Object.create(null),
+        getItem(key) { return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : null; },
+        setItem(key, value) { this._data[key] = String(value); },
+        removeItem(key) { delete this._data[key]; },
+    };
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.Utils = {
+        safeCall: (fn, ...args) => (typeof fn === 'function' ? fn(...args) : undefined),
+        escapeHtml: (value) => String(value),
+    };
+
+    sandbox.localStorage.setItem('wiremock-settings', JSON.stringify({
+        host: 'localhost',
+        port: '8080',
+        retryBaseDelay: '1',
+        ...settings
+    }));
+
+    const context = vm.createContext(sandbox);
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', 'core.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'js/core.js' });
+    context.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    for (const script of extraScripts) {
+        // utils.js declares the real Utils; drop the stub so it can take over
+        if (script.endsWith('utils.js')) delete sandbox.Utils;
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'), context, { filename: script });
+    }
+
+    return context;
+}
+
+function queueResponses(context, responses) {
+    const calls = [];
+    context.fetch = async (url, init) => {
+        calls.push({ url, method: init.method || 'GET', headers: init.headers });
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        if (next instanceof Error) throw next;
+        return {
+            ok: next.status >= 200 && next.status < 300,
+            status: next.status,
+            statusText: next.statusText || '',
+            headers: { get: () => 'application/json' },
+            json: async () => next.body || {},
+            text: async () => JSON.stringify(next.body || {}),
+        };
+    };
+    return calls;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('GET is retried on 503 and resolves once the server recovers', async () => {
+    const context = createApiTestContext();
+    const calls = queueResponses(context, [{ status: 503 }, { status: 503 }, { status: 200, body: { mappings: [] } }]);
+
+    const result = await context.apiFetch('/mappings');
+
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(JSON.stringify(result), JSON.stringify({ mappings: [] }));
+    assert.strictEqual(context.ApiCircuitBreaker.state, 'closed');
+});
+
+runTest('non-idempotent requests and 4xx responses are not retried', async () => {
+    const context = createApiTestContext();
+    let calls = queueResponses(context, [{ status: 503 }]);
+    await assert.rejects(() => context.apiFetch('/mappings', { method: 'POST', body: '{}' }), error => error.status === 503);
+    assert.strictEqual(calls.length, 1, 'POST must not be replayed');
+
+    calls = queueResponses(context, [{ status: 404 }]);
+    await assert.rejects(() => context.apiFetch('/mappings/missing'), error => error.status === 404);
+    assert.strictEqual(calls.length, 1, '404 is not transient');
+
+    calls = queueResponses(context, [new TypeError('Failed to fetch'), { status: 200 }]);
+    await context.apiFetch('/mappings/abc', { method: 'PUT', body: '{}' });
+    assert.strictEqual(calls.length, 2, 'PUT on a single mapping is idempotent');
+});
+
+runTest('circuit opens after repeated failures and short-circuits further calls', async () => {
+    const context = createApiTestContext({ retryEnabled: false, circuitBreakerThreshold: '2', circuitBreakerCooldown: '60000' });
+    const healthUpdates = [];
+    context.applyHealthUI = (isHealthy, responseTime, options) => healthUpdates.push({ isHealthy, options });
+    const calls = queueResponses(context, [new TypeError('Failed to fetch')]);
+
+    await assert.rejects(() => context.apiFetch('/health'));
+    await assert.rejects(() => context.apiFetch('/health'));
+    assert.strictEqual(context.ApiCircuitBreaker.state, 'open');
+    assert.strictEqual(healthUpdates.at(-1).options.circuitOpen, true);
+
+    await assert.rejects(() => context.apiFetch('/mappings'), error => error.circuitOpen === true);
+    assert.strictEqual(calls.length, 2, 'no request is sent while the circuit is open');
+
+    // Requests to another server are not guarded by the active connection breaker
+    queueResponses(context, [{ status: 200 }]);
+    await context.apiFetch('/mappings', { baseUrl: 'http://other:8080/__admin' });
+
+    // Once the cooldown has passed a single probe closes the circuit again
+    context.ApiCircuitBreaker.openedAt = Date.now() - 60001;
+    await context.apiFetch('/health');
+    assert.strictEqual(context.ApiCircuitBreaker.state, 'closed');
+    assert.strictEqual(healthUpdates.at(-1).isHealthy, true);
+});
+
+runTest('every call lands in the traffic ring buffer, including periodic ones', async () => {
+    const context = createApiTestContext(
+        { customHeaders: { Authorization: "Bearer it's-secret" } },
+        { extraScripts: ['js/features/utils.js', 'js/features/traffic-inspector.js'] }
+    );
+    context.ENDPOINTS = { HEALTH: '/health', MAPPINGS: '/mappings' };
+    queueResponses(context, [{ status: 503 }, { status: 200, body: { status: 'healthy' } }]);
+
+    await context.apiFetch('/health');
+    queueResponses(context, [{ status: 400 }]);
+    await assert.rejects(() => context.apiFetch('/mappings', { method: 'POST', body: '{"request":{}}' }));
+
+    const [health, create] = context.ApiTrafficLog.entries;
+    assert.strictEqual(health.endpoint, '/health');
+    assert.strictEqual(health.state, 'done');
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual(health.attempts, 2);
+    assert.strictEqual(health.responseSize, JSON.stringify({ status: 'healthy' }).length);
+    assert.strictEqual(typeof health.duration, 'number');
+    assert.strictEqual(create.state, 'error');
+    assert.strictEqual(create.status, 400);
+    assert.strictEqual(create.requestSize, 14);
+
+    context.TrafficInspector.filters.status = 'client-error';
+    assert.strictEqual(context.TrafficInspector.getFilteredEntries().map(entry => entry.id).join(), String(create.id));
+    context.TrafficInspector.filters.status = 'all';
+    context.TrafficInspector.filters.text = 'health';
+    assert.strictEqual(context.TrafficInspector.getFilteredEntries().map(entry => entry.id).join(), String(health.id));
+
+    assert.strictEqual(
+        context.TrafficInspector.toCurl(create.id),
+        "curl -X POST 'http://localhost:8080/__admin/mappings' -H 'Content-Type: application/json' " +
+        "-H 'Authorization: <redacted>' --data-raw '{\"request\":{}}'",
+        'credentials are masked before they reach the log'
+    );
+
+    context.ApiTrafficLog.capacity = 2;
+    queueResponses(context, [{ status: 200 }]);
+    await context.apiFetch('/scenarios');
+    assert.strictEqual(context.ApiTrafficLog.entries.length, 2, 'ring buffer drops the oldest entry');
+    assert.strictEqual(context.ApiTrafficLog.entries[0].id, create.id);
+});
+
+runTest('static header and basic auth providers add their headers', async () => {
+    const context = createApiTestContext({ authType: 'static-header', authHeaderName: 'X-Api-Key', authHeaderValue: 'k-1' });
+    let calls = queueResponses(context, [{ status: 200 }]);
+    await context.apiFetch('/mappings');
+    assert.strictEqual(calls[0].headers['X-Api-Key'], 'k-1');
+    assert.strictEqual(context.ApiTrafficLog.entries.at(-1).headers['X-Api-Key'], '<redacted>', 'the static header is kept out of the log');
+
+    const basic = createApiTestContext({ authType: 'basic', authUsername: 'admin', authPassword: 'pässword' });
+    calls = queueResponses(basic, [{ status: 200 }]);
+    await basic.apiFetch('/mappings');
+    assert.strictEqual(calls[0].headers.Authorization, `Basic ${Buffer.from('admin:pässword').toString('base64')}`);
+    assert.strictEqual(basic.ApiTrafficLog.entries.at(-1).headers.Authorization, '<redacted>');
+});
+
+runTest('OAuth2 tokens are cached, refreshed before expiry and after a 401', async () => {
+    const context = createApiTestContext({
+        authType: 'oauth2-client-credentials',
+        authTokenUrl: 'https://auth.example/token',
+        authClientId: 'imock',
+        authClientSecret: 's3cret',
+        authScope: 'admin'
+    });
+    const tokenRequests = [];
+    const adminCalls = [];
+    const rejectedTokens = new Set();
+    context.fetch = async (url, init) => {
+        if (url === 'https://auth.example/token') {
+            tokenRequests.push(init.body);
+            return { ok: true, status: 200, json: async () => ({ access_token: `tok-${tokenRequests.length}`, token_type: 'bearer', expires_in: 3600 }) };
+        }
+        const authorization = init.headers.Authorization;
+        adminCalls.push(authorization);
+        const status = rejectedTokens.has(authorization) ? 401 : 200;
+        return { ok: status === 200, status, statusText: '', headers: { get: () => 'application/json' }, text: async () => '{}' };
+    };
+
+    await context.apiFetch('/mappings');
+    await context.apiFetch('/requests');
+    assert.strictEqual(tokenRequests.length, 1, 'the token is cached between calls');
+    assert.strictEqual(tokenRequests[0], 'grant_type=client_credentials&client_id=imock&client_secret=s3cret&scope=admin');
+    assert.strictEqual(adminCalls.join(), 'Bearer tok-1,Bearer tok-1');
+
+    // The gateway revokes tok-1: the request is replayed once with a new token
+    rejectedTokens.add('Bearer tok-1');
+    await context.apiFetch('/mappings', { method: 'POST', body: '{}' });
+    assert.strictEqual(adminCalls.slice(-2).join(), 'Bearer tok-1,Bearer tok-2');
+    assert.strictEqual(context.ApiTrafficLog.entries.at(-1).attempts, 2);
+    assert.strictEqual(context.ApiTrafficLog.entries.at(-1).headers.Authorization, '<redacted>', 'refreshed tokens stay out of the log');
+
+    // Tokens close to expiry are replaced before they are used
+    const [cached] = context.ApiAuth._tokens.values();
+    cached.expiresAt = Date.now() + 10000;
+    await context.apiFetch('/mappings');
+    assert.strictEqual(adminCalls.at(-1), 'Bearer tok-3');
+
+    // A second 401 right after a refresh is reported instead of looping
+    rejectedTokens.add('Bearer tok-3');
+    rejectedTokens.add('Bearer tok-4');
+    await assert.rejects(() => context.apiFetch('/mappings'), error => error.status === 401);
+    assert.strictEqual(tokenRequests.length, 4);
+});
+
+runTest('a custom compare target gets none of the active connection credentials', async () => {
+    const context = createApiTestContext({
+        authType: 'oauth2-client-credentials',
+        authTokenUrl: 'https://auth.example/token',
+        authClientId: 'imock',
+        customHeaders: { 'X-Api-Key': 'secret' }
+    }, { extraScripts: ['js/features/server-compare.js'] });
+    const fields = { 'compare-right-server': { value: 'custom' }, 'compare-right-url': { value: 'http://elsewhere:9090/__admin' } };
+    context.document.getElementById = id => fields[id] || null;
+
+    const tokenRequests = [];
+    const calls = [];
+    context.fetch = async (url, init) => {
+        if (url === 'https://auth.example/token') {
+            tokenRequests.push(url);
+            return { ok: true, status: 200, json: async () => ({ access_token: 'tok', token_type: 'bearer', expires_in: 3600 }) };
+        }
+        calls.push({ url, headers: init.headers });
+        return { ok: false, status: 401, statusText: '', headers: { get: () => 'application/json' }, text: async () => '{}' };
+    };
+
+    const target = context.ServerCompare.resolveTarget('right');
+    await assert.rejects(() => context.ServerCompare._loadMappings(target), error => error.status === 401);
+    assert.strictEqual(calls.length, 1, 'a 401 from a foreign host does not refresh and retry');
+    assert.strictEqual(calls[0].url, 'http://elsewhere:9090/__admin/mappings');
+    assert.strictEqual('Authorization' in calls[0].headers, false);
+    assert.strictEqual('X-Api-Key' in calls[0].headers, false);
+    assert.strictEqual(tokenRequests.length, 0);
+
+    // Even without an explicit auth override, another baseUrl never falls back to the global provider
+    await assert.rejects(() => context.apiFetch('/mappings', { baseUrl: 'http://elsewhere:9090/__admin' }));
+    assert.strictEqual('Authorization' in calls[1].headers, false);
+    assert.strictEqual('X-Api-Key' in calls[1].headers, false);
+});
+
+runTest('token endpoint failures surface as auth errors without calling WireMock', async () => {
+    const context = createApiTestContext({ authType: 'oauth2-client-credentials', authTokenUrl: 'https://auth.example/token' });
+    const calls = queueResponses(context, [{ status: 403 }]);
+
+    await assert.rejects(() => context.apiFetch('/mappings'), error => error.isAuthError && error.tokenStatus === 403);
+    assert.strictEqual(calls.length, 1, 'only the token endpoint was called');
+    assert.strictEqual(context.ApiTrafficLog.entries.at(-1).state, 'error');
+    assert.strictEqual(context.ApiCircuitBreaker.failures, 0);
+});
+
+runTest('onProgress streams the body and reports bytes and parsed mappings', async () => {
+    const context = createApiTestContext();
+    const payload = JSON.stringify({
+        mappings: [
+            { id: 'a', request: { url: '/a' }, response: { body: 'brace } and "quote" [' } },
+            { id: 'b', request: { url: '/b' }, response: { jsonBody: { nested: [{ deep: true }] } } },
+        ],
+        meta: { total: 2 }
+    });
+    const bytes = new TextEncoder().encode(payload);
+    context.fetch = async () => ({
+        ok: true,
+        status: 200,
+        headers: { get: name => (name === 'content-length' ? String(bytes.length) : 'application/json') },
+        // Split mid-way so the counter has to carry its state across chunks
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes.slice(0, 40));
+                controller.enqueue(bytes.slice(40));
+                controller.close();
+            }
+        }),
+        text: async () => { throw new Error('the body must be streamed'); },
+    });
+
+    const reports = [];
+    const result = await context.apiFetch('/mappings', { onProgress: progress => reports.push(progress) });
+
+    assert.strictEqual(result.mappings.length, 2);
+    const last = reports.at(-1);
+    assert.strictEqual(last.done, true);
+    assert.strictEqual(last.loaded, bytes.length);
+    assert.strictEqual(last.total, bytes.length);
+    assert.strictEqual(last.items, 2, 'only objects directly inside the mappings array are counted');
+});
+
+runTest('aborting the caller signal cancels the request without tripping the breaker', async () => {
+    const context = createApiTestContext({ circuitBreakerThreshold: '1' });
+    context.fetch = (url, init) => new Promise((resolve, reject) => {
+        const rejectAborted = () => {
+            const abortError = new Error('The operation was aborted');
+            abortError.name = 'AbortError';
+            reject(abortError);
+        };
+        if (init.signal.aborted) rejectAborted();
+        init.signal.addEventListener('abort', rejectAborted);
+    });
+
+    const controller = new AbortController();
+    const pending = context.apiFetch('/mappings', { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, error => error.isCancelled === true && !error.isTimeout);
+    assert.strictEqual(context.ApiCircuitBreaker.state, 'closed');
+    assert.strictEqual(context.ApiTrafficLog.entries.at(-1).state, 'error');
+    assert.strictEqual(context.ApiTrafficLog.entries.at(-1).attempts, 1, 'cancelled GETs are not retried');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
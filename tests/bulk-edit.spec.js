@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Loads the JSON Patch helpers, store, operations and bulk edit against a fake server.
+function createBulkEditTestContext(mappings = []) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.Utils = { escapeHtml: String };
+    sandbox.SELECTORS = { LISTS: { MAPPINGS: 'mappings-list' } };
+    sandbox.localStorage = { setItem() {}, removeItem() {}, getItem: () => null };
+    sandbox.document = {
+        getElementById: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+    sandbox.hideModal = () => {};
+
+    sandbox.puts = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        const body = JSON.parse(options.body);
+        sandbox.puts.push({ endpoint, body });
+        return body;
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/lib/json-patch.js', 'js/features/store.js', 'js/features/operations.js', 'js/features/bulk-edit.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('JsonPatch applies RFC 6902 operations to a copy and reports the failing one', () => {
+    const context = createBulkEditTestContext();
+    const { JsonPatch } = context;
+    const source = { a: { 'b/c': 1 }, list: [1, 2], keep: true };
+    assert.strictEqual(vm.runInContext('typeof escapeJsonPointerSegment', context), 'undefined', 'helpers must not leak into the global scope');
+
+    const patched = JsonPatch.apply(source, [
+        { op: 'add', path: '/list/-', value: 3 },
+        { op: 'replace', path: '/a/b~1c', value: 2 },
+        { op: 'copy', from: '/a', path: '/copy' },
+        { op: 'move', from: '/keep', path: '/moved' },
+        { op: 'remove', path: '/list/0' },
+        { op: 'test', path: '/moved', value: true }
+    ]);
+
+    assert.strictEqual(JSON.stringify(patched), '{"a":{"b/c":2},"list":[2,3],"copy":{"b/c":2},"moved":true}');
+    assert.strictEqual(JSON.stringify(source), '{"a":{"b/c":1},"list":[1,2],"keep":true}', 'input must not change');
+
+    assert.throws(() => JsonPatch.apply(source, [{ op: 'add', path: '/x', value: 1 }, { op: 'remove', path: '/missing' }]), /Operation 2 \(remove \/missing\)/);
+    assert.throws(() => JsonPatch.apply(source, [{ op: 'test', path: '/keep', value: false }]), /Test failed/);
+    assert.throws(() => JsonPatch.apply(source, [{ op: 'add', path: '/nope/deep', value: 1 }]), /does not exist/);
+
+    const diff = JsonPatch.diff(source, patched).map(change => `${change.type} ${change.path}`);
+    assert.strictEqual(diff.join(','), 'changed /a/b~1c,added /copy,removed /keep,changed /list,added /moved');
+});
+
+runTest('JsonPatch rejects pointers that would reach Object.prototype', () => {
+    const context = createBulkEditTestContext();
+    const { JsonPatch } = context;
+    const attempts = [
+        [{ op: 'add', path: '/__proto__/polluted', value: 'yes' }],
+        [{ op: 'add', path: '/constructor/prototype/polluted', value: 'yes' }],
+        [{ op: 'replace', path: '/a/__proto__', value: { polluted: 'yes' } }],
+        [{ op: 'copy', from: '/a', path: '/__proto__' }]
+    ];
+    attempts.forEach((operations) => {
+        assert.throws(() => JsonPatch.apply({ a: {} }, operations), /reserved segment/);
+    });
+    // Inherited members are not part of the document either
+    assert.throws(() => JsonPatch.apply({}, [{ op: 'add', path: '/toString/polluted', value: 'yes' }]), /does not exist/);
+    assert.throws(() => JsonPatch.get({}, '/constructor'), /reserved segment/);
+
+    assert.strictEqual(vm.runInContext('({}).polluted', context), undefined);
+    assert.strictEqual(({}).polluted, undefined);
+});
+
+runTest('bulk header edit replaces headers case-insensitively and skips unchanged mappings', () => {
+    const context = createBulkEditTestContext([
+        { id: 'a', request: { url: '/a' }, response: { status: 200, headers: { 'cache-control': 'max-age=60' } } },
+        { id: 'b', request: { url: '/b' }, response: { status: 200 } },
+        { id: 'c', request: { url: '/c' }, response: { status: 200, headers: { 'Cache-Control': 'no-cache' } } }
+    ]);
+    ['a', 'b', 'c'].forEach(id => context.MappingBulkEdit.toggle(id));
+
+    const preview = context.MappingBulkEdit.preview('headers', { headerMode: 'add', headerName: 'Cache-Control', headerValue: 'no-cache' });
+    const byId = Object.fromEntries(preview.map(entry => [entry.id, entry]));
+
+    assert.strictEqual(JSON.stringify(byId.a.after.response.headers), '{"Cache-Control":"no-cache"}');
+    assert.strictEqual(JSON.stringify(byId.b.after.response.headers), '{"Cache-Control":"no-cache"}');
+    assert.strictEqual(byId.c.changes.length, 0, 'an identical header is not a change');
+    assert.strictEqual(context.MappingsStore.get('a').response.headers['cache-control'], 'max-age=60', 'preview must not touch the store');
+
+    assert.throws(() => context.MappingBulkEdit.preview('headers', { headerMode: 'add', headerName: ' ' }), /Header name is required/);
+});
+
+runTest('committing a JSON Patch saves full mappings, so removed fields stay removed', async () => {
+    const context = createBulkEditTestContext([
+        { id: 'a', priority: 3, request: { url: '/a' }, response: { status: 200, fixedDelayMilliseconds: 500 } },
+        { id: 'b', priority: 3, request: { url: '/b' }, response: { status: 200 } }
+    ]);
+    context.MappingBulkEdit.toggle('a');
+    context.MappingBulkEdit.toggle('b');
+
+    const patch = JSON.stringify([{ op: 'remove', path: '/response/fixedDelayMilliseconds' }, { op: 'remove', path: '/priority' }]);
+    context.MappingBulkEdit._preview = context.MappingBulkEdit.preview('patch', { patch });
+    const previewErrors = context.MappingBulkEdit._preview.map(entry => entry.error || 'ok');
+    assert.strictEqual(previewErrors.join(','), 'ok,Operation 1 (remove /response/fixedDelayMilliseconds): Path "/response/fixedDelayMilliseconds" does not exist');
+
+    const result = await context.MappingBulkEdit.commit();
+    assert.strictEqual(result.success.length, 1);
+    assert.strictEqual(context.puts.length, 1);
+    assert.strictEqual(context.puts[0].endpoint, '/mappings/a');
+    assert.strictEqual(context.puts[0].body.priority, undefined);
+    assert.strictEqual(context.puts[0].body.response.fixedDelayMilliseconds, undefined);
+
+    const stored = context.MappingsStore.get('a');
+    assert.strictEqual(stored.priority, undefined);
+    assert.strictEqual(context.MappingsStore.get('b').priority, 3);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,160 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function httpError(status) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    return error;
+}
+
+function createCapabilitiesTestContext(routes) {
+    const navItems = [
+        { dataset: { requiresCapability: 'SCENARIOS' }, hidden: false },
+        { dataset: { requiresCapability: 'RECORDINGS' }, hidden: false },
+    ];
+    navItems.forEach((item) => {
+        item.classList = { toggle(name, force) { if (name === 'hidden') item.hidden = force; } };
+    });
+    const versionEl = {
+        textContent: '',
+        title: '',
+        hidden: true,
+        classList: { toggle(name, force) { if (name === 'hidden') versionEl.hidden = force; } },
+    };
+
+    const sandbox = { console: silent, AbortController, setTimeout, clearTimeout };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.SELECTORS = { CONNECTION: { VERSION: 'wiremock-version' } };
+    sandbox.ENDPOINTS = {
+        HEALTH: '/health',
+        MAPPINGS_FIND_BY_METADATA: '/mappings/find-by-metadata',
+        REQUESTS_UNMATCHED: '/requests/unmatched',
+        RECORDINGS_STATUS: '/recordings/status',
+        SCENARIOS: '/scenarios',
+    };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+    sandbox.document = {
+        getElementById: (id) => (id === 'wiremock-version' ? versionEl : null),
+        querySelectorAll: (selector) => (selector === '[data-requires-capability]' ? navItems : []),
+    };
+    sandbox.apiCalls = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        sandbox.apiCalls.push({ endpoint, quiet: options.quiet });
+        const route = routes[endpoint];
+        if (typeof route === 'function') return route(options);
+        if (route instanceof Error) throw route;
+        if (route === undefined) throw httpError(404);
+        return route;
+    };
+
+    const context = vm.createContext(sandbox);
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', 'features', 'capabilities.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'js/features/capabilities.js' });
+    return { context, navItems, versionEl };
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('detect reads /version and marks every probed endpoint as supported', async () => {
+    const { context, navItems, versionEl } = createCapabilitiesTestContext({
+        '/version': { version: '3.13.1' },
+        '/mappings/find-by-metadata': { mappings: [] },
+        '/requests/unmatched?limit=1': { requests: [] },
+        '/recordings/status': { status: 'NeverStarted' },
+        '/scenarios': { scenarios: [] },
+    });
+
+    const state = await context.WireMockCapabilities.detect();
+
+    assert.strictEqual(state.version, '3.13.1');
+    assert.strictEqual(context.WireMockCapabilities.supports('REQUESTS_UNMATCHED'), true);
+    assert.strictEqual(context.WireMockCapabilities.isAtLeast('3.13.0'), true);
+    assert.ok(context.apiCalls.every(call => call.quiet === true), 'probes must not log expected failures');
+    assert.ok(!context.apiCalls.some(call => call.endpoint === '/mappings/unmatched'), 'nothing uses the unmatched mappings probe');
+    assert.strictEqual(versionEl.textContent, 'v3.13.1');
+    assert.strictEqual(versionEl.hidden, false);
+    assert.ok(navItems.every(item => item.hidden === false));
+});
+
+runTest('older servers fall back to the health version and hide missing features', async () => {
+    const { context, navItems } = createCapabilitiesTestContext({
+        '/health': { status: 'healthy', version: '3.3.1' },
+        '/recordings/status': httpError(405),
+        '/scenarios': httpError(503),
+    });
+
+    await context.WireMockCapabilities.detect();
+
+    assert.strictEqual(context.WireMockCapabilities.getVersion(), '3.3.1');
+    assert.strictEqual(context.WireMockCapabilities.supports('REQUESTS_UNMATCHED'), false);
+    assert.strictEqual(context.WireMockCapabilities.supports('FIND_BY_METADATA'), false);
+    assert.strictEqual(context.WireMockCapabilities.supports('RECORDINGS'), true, '405 means the route exists');
+    assert.strictEqual(context.WireMockCapabilities.state.endpoints.SCENARIOS, null, '5xx leaves the capability unknown');
+    assert.strictEqual(context.WireMockCapabilities.supports('SCENARIOS'), true, 'unknown capabilities stay enabled');
+    assert.strictEqual(context.WireMockCapabilities.isAtLeast('3.13.0'), false);
+    assert.ok(navItems.every(item => item.hidden === false));
+
+    context.WireMockCapabilities.state.endpoints.RECORDINGS = false;
+    context.WireMockCapabilities.render();
+    assert.strictEqual(navItems[1].hidden, true);
+
+    context.WireMockCapabilities.reset();
+    assert.strictEqual(context.WireMockCapabilities.supports('REQUESTS_UNMATCHED'), true);
+    assert.strictEqual(navItems[1].hidden, false);
+});
+
+runTest('results are discarded when the connection changes during detection', async () => {
+    const { context } = createCapabilitiesTestContext({ '/version': { version: '3.13.1' } });
+    const pending = context.WireMockCapabilities.detect();
+    context.wiremockBaseUrl = 'http://other:8080/__admin';
+    await pending;
+    assert.strictEqual(context.WireMockCapabilities.getVersion(), null);
+});
+
+runTest('slow probes are abandoned and leave their capability unknown', async () => {
+    const hang = ({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('cancelled')));
+    });
+    const { context } = createCapabilitiesTestContext({
+        '/version': { version: '3.13.1' },
+        '/mappings/find-by-metadata': { mappings: [] },
+        '/requests/unmatched?limit=1': hang,
+        '/recordings/status': { status: 'NeverStarted' },
+        '/scenarios': hang,
+    });
+    const timers = [];
+    context.setTimeout = (fn, delay) => timers.push({ fn, delay });
+
+    const pending = context.WireMockCapabilities.detect();
+    assert.strictEqual(timers.length, 1);
+    assert.strictEqual(timers[0].delay, 5000);
+    timers[0].fn();
+    const state = await pending;
+
+    assert.strictEqual(state.version, '3.13.1');
+    assert.strictEqual(state.endpoints.REQUESTS_UNMATCHED, null);
+    assert.strictEqual(state.endpoints.SCENARIOS, null);
+    assert.strictEqual(context.WireMockCapabilities.supports('SCENARIOS'), true);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
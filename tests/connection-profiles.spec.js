@@ -0,0 +1,188 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+function createProfilesTestContext() {
+    const silent = { log() {}, info() {}, warn() {}, error() {} };
+    const sandbox = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: () => {},
+        performance: { now: () => 0 },
+        AbortController,
+        URL,
+        URLSearchParams,
+    };
+
+    const elements = Object.create(null);
+    const elementStub = () => ({
+        value: '',
+        checked: true,
+        innerHTML: '',
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+        addEventListener() {},
+        setAttribute() {},
+        focus() {},
+    });
+
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.document = {
+        readyState: 'complete',
+        getElementById(id) {
+            if (!elements[id]) elements[id] = elementStub();
+            return elements[id];
+        },
+        querySelectorAll: () => [],
+        addEventListener() {},
+        body: elementStub(),
+    };
+    sandbox.window = sandbox;
+    sandbox.addEventListener = () => {};
+    sandbox.matchMedia = () => ({ matches: false, addListener() {}, removeListener() {} });
+    sandbox.localStorage = {
+        _data: Object.create(null),
+        getItem(key) { return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : null; },
+        setItem(key, value) { this._data[key] = String(value); },
+        removeItem(key) { delete this._data[key]; },
+    };
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.Utils = {
+        safeCall: (fn, ...args) => (typeof fn === 'function' ? fn(...args) : undefined),
+        escapeHtml: (value) => String(value),
+    };
+
+    const context = vm.createContext(sandbox);
+    for (const script of ['js/core.js', 'js/features/connection-profiles.js']) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+
+    return { context, elements };
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('readWiremockSettings overlays the active profile connection fields', () => {
+    const { context } = createProfilesTestContext();
+    context.localStorage.setItem('wiremock-settings', JSON.stringify({ host: 'localhost', port: '8080', autoRefreshEnabled: true }));
+
+    const saved = context.ConnectionProfiles.save({
+        name: 'QA',
+        host: 'https://qa.example.com',
+        port: '8443',
+        requestTimeout: '15000',
+        customHeaders: { 'X-Env': 'qa' },
+        cacheEnabled: false
+    });
+    assert.strictEqual(saved.scheme, 'https', 'scheme should be split from the host');
+    assert.strictEqual(saved.host, 'qa.example.com');
+
+    assert.strictEqual(context.readWiremockSettings().host, 'localhost', 'inactive profiles must not affect settings');
+
+    context.writeConnectionProfiles({ ...context.readConnectionProfiles(), activeId: saved.id });
+    const settings = context.readWiremockSettings();
+
+    assert.strictEqual(settings.host, 'https://qa.example.com');
+    assert.strictEqual(settings.port, '8443');
+    assert.strictEqual(settings.requestTimeout, '15000');
+    assert.strictEqual(settings.cacheEnabled, false);
+    assert.strictEqual(settings.customHeaders['X-Env'], 'qa');
+    assert.strictEqual(settings.autoRefreshEnabled, true, 'general preferences stay shared across profiles');
+    assert.strictEqual(
+        context.normalizeWiremockBaseUrl(settings.host, settings.port),
+        'https://qa.example.com:8443/__admin'
+    );
+});
+
+runTest('switchTo stops sync, clears the store and reconnects to the profile', async () => {
+    const { context, elements } = createProfilesTestContext();
+    const calls = [];
+    context.SyncEngine = { stop() { calls.push('sync-stop'); } };
+    context.stopHealthCheck = () => calls.push('health-stop');
+    context.MappingsStore = { clear() { calls.push('store-clear'); } };
+    context.connectToWireMock = async () => calls.push(`connect:${context.wiremockBaseUrl}`);
+
+    const staging = context.ConnectionProfiles.save({
+        name: 'Staging',
+        host: 'staging.internal',
+        port: '9090',
+        customHeaders: { Authorization: 'Bearer staging' }
+    });
+
+    const result = await context.ConnectionProfiles.switchTo(staging.id);
+
+    assert.strictEqual(result, true);
+    assert.deepStrictEqual(calls, [
+        'sync-stop',
+        'health-stop',
+        'store-clear',
+        'connect:http://staging.internal:9090/__admin'
+    ]);
+    assert.strictEqual(context.readConnectionProfiles().activeId, staging.id);
+    assert.strictEqual(context.customHeaders.Authorization, 'Bearer staging');
+    assert.strictEqual(elements['wiremock-host'].value, 'http://staging.internal');
+    assert.strictEqual(elements['wiremock-port'].value, '9090');
+});
+
+runTest('removing the active profile falls back to default settings', () => {
+    const { context } = createProfilesTestContext();
+    context.localStorage.setItem('wiremock-settings', JSON.stringify({ host: 'localhost', port: '8080' }));
+
+    const dev = context.ConnectionProfiles.save({ name: 'Dev', host: 'dev.local', port: '8081' });
+    context.writeConnectionProfiles({ ...context.readConnectionProfiles(), activeId: dev.id });
+    assert.strictEqual(context.readWiremockSettings().port, '8081');
+
+    assert.strictEqual(context.ConnectionProfiles.remove(dev.id), true);
+    assert.strictEqual(context.readConnectionProfiles().activeId, null);
+    assert.strictEqual(context.readWiremockSettings().port, '8080');
+});
+
+runTest('saving settings with a profile active leaves the default connection alone', () => {
+    const { context } = createProfilesTestContext();
+    const defaults = { host: 'localhost', port: '8080', requestTimeout: '5000', customHeaders: { 'X-Env': 'local' }, autoRefreshEnabled: false };
+    context.localStorage.setItem('wiremock-settings', JSON.stringify(defaults));
+
+    const qa = context.ConnectionProfiles.save({ name: 'QA', host: 'qa.example.com', port: '8443', customHeaders: { 'X-Env': 'qa' } });
+    context.writeConnectionProfiles({ ...context.readConnectionProfiles(), activeId: qa.id });
+
+    // What saveSettings does: the form holds the profile's connection plus shared preferences
+    const settings = { ...context.readWiremockSettings(), port: '9443', requestTimeout: '20000', autoRefreshEnabled: true };
+    context.writeWiremockSettings(settings);
+    context.ConnectionProfiles.updateActive(settings);
+
+    const stored = JSON.parse(context.localStorage.getItem('wiremock-settings'));
+    assert.strictEqual(stored.host, 'localhost');
+    assert.strictEqual(stored.port, '8080');
+    assert.strictEqual(stored.requestTimeout, '5000');
+    assert.strictEqual(stored.customHeaders['X-Env'], 'local');
+    assert.strictEqual('scheme' in stored, false, 'connection fields the default never had are not added');
+    assert.strictEqual(stored.autoRefreshEnabled, true, 'shared preferences are still saved');
+
+    assert.strictEqual(context.getActiveConnectionProfile().port, '9443');
+    assert.strictEqual(context.getActiveConnectionProfile().requestTimeout, '20000');
+
+    context.writeConnectionProfiles({ ...context.readConnectionProfiles(), activeId: null });
+    assert.strictEqual(context.readWiremockSettings().port, '8080', 'switching back finds the default connection');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Real store and operations against a fake server; reloads are recorded instead of rendered.
+function createFileStoreTestContext(mappings = []) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.notices = [];
+    sandbox.NotificationManager = {
+        success: message => sandbox.notices.push(`success:${message}`),
+        error: message => sandbox.notices.push(`error:${message}`),
+        warning: message => sandbox.notices.push(`warning:${message}`),
+        info() {}
+    };
+    sandbox.ENDPOINTS = { MAPPINGS_SAVE: '/mappings/save', MAPPINGS_RESET: '/mappings/reset' };
+    sandbox.localStorage = { setItem() {}, removeItem() {}, getItem: () => null };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.isImockCacheMapping = mapping => mapping.metadata?.imockCache === true;
+    sandbox.confirmations = [];
+    sandbox.confirmAnswer = true;
+    sandbox.confirm = message => {
+        sandbox.confirmations.push(message);
+        return sandbox.confirmAnswer;
+    };
+
+    sandbox.requests = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        sandbox.requests.push({ endpoint, method: options.method, body: options.body ? JSON.parse(options.body) : null });
+        return options.body ? JSON.parse(options.body) : {};
+    };
+    sandbox.reloads = [];
+    sandbox.fetchAndRenderMappings = async (mappingsToRender, options) => {
+        sandbox.reloads.push(options);
+        return true;
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/features/store.js', 'js/features/operations.js', 'js/features/file-store.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    return context;
+}
+
+const serverMappings = () => [
+    { id: 'a', persistent: true, request: { url: '/a' }, response: { status: 200 } },
+    { id: 'b', request: { url: '/b' }, response: { status: 200 } },
+    { id: 'c', persistent: false, request: { url: '/c' }, response: { status: 200 } },
+    { id: 'cache', request: { url: '/cache' }, response: { status: 200 }, metadata: { imockCache: true } }
+];
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('counts in-memory-only mappings, leaving out the cache and disabled mappings', () => {
+    const context = createFileStoreTestContext(serverMappings());
+    context.MappingsStore.setDisabled([{ id: 'd', request: { url: '/d' }, response: { status: 200 } }]);
+
+    assert.strictEqual(context.MappingFileStore.countInMemoryOnly(), 2);
+    assert.strictEqual(context.MappingFileStore.renderBadge(context.MappingsStore.get('a')), '');
+    assert.ok(context.MappingFileStore.renderBadge(context.MappingsStore.get('b')).includes('In memory'));
+    assert.strictEqual(context.MappingFileStore.renderBadge(context.MappingsStore.disabled.get('d')), '');
+});
+
+runTest('persist all and reset call the file store endpoints and reload from the server', async () => {
+    const context = createFileStoreTestContext(serverMappings());
+
+    assert.strictEqual(await context.MappingFileStore.persistAll(), true);
+    assert.deepStrictEqual(context.requests.map(request => `${request.method} ${request.endpoint}`), ['POST /mappings/save']);
+    assert.strictEqual(context.reloads.length, 1);
+    assert.strictEqual(context.reloads[0].useCache, false);
+
+    context.confirmAnswer = false;
+    assert.strictEqual(await context.MappingFileStore.resetToFileState(), false);
+    assert.ok(context.confirmations[0].includes('2 in-memory-only mapping(s) will be lost'));
+    assert.strictEqual(context.requests.length, 1, 'nothing is sent when the reset is cancelled');
+
+    context.confirmAnswer = true;
+    assert.strictEqual(await context.MappingFileStore.resetToFileState(), true);
+    assert.strictEqual(context.requests[1].endpoint, '/mappings/reset');
+    assert.strictEqual(context.reloads.length, 2);
+
+    context.OfflineQueue = { isActive: () => true };
+    assert.strictEqual(await context.MappingFileStore.persistAll(), false);
+    assert.strictEqual(context.requests.length, 2);
+});
+
+runTest('the card toggle flips persistent through MappingsOperations.update', async () => {
+    const context = createFileStoreTestContext(serverMappings());
+
+    await context.MappingFileStore.togglePersistent('b');
+    assert.strictEqual(context.requests[0].endpoint, '/mappings/b');
+    assert.strictEqual(context.requests[0].body.persistent, true);
+    assert.strictEqual(context.MappingsStore.get('b').persistent, true);
+
+    await context.MappingFileStore.togglePersistent('a');
+    assert.strictEqual(context.MappingsStore.get('a').persistent, false);
+    await assert.rejects(() => context.MappingFileStore.togglePersistent('missing'), /not found/);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,117 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Real store, operations and history on the in-memory IndexedDB fallback, against a fake server.
+function createHistoryTestContext(mappings = []) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.localStorage = { setItem() {}, removeItem() {}, getItem: () => null };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    sandbox.puts = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        const body = JSON.parse(options.body);
+        sandbox.puts.push({ endpoint, body });
+        return body;
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/lib/indexed-db.js', 'js/lib/json-patch.js', 'js/features/store.js', 'js/features/operations.js', 'js/features/mapping-history.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    return context;
+}
+
+// History is recorded without holding up the save
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('saves record the replaced server version per base URL and skip duplicates', async () => {
+    const context = createHistoryTestContext([{ id: 'a', priority: 1, request: { url: '/a' }, response: { status: 200 } }]);
+
+    await context.MappingsOperations.update('a', { priority: 2 }, { source: 'editor' });
+    await flush();
+    await context.MappingsOperations.batchUpdate([{ id: 'a', changes: { priority: 3 } }], { source: 'bulk-edit' });
+    await flush();
+
+    const revisions = await context.MappingHistory.list('a');
+    assert.strictEqual(revisions.map(revision => `${revision.source}:${revision.mapping.priority}`).join(','), 'bulk-edit:2,editor:1');
+    assert.ok(revisions.every(revision => !('_pending' in revision.mapping)), 'optimistic fields are not stored');
+
+    assert.strictEqual(await context.MappingHistory.record(revisions[0].mapping), null, 'same as the latest revision');
+
+    context.wiremockBaseUrl = 'http://other:8080/__admin';
+    assert.strictEqual((await context.MappingHistory.list('a')).length, 0);
+});
+
+runTest('revert replaces the mapping through the optimistic path and is itself recorded', async () => {
+    const context = createHistoryTestContext([
+        { id: 'a', request: { url: '/a' }, response: { status: 200, fixedDelayMilliseconds: 100 } }
+    ]);
+
+    await context.MappingsOperations.update('a', { response: { status: 500 } });
+    await flush();
+    const [original] = await context.MappingHistory.list('a');
+
+    await context.MappingsOperations.update('a', { response: { status: 503 }, priority: 9 }, { replace: true });
+    await flush();
+    assert.strictEqual(context.MappingsStore.get('a').request, undefined, 'replace drops fields the new version lacks');
+
+    await context.MappingHistory.revert('a', original.seq);
+    await flush();
+
+    const restored = context.MappingsStore.get('a');
+    assert.strictEqual(restored.response.fixedDelayMilliseconds, 100);
+    assert.strictEqual(restored.priority, undefined);
+    assert.strictEqual(context.puts[context.puts.length - 1].body.request.url, '/a');
+
+    const revisions = await context.MappingHistory.list('a');
+    assert.strictEqual(revisions.map(revision => revision.source).join(','), 'revert,ui,ui');
+});
+
+runTest('diffs any two versions and keeps only the newest revisions', async () => {
+    const context = createHistoryTestContext([{ id: 'a', priority: 0, request: { url: '/a' }, response: { status: 200 } }]);
+
+    for (let priority = 1; priority <= 52; priority++) {
+        await context.MappingsOperations.update('a', { priority });
+        await flush();
+    }
+
+    context.MappingHistory.mappingId = 'a';
+    context.MappingHistory.revisions = await context.MappingHistory.list('a');
+    const revisions = context.MappingHistory.revisions;
+    assert.strictEqual(revisions.length, 50);
+    assert.strictEqual(revisions[revisions.length - 1].mapping.priority, 2, 'the two oldest revisions were pruned');
+
+    const changes = context.MappingHistory.diff(String(revisions[1].seq), 'current')
+        .filter(change => change.path !== '/metadata/edited');
+    assert.strictEqual(JSON.stringify(changes.map(change => [change.path, change.before, change.after])), '[["/priority",50,52]]');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function createHitsTestContext() {
+    const sandbox = { console: silent, Map, Set, Date };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.Utils = { escapeHtml: String };
+    sandbox.filterRuns = 0;
+    sandbox.FilterManager = { applyMappingFilters: () => { sandbox.filterRuns += 1; } };
+
+    const context = vm.createContext(sandbox);
+    for (const script of ['js/features/store.js', 'js/features/queryParser.js', 'js/features/mapping-hits.js']) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    return context;
+}
+
+const base = Date.UTC(2026, 0, 1);
+const journalEntry = (id, stubId, offsetMs, wasMatched = true) => ({
+    id,
+    wasMatched,
+    request: { url: '/x', method: 'GET', loggedDate: base + offsetMs },
+    ...(stubId ? { stubMapping: { id: stubId } } : {})
+});
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('aggregates the journal per stub id with last hit and time buckets', () => {
+    const context = createHitsTestContext();
+    const stats = context.MappingHits.aggregate([
+        journalEntry('r1', 'a', 0),
+        journalEntry('r2', 'a', 60000),
+        journalEntry('r3', 'a', 120000),
+        journalEntry('r4', 'b', 60000),
+        journalEntry('r5', null, 90000, false),
+        { id: 'r6', wasMatched: true, request: { loggedDateString: new Date(base + 30000).toISOString() }, stubMapping: { id: 'b' } }
+    ]);
+
+    assert.strictEqual(stats.get('a').count, 3);
+    assert.strictEqual(stats.get('a').lastHit, base + 120000);
+    assert.strictEqual(stats.get('a').buckets.length, 12);
+    assert.strictEqual(stats.get('a').buckets[0], 1, 'oldest hit in the first bucket');
+    assert.strictEqual(stats.get('a').buckets[11], 1, 'newest hit in the last bucket');
+    assert.strictEqual(stats.get('b').count, 2);
+    assert.strictEqual(stats.get('b').lastHit, base + 60000);
+    assert.strictEqual(stats.has('null'), false, 'unmatched requests are not counted');
+});
+
+runTest('cards show hits only once a journal is loaded, and refresh when it changes', () => {
+    const context = createHitsTestContext();
+    const mapping = { id: 'a', request: { url: '/a' } };
+    assert.strictEqual(context.MappingHits.renderBadge(mapping), '');
+    assert.strictEqual(context.MappingHits.getSignature('a'), '');
+
+    context.MappingsStore.setRequests([journalEntry('r1', 'a', 0), journalEntry('r2', 'a', 5000)]);
+    const badge = context.MappingHits.renderBadge(mapping);
+    assert.ok(badge.includes('2 hits'));
+    assert.ok(badge.includes('<polyline'), 'sparkline rendered');
+    assert.ok(context.MappingHits.renderBadge({ id: 'b' }).includes('0 hits'));
+    const signature = context.MappingHits.getSignature('a');
+
+    context.MappingsStore.setRequests([journalEntry('r1', 'a', 0)]);
+    assert.notStrictEqual(context.MappingHits.getSignature('a'), signature);
+    assert.strictEqual(context.MappingHits.getCount('a'), 1);
+});
+
+runTest('hits queries and sort order use the journal counts', () => {
+    const context = createHitsTestContext();
+    context.MappingsStore.setRequests([
+        ...Array.from({ length: 11 }, (_, index) => journalEntry(`hot-${index}`, 'hot', index * 1000)),
+        journalEntry('warm-1', 'warm', 0)
+    ]);
+    const mappings = [{ id: 'dead' }, { id: 'warm' }, { id: 'hot' }];
+    const ids = query => context.QueryParser.filterMappingsByQuery(mappings, query).map(mapping => mapping.id).join(',');
+
+    assert.strictEqual(ids('hits:0'), 'dead');
+    assert.strictEqual(ids('hits:>10'), 'hot');
+    assert.strictEqual(ids('hits:>=1'), 'warm,hot');
+    assert.strictEqual(ids('hits:<2'), 'dead,warm');
+    assert.strictEqual(JSON.stringify(context.QueryParser.parseQuery('hits:>10 url:api')), '{"hits":{"operator":">","value":10},"url":"api"}');
+    assert.strictEqual(context.QueryParser.parseQuery('hits:lots'), null, 'invalid comparisons are ignored');
+
+    assert.strictEqual([...mappings].sort((a, b) => context.MappingHits.compare(a, b)).map(mapping => mapping.id).join(','), 'hot,warm,dead');
+    context.MappingHits.setSortMode('hits');
+    assert.strictEqual(context.MappingHits.sortMode, 'hits');
+    assert.strictEqual(context.filterRuns, 1);
+    context.MappingHits.setSortMode('bogus');
+    assert.strictEqual(context.MappingHits.sortMode, 'default');
+});
+
+runTest('hits count the whole journal, not the filtered requests list', () => {
+    const context = createHitsTestContext();
+    const journal = Array.from({ length: 200000 }, (_, index) => journalEntry(`r${index}`, index % 2 ? 'a' : 'b', index));
+    context.MappingsStore.setRequests(journal);
+    context.allRequests = journal.filter(entry => entry.stubMapping.id === 'a').slice(0, 3);
+
+    assert.strictEqual(context.MappingHits.getCount('a'), 100000);
+    assert.strictEqual(context.MappingHits.getCount('b'), 100000);
+    assert.ok(context.MappingHits.renderBadge({ id: 'a' }).includes('<polyline'), 'a large journal renders without overflowing the stack');
+});
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✔ ${name}`);
+    } catch (error) {
+        console.error(`✖ ${name}`);
+        console.error(error);
+        process.exit(1);
+    }
+}
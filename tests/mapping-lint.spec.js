@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createLintTestContext() {
+    const sandbox = {
+        Utils: { escapeHtml: value => String(value).replace(/"/g, '&quot;') },
+        isImockCacheMapping: mapping => mapping.metadata?.imockCache === true,
+        document: { addEventListener() {} }
+    };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+    for (const script of ['js/lib/json-patch.js', 'js/features/mapping-lint.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'), context, { filename: script });
+    }
+    return context;
+}
+
+const summarize = findings => findings.map(finding => `${finding.rule}@${finding.path}`).join(' ');
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('regex rule reports broken patterns but accepts Java-only syntax', () => {
+    const { MappingLint } = createLintTestContext();
+    const findings = MappingLint.lint({
+        request: {
+            urlPattern: '/users/(\\d+',
+            headers: { Accept: { matches: '(?i)application/.*' } },
+            queryParameters: { q: { doesNotMatch: '[a-z' } },
+            bodyPatterns: [{ matchesJsonPath: { expression: '$.id', matches: '\\d++' } }]
+        },
+        response: { status: 200 }
+    });
+
+    assert.strictEqual(summarize(findings), 'invalid-regex@/request/urlPattern invalid-regex@/request/queryParameters/q/doesNotMatch');
+    assert.ok(findings.every(finding => finding.severity === 'error' && finding.fix === null));
+});
+
+runTest('response rules suggest fixes that patch the mapping', () => {
+    const { MappingLint } = createLintTestContext();
+    const mapping = {
+        name: 'Greeting',
+        scenarioName: 'flow',
+        request: { url: '/hello' },
+        response: { status: 200, body: '{"hello": "{{request.path}}"}', jsonBody: { hello: 'x' } }
+    };
+    const findings = MappingLint.lint(mapping);
+    assert.strictEqual(summarize(findings), [
+        'body-and-json-body@/response/jsonBody',
+        'json-without-content-type@/response/jsonBody',
+        'template-without-transformer@/response/body',
+        'scenario-without-state@/scenarioName'
+    ].join(' '));
+
+    const fixed = findings.reduce((current, finding) => MappingLint.applyFix(current, finding), mapping);
+    assert.strictEqual(JSON.stringify(fixed.response), JSON.stringify({
+        status: 200,
+        body: '{"hello": "{{request.path}}"}',
+        headers: { 'Content-Type': 'application/json' },
+        transformers: ['response-template']
+    }));
+    assert.strictEqual(fixed.requiredScenarioState, 'Started');
+    assert.strictEqual(mapping.response.jsonBody.hello, 'x', 'fixes must not touch the input');
+    assert.strictEqual(MappingLint.lint(fixed).length, 0);
+
+    const withHeaders = { request: {}, response: { jsonBody: [], headers: { 'content-type': 'application/json' }, transformers: ['x'] } };
+    assert.strictEqual(MappingLint.lint(withHeaders).length, 0, 'header lookup is case-insensitive');
+});
+
+runTest('duplicate names are found across mappings and documents get prefixed paths', () => {
+    const { MappingLint } = createLintTestContext();
+    const mappings = [
+        { id: 'a', name: 'Users', request: {}, response: {} },
+        { id: 'b', name: ' users ', request: {}, response: {} },
+        { id: 'c', name: 'Users (2)', request: {}, response: {} },
+        { id: 'cache', name: 'Users', request: {}, response: {}, metadata: { imockCache: true } }
+    ];
+
+    const audit = MappingLint.audit(mappings);
+    assert.strictEqual(audit.map(entry => entry.mapping.id).join(','), 'a,b');
+    assert.strictEqual(audit[0].findings[0].fix.label, 'Rename to "Users (3)"');
+
+    const document = { mappings: mappings.slice(0, 2) };
+    const findings = MappingLint.lintDocument(document);
+    assert.strictEqual(summarize(findings), 'duplicate-name@/mappings/0/name duplicate-name@/mappings/1/name');
+    const fixed = MappingLint.applyFix(document, findings[1]);
+    assert.strictEqual(fixed.mappings[1].name, 'users (3)', 'the second mapping gets the second free suffix');
+    assert.strictEqual(MappingLint.lintDocument(fixed).length, 0);
+
+    assert.ok(MappingLint.renderFindings(findings).includes('data-lint-fix="1"'));
+});
+
+runTest('fixing every duplicate gives each one its own free name', () => {
+    const { MappingLint } = createLintTestContext();
+    const mappings = ['Orders', 'orders', 'Orders ', 'Orders (3)', 'Other'].map((name, index) => ({ id: `m${index}`, name, request: {}, response: {} }));
+
+    const audit = MappingLint.audit(mappings);
+    const renamed = audit.map(({ mapping, findings }) => MappingLint.applyFix(mapping, findings[0]).name);
+    assert.deepStrictEqual(renamed, ['Orders (2)', 'orders (4)', 'Orders (5)']);
+
+    const fixed = mappings.map((mapping) => {
+        const entry = audit.find(item => item.mapping === mapping);
+        return entry ? MappingLint.applyFix(mapping, entry.findings[0]) : mapping;
+    });
+    assert.strictEqual(MappingLint.audit(fixed).length, 0);
+
+    // An edited copy of a listed mapping is matched by id, not counted as another duplicate
+    const edited = { ...mappings[1], response: { status: 201 } };
+    assert.strictEqual(MappingLint.lint(edited, { mappings })[0].fix.label, 'Rename to "orders (4)"');
+    assert.strictEqual(MappingLint.lint({ ...mappings[4] }, { mappings }).length, 0);
+});
+
+runTest('auditing many mappings stays linear in the number of mappings', () => {
+    const { MappingLint } = createLintTestContext();
+    const mappings = Array.from({ length: 20000 }, (_, index) => ({ id: `m${index}`, name: `Stub ${index % 15000}`, request: {}, response: {} }));
+    const started = Date.now();
+    const audit = MappingLint.audit(mappings);
+    assert.strictEqual(audit.length, 10000);
+    assert.ok(Date.now() - started < 5000, `audit took ${Date.now() - started}ms`);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
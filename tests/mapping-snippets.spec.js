@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function createSnippetsTestContext() {
+    const sandbox = { console: silent, Map, Set, JSON, Date, btoa: value => Buffer.from(value).toString('base64') };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { success() {}, warning() {}, error() {} };
+    sandbox.ENDPOINTS = { MAPPINGS: '/mappings', REQUESTS: '/requests' };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/features/utils.js', 'js/features/try-it.js', 'js/features/mapping-snippets.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    return context;
+}
+
+const orderMapping = {
+    id: '5f0c1c6e-0000-4000-8000-000000000001',
+    name: "Create order's items",
+    priority: 2,
+    request: {
+        method: 'POST',
+        urlPath: '/orders',
+        queryParameters: { dryRun: { equalTo: 'true' } },
+        headers: { 'X-Tenant': { matches: 'tenant-[a-z]+' } },
+        bodyPatterns: [{ equalToJson: { total: 10 }, ignoreExtraElements: true }]
+    },
+    response: {
+        status: 201,
+        headers: { 'Content-Type': 'application/json' },
+        jsonBody: { id: 'o-1' }
+    },
+    _disabled: false
+};
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('client snippets send the request Try it builds from the matchers', () => {
+    const snippets = createSnippetsTestContext().MappingSnippets;
+
+    assert.strictEqual(
+        snippets.generate(orderMapping, 'curl'),
+        "curl -X POST 'http://localhost:8080/orders?dryRun=true' -H 'X-Tenant: tenant-a' -H 'Content-Type: application/json' --data-raw '{\"total\":10}'"
+    );
+    assert.strictEqual(
+        snippets.generate(orderMapping, 'httpie'),
+        "http --raw '{\"total\":10}' POST 'http://localhost:8080/orders?dryRun=true' 'X-Tenant:tenant-a' 'Content-Type:application/json'"
+    );
+
+    const fetchSnippet = snippets.generate(orderMapping, 'fetch');
+    assert.ok(fetchSnippet.startsWith('const response = await fetch("http://localhost:8080/orders?dryRun=true", {\n    method: "POST",'));
+    assert.ok(fetchSnippet.includes('    body: "{\\"total\\":10}"\n});'));
+
+    const python = snippets.generate({ request: { method: 'GET', url: '/ping' } }, 'python');
+    assert.strictEqual(python, 'import requests\n\nresponse = requests.request(\n    "GET",\n    "http://localhost:8080/ping",\n)\nprint(response.status_code, response.text)');
+});
+
+runTest('the Java DSL snippet translates matchers and the response', () => {
+    const snippets = createSnippetsTestContext().MappingSnippets;
+
+    assert.strictEqual(snippets.toJavaDsl(orderMapping), [
+        'stubFor(post(urlPathEqualTo("/orders"))',
+        '        .withQueryParam("dryRun", equalTo("true"))',
+        '        .withHeader("X-Tenant", matching("tenant-[a-z]+"))',
+        '        .withRequestBody(equalToJson("{\\"total\\":10}", false, true))',
+        '        .atPriority(2)',
+        '        .withName("Create order\'s items")',
+        '        .withId(UUID.fromString("5f0c1c6e-0000-4000-8000-000000000001"))',
+        '        .willReturn(aResponse()',
+        '                .withStatus(201)',
+        '                .withHeader("Content-Type", "application/json")',
+        '                .withBody("{\\"id\\":\\"o-1\\"}")));'
+    ].join('\n'));
+
+    const other = snippets.toJavaDsl({
+        request: {
+            method: 'PROPFIND',
+            headers: { Accept: { equalTo: 'json', caseInsensitive: true }, 'X-Odd': { someCustomMatcher: 1 } },
+            bodyPatterns: [{ matchesJsonPath: { expression: '$.id', matches: '[0-9]+' } }]
+        },
+        scenarioName: 'Checkout',
+        requiredScenarioState: 'Started',
+        response: { fault: 'CONNECTION_RESET_BY_PEER' }
+    });
+    assert.ok(other.startsWith('// Not expressible in the Java DSL snippet, see the JSON: withHeader X-Odd\nstubFor(request("PROPFIND", anyUrl())'));
+    assert.ok(other.includes('.withHeader("Accept", equalToIgnoreCase("json"))'));
+    assert.ok(other.includes('.withRequestBody(matchingJsonPath("$.id", matching("[0-9]+")))'));
+    assert.ok(other.includes('.inScenario("Checkout")\n        .whenScenarioStateIs("Started")'));
+    assert.ok(other.endsWith('.willReturn(aResponse()\n                .withFault(Fault.CONNECTION_RESET_BY_PEER)));'));
+});
+
+runTest('stub setup snippets carry the mapping without UI-only fields', () => {
+    const context = createSnippetsTestContext();
+    const snippets = context.MappingSnippets;
+
+    const json = JSON.parse(snippets.generate(orderMapping, 'json'));
+    assert.strictEqual(json.id, orderMapping.id);
+    assert.strictEqual('_disabled' in json, false);
+
+    const adminCurl = snippets.generate(orderMapping, 'admin-curl');
+    assert.ok(adminCurl.startsWith("curl -X POST 'http://localhost:8080/__admin/mappings' -H 'Content-Type: application/json' --data-raw '{\"id\":"));
+    assert.ok(adminCurl.includes('"name":"Create order\'\\\'\'s items"'), 'single quotes are escaped for the shell');
+
+    assert.throws(() => snippets.generate(orderMapping, 'cobol'), /Unknown snippet format/);
+
+    // The card preview and the Java DSL read the same matcher fields
+    const matchers = context.Utils.getMappingRequestMatchers({ request: { urlPathTemplate: '/a/{id}', bodyPatterns: [] } });
+    assert.strictEqual(matchers.method, 'GET');
+    assert.strictEqual(`${matchers.urlKey} ${matchers.url}`, 'urlPathTemplate /a/{id}');
+});
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✔ ${name}`);
+    } catch (error) {
+        console.error(`✖ ${name}`);
+        console.error(error);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,144 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function createTagsTestContext() {
+    const sandbox = { console: silent, Map, Set, JSON };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { warning() {} };
+    sandbox.Utils = { escapeHtml: String };
+
+    // Edit modal: the JSON textarea, the chip list and the datalist
+    sandbox.inputEvents = 0;
+    const element = () => ({ value: '', innerHTML: '', disabled: false, addEventListener() {} });
+    sandbox.elements = {
+        'json-editor': { ...element(), dispatchEvent: () => { sandbox.inputEvents += 1; } },
+        'mapping-tag-editor-chips': element(),
+        'mapping-tag-suggestions': element(),
+        'mapping-tag-input': element()
+    };
+    sandbox.document = { getElementById: id => sandbox.elements[id] || null, addEventListener() {} };
+    sandbox.Event = class Event {
+        constructor(type) { this.type = type; }
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/features/store.js', 'js/features/queryParser.js', 'js/features/mapping-tags.js', 'js/features/wiremock-extras.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    return context;
+}
+
+const tagged = (id, tags) => ({ id, request: { url: `/${id}` }, metadata: { tags } });
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('tag: queries include and exclude whole tags, case-insensitively', () => {
+    const context = createTagsTestContext();
+    const mappings = [
+        tagged('pay', ['checkout', 'team-payments']),
+        tagged('flaky-pay', ['checkout', 'flaky']),
+        tagged('cart', ['Cart']),
+        { id: 'untagged', request: { url: '/none' } }
+    ];
+    const ids = query => context.QueryParser.filterMappingsByQuery(mappings, query).map(mapping => mapping.id).join(',');
+
+    assert.strictEqual(ids('tag:checkout'), 'pay,flaky-pay');
+    assert.strictEqual(ids('tag:cart,flaky'), 'flaky-pay,cart');
+    assert.strictEqual(ids('tag:check'), '', 'tags match whole, not as substrings');
+    assert.strictEqual(ids('-tag:flaky'), 'pay,cart,untagged');
+    assert.strictEqual(ids('tag:checkout -tag:flaky'), 'pay');
+    assert.strictEqual(ids('-tag:flaky tag:team-payments url:pay'), 'pay');
+    assert.strictEqual(
+        JSON.stringify(context.QueryParser.parseQuery('tag:checkout -tag:flaky,slow')),
+        '{"tag":{"include":["checkout"],"exclude":["flaky","slow"]}}'
+    );
+});
+
+runTest('queries match the tags shown as chips, even for tags typed with other characters', () => {
+    const context = createTagsTestContext();
+    const mappings = [
+        tagged('team', ['Team: Payments']),
+        tagged('owner', ['owner@acme.io', ' Flaky ']),
+        tagged('csv', 'smoke, nightly')
+    ];
+    const ids = query => context.QueryParser.filterMappingsByQuery(mappings, query).map(mapping => mapping.id).join(',');
+
+    const chips = mappings.map(mapping => context.MappingTags.getTags(mapping).join('|'));
+    assert.strictEqual(chips.join(','), 'team-payments,owner-acme.io|flaky,smoke|nightly');
+    assert.strictEqual(ids('tag:team-payments'), 'team');
+    assert.strictEqual(ids('tag:owner-acme.io'), 'owner');
+    assert.strictEqual(ids('tag:FLAKY'), 'owner');
+    assert.strictEqual(ids('tag:nightly'), 'csv');
+    assert.strictEqual(ids('-tag:smoke'), 'team,owner');
+
+    // Every chip can be typed back into a query unchanged
+    chips.join('|').split('|').forEach((tag) => {
+        assert.strictEqual(JSON.stringify(context.QueryParser.parseQuery(`tag:${tag}`)), JSON.stringify({ tag }));
+    });
+});
+
+runTest('tags are normalized, collected for autocomplete and kept in the slim cache', () => {
+    const context = createTagsTestContext();
+    const tags = context.MappingTags;
+
+    assert.strictEqual(tags.normalize('  Team Payments, '), 'team-payments');
+    assert.strictEqual(tags.getTags({ metadata: { tags: ['Flaky', 'flaky', 3, ' checkout '] } }).join(','), 'flaky,checkout');
+    assert.strictEqual(tags.getTags({}).length, 0);
+
+    const updated = tags.withTags({ id: 'a', metadata: { source: 'ui' } }, ['Checkout', 'checkout']);
+    assert.strictEqual(JSON.stringify(updated.metadata), '{"source":"ui","tags":["checkout"]}');
+    assert.strictEqual(tags.withTags({ id: 'a', metadata: { tags: ['x'] } }, []).metadata, undefined);
+
+    context.MappingsStore.setFromServer([tagged('a', ['checkout', 'flaky']), tagged('b', ['checkout']), tagged('c', ['cart'])]);
+    assert.strictEqual(tags.collect().map(entry => `${entry.tag}:${entry.count}`).join(','), 'checkout:2,cart:1,flaky:1');
+    assert.strictEqual(tags.suggest('c', ['cart']).join(','), 'checkout');
+    assert.ok(tags.renderChips(tagged('a', ['flaky'])).includes('data-tag="flaky"'));
+
+    const slim = context.slimMapping(tagged('a', ['checkout']));
+    assert.strictEqual(slim.metadata.tags.join(','), 'checkout');
+});
+
+runTest('the edit modal tag editor writes metadata.tags into the JSON', () => {
+    const context = createTagsTestContext();
+    const jsonEditor = context.elements['json-editor'];
+    jsonEditor.value = JSON.stringify({ id: 'a', request: { url: '/a' } });
+    context.MappingsStore.setFromServer([tagged('b', ['checkout', 'flaky'])]);
+
+    assert.strictEqual(context.MappingTags.addEditorTag('Flaky'), true);
+    assert.strictEqual(context.MappingTags.addEditorTag('flaky'), false, 'duplicates are ignored');
+    assert.strictEqual(context.MappingTags.addEditorTag('team payments'), true);
+    assert.strictEqual(JSON.parse(jsonEditor.value).metadata.tags.join(','), 'flaky,team-payments');
+    assert.strictEqual(context.inputEvents, 2, 'the editor is told about each change');
+    assert.ok(context.elements['mapping-tag-suggestions'].innerHTML.includes('checkout'));
+    assert.ok(!context.elements['mapping-tag-suggestions'].innerHTML.includes('flaky'), 'tags already set are not suggested');
+
+    context.MappingTags.removeEditorTag('flaky');
+    assert.strictEqual(JSON.parse(jsonEditor.value).metadata.tags.join(','), 'team-payments');
+
+    jsonEditor.value = '{ broken';
+    assert.strictEqual(context.MappingTags.addEditorTag('x'), false);
+    context.MappingTags.renderEditor();
+    assert.strictEqual(context.elements['mapping-tag-input'].disabled, true);
+});
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✔ ${name}`);
+    } catch (error) {
+        console.error(`✖ ${name}`);
+        console.error(error);
+        process.exit(1);
+    }
+}
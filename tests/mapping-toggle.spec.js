@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Real store, operations and toggle on the in-memory IndexedDB fallback, against a fake server.
+function createToggleTestContext(mappings = []) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set, Date };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.warnings = [];
+    sandbox.NotificationManager = { success() {}, error() {}, info() {}, warning: message => sandbox.warnings.push(message) };
+    sandbox.Utils = { escapeHtml: String, safeCall: (fn, ...args) => (typeof fn === 'function' ? fn(...args) : undefined) };
+    sandbox.ENDPOINTS = { MAPPINGS: '/mappings' };
+    sandbox.localStorage = { setItem() {}, removeItem() {}, getItem: () => null };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    sandbox.requests = [];
+    sandbox.failDeletes = false;
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        sandbox.requests.push({ endpoint, method: options.method, body: options.body ? JSON.parse(options.body) : null });
+        if (options.method === 'DELETE' && sandbox.failDeletes) {
+            throw new Error('HTTP 500');
+        }
+        return options.body ? JSON.parse(options.body) : {};
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/lib/indexed-db.js', 'js/features/store.js', 'js/features/operations.js', 'js/features/queryParser.js', 'js/features/mapping-toggle.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    context.MappingToggle.baseUrl = context.wiremockBaseUrl;
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('disabling deletes on the server and keeps the mapping tagged in the store across syncs', async () => {
+    const context = createToggleTestContext([
+        { id: 'a', name: 'Alpha', request: { method: 'GET', url: '/a' }, response: { status: 200 } },
+        { id: 'b', request: { method: 'GET', url: '/b' }, response: { status: 200 } }
+    ]);
+
+    const disabled = await context.MappingToggle.disable('a');
+    assert.strictEqual(disabled._disabled, true);
+    assert.deepStrictEqual(context.requests.map(request => `${request.method} ${request.endpoint}`), ['DELETE /mappings/a']);
+    assert.strictEqual(context.MappingsStore.items.has('a'), false);
+    assert.strictEqual(context.MappingsStore.get('a'), null, 'update and delete do not see disabled mappings');
+
+    // A full sync, including one fed back from getAll(), keeps it disabled
+    context.MappingsStore.setFromServer(context.MappingsStore.getAll());
+    context.MappingsStore.setFromServer([{ id: 'b', request: { method: 'GET', url: '/b' }, response: { status: 200 } }]);
+    const all = context.MappingsStore.getAll();
+    assert.strictEqual(all.map(mapping => `${mapping.id}:${Boolean(mapping._disabled)}`).join(','), 'b:false,a:true');
+
+    const query = context.QueryParser.filterMappingsByQuery;
+    assert.strictEqual(query(all, 'disabled:true').map(mapping => mapping.id).join(','), 'a');
+    assert.strictEqual(query(all, 'disabled:false').map(mapping => mapping.id).join(','), 'b');
+    assert.strictEqual(query(all, '-disabled:true').map(mapping => mapping.id).join(','), 'b');
+
+    // Persisted per server: a fresh load brings it back, another server has none
+    context.MappingsStore.setDisabled([]);
+    await context.MappingToggle.load();
+    assert.strictEqual(context.MappingsStore.disabled.get('a').name, 'Alpha');
+    context.wiremockBaseUrl = 'http://other:8080/__admin';
+    await context.MappingToggle.syncBaseUrl();
+    assert.strictEqual(context.MappingsStore.disabled.size, 0);
+});
+
+runTest('enabling recreates the mapping with the same id and forgets the local copy', async () => {
+    const context = createToggleTestContext([{ id: 'a', name: 'Alpha', request: { url: '/a' }, response: { status: 200 } }]);
+    await context.MappingToggle.disable('a');
+
+    const created = await context.MappingToggle.enable('a');
+    assert.strictEqual(created.id, 'a');
+    const post = context.requests.find(request => request.method === 'POST');
+    assert.strictEqual(post.body.id, 'a');
+    assert.ok(!('_disabled' in post.body));
+    assert.strictEqual(context.MappingsStore.get('a').name, 'Alpha');
+    assert.strictEqual(context.MappingToggle.isDisabled('a'), false);
+
+    context.MappingsStore.setDisabled([]);
+    await context.MappingToggle.load();
+    assert.strictEqual(context.MappingsStore.disabled.size, 0);
+
+    // Re-enabling while the id is taken on the server again is refused
+    await context.MappingToggle.disable('a');
+    context.MappingsStore.setFromServer([{ id: 'a', request: { url: '/new' }, response: { status: 200 } }]);
+    assert.strictEqual(await context.MappingToggle.enable('a'), null);
+    assert.strictEqual(context.warnings.length, 1);
+    assert.strictEqual(context.MappingToggle.isDisabled('a'), true);
+});
+
+runTest('a failed server delete keeps the mapping enabled; deleting a disabled mapping stays local', async () => {
+    const context = createToggleTestContext([
+        { id: 'a', request: { url: '/a' }, response: { status: 200 } },
+        { id: 'b', request: { url: '/b' }, response: { status: 200 } }
+    ]);
+
+    context.failDeletes = true;
+    await assert.rejects(() => context.MappingToggle.disable('a'), /HTTP 500/);
+    assert.ok(context.MappingsStore.items.has('a'));
+    await context.MappingToggle.load();
+    assert.strictEqual(context.MappingsStore.disabled.size, 0);
+
+    context.failDeletes = false;
+    await context.MappingToggle.disable('b');
+    const requestCount = context.requests.length;
+    await context.MappingsOperations.delete('b');
+    assert.strictEqual(context.requests.length, requestCount, 'nothing left to delete on the server');
+    assert.strictEqual(context.MappingsStore.getAll().some(mapping => mapping.id === 'b'), false);
+    await context.MappingToggle.load();
+    assert.strictEqual(context.MappingsStore.disabled.size, 0);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -455,6 +455,28 @@ runTest('restoreFilters syncs mappings_filter from URL into filter input', () =>
     assert.strictEqual(queryInput.value, 'WEB DO');
 });
 
+runTest('fetchMappingsPaged walks limit/offset pages and reports the server total', async () => {
+    const { context } = createMappingsTestContext();
+    const all = Array.from({ length: 5 }, (_, index) => ({ id: `m-${index}`, request: { url: `/m/${index}` } }));
+    const requested = [];
+    context.fetch = async (url) => {
+        const params = new URL(url, 'http://localhost:8080').searchParams;
+        const limit = Number(params.get('limit'));
+        const offset = Number(params.get('offset'));
+        requested.push(`${limit}/${offset}`);
+        const body = { mappings: all.slice(offset, offset + limit), meta: { total: all.length } };
+        return { ok: true, status: 200, headers: { get: () => 'application/json' }, text: async () => JSON.stringify(body) };
+    };
+
+    const pages = [];
+    const result = await context.fetchMappingsPaged({ pageSize: 2, onPage: page => pages.push(`${page.loaded}/${page.total}`) });
+
+    assert.strictEqual(requested.join(), '2/0,2/2,2/4');
+    assert.strictEqual(pages.join(), '2/5,4/5,5/5', 'the server total is known from the first page');
+    assert.strictEqual(result.mappings.map(mapping => mapping.id).join(), 'm-0,m-1,m-2,m-3,m-4');
+    assert.strictEqual(result.meta.total, 5);
+});
+
 // Run all tests
 (async () => {
     let passed = 0;
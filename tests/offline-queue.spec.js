@@ -0,0 +1,216 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function httpError(status) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    return error;
+}
+
+// Loads the real store, operations and queue on top of the in-memory IndexedDB fallback.
+// `server` is the fake WireMock: a Map of id -> mapping.
+function createOfflineTestContext(server = new Map(), sharedDb = null) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.Utils = { safeCall: (fn, ...args) => (typeof fn === 'function' ? fn(...args) : undefined), escapeHtml: String };
+    sandbox.localStorage = { setItem() {}, removeItem() {}, getItem: () => null };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    sandbox.requests = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        const method = options.method || 'GET';
+        sandbox.requests.push(`${method} ${endpoint}`);
+        const id = decodeURIComponent(endpoint.replace(/^\/mappings\/?/, ''));
+        if (method === 'GET') {
+            if (!server.has(id)) throw httpError(404);
+            return JSON.parse(JSON.stringify(server.get(id)));
+        }
+        if (method === 'POST' || method === 'PUT') {
+            const body = JSON.parse(options.body);
+            server.set(body.id || id, body);
+            return body;
+        }
+        if (method === 'DELETE') {
+            server.delete(id);
+            return '';
+        }
+        throw new Error(`Unexpected ${method}`);
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/lib/indexed-db.js', 'js/features/store.js', 'js/features/operations.js', 'js/features/offline-queue.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    // Reuse one in-memory database to simulate a page reload
+    if (sharedDb) {
+        context.OfflineQueue._db = sharedDb;
+    }
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('offline operations are queued, coalesced and survive a reload', async () => {
+    const server = new Map([['a', { id: 'a', request: { url: '/a' }, response: { status: 200 } }]]);
+    const first = createOfflineTestContext(server);
+    first.MappingsStore.setFromServer([...server.values()]);
+    first.isOnline = false;
+
+    await first.MappingsOperations.update('a', { response: { status: 201 } });
+    await first.MappingsOperations.update('a', { response: { status: 202 } });
+    const created = await first.MappingsOperations.create({ request: { url: '/new' } });
+    const throwaway = await first.MappingsOperations.create({ request: { url: '/gone' } });
+    await first.MappingsOperations.delete(throwaway.id);
+
+    assert.strictEqual(first.requests.length, 0, 'nothing is sent while offline');
+    assert.strictEqual(first.OfflineQueue.entries.length, 2, 'edits of one mapping collapse; create+delete cancels out');
+    assert.strictEqual(first.MappingsStore.get('a').response.status, 202, 'store shows the optimistic state');
+    assert.ok(first.MappingsStore.getAll().some(mapping => mapping.id === created.id));
+
+    const reloaded = createOfflineTestContext(server, first.OfflineQueue._db);
+    reloaded.MappingsStore.setFromServer([...server.values()]);
+    await reloaded.OfflineQueue.load();
+
+    assert.strictEqual(reloaded.OfflineQueue.entries.length, 2);
+    assert.strictEqual(reloaded.MappingsStore.get('a').response.status, 202);
+
+    reloaded.isOnline = true;
+    const summary = await reloaded.OfflineQueue.replay();
+
+    assert.strictEqual(summary.applied, 2);
+    assert.deepStrictEqual(reloaded.requests.filter(req => !req.startsWith('GET')), ['PUT /mappings/a', 'POST /mappings']);
+    assert.strictEqual(server.get('a').response.status, 202);
+    assert.strictEqual(server.get(created.id).request.url, '/new', 'create keeps the id assigned offline');
+    assert.strictEqual(reloaded.OfflineQueue.entries.length, 0);
+    assert.strictEqual(reloaded.MappingsStore.pending.size, 0);
+});
+
+runTest('replay parks changes whose server copy moved on and can resolve them', async () => {
+    const server = new Map([
+        ['a', { id: 'a', priority: 1 }],
+        ['b', { id: 'b', priority: 1 }],
+        ['c', { id: 'c', priority: 1 }],
+    ]);
+    const context = createOfflineTestContext(server);
+    context.MappingsStore.setFromServer([...server.values()]);
+    context.isOnline = false;
+
+    await context.MappingsOperations.update('a', { priority: 2 });
+    await context.MappingsOperations.delete('b');
+    await context.MappingsOperations.update('c', { priority: 3 });
+
+    // Someone else edits "a" and deletes "c" while we are offline
+    server.set('a', { id: 'a', priority: 9 });
+    server.delete('c');
+
+    context.isOnline = true;
+    const summary = await context.OfflineQueue.replay();
+
+    assert.strictEqual(summary.applied, 1, 'only the untouched delete goes through');
+    assert.strictEqual(summary.conflicts, 2);
+    assert.strictEqual(server.has('b'), false);
+    assert.strictEqual(server.get('a').priority, 9, 'conflicting change must not overwrite the server');
+
+    const [conflictA, conflictC] = context.OfflineQueue.entries;
+    assert.strictEqual(conflictA.conflict.reason, 'modified-on-server');
+    assert.strictEqual(conflictC.conflict.reason, 'deleted-on-server');
+
+    await context.OfflineQueue.resolve(conflictA.seq, 'local');
+    assert.strictEqual(server.get('a').priority, 2);
+
+    await context.OfflineQueue.resolve(conflictC.seq, 'server');
+    assert.strictEqual(context.MappingsStore.get('c'), null, 'adopting the server copy drops the deleted mapping');
+    assert.strictEqual(context.OfflineQueue.entries.length, 0);
+});
+
+runTest('network failure during replay keeps the remaining entries queued', async () => {
+    const server = new Map([['a', { id: 'a' }]]);
+    const context = createOfflineTestContext(server);
+    context.MappingsStore.setFromServer([...server.values()]);
+    context.isOnline = false;
+    await context.MappingsOperations.update('a', { priority: 4 });
+
+    context.isOnline = true;
+    context.apiFetch = async () => { throw new TypeError('Failed to fetch'); };
+    context.ApiRetryPolicy = { isTransientApiError: error => error.name === 'TypeError' };
+
+    const summary = await context.OfflineQueue.replay();
+    assert.strictEqual(summary.applied, 0);
+    assert.strictEqual(summary.remaining, 1);
+    assert.strictEqual(context.OfflineQueue.entries[0].status, 'queued');
+});
+
+runTest('a failed IndexedDB write rejects once, without an unhandled rejection', async () => {
+    // Just enough IndexedDB for one write that fails and aborts its transaction
+    const quotaError = new Error('QuotaExceededError');
+    const fakeIndexedDb = {
+        open() {
+            const request = {};
+            setTimeout(() => {
+                request.result = {
+                    transaction() {
+                        const tx = {
+                            objectStore: () => ({
+                                put() {
+                                    const putRequest = {};
+                                    setTimeout(() => {
+                                        putRequest.error = quotaError;
+                                        putRequest.onerror();
+                                        tx.error = quotaError;
+                                        tx.onabort();
+                                    });
+                                    return putRequest;
+                                }
+                            })
+                        };
+                        return tx;
+                    }
+                };
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+    const sandbox = { setTimeout, indexedDB: fakeIndexedDb, Logger: createLoggerStub(silent) };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js/lib/indexed-db.js'), 'utf8'), context);
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const db = context.createIndexedDbStore({ name: 'spec', version: 1, stores: { items: { keyPath: 'id' } } });
+        await assert.rejects(() => db.put('items', { id: 'a' }), error => error === quotaError);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+    assert.strictEqual(unhandled.length, 0);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Loads the real store and operations. `server` is the fake WireMock (id -> mapping);
+// `fail` decides which requests the fake server rejects.
+function createOperationsTestContext(server = new Map(), fail = () => false) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.broadcasts = [];
+    sandbox.localStorage = {
+        setItem(key, value) { sandbox.broadcasts.push(JSON.parse(value)); },
+        removeItem() {},
+        getItem: () => null
+    };
+
+    sandbox.inFlight = 0;
+    sandbox.maxInFlight = 0;
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        const body = JSON.parse(options.body);
+        sandbox.inFlight += 1;
+        sandbox.maxInFlight = Math.max(sandbox.maxInFlight, sandbox.inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        sandbox.inFlight -= 1;
+        if (fail(body)) {
+            throw new Error('HTTP 422');
+        }
+        const id = options.method === 'PUT' ? endpoint.replace('/mappings/', '') : body.id || `srv-${server.size + 1}`;
+        server.set(id, { ...body, id });
+        return { ...body, id };
+    };
+
+    const context = vm.createContext(sandbox);
+    for (const script of ['js/features/store.js', 'js/features/operations.js']) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('batchCreate bounds concurrency, rolls back only failed items and broadcasts once', async () => {
+    const context = createOperationsTestContext(new Map(), body => body.request.url === '/bad');
+    const payloads = ['/a', '/b', '/bad', '/c', '/d', '/e'].map(url => ({ request: { url }, response: { status: 200 } }));
+    const progress = [];
+
+    const promise = context.MappingsOperations.batchCreate(payloads, {
+        concurrency: 2,
+        onProgress: update => progress.push(update.done)
+    });
+    const visibleBeforeSend = context.MappingsStore.getAll().length;
+    const result = await promise;
+
+    assert.strictEqual(visibleBeforeSend, 6, 'every item should be visible as pending right away');
+    assert.strictEqual(context.maxInFlight, 2);
+    assert.strictEqual(progress.join(','), '1,2,3,4,5,6');
+    assert.strictEqual(result.success.length, 5);
+    assert.strictEqual(result.failed.length, 1);
+    assert.strictEqual(result.failed[0].index, 2);
+    assert.strictEqual(result.failed[0].error, 'HTTP 422');
+
+    const urls = context.MappingsStore.getAll().map(mapping => mapping.request.url).sort();
+    assert.strictEqual(urls.join(','), '/a,/b,/c,/d,/e');
+    assert.strictEqual(context.MappingsStore.pending.size, 0);
+
+    assert.strictEqual(context.broadcasts.length, 1, 'a batch should produce one broadcast');
+    assert.strictEqual(context.broadcasts[0].type, 'mappings-batch-created');
+    assert.strictEqual(context.broadcasts[0].mappings.length, 5);
+});
+
+runTest('batchUpdate skips unknown ids and restores originals of rejected updates', async () => {
+    const server = new Map([
+        ['a', { id: 'a', priority: 1, request: { url: '/a' } }],
+        ['b', { id: 'b', priority: 1, request: { url: '/b' } }]
+    ]);
+    const context = createOperationsTestContext(server, body => body.id === 'b');
+    context.MappingsStore.setFromServer([...server.values()]);
+
+    const result = await context.MappingsOperations.batchUpdate([
+        { id: 'a', changes: { priority: 5 } },
+        { id: 'missing', changes: { priority: 5 } },
+        { id: 'b', changes: { priority: 5 } }
+    ]);
+
+    assert.strictEqual(result.success.length, 1);
+    assert.strictEqual(result.failed.map(item => `${item.index}:${item.id}`).join(','), '1:missing,2:b');
+    assert.strictEqual(context.MappingsStore.get('a').priority, 5);
+    assert.strictEqual(context.MappingsStore.get('b').priority, 1);
+    assert.strictEqual(context.broadcasts.length, 1);
+    assert.strictEqual(context.broadcasts[0].type, 'mappings-batch-updated');
+});
+
+runTest('batchUpdate with a full mapping replaces it like an import does', async () => {
+    const server = new Map([
+        ['a', { id: 'a', name: 'Old', priority: 1, request: { url: '/a' }, metadata: { owner: 'team-a', tags: ['old'] } }]
+    ]);
+    const context = createOperationsTestContext(server);
+    context.MappingsStore.setFromServer([...server.values()]);
+
+    const result = await context.MappingsOperations.batchUpdate([
+        { id: 'a', mapping: { id: 'a', request: { url: '/a2' }, metadata: { tags: ['new'] } } }
+    ], { source: 'import' });
+
+    assert.strictEqual(result.success.length, 1);
+    const stored = context.MappingsStore.get('a');
+    assert.strictEqual(stored.request.url, '/a2');
+    assert.strictEqual('name' in stored, false, 'fields missing from the import are dropped');
+    assert.strictEqual('priority' in stored, false);
+    assert.strictEqual('owner' in stored.metadata, false, 'metadata is replaced, not merged');
+    assert.deepStrictEqual([...stored.metadata.tags], ['new']);
+    assert.strictEqual('name' in server.get('a'), false);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
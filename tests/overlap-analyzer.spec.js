@@ -0,0 +1,173 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createAnalyzerTestContext(mappings = []) {
+    const sandbox = {
+        Utils: { escapeHtml: value => String(value).replace(/"/g, '&quot;') },
+        isImockCacheMapping: mapping => mapping.metadata?.imockCache === true,
+        MappingsStore: { stats: { revision: 1 }, metadata: { isSyncing: false }, getAll: () => mappings }
+    };
+    sandbox.window = sandbox;
+    // Manual timers: flushTimers() runs whatever is pending
+    sandbox.timers = [];
+    sandbox.setTimeout = (fn) => {
+        sandbox.timers.push(fn);
+        return sandbox.timers.length;
+    };
+    sandbox.clearTimeout = () => { sandbox.timers.length = 0; };
+    sandbox.flushTimers = () => {
+        const pending = sandbox.timers.splice(0);
+        pending.forEach(fn => fn());
+    };
+    const context = vm.createContext(sandbox);
+    const script = 'js/features/overlap-analyzer.js';
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'), context, { filename: script });
+    return context;
+}
+
+const summarize = findings => Array.from(findings.entries())
+    .map(([id, list]) => `${id}: ${list.map(finding => `${finding.type}>${finding.otherId}`).join(' ')}`)
+    .sort()
+    .join('\n');
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('a broader pattern with better priority makes literal stubs unreachable', () => {
+    const { MappingOverlapAnalyzer } = createAnalyzerTestContext();
+    const findings = MappingOverlapAnalyzer.analyze([
+        { id: 'catch-all', priority: 1, request: { method: 'GET', urlPattern: '/users/.*' } },
+        { id: 'user-1', priority: 5, request: { method: 'GET', url: '/users/1' } },
+        { id: 'user-path', request: { method: 'ANY', urlPath: '/users/2' } },
+        { id: 'post-user', priority: 5, request: { method: 'POST', url: '/users/1' } },
+        { id: 'orders', priority: 5, request: { method: 'GET', urlPath: '/orders' } },
+        { id: 'cache', priority: 1, request: { method: 'GET', urlPattern: '.*' }, metadata: { imockCache: true } }
+    ]);
+
+    assert.strictEqual(summarize(findings), [
+        'catch-all: shadows>user-1 shadows>user-path',
+        'user-1: unreachable>catch-all',
+        'user-path: unreachable>catch-all'
+    ].join('\n'));
+});
+
+runTest('specific stubs with better priority than a fallback are not reported', () => {
+    const { MappingOverlapAnalyzer } = createAnalyzerTestContext();
+    const findings = MappingOverlapAnalyzer.analyze([
+        { id: 'fallback', priority: 10, request: { method: 'ANY', urlPattern: '.*' } },
+        { id: 'health', priority: 1, request: { method: 'GET', urlPath: '/health' } }
+    ]);
+    assert.strictEqual(findings.size, 0);
+});
+
+runTest('extra matchers, scenario state and equal priority change the verdict', () => {
+    const { MappingOverlapAnalyzer } = createAnalyzerTestContext();
+    const findings = MappingOverlapAnalyzer.analyze([
+        // Header-constrained winner only shadows stubs with the same header matcher
+        { id: 'with-header', priority: 1, request: { method: 'GET', urlPath: '/a', headers: { 'X-Env': { equalTo: 'qa' } } } },
+        { id: 'plain-a', priority: 2, request: { method: 'GET', urlPath: '/a' } },
+        { id: 'other-header', priority: 1, request: { method: 'GET', urlPath: '/a', headers: { 'X-Env': { equalTo: 'prod' } } } },
+        // Scenario-bound winner only shadows while the scenario is in that state
+        { id: 'started', priority: 1, scenarioName: 'flow', requiredScenarioState: 'Started', request: { method: 'GET', url: '/b' } },
+        { id: 'plain-b', priority: 3, request: { method: 'GET', url: '/b' } },
+        { id: 'done', priority: 2, scenarioName: 'flow', requiredScenarioState: 'Done', request: { method: 'GET', url: '/b' } },
+        // Same matcher and priority: WireMock picks the newest one
+        { id: 'dup-1', name: 'Old', insertionIndex: 7, request: { method: 'GET', url: '/c' } },
+        { id: 'dup-2', name: 'New', insertionIndex: 12, request: { method: 'GET', url: '/c' } },
+        { id: 'dup-3', request: { method: 'GET', url: '/d' } },
+        { id: 'dup-4', request: { method: 'GET', url: '/d' } }
+    ]);
+
+    assert.strictEqual(summarize(findings), [
+        'dup-1: ambiguous>dup-2',
+        'dup-2: ambiguous>dup-1',
+        'dup-3: ambiguous>dup-4',
+        'dup-4: ambiguous>dup-3',
+        'plain-b: conditional>started conditional>done'
+    ].join('\n'));
+    assert.match(findings.get('dup-1')[0].message, /WireMock picks "New", the one added last/);
+    assert.match(findings.get('dup-2')[0].message, /WireMock picks "New", the one added last/);
+    assert.match(findings.get('dup-3')[0].message, /WireMock picks whichever was added last/, 'without insertion indexes the winner is unknown');
+});
+
+runTest('only mappings sharing a method and first path segment are compared', () => {
+    const { MappingOverlapAnalyzer } = createAnalyzerTestContext();
+    const findings = MappingOverlapAnalyzer.analyze([
+        { id: 'api-all', priority: 1, request: { method: 'GET', urlPathPattern: '/api/.*' } },
+        { id: 'api-order', priority: 5, request: { method: 'GET', urlPath: '/api/orders' } },
+        { id: 'apix', priority: 5, request: { method: 'GET', urlPath: '/apix/orders' } },
+        // No fixed first segment: compared with every bucket
+        { id: 'loose', priority: 1, request: { method: 'PUT', urlPattern: '/ap.*' } },
+        { id: 'apix-put', priority: 5, request: { method: 'PUT', url: '/apix/1' } },
+        // ANY is compared with every method
+        { id: 'any-health', priority: 1, request: { method: 'ANY', urlPath: '/health' } },
+        { id: 'get-health', priority: 5, request: { method: 'GET', url: '/health' } },
+        // An optional character ends the literal prefix before it
+        { id: 'optional', priority: 1, request: { method: 'DELETE', urlPattern: '/v1?/items' } },
+        { id: 'v-items', priority: 5, request: { method: 'DELETE', url: '/v/items' } }
+    ]);
+
+    assert.strictEqual(summarize(findings), [
+        'any-health: shadows>get-health',
+        'api-all: shadows>api-order',
+        'api-order: unreachable>api-all',
+        'apix-put: unreachable>loose',
+        'get-health: unreachable>any-health',
+        'loose: shadows>apix-put',
+        'optional: shadows>v-items',
+        'v-items: unreachable>optional'
+    ].join('\n'));
+});
+
+runTest('findings are computed after the store settles and rendered as card badges', () => {
+    const mappings = [
+        { id: 'wide', priority: 1, request: { method: 'GET', urlPathPattern: '/x/.*' } },
+        { id: 'narrow', priority: 2, name: 'Narrow "one"', request: { method: 'GET', url: '/x/1?debug=true' } }
+    ];
+    const context = createAnalyzerTestContext(mappings);
+    const analyzer = context.MappingOverlapAnalyzer;
+    let rerenders = 0;
+    context.FilterManager = { applyMappingFilters: () => { rerenders += 1; } };
+
+    assert.strictEqual(analyzer.getSignature('narrow'), '', 'rendering never runs the analysis itself');
+    assert.strictEqual(context.timers.length, 1);
+    analyzer.getSignature('wide');
+    assert.strictEqual(context.timers.length, 1, 'repeated calls share one pending analysis');
+
+    // Not while a full sync is still adding pages
+    context.MappingsStore.metadata.isSyncing = true;
+    context.flushTimers();
+    assert.strictEqual(analyzer.getSignature('narrow'), '');
+    context.MappingsStore.metadata.isSyncing = false;
+    context.flushTimers();
+
+    assert.strictEqual(rerenders, 1, 'cards are re-rendered when the findings change');
+    assert.strictEqual(analyzer.getSignature('narrow'), 'unreachable:wide');
+    assert.ok(analyzer.renderBadges('narrow').includes('⚠ Unreachable'));
+    assert.ok(analyzer.renderBadges('wide').includes('Shadows &quot;Narrow &quot;one&quot;&quot;'));
+    assert.strictEqual(context.timers.length, 0, 'an unchanged revision schedules nothing');
+
+    mappings.pop();
+    context.MappingsStore.stats.revision += 1;
+    assert.strictEqual(analyzer.getSignature('wide'), 'shadows:narrow', 'the previous findings stay until the next analysis');
+    context.flushTimers();
+    assert.strictEqual(analyzer.getSignature('wide'), '');
+    assert.strictEqual(rerenders, 2);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
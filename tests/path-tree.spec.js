@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function createTreeTestContext(mappings) {
+    const sandbox = { console: silent, Map, Set };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { info() {} };
+    sandbox.Utils = { escapeHtml: String };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.isImockCacheMapping = mapping => mapping.metadata?.imockCache === true;
+    sandbox.filterRuns = 0;
+    sandbox.FilterManager = { applyMappingFilters: () => { sandbox.filterRuns += 1; } };
+    sandbox.bulkSelected = [];
+    sandbox.MappingBulkEdit = { toggle: (id, force) => force && sandbox.bulkSelected.push(id) };
+
+    const context = vm.createContext(sandbox);
+    for (const script of ['js/features/store.js', 'js/features/path-tree.js']) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    return context;
+}
+
+const sampleMappings = () => [
+    { id: 'list', request: { method: 'GET', urlPath: '/api/v1/orders' } },
+    { id: 'create', request: { method: 'POST', url: '/api/v1/orders?dryRun=true' } },
+    { id: 'one', request: { method: 'GET', urlPattern: '^/api/v1/orders/[0-9]+' } },
+    { id: 'template', request: { method: 'DELETE', urlPathTemplate: '/api/v1/orders/{id}' } },
+    { id: 'users', request: { method: 'GET', urlPathPattern: '/api/v2/users/.*' } },
+    { id: 'health', request: { url: '/health' } },
+    { id: 'any', request: { urlPattern: '.*' } },
+    { id: 'cache', request: { url: '/__imock/cache' }, metadata: { imockCache: true } }
+];
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('groups mappings by path segments, using literal prefixes of patterns', () => {
+    const context = createTreeTestContext(sampleMappings());
+    const tree = context.MappingPathTree;
+
+    assert.strictEqual(tree.segmentsOf({ request: { urlPattern: '^/api/v1/orders/[0-9]+' } }).join('/'), 'api/v1/orders');
+    assert.strictEqual(tree.segmentsOf({ request: { urlPathTemplate: '/api/v1/orders/{id}' } }).join('/'), 'api/v1/orders');
+    assert.strictEqual(tree.segmentsOf({ request: { urlPattern: '.*' } }).length, 0);
+
+    const root = tree.getTree();
+    assert.strictEqual(root.count, 7, 'the cache mapping is left out');
+    const orders = tree.findNode('/api/v1/orders');
+    assert.strictEqual(orders.count, 4);
+    assert.strictEqual(JSON.stringify(Array.from(orders.methods.entries())), '[["GET",2],["POST",1],["DELETE",1]]');
+    assert.strictEqual(tree.findNode('/api').count, 5);
+    assert.strictEqual(tree.findNode('/api/v2/users').ids.join(','), 'users');
+    assert.strictEqual(tree.findNode('/api/v3'), null);
+});
+
+runTest('selecting a node filters the list to its subtree; selecting it again clears', () => {
+    const context = createTreeTestContext(sampleMappings());
+    const tree = context.MappingPathTree;
+    const all = context.MappingsStore.getAll();
+
+    tree.select('/api/v1');
+    assert.strictEqual(context.filterRuns, 1);
+    assert.strictEqual(tree.filter(all).map(mapping => mapping.id).join(','), 'list,create,one,template');
+
+    tree.select('/api/v1');
+    assert.strictEqual(tree.selectedPath, null);
+    assert.strictEqual(tree.filter(all).length, all.length);
+
+    tree.select('/');
+    assert.strictEqual(tree.selectedPath, null, 'the root means no filter');
+});
+
+runTest('expand/collapse, tree refresh on store changes and subtree bulk selection', () => {
+    const context = createTreeTestContext(sampleMappings());
+    const tree = context.MappingPathTree;
+
+    tree.toggleNode('/api');
+    assert.ok(tree.expanded.has('/api'));
+    tree.toggleNode('/api');
+    assert.ok(!tree.expanded.has('/api'));
+
+    context.MappingsStore.setDisabled([{ id: 'old-orders', request: { method: 'GET', url: '/api/v1/orders/archive' } }]);
+    assert.strictEqual(tree.findNode('/api/v1/orders').count, 5, 'rebuilt after the store changed');
+
+    assert.strictEqual(tree.selectSubtree('/api/v1/orders'), 4, 'disabled mappings cannot be bulk edited');
+    assert.strictEqual(context.bulkSelected.join(','), 'list,create,one,template');
+});
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✔ ${name}`);
+    } catch (error) {
+        console.error(`✖ ${name}`);
+        console.error(error);
+        process.exit(1);
+    }
+}
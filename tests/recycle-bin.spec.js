@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Real store, operations and recycle bin on the in-memory IndexedDB fallback, against a fake server.
+function createTrashTestContext(mappings = [], settings = {}) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set, Date };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.warnings = [];
+    sandbox.NotificationManager = { success() {}, error() {}, info() {}, warning: message => sandbox.warnings.push(message) };
+    sandbox.Utils = { escapeHtml: String, safeCall: fn => (typeof fn === 'function' ? fn() : undefined) };
+    sandbox.SELECTORS = { PAGES: { TRASH: 'trash-page' } };
+    sandbox.localStorage = { setItem() {}, removeItem() {}, getItem: () => null };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.readWiremockSettings = () => settings;
+    sandbox.isImockCacheMapping = mapping => mapping.metadata?.imockCache === true;
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    sandbox.requests = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        sandbox.requests.push({ endpoint, method: options.method, body: options.body ? JSON.parse(options.body) : null });
+        return options.body ? JSON.parse(options.body) : {};
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/lib/indexed-db.js', 'js/features/store.js', 'js/features/operations.js', 'js/features/recycle-bin.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('deleted mappings land in the recycle bin of their server, except the cache mapping', async () => {
+    const context = createTrashTestContext([
+        { id: 'a', name: 'Alpha', request: { method: 'GET', url: '/a' }, response: { status: 200 } },
+        { id: 'b', request: { method: 'GET', url: '/b' }, response: { status: 200 } },
+        { id: 'cache', request: { url: '/cache' }, response: { status: 200 }, metadata: { imockCache: true } }
+    ]);
+
+    await context.MappingsOperations.delete('a');
+    await context.MappingsOperations.batchDelete(['b', 'cache']);
+
+    const entries = await context.MappingTrash.list();
+    assert.strictEqual(entries.map(entry => entry.mappingId).sort().join(','), 'a,b');
+    const alpha = entries.find(entry => entry.mappingId === 'a');
+    assert.strictEqual(alpha.name, 'Alpha');
+    assert.strictEqual(alpha.mapping.request.url, '/a');
+    assert.ok(!('_pending' in alpha.mapping) && typeof alpha.deletedAt === 'number');
+
+    context.wiremockBaseUrl = 'http://other:8080/__admin';
+    assert.strictEqual((await context.MappingTrash.list()).length, 0);
+});
+
+runTest('restore recreates the mapping with its id through MappingsOperations.create', async () => {
+    const context = createTrashTestContext([{ id: 'a', name: 'Alpha', request: { url: '/a' }, response: { status: 200 } }]);
+    await context.MappingsOperations.delete('a');
+    const [entry] = await context.MappingTrash.list();
+
+    const created = await context.MappingTrash.restore(entry.trashId);
+    assert.strictEqual(created.id, 'a');
+    const post = context.requests.find(request => request.method === 'POST');
+    assert.strictEqual(post.body.id, 'a');
+    assert.strictEqual(context.MappingsStore.get('a').name, 'Alpha');
+    assert.strictEqual((await context.MappingTrash.list()).length, 0);
+
+    // Deleting again and restoring while the id is taken is refused
+    await context.MappingsOperations.delete('a');
+    const [again] = await context.MappingTrash.list();
+    context.MappingsStore.setFromServer([{ id: 'a', request: { url: '/new' }, response: { status: 200 } }]);
+    assert.strictEqual(await context.MappingTrash.restore(again.trashId), null);
+    assert.strictEqual(context.warnings.length, 1);
+    assert.strictEqual((await context.MappingTrash.list()).length, 1);
+});
+
+runTest('entries older than the retention are purged; 0 keeps them', async () => {
+    const settings = { trashRetentionDays: '7' };
+    const context = createTrashTestContext([], settings);
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    const old = await context.MappingTrash.add({ id: 'old', request: {}, response: {} });
+    const recent = await context.MappingTrash.add({ id: 'recent', request: {}, response: {} });
+    await context.MappingTrash._getDb().put('mappings', { ...old, deletedAt: now - 8 * day });
+    await context.MappingTrash._getDb().put('mappings', { ...recent, deletedAt: now - 6 * day });
+
+    settings.trashRetentionDays = '0';
+    assert.strictEqual((await context.MappingTrash.list(now)).length, 2);
+
+    settings.trashRetentionDays = '7';
+    assert.strictEqual((await context.MappingTrash.list(now)).map(entry => entry.mappingId).join(','), 'recent');
+    settings.trashRetentionDays = '0';
+    assert.strictEqual((await context.MappingTrash.list(now)).length, 1, 'expired entries are gone for good');
+
+    await context.MappingTrash.purge(recent.trashId);
+    assert.strictEqual((await context.MappingTrash.list(now)).length, 0);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Fake WireMock: every stub call answers `respond`; `journal` builds the request journal from
+// the X-Imock-Try-It tag of the last request sent
+function createComposerTestContext({ respond = { status: 200, body: '{"ok":true}' }, journal = () => [] } = {}) {
+    const sandbox = { console: silent, Map, Set, JSON, Date, btoa: value => Buffer.from(value).toString('base64') };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { warning() {}, error() {} };
+    sandbox.Utils = { escapeHtml: String };
+    sandbox.ENDPOINTS = { MAPPINGS: '/mappings', REQUESTS: '/requests' };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.performance = { now: () => 0 };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    const storage = new Map();
+    sandbox.localStorage = {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value))
+    };
+
+    sandbox.sent = [];
+    sandbox.fetch = async (url, options) => {
+        sandbox.sent.push({ url, ...options });
+        return {
+            status: respond.status,
+            statusText: 'OK',
+            headers: new Map([['content-type', 'application/json']]),
+            text: async () => respond.body
+        };
+    };
+    sandbox.apiFetch = async (endpoint) => {
+        if (!endpoint.startsWith('/requests')) return {};
+        return { requests: journal(sandbox.sent.at(-1)?.headers?.['X-Imock-Try-It']) };
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = ['js/lib/indexed-db.js', 'js/features/try-it.js', 'js/features/request-composer.js'];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('fills {{variables}} and leaves disabled rows out of the request', () => {
+    const composer = createComposerTestContext().RequestComposer;
+    const variables = { orderId: '42', token: 'abc' };
+
+    const filled = composer.substitute('/orders/{{orderId}}/{{ missing }}/{{missing}}', variables);
+    assert.strictEqual(filled.text, '/orders/42/{{ missing }}/{{missing}}');
+    assert.strictEqual(filled.missing.join(','), 'missing');
+
+    const resolved = composer.resolve({
+        method: 'post',
+        path: 'orders/{{orderId}}',
+        query: [
+            { name: 'expand', value: 'items & totals', enabled: true },
+            { name: 'debug', value: 'true', enabled: false },
+            { name: '', value: 'ignored', enabled: true }
+        ],
+        headers: [{ name: 'Authorization', value: 'Bearer {{token}}', enabled: true }],
+        body: '{"id":"{{orderId}}","user":"{{user}}"}'
+    }, variables);
+    assert.strictEqual(resolved.method, 'POST');
+    assert.strictEqual(resolved.url, 'http://localhost:8080/orders/42?expand=items%20%26%20totals');
+    assert.strictEqual(JSON.stringify(resolved.headers), '{"Authorization":"Bearer abc"}');
+    assert.strictEqual(resolved.body, '{"id":"42","user":"{{user}}"}');
+    assert.strictEqual(resolved.missing.join(','), 'user');
+
+    const get = composer.resolve({ method: 'GET', path: '/x?a=1', query: [{ name: 'b', value: '2' }], headers: [], body: 'ignored' }, {});
+    assert.strictEqual(get.path, '/x?a=1&b=2');
+    assert.strictEqual(get.body, null, 'GET requests carry no body');
+});
+
+runTest('records each send in the history, linked to its journal entry', async () => {
+    // Only the first send (to /ping) reaches the journal
+    let pingTag;
+    const journal = (tag) => {
+        pingTag = pingTag || tag;
+        return [{ id: 'journal-1', request: { url: '/ping', method: 'GET', headers: { 'X-Imock-Try-It': pingTag } }, wasMatched: true, stubMapping: { id: 'stub-1', name: 'Ping' } }];
+    };
+    const context = createComposerTestContext({ respond: { status: 201, body: 'x'.repeat(70 * 1024) }, journal });
+    const composer = context.RequestComposer;
+
+    const record = await composer.send({ method: 'GET', path: '/ping', query: [], headers: [], body: '' });
+    assert.strictEqual(context.sent[0].url, 'http://localhost:8080/ping');
+    assert.strictEqual(record.status, 201);
+    assert.strictEqual(record.journalId, 'journal-1');
+    assert.strictEqual(record.matchedStub.name, 'Ping');
+    assert.strictEqual(record.truncated, true, 'large bodies are cut before they are stored');
+
+    await composer.send({ method: 'GET', path: '/unlogged', query: [], headers: [], body: '' });
+    const history = await composer.listHistory();
+    assert.strictEqual(history.map(item => item.draft.path).join(','), '/unlogged,/ping', 'newest first');
+    assert.strictEqual(history[0].journalId, null);
+
+    context.wiremockBaseUrl = 'http://other:9090/__admin';
+    assert.strictEqual((await composer.listHistory()).length, 0, 'history is kept per server');
+});
+
+runTest('saves named requests and keeps variables per environment', async () => {
+    const composer = createComposerTestContext().RequestComposer;
+
+    composer.draft = { method: 'DELETE', path: '/orders/{{orderId}}', query: [], headers: [], body: '' };
+    await composer.saveDraft('  Delete order ');
+    await composer.saveDraft('Another');
+    assert.strictEqual((await composer.listSaved()).map(item => item.name).join(','), 'Another,Delete order');
+    await composer.deleteSaved('Another');
+    assert.strictEqual((await composer.listSaved())[0].draft.method, 'DELETE');
+    assert.strictEqual(await composer.saveDraft('  '), null);
+
+    assert.strictEqual(JSON.stringify(composer.parseVariables('# local\norderId = 42\nbroken\ntoken=a=b\n')), '{"orderId":"42","token":"a=b"}');
+    composer.setVariables({ orderId: '42' });
+    composer.selectEnvironment('staging');
+    assert.strictEqual(Object.keys(composer.getVariables()).length, 0);
+    composer.setVariables({ orderId: '7' });
+    assert.strictEqual(composer.resolve(composer.draft).path, '/orders/7');
+    composer.selectEnvironment('Default');
+    assert.strictEqual(composer.resolve(composer.draft).path, '/orders/42');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
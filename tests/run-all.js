@@ -14,7 +14,28 @@ const specs = [
     'cache-connection.spec.js',
     'editor-monaco.spec.js',
     'sync-engine.spec.js',
-    'templates.spec.js'
+    'templates.spec.js',
+    'connection-profiles.spec.js',
+    'server-compare.spec.js',
+    'api-fetch.spec.js',
+    'capabilities.spec.js',
+    'offline-queue.spec.js',
+    'operations.spec.js',
+    'bulk-edit.spec.js',
+    'overlap-analyzer.spec.js',
+    'mapping-lint.spec.js',
+    'mapping-history.spec.js',
+    'recycle-bin.spec.js',
+    'mapping-toggle.spec.js',
+    'file-store.spec.js',
+    'mapping-hits.spec.js',
+    'unused-report.spec.js',
+    'path-tree.spec.js',
+    'mapping-tags.spec.js',
+    'try-it.spec.js',
+    'request-composer.spec.js',
+    'mapping-snippets.spec.js',
+    'server-discovery.spec.js'
 ];
 
 const coverageDir = process.env.NODE_V8_COVERAGE;
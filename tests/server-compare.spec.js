@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function createCompareTestContext() {
+    const sandbox = {
+        console: silent,
+        setTimeout,
+        clearTimeout,
+        Map,
+        Set,
+    };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.ENDPOINTS = { MAPPINGS: '/mappings' };
+    sandbox.NotificationManager = { success() {}, error() {}, warning() {}, info() {} };
+    sandbox.Utils = { safeCall: () => undefined, escapeHtml: (value) => String(value) };
+    sandbox.confirm = () => true;
+    sandbox.isImockCacheMapping = (mapping) => mapping?.id === '00000000-0000-0000-0000-00000000cace';
+    sandbox.document = {
+        getElementById: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+    };
+    sandbox.addEventListener = () => {};
+
+    const context = vm.createContext(sandbox);
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', 'features', 'server-compare.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'js/features/server-compare.js' });
+    return context;
+}
+
+// Run the real structural diff from the editor worker without spawning a Worker
+function loadStructuralDiff() {
+    const workerSandbox = { console: silent, setTimeout: () => 0, clearTimeout() {}, AbortController, postMessage() {} };
+    workerSandbox.self = workerSandbox;
+    const context = vm.createContext(workerSandbox);
+    const code = fs.readFileSync(path.join(__dirname, '..', 'editor', 'json-worker.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'editor/json-worker.js' });
+
+    let counter = 0;
+    return async (left, right) => {
+        const taskId = `spec-${++counter}`;
+        vm.runInContext(`taskManager.addTask(${JSON.stringify(taskId)}, 'diff-${counter}', {})`, context);
+        return context.performStructuralDiff(JSON.stringify(left), JSON.stringify(right), true, taskId);
+    };
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('classifyMappings pairs mappings by id and uses the structural diff', async () => {
+    const context = createCompareTestContext();
+    const diff = loadStructuralDiff();
+
+    const left = [
+        { id: 'a', uuid: 'left-uuid', request: { method: 'GET', url: '/same' }, response: { status: 200 } },
+        { id: 'b', request: { method: 'POST', url: '/changed' }, response: { status: 201 } },
+        { id: 'c', request: { method: 'GET', url: '/left-only' }, response: { status: 200 } },
+        { id: '00000000-0000-0000-0000-00000000cace', request: { method: 'GET', url: '/__imock/cache' } },
+    ];
+    const right = [
+        { id: 'a', uuid: 'right-uuid', response: { status: 200 }, request: { url: '/same', method: 'GET' } },
+        { id: 'b', request: { method: 'POST', url: '/changed' }, response: { status: 500 } },
+        { id: 'd', request: { method: 'DELETE', url: '/right-only' }, response: { status: 204 } },
+    ];
+
+    const entries = await context.ServerCompare.classifyMappings(left, right, { diff });
+    const byId = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+
+    assert.strictEqual(entries.length, 4, 'service cache mapping should be ignored');
+    assert.strictEqual(byId.a.status, 'identical', 'key order and uuid must not count as differences');
+    assert.strictEqual(byId.b.status, 'changed');
+    assert.strictEqual(
+        JSON.stringify(byId.b.differences.map(item => [item.path, item.left, item.right])),
+        JSON.stringify([['response.status', 201, 500]])
+    );
+    assert.strictEqual(byId.c.status, 'only-left');
+    assert.strictEqual(byId.d.status, 'only-right');
+    assert.strictEqual(entries[0].id, 'b', 'changed mappings are listed first');
+});
+
+runTest('classifyMappings still flags changes when no diff worker is available', async () => {
+    const context = createCompareTestContext();
+    const entries = await context.ServerCompare.classifyMappings(
+        [{ id: 'x', request: { url: '/a' }, priority: 1 }],
+        [{ id: 'x', request: { url: '/a' }, priority: 2 }],
+        { diff: async () => null }
+    );
+    assert.strictEqual(entries[0].status, 'changed');
+    assert.strictEqual(entries[0].differences.length, 1);
+});
+
+runTest('a failing or silent diff worker rejects and is replaced by a fresh one', async () => {
+    const context = createCompareTestContext();
+    const workers = [];
+    // 'error' workers fail to load, 'silent' ones never answer, 'ok' ones answer every diff
+    const behaviours = ['error', 'silent', 'ok'];
+    context.Worker = class {
+        constructor() {
+            this.behaviour = behaviours[workers.length];
+            this.listeners = {};
+            this.terminated = false;
+            workers.push(this);
+        }
+        addEventListener(type, fn) { (this.listeners[type] = this.listeners[type] || new Set()).add(fn); }
+        removeEventListener(type, fn) { this.listeners[type]?.delete(fn); }
+        emit(type, event) { [...(this.listeners[type] || [])].forEach(fn => fn(event)); }
+        postMessage({ taskId }) {
+            if (this.behaviour === 'error') {
+                setTimeout(() => this.emit('error', { type: 'error', message: 'json-worker.js failed to load' }));
+            } else if (this.behaviour === 'ok') {
+                setTimeout(() => this.emit('message', { data: { taskId, type: 'diff_complete', result: { differences: [] } } }));
+            }
+        }
+        terminate() { this.terminated = true; }
+    };
+    const timers = [];
+    context.setTimeout = (fn, delay) => (delay ? timers.push(fn) : setTimeout(fn));
+    context.clearTimeout = () => {};
+
+    const client = context.ServerCompare._diffClient;
+    await assert.rejects(() => client.diff({ a: 1 }, { a: 2 }), /failed to load/);
+    assert.strictEqual(workers[0].terminated, true);
+
+    const silent = client.diff({ a: 1 }, { a: 2 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(workers.length, 2, 'the broken worker is replaced');
+    timers.pop()();
+    await assert.rejects(() => silent, /no answer/);
+    assert.strictEqual(workers[1].terminated, true);
+
+    assert.deepStrictEqual(await client.diff({ a: 1 }, { a: 2 }), { differences: [] }, 'the queue is not stalled');
+    assert.strictEqual(workers.length, 3);
+});
+
+runTest('promote pushes selected mappings to the target server keeping ids', async () => {
+    const context = createCompareTestContext();
+    const calls = [];
+    context.apiFetch = async (endpoint, options = {}) => {
+        calls.push({ endpoint, method: options.method || 'GET', baseUrl: options.baseUrl, body: options.body });
+        return { mappings: [] };
+    };
+
+    context.ServerCompare.state.left = { label: 'QA', baseUrl: 'http://qa:8080/__admin', customHeaders: null };
+    context.ServerCompare.state.right = { label: 'Staging', baseUrl: 'http://staging:8080/__admin', customHeaders: { 'X-Env': 'stg' } };
+    context.ServerCompare.state.entries = [
+        { id: 'new', status: 'only-left', left: { id: 'new', uuid: 'u1', request: { url: '/new' } }, right: null },
+        { id: 'upd', status: 'changed', left: { id: 'upd', priority: 1 }, right: { id: 'upd', priority: 5 } },
+        { id: 'skip', status: 'only-right', left: null, right: { id: 'skip' } },
+    ];
+    context.ServerCompare.state.selected = new Set(['new', 'upd', 'skip']);
+    // Avoid re-running the comparison against the stubbed servers
+    context.ServerCompare.compare = async () => {};
+
+    const results = await context.ServerCompare.promote('left-to-right');
+
+    assert.deepStrictEqual(Array.from(results.success), ['new', 'upd']);
+    assert.deepStrictEqual(calls.map(call => `${call.method} ${call.endpoint}`), ['POST /mappings', 'PUT /mappings/upd']);
+    assert.ok(calls.every(call => call.baseUrl === 'http://staging:8080/__admin'));
+    assert.strictEqual(JSON.parse(calls[0].body).id, 'new');
+    assert.strictEqual(JSON.parse(calls[0].body).uuid, undefined, 'server uuid should not be pushed');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// `servers` maps "host:port" to the admin API routes that answer, e.g. { '/health': {...} }
+function createDiscoveryTestContext(servers = {}) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, AbortController, Promise };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.Utils = {
+        safeCall: (fn, ...args) => (typeof fn === 'function' ? fn(...args) : undefined),
+        escapeHtml: value => String(value),
+    };
+    sandbox.ENDPOINTS = { HEALTH: '/health', MAPPINGS: '/mappings' };
+    sandbox.normalizeWiremockBaseUrl = (host, port) => `http://${host}:${port}/__admin`;
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.localStorage = {
+        _data: Object.create(null),
+        getItem(key) { return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : null; },
+        setItem(key, value) { this._data[key] = String(value); },
+    };
+
+    sandbox.probed = [];
+    sandbox.fetch = async (url) => {
+        const { host, pathname } = new URL(url);
+        const route = pathname.replace('/__admin', '');
+        sandbox.probed.push(`${host}${route}`);
+        const server = servers[host];
+        if (!server) throw new TypeError('Failed to fetch');
+        if (!(route in server)) {
+            return { ok: false, status: 404, json: async () => ({}) };
+        }
+        return { ok: true, status: 200, json: async () => server[route] };
+    };
+
+    const context = vm.createContext(sandbox);
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', 'features', 'server-discovery.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'js/features/server-discovery.js' });
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('port specs expand ranges, drop duplicates and cap the scan size', () => {
+    const context = createDiscoveryTestContext();
+    assert.strictEqual(context.parseDiscoveryPorts('8080-8083, 9090 8081').join(), '8080,8081,8082,8083,9090');
+    assert.strictEqual(context.parseDiscoveryPorts('8083-8081').join(), '8081,8082,8083', 'reversed ranges still work');
+    assert.strictEqual(context.parseDiscoveryPorts('abc, 0-2').join(), '1,2');
+    assert.strictEqual(context.parseDiscoveryPorts('1-65535').length, 256);
+});
+
+runTest('scan lists responding servers with version and mapping count', async () => {
+    const context = createDiscoveryTestContext({
+        'localhost:8081': {
+            '/health': { status: 'healthy', version: '3.9.1' },
+            '/mappings': { mappings: [], meta: { total: 42 } },
+        },
+        'localhost:9090': {
+            // 2.x has no version in the health payload
+            '/health': { status: 'healthy' },
+            '/version': { version: '2.35.0' },
+        },
+    });
+
+    const streamed = [];
+    const results = await context.ServerDiscovery.scan({
+        hosts: 'localhost',
+        ports: '8080-8082, 9090',
+        onResult: server => streamed.push(server.port),
+    });
+
+    assert.strictEqual(results.map(server => `${server.port}:${server.version}:${server.mappingCount}`).join(),
+        '8081:3.9.1:42,9090:2.35.0:null');
+    assert.strictEqual(streamed.sort().join(), '8081,9090');
+    assert.strictEqual(context.ServerDiscovery.isScanning, false);
+
+    // The scanned lists become the defaults for the next scan
+    const saved = JSON.parse(context.localStorage.getItem('imock-server-discovery'));
+    assert.strictEqual(saved.ports, '8080-8082, 9090');
+});
+
+runTest('recent servers are de-duplicated, most recent first and capped', () => {
+    const context = createDiscoveryTestContext();
+    for (let port = 8080; port < 8090; port++) {
+        context.ServerDiscovery.remember('localhost', String(port));
+    }
+    context.ServerDiscovery.remember('localhost', '8085');
+
+    const recent = context.ServerDiscovery.getRecent();
+    assert.strictEqual(recent.length, 8);
+    assert.strictEqual(recent[0].port, '8085');
+    assert.strictEqual(recent.filter(entry => entry.port === '8085').length, 1);
+
+    context.ServerDiscovery.forget('localhost', '8085');
+    assert.strictEqual(context.ServerDiscovery.getRecent()[0].port, '8089');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -17,9 +17,11 @@ const sandbox = {
   clearTimeout,
   setInterval,
   clearInterval,
+  AbortController,
   document: {
     getElementById: () => ({
       classList: { add() {}, remove() {} },
+      querySelector: () => null,
     }),
   },
 };
@@ -61,7 +63,8 @@ sandbox.FilterManager = {
   applyMappingFilters: () => { filterApplyCalls += 1; },
 };
 
-sandbox.fetchAndRenderMappings = () => {};
+let renderCalls = 0;
+sandbox.fetchAndRenderMappings = () => { renderCalls += 1; };
 sandbox.fetchMappingsFromServer = () => {
   fetchCalls += 1;
   return new Promise(resolve => { resolveFetch = resolve; });
@@ -144,6 +147,78 @@ runTest('fullSync re-applies mapping filters after store is populated', async ()
   };
 });
 
+runTest('cancelLoad aborts the running full sync and keeps the store', async () => {
+  sandbox.MappingsStore.metadata.isSyncing = false;
+  context.SyncEngine.isFullSyncing = false;
+  renderCalls = 0;
+
+  let setFromServerCalls = 0;
+  const originalSetFromServer = sandbox.MappingsStore.setFromServer;
+  sandbox.MappingsStore.setFromServer = () => { setFromServerCalls += 1; };
+  let receivedOptions = null;
+  sandbox.fetchMappingsFromServer = (options) => {
+    receivedOptions = options;
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => {
+        const error = new Error('GET /mappings cancelled');
+        error.isCancelled = true;
+        reject(error);
+      });
+    });
+  };
+
+  assert.strictEqual(context.SyncEngine.cancelLoad(), false, 'nothing to cancel before a sync starts');
+  const run = context.SyncEngine.fullSync({ background: false });
+  assert.strictEqual(typeof receivedOptions.onProgress, 'function', 'progress is requested from the loader');
+  assert.strictEqual(context.SyncEngine.cancelLoad(), true);
+
+  await assert.rejects(run, error => error.isCancelled === true);
+  assert.strictEqual(setFromServerCalls, 0, 'a cancelled load must not replace the store');
+  assert.strictEqual(renderCalls, 1, 'the current store is rendered again to clear the loading state');
+  assert.strictEqual(context.SyncEngine.isFullSyncing, false);
+  assert.strictEqual(context.SyncEngine.loadController, null);
+  assert.ok(!sandbox.MappingsStore.metadata.syncError, 'cancelling is not a sync error');
+
+  sandbox.MappingsStore.setFromServer = originalSetFromServer;
+});
+
+runTest('paged fullSync renders the first page before the rest has arrived', async () => {
+  sandbox.MappingsStore.metadata.isSyncing = false;
+  context.SyncEngine.isFullSyncing = false;
+  renderCalls = 0;
+
+  const storeCalls = [];
+  const originalStore = { setFromServer: sandbox.MappingsStore.setFromServer, applyChanges: sandbox.MappingsStore.applyChanges };
+  sandbox.MappingsStore.setFromServer = (mappings) => storeCalls.push(`set:${mappings.length}`);
+  sandbox.MappingsStore.applyChanges = ({ added }) => { storeCalls.push(`add:${added.length}`); return []; };
+  const totals = [];
+  sandbox.PaginationManager = {
+    setServerTotal: (total, loaded) => totals.push(`${loaded}/${total}`),
+    clearServerTotal: () => totals.push('cleared'),
+  };
+  sandbox.readWiremockSettings = () => ({ pagedMappingLoading: true, mappingsPageSize: '2' });
+
+  let pageSize = null;
+  sandbox.fetchMappingsPaged = async (options) => {
+    pageSize = options.pageSize;
+    const cacheMapping = { id: '00000000-0000-0000-0000-00000000cace' };
+    options.onPage({ mappings: [{ id: 'a' }, cacheMapping], loaded: 2, total: 3 });
+    assert.strictEqual(renderCalls, 1, 'first page is rendered immediately');
+    options.onPage({ mappings: [{ id: 'b' }], loaded: 3, total: 3 });
+    return { mappings: [{ id: 'a' }, cacheMapping, { id: 'b' }], meta: { total: 3 } };
+  };
+
+  await context.SyncEngine.fullSync({ background: true });
+
+  assert.strictEqual(pageSize, 2);
+  assert.strictEqual(storeCalls.join(), 'set:1,add:1,set:2', 'pages fill the store, then the full set replaces it');
+  assert.strictEqual(totals.join(), '2/3,3/3,cleared');
+
+  delete sandbox.readWiremockSettings;
+  delete sandbox.PaginationManager;
+  Object.assign(sandbox.MappingsStore, originalStore);
+});
+
 (async () => {
   for (const { name, fn } of tests) {
     try {
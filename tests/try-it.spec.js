@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Fake WireMock: stub responses from `respond`; `journal` builds the request journal from the
+// X-Imock-Try-It tag of the last request sent
+function createTryItTestContext({ respond, journal = () => [] } = {}) {
+    const sandbox = { console: silent, Map, Set, JSON, Date, btoa: value => Buffer.from(value).toString('base64') };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { error() {} };
+    sandbox.Utils = { escapeHtml: String };
+    sandbox.ENDPOINTS = { MAPPINGS: '/mappings', REQUESTS: '/requests' };
+    sandbox.document = { getElementById: () => null, addEventListener() {} };
+    sandbox.performance = { now: () => 0 };
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+
+    sandbox.sent = [];
+    sandbox.fetch = async (url, options) => {
+        sandbox.sent.push({ url, ...options });
+        const { status = 200, body = '' } = respond ? respond(url, options) : {};
+        return {
+            status,
+            statusText: 'OK',
+            headers: new Map([['content-type', 'application/json']]),
+            text: async () => body
+        };
+    };
+    sandbox.apiFetch = async (endpoint) => {
+        if (!endpoint.startsWith('/requests')) return {};
+        return { requests: journal(sandbox.sent.at(-1)?.headers?.['X-Imock-Try-It']) };
+    };
+
+    const context = vm.createContext(sandbox);
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js/features/try-it.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'js/features/try-it.js' });
+    return context;
+}
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('generates values that satisfy URL and header patterns', () => {
+    const context = createTryItTestContext();
+    // Top-level consts are not window properties, so read them from the script scope
+    const example = vm.runInContext('tryItExampleFromPattern', context);
+    const exampleForMatcher = vm.runInContext('tryItExampleForMatcher', context);
+
+    assert.strictEqual(example('/api/orders/[0-9]+'), '/api/orders/1');
+    assert.strictEqual(example('^/users/\\d{3}/(profile|settings)$'), '/users/111/profile');
+    assert.strictEqual(example('/files/.*\\.json'), '/files/.json');
+    assert.strictEqual(example('/v[12]/items(?:/[a-f0-9]{8})?'), '/v1/items');
+    assert.strictEqual(example('/search\\?q=[^&]+'), '/search?q=a');
+    assert.strictEqual(example('(unbalanced'), null);
+
+    assert.strictEqual(exampleForMatcher({ equalTo: 'application/json' }), 'application/json');
+    assert.strictEqual(exampleForMatcher({ matches: 'Bearer [A-Za-z0-9]+' }), 'Bearer a');
+    assert.strictEqual(exampleForMatcher({ hasExactly: [{ equalTo: 'a' }, { equalTo: 'b' }] }), 'a');
+    assert.strictEqual(exampleForMatcher({ absent: true }), undefined);
+});
+
+runTest('builds a request from the mapping matchers against the WireMock root', () => {
+    const context = createTryItTestContext();
+    const request = context.MappingTryIt.buildRequest({
+        id: 'a',
+        request: {
+            method: 'POST',
+            urlPathTemplate: '/orders/{orderId}/items',
+            pathParameters: { orderId: { equalTo: '42' } },
+            queryParameters: { dryRun: { equalTo: 'true' }, debug: { absent: true } },
+            headers: { 'X-Tenant': { matches: 'tenant-[a-z]+' }, Host: { equalTo: 'api.local' } },
+            basicAuthCredentials: { username: 'user', password: 'secret' },
+            bodyPatterns: [{ matchesJsonPath: '$.total' }, { equalToJson: { total: 10 } }]
+        }
+    });
+
+    assert.strictEqual(request.url, 'http://localhost:8080/orders/42/items?dryRun=true');
+    assert.strictEqual(JSON.stringify(request.headers), '{"X-Tenant":"tenant-a","Authorization":"Basic dXNlcjpzZWNyZXQ=","Content-Type":"application/json"}');
+    assert.strictEqual(request.body, '{"total":10}', 'equalToJson wins over a JSONPath');
+    assert.strictEqual(request.warnings.length, 1, 'Host cannot be set from a page');
+
+    const any = context.MappingTryIt.buildRequest({ request: { method: 'ANY', urlPattern: '/health|/status', bodyPatterns: [{ equalTo: 'x' }] } });
+    assert.strictEqual(any.method, 'GET');
+    assert.strictEqual(any.path, '/health');
+    assert.strictEqual(any.body, null, 'GET requests carry no body');
+
+    const jsonPath = context.MappingTryIt.buildRequest({ request: { method: 'PUT', url: '/x', bodyPatterns: [{ matchesJsonPath: '$.order.id' }] } });
+    assert.strictEqual(jsonPath.body, '{"order":{"id":"example"}}');
+});
+
+runTest('sends the request and checks the journal for the stub that matched', async () => {
+    const mapping = { id: 'stub-1', request: { method: 'GET', url: '/ping' } };
+    const entry = (stubId, tag) => ({
+        request: { url: '/ping', method: 'GET', headers: tag ? { 'x-imock-try-it': tag } : {} },
+        wasMatched: Boolean(stubId),
+        ...(stubId ? { stubMapping: { id: stubId, name: 'Other' } } : {})
+    });
+
+    let context = createTryItTestContext({ respond: () => ({ status: 200, body: 'pong' }), journal: tag => [entry('stub-1', tag)] });
+    let result = await context.MappingTryIt.send(mapping);
+    assert.strictEqual(context.sent[0].url, 'http://localhost:8080/ping');
+    assert.ok(context.sent[0].headers['X-Imock-Try-It'], 'the request is tagged');
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body, 'pong');
+    assert.strictEqual(result.verdict, 'matched');
+
+    context = createTryItTestContext({ journal: tag => [entry('stub-1'), entry('stub-1', 'someone-else'), entry('stub-2', tag)] });
+    result = await context.MappingTryIt.send(mapping);
+    assert.strictEqual(result.verdict, 'other-stub', 'identical requests from other clients are ignored');
+    assert.strictEqual(result.matchedStub.id, 'stub-2');
+
+    context = createTryItTestContext({ respond: () => ({ status: 404 }), journal: tag => [entry('stub-1'), entry(null, tag)] });
+    assert.strictEqual((await context.MappingTryIt.send(mapping)).verdict, 'unmatched');
+
+    context = createTryItTestContext({ journal: () => [entry('stub-1')] });
+    assert.strictEqual((await context.MappingTryIt.send(mapping)).verdict, 'not-logged');
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createLoggerStub } = require('./helpers/stubs');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+// Real store, operations, toggle and hit aggregation against a fake server journal.
+function createUnusedTestContext(mappings, journal = []) {
+    const sandbox = { console: silent, setTimeout, clearTimeout, Map, Set, Date, JSON };
+    sandbox.window = sandbox;
+    sandbox.Logger = createLoggerStub(silent);
+    sandbox.NotificationManager = { success() {}, error() {}, info() {}, warning() {} };
+    sandbox.Utils = { escapeHtml: String, safeCall: (fn, ...args) => (typeof fn === 'function' ? fn(...args) : undefined) };
+    sandbox.ENDPOINTS = { MAPPINGS: '/mappings', REQUESTS: '/requests' };
+    const storage = new Map();
+    sandbox.localStorage = { setItem: (key, value) => storage.set(key, value), removeItem: key => storage.delete(key), getItem: key => storage.get(key) ?? null };
+    sandbox.document = { getElementById: () => null, addEventListener() {}, querySelectorAll: () => [] };
+    sandbox.confirm = () => true;
+    sandbox.isImockCacheMapping = mapping => mapping.metadata?.imockCache === true;
+    sandbox.wiremockBaseUrl = 'http://localhost:8080/__admin';
+    sandbox.allScenarios = [];
+    sandbox.downloads = [];
+    sandbox.downloadFile = (filename, content) => sandbox.downloads.push({ filename, content: JSON.parse(content) });
+
+    sandbox.requests = [];
+    sandbox.apiFetch = async (endpoint, options = {}) => {
+        sandbox.requests.push({ endpoint, method: options.method || 'GET' });
+        if (endpoint.startsWith('/requests')) {
+            return { requests: journal };
+        }
+        return options.body ? JSON.parse(options.body) : {};
+    };
+
+    const context = vm.createContext(sandbox);
+    const scripts = [
+        'js/lib/indexed-db.js', 'js/features/store.js', 'js/features/operations.js',
+        'js/features/mapping-toggle.js', 'js/features/mapping-hits.js', 'js/features/unused-report.js'
+    ];
+    for (const script of scripts) {
+        const code = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    }
+    context.MappingsStore.setFromServer(mappings);
+    context.MappingToggle.baseUrl = context.wiremockBaseUrl;
+    return context;
+}
+
+const now = Date.UTC(2026, 0, 1, 12);
+const hit = (id, stubId, loggedDate = now) => ({ id, wasMatched: true, request: { url: '/x', loggedDate }, stubMapping: { id: stubId } });
+
+const tests = [];
+const runTest = (name, fn) => tests.push({ name, fn });
+
+runTest('reports unhit mappings, skipping the cache mapping and unreached scenario states', () => {
+    const context = createUnusedTestContext([]);
+    const mappings = [
+        { id: 'used', request: { url: '/used' } },
+        { id: 'dead', request: { url: '/dead' } },
+        { id: 'cache', request: { url: '/cache' }, metadata: { imockCache: true } },
+        { id: 'login', scenarioName: 'Flow', requiredScenarioState: 'Started', newScenarioState: 'LoggedIn', request: { url: '/login' } },
+        { id: 'profile', scenarioName: 'Flow', requiredScenarioState: 'LoggedIn', request: { url: '/profile' } },
+        { id: 'logout', scenarioName: 'Flow', requiredScenarioState: 'LoggedOut', request: { url: '/logout' } },
+        { id: 'checkout', scenarioName: 'Cart', requiredScenarioState: 'Filled', request: { url: '/checkout' } },
+        { id: 'off', _disabled: true, request: { url: '/off' } }
+    ];
+
+    const { unused, skipped } = context.UnusedMappingsReport.analyze(mappings, [hit('r1', 'used'), hit('r2', 'login')], [
+        { id: 'Cart', name: 'Cart', state: 'Filled' }
+    ]);
+
+    // profile: LoggedIn reached through the login hit; checkout: the scenario is in Filled now
+    assert.strictEqual(unused.map(mapping => mapping.id).join(','), 'dead,profile,checkout');
+    assert.deepStrictEqual({ ...skipped }, { cache: 1, scenario: 1 });
+});
+
+runTest('windows and test sessions bound the journal that is fetched', async () => {
+    const context = createUnusedTestContext(
+        [{ id: 'a', request: { url: '/a' } }, { id: 'b', request: { url: '/b' } }],
+        [hit('old', 'a', now - 2 * 60 * 60 * 1000), hit('new', 'b', now - 60 * 1000)]
+    );
+    const report = context.UnusedMappingsReport;
+
+    assert.strictEqual(report.getSince('hour', now), now - 60 * 60 * 1000);
+    assert.strictEqual(report.getSince('all', now), null);
+    assert.strictEqual(await report.generate(), null, 'a session must be started first');
+    assert.strictEqual(context.requests.length, 0);
+
+    report.startSession(now - 60 * 60 * 1000);
+    assert.strictEqual(report.getSessionStart(), now - 60 * 60 * 1000);
+    await report.generate();
+    assert.ok(context.requests[0].endpoint.startsWith('/requests?since='));
+    assert.strictEqual(report.journalSize, 1, 'entries before the session are ignored even if the server returns them');
+    assert.strictEqual(report.unused.map(mapping => mapping.id).join(','), 'a');
+
+    report.windowKey = 'all';
+    await report.generate();
+    assert.strictEqual(context.requests[1].endpoint, '/requests');
+    assert.strictEqual(report.unused.length, 0);
+
+    context.wiremockBaseUrl = 'http://other:8080/__admin';
+    assert.strictEqual(report.getSessionStart(), null, 'sessions are per server');
+});
+
+runTest('bulk actions delete, disable or export then delete the selection', async () => {
+    const context = createUnusedTestContext([
+        { id: 'a', request: { url: '/a' } },
+        { id: 'b', _pending: false, request: { url: '/b' } },
+        { id: 'c', request: { url: '/c' } }
+    ]);
+    const report = context.UnusedMappingsReport;
+    report.windowKey = 'all';
+    await report.generate();
+    assert.strictEqual(report.selected.size, 3, 'everything is selected by default');
+
+    report.selected = new Set(['a']);
+    await report.disableSelected();
+    assert.strictEqual(context.MappingToggle.isDisabled('a'), true);
+
+    report.selected = new Set(['b']);
+    await report.exportAndDeleteSelected();
+    assert.strictEqual(context.downloads.length, 1);
+    assert.strictEqual(context.downloads[0].content.mappings[0].id, 'b');
+    assert.ok(!('_pending' in context.downloads[0].content.mappings[0]));
+
+    report.selected = new Set(['c']);
+    await report.deleteSelected();
+    const deletes = context.requests.filter(request => request.method === 'DELETE').map(request => request.endpoint);
+    assert.deepStrictEqual(deletes, ['/mappings/a', '/mappings/b', '/mappings/c']);
+    assert.strictEqual(report.unused.length, 0);
+    assert.strictEqual(context.MappingsStore.items.size, 0);
+});
+
+(async () => {
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (error) {
+            console.error(`✖ ${name}`);
+            console.error(error);
+            process.exit(1);
+        }
+    }
+})();